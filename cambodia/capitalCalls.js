@@ -0,0 +1,547 @@
+// cambodia/capitalCalls.js - Capital Call Engine for Cambodia Lending Fund
+// Pro-rata calls on unfunded commitments, receipts, late interest, excuse rights and LPA default remedies
+
+const { queryWithRetry, withTransaction } = require('../utils/database');
+const fundLedger = require('./fundLedger');
+const { getNavStrike } = require('./fundAccounting');
+
+// 📋 CAPITAL CALL CONFIGURATION (LPA defaults, overridable per call)
+const CAPITAL_CALL_CONFIG = {
+    NOTICE_PERIOD_DAYS: 10,         // Due date when the call does not set one
+    LATE_INTEREST_RATE: 0.10,       // 10% p.a. simple, ACT/365, from the due date
+    CURE_PERIOD_DAYS: 10,           // Days after the due date before an LP is in default
+
+    STATUSES: {
+        PENDING: 'pending',
+        PARTIAL: 'partial',
+        PAID: 'paid',
+        EXCUSED: 'excused',
+        DEFAULTED: 'defaulted'
+    },
+
+    // Remedies available to the GP once an LP defaults; daysAfterDefault gates escalation
+    DEFAULT_REMEDIES: [
+        { remedy: 'late_interest', daysAfterDefault: 0, description: 'Default interest accrues on the unpaid amount from the due date' },
+        { remedy: 'suspend_distributions', daysAfterDefault: 0, description: 'Distributions withheld and applied against amounts owed' },
+        { remedy: 'suspend_voting', daysAfterDefault: 0, description: 'Voting and consent rights suspended' },
+        { remedy: 'reallocate_shortfall', daysAfterDefault: 0, description: 'Shortfall may be called from non-defaulting LPs pro-rata' },
+        { remedy: 'forfeit_capital_account', daysAfterDefault: 30, forfeitPercent: 0.50, description: 'Up to 50% of the capital account forfeited to non-defaulting LPs' },
+        { remedy: 'forced_transfer', daysAfterDefault: 60, description: 'Interest may be sold or transferred at the GP\'s direction' }
+    ]
+};
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+function daysBetween(fromDate, toDate) {
+    return Math.round((new Date(fundLedger.toLedgerDate(toDate)) - new Date(fundLedger.toLedgerDate(fromDate))) / MS_PER_DAY);
+}
+
+function addDays(date, days) {
+    return fundLedger.toLedgerDate(new Date(new Date(fundLedger.toLedgerDate(date)).getTime() + days * MS_PER_DAY));
+}
+
+// 🧮 PURE CALCULATIONS
+
+/**
+ * ⚖️ Pro-rata call allocation on callable (unfunded, not yet called) commitments
+ * Excused LPs are skipped and their share is spread across the others, capped at each LP's callable amount
+ */
+function calculateCallAllocations(positions, totalAmount, excusedLps = []) {
+    const excused = new Map(excusedLps.map(e => typeof e === 'string' ? [e, 'Excused'] : [e.lpId, e.reason || 'Excused']));
+    const amount = fundLedger.roundCents(totalAmount);
+
+    const eligible = positions.filter(p => !excused.has(p.lpId) && p.callable > 0);
+    const totalCallable = eligible.reduce((sum, p) => sum + p.callable, 0);
+    if (amount > fundLedger.roundCents(totalCallable)) {
+        throw new Error(`Call of ${amount.toLocaleString()} exceeds callable commitments of ${fundLedger.roundCents(totalCallable).toLocaleString()}`);
+    }
+
+    // Spread pro-rata to unfunded commitment; LPs that hit their cap drop out and the rest absorb the remainder
+    const called = {};
+    let open = [...eligible];
+    let remaining = amount;
+    while (remaining > fundLedger.LEDGER_CONFIG.BALANCE_TOLERANCE && open.length > 0) {
+        const openUnfunded = open.reduce((sum, p) => sum + p.unfunded, 0);
+        const capped = [];
+        let allocatedThisRound = 0;
+
+        open.forEach(p => {
+            const room = p.callable - (called[p.lpId] || 0);
+            const share = remaining * p.unfunded / openUnfunded;
+            const take = Math.min(share, room);
+            called[p.lpId] = (called[p.lpId] || 0) + take;
+            allocatedThisRound += take;
+            if (take >= room) capped.push(p.lpId);
+        });
+
+        remaining -= allocatedThisRound;
+        open = open.filter(p => !capped.includes(p.lpId));
+        if (capped.length === 0) break;
+    }
+
+    // Round to cents and put the residual on the LP with the most room
+    const rounded = {};
+    let roundedTotal = 0;
+    eligible.forEach(p => {
+        rounded[p.lpId] = fundLedger.roundCents(called[p.lpId] || 0);
+        roundedTotal += rounded[p.lpId];
+    });
+    const residual = fundLedger.roundCents(amount - roundedTotal);
+    if (residual !== 0 && eligible.length > 0) {
+        const roomiest = eligible.reduce((best, p) =>
+            (p.callable - rounded[p.lpId]) > (best.callable - rounded[best.lpId]) ? p : best);
+        rounded[roomiest.lpId] = fundLedger.roundCents(rounded[roomiest.lpId] + residual);
+    }
+
+    return positions.map(p => ({
+        lpId: p.lpId,
+        commitment: p.commitment,
+        unfundedBefore: p.unfunded,
+        amountCalled: excused.has(p.lpId) ? 0 : (rounded[p.lpId] || 0),
+        callPercentOfCommitment: p.commitment > 0 && !excused.has(p.lpId)
+            ? fundLedger.roundCents((rounded[p.lpId] || 0) / p.commitment * 100) : 0,
+        status: excused.has(p.lpId) ? CAPITAL_CALL_CONFIG.STATUSES.EXCUSED : CAPITAL_CALL_CONFIG.STATUSES.PENDING,
+        excuseReason: excused.get(p.lpId) || null
+    }));
+}
+
+/**
+ * ⏰ Late interest on an allocation: unpaid amount × rate × days/365 from the due date,
+ * stepping down as receipts come in
+ */
+function calculateLateInterest(allocation, dueDate, asOfDate, annualRate = CAPITAL_CALL_CONFIG.LATE_INTEREST_RATE) {
+    const end = fundLedger.toLedgerDate(asOfDate);
+    const receipts = [...(allocation.receipts || [])]
+        .filter(r => r.date <= end)
+        .sort((a, b) => a.date.localeCompare(b.date));
+
+    let unpaid = allocation.amountCalled;
+    let periodStart = fundLedger.toLedgerDate(dueDate);
+    let interest = 0;
+
+    const accrue = (toDate) => {
+        if (unpaid > 0 && toDate > periodStart) {
+            interest += unpaid * annualRate * daysBetween(periodStart, toDate) / 365;
+        }
+        if (toDate > periodStart) periodStart = toDate;
+    };
+
+    receipts.forEach(receipt => {
+        accrue(receipt.date);
+        unpaid = Math.max(0, unpaid - receipt.principal);
+    });
+    accrue(end);
+
+    return fundLedger.roundCents(interest);
+}
+
+/**
+ * 🚨 Remedies applicable to a defaulted allocation on a date
+ */
+function determineDefaultRemedies(defaultDate, asOfDate, remedies = CAPITAL_CALL_CONFIG.DEFAULT_REMEDIES) {
+    const daysInDefault = daysBetween(defaultDate, asOfDate);
+    return remedies
+        .filter(r => daysInDefault >= r.daysAfterDefault)
+        .map(r => ({ ...r, availableFrom: addDays(defaultDate, r.daysAfterDefault) }));
+}
+
+// 💾 CAPITAL CALL RECORDS
+
+function mapAllocationRow(row) {
+    const commitment = parseFloat(row.commitment);
+    const amountCalled = parseFloat(row.amount_called);
+    return {
+        callId: row.call_id,
+        fundId: row.fund_id,
+        lpId: row.lp_id,
+        commitment: commitment,
+        unfundedBefore: parseFloat(row.unfunded_before),
+        amountCalled: amountCalled,
+        callPercentOfCommitment: commitment > 0 ? fundLedger.roundCents(amountCalled / commitment * 100) : 0,
+        amountReceived: parseFloat(row.amount_received) || 0,
+        lateInterestPaid: parseFloat(row.late_interest_paid) || 0,
+        receipts: row.receipts || [],
+        status: row.status,
+        excuseReason: row.excuse_reason,
+        paidDate: row.paid_date instanceof Date ? fundLedger.toLedgerDate(row.paid_date) : row.paid_date,
+        defaultDate: row.default_date instanceof Date ? fundLedger.toLedgerDate(row.default_date) : row.default_date,
+        remedies: row.remedies || []
+    };
+}
+
+function mapCallRow(row, allocations) {
+    return {
+        callId: row.call_id,
+        fundId: row.fund_id,
+        callNumber: row.call_number,
+        callDate: row.call_date instanceof Date ? fundLedger.toLedgerDate(row.call_date) : row.call_date,
+        dueDate: row.due_date instanceof Date ? fundLedger.toLedgerDate(row.due_date) : row.due_date,
+        totalAmount: parseFloat(row.total_amount),
+        purpose: row.purpose,
+        status: row.status,
+        lateInterestRate: parseFloat(row.late_interest_rate),
+        summary: (row.data || {}).summary || null,
+        allocations: allocations,
+        createdBy: row.created_by,
+        createdAt: row.created_at
+    };
+}
+
+/**
+ * 🔍 Load a capital call with its LP allocations
+ */
+async function getCapitalCall(callId) {
+    const header = await queryWithRetry(`
+        SELECT * FROM capital_calls WHERE call_id = $1
+    `, [callId], 3, 'CAPITAL_CALL_GET');
+    if (header.rows.length === 0) return null;
+
+    const lines = await queryWithRetry(`
+        SELECT * FROM capital_call_allocations WHERE call_id = $1 ORDER BY lp_id
+    `, [callId], 3, 'CAPITAL_CALL_GET_LINES');
+
+    return mapCallRow(header.rows[0], lines.rows.map(mapAllocationRow));
+}
+
+/**
+ * 📚 Capital calls for a fund, newest first
+ */
+async function getCapitalCalls(fundId, status = null) {
+    const result = await queryWithRetry(`
+        SELECT * FROM capital_calls
+        WHERE fund_id = $1 AND ($2::varchar IS NULL OR status = $2)
+        ORDER BY call_number DESC
+    `, [fundId, status], 3, 'CAPITAL_CALL_LIST');
+
+    return result.rows.map(row => mapCallRow(row, null));
+}
+
+// 📊 LP CAPITAL POSITIONS
+
+/**
+ * 📊 Commitment, contributed, outstanding and callable capital per LP
+ * Pass lpId to read a single LP's position, client to read inside a transaction
+ */
+async function getLPCapitalPositions(fundId, asOfDate = new Date(), lpId = null, client = null) {
+    const lpIds = (await fundLedger.getFundLpIds(fundId, client)).filter(id => !lpId || id === lpId);
+    const outstandingSql = `
+        SELECT lp_id, COALESCE(SUM(amount_called - amount_received), 0) AS outstanding
+        FROM capital_call_allocations
+        WHERE fund_id = $1 AND status IN ('pending', 'partial', 'defaulted')
+          AND ($2::varchar IS NULL OR lp_id = $2)
+        GROUP BY lp_id
+    `;
+    const outstanding = client
+        ? await client.query(outstandingSql, [fundId, lpId])
+        : await queryWithRetry(outstandingSql, [fundId, lpId], 3, 'CAPITAL_CALL_OUTSTANDING');
+    const outstandingByLp = {};
+    outstanding.rows.forEach(row => { outstandingByLp[row.lp_id] = parseFloat(row.outstanding) || 0; });
+
+    const positions = [];
+    for (const lpId of lpIds) {
+        const commitment = await fundLedger.getTotalCommitments(fundId, asOfDate, lpId, client);
+        const contributed = await fundLedger.getAccountBalance(fundId, '3000', { asOfDate: asOfDate, lpId: lpId, client: client });
+        const unfunded = fundLedger.roundCents(Math.max(0, commitment - contributed));
+        const outstandingCalled = fundLedger.roundCents(outstandingByLp[lpId] || 0);
+
+        positions.push({
+            lpId: lpId,
+            commitment: commitment,
+            contributed: contributed,
+            unfunded: unfunded,
+            outstandingCalled: outstandingCalled,
+            callable: fundLedger.roundCents(Math.max(0, unfunded - outstandingCalled))
+        });
+    }
+
+    return positions;
+}
+
+// 📋 CAPITAL CALL LIFECYCLE
+
+/**
+ * 📋 Compute (and optionally issue) a capital call
+ * callData: { totalAmount, callDate, dueDate, purpose, excusedLps, lateInterestRate, issue, createdBy }
+ */
+async function createCapitalCall(fundId, callData) {
+    const callDate = fundLedger.toLedgerDate(callData.callDate || new Date());
+    const dueDate = fundLedger.toLedgerDate(callData.dueDate || addDays(callDate, CAPITAL_CALL_CONFIG.NOTICE_PERIOD_DAYS));
+    const lateInterestRate = callData.lateInterestRate ?? CAPITAL_CALL_CONFIG.LATE_INTEREST_RATE;
+
+    if (!(callData.totalAmount > 0)) throw new Error('Capital call amount must be positive');
+    if (dueDate < callDate) throw new Error('Due date cannot be before the call date');
+
+    const totalAmount = fundLedger.roundCents(callData.totalAmount);
+    const callId = `CALL-${Date.now()}-${Math.random().toString(36).substr(2, 6).toUpperCase()}`;
+
+    // Pro-rata split over positions read with the given client, so issued calls see every prior call
+    const buildCall = async (client) => {
+        const positions = await getLPCapitalPositions(fundId, callDate, null, client);
+        const allocations = calculateCallAllocations(positions, callData.totalAmount, callData.excusedLps || []);
+
+        const totalCommitment = fundLedger.roundCents(positions.reduce((sum, p) => sum + p.commitment, 0));
+        const totalContributed = fundLedger.roundCents(positions.reduce((sum, p) => sum + p.contributed, 0));
+        const totalOutstanding = fundLedger.roundCents(positions.reduce((sum, p) => sum + p.outstandingCalled, 0));
+
+        return {
+            callId: callId,
+            fundId: fundId,
+            callNumber: null,
+            callDate: callDate,
+            dueDate: dueDate,
+            totalAmount: totalAmount,
+            purpose: callData.purpose || null,
+            status: 'draft',
+            lateInterestRate: lateInterestRate,
+            summary: {
+                totalCommitment: totalCommitment,
+                priorCalled: fundLedger.roundCents(totalContributed + totalOutstanding),
+                postCallCumulative: fundLedger.roundCents(totalContributed + totalOutstanding + totalAmount),
+                remainingCommitment: fundLedger.roundCents(totalCommitment - totalContributed - totalOutstanding - totalAmount),
+                callPercentOfCommitment: totalCommitment > 0 ? fundLedger.roundCents(totalAmount / totalCommitment * 100) : 0,
+                participatingLPs: allocations.filter(a => a.amountCalled > 0).length,
+                excusedLPs: allocations.filter(a => a.status === CAPITAL_CALL_CONFIG.STATUSES.EXCUSED).length
+            },
+            allocations: allocations
+        };
+    };
+
+    if (!callData.issue) {
+        return await buildCall(null);
+    }
+
+    const call = await withTransaction(async (client) => {
+        // Serialize call numbering and allocation per fund
+        await client.query('SELECT pg_advisory_xact_lock(hashtext($1))', [`capital_call:${fundId}`]);
+        const issued = await buildCall(client);
+
+        const next = await client.query(`
+            SELECT COALESCE(MAX(call_number), 0) + 1 AS call_number FROM capital_calls WHERE fund_id = $1
+        `, [fundId]);
+        issued.callNumber = parseInt(next.rows[0].call_number);
+        issued.status = 'open';
+
+        await client.query(`
+            INSERT INTO capital_calls
+                (call_id, fund_id, call_number, call_date, due_date, total_amount, purpose, status, late_interest_rate, data, created_by)
+            VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+        `, [
+            callId, fundId, issued.callNumber, callDate, dueDate, totalAmount, issued.purpose, issued.status,
+            lateInterestRate, JSON.stringify({ summary: issued.summary }), callData.createdBy || 'system'
+        ]);
+
+        for (const a of issued.allocations) {
+            await client.query(`
+                INSERT INTO capital_call_allocations
+                    (call_id, fund_id, lp_id, commitment, unfunded_before, amount_called, status, excuse_reason)
+                VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+            `, [callId, fundId, a.lpId, a.commitment, a.unfundedBefore, a.amountCalled, a.status, a.excuseReason]);
+        }
+        return issued;
+    }, 'CAPITAL_CALL_ISSUE');
+
+    console.log(`📋 Capital call issued: ${call.callId} (#${call.callNumber}, ${totalAmount.toLocaleString()} USD)`);
+
+    return call;
+}
+
+/**
+ * 💵 Record an LP's payment against a capital call
+ * Receipts settle the called amount first (posted as a contribution), then late interest (other income)
+ */
+async function recordCapitalCallReceipt(callId, lpId, receiptData) {
+    const receiptDate = fundLedger.toLedgerDate(receiptData.date || new Date());
+    const amount = fundLedger.roundCents(receiptData.amount);
+    if (!(amount > 0)) throw new Error('Receipt amount must be positive');
+
+    const call = await getCapitalCall(callId);
+    if (!call) throw new Error(`Capital call not found: ${callId}`);
+
+    // Ledger postings and the allocation update commit together; the row lock serialises receipts for the LP
+    const receipt = await withTransaction(async (client) => {
+        const locked = await client.query(`
+            SELECT * FROM capital_call_allocations WHERE call_id = $1 AND lp_id = $2 FOR UPDATE
+        `, [callId, lpId]);
+        if (locked.rows.length === 0) throw new Error(`LP ${lpId} is not part of capital call ${callId}`);
+        const allocation = mapAllocationRow(locked.rows[0]);
+        if (allocation.status === CAPITAL_CALL_CONFIG.STATUSES.EXCUSED) throw new Error(`LP ${lpId} is excused from capital call ${callId}`);
+
+        const principalOwed = fundLedger.roundCents(allocation.amountCalled - allocation.amountReceived);
+        const lateInterestOwed = fundLedger.roundCents(
+            calculateLateInterest(allocation, call.dueDate, receiptDate, call.lateInterestRate) - allocation.lateInterestPaid);
+
+        const principal = Math.min(amount, principalOwed);
+        const lateInterest = fundLedger.roundCents(Math.min(amount - principal, Math.max(0, lateInterestOwed)));
+        const unapplied = fundLedger.roundCents(amount - principal - lateInterest);
+        if (unapplied > 0) {
+            throw new Error(`Receipt exceeds amount owed by ${unapplied.toLocaleString()} USD`);
+        }
+
+        // Units at the latest struck NAV per unit, par before the first strike
+        let unitsIssued = receiptData.unitsIssued;
+        if (unitsIssued === undefined && principal > 0) {
+            const strike = await getNavStrike(call.fundId, receiptDate);
+            unitsIssued = strike && strike.navPerUnit > 0 ? principal / strike.navPerUnit : principal;
+        }
+
+        if (principal > 0) {
+            await fundLedger.postCapitalCall(call.fundId, {
+                amount: principal,
+                lpId: lpId,
+                date: receiptDate,
+                unitsIssued: unitsIssued,
+                reference: callId,
+                description: `Capital call #${call.callNumber} received from ${lpId}`,
+                postedBy: receiptData.postedBy
+            }, client);
+        }
+        if (lateInterest > 0) {
+            await fundLedger.postJournalEntry(call.fundId, {
+                entryDate: receiptDate,
+                entryType: fundLedger.LEDGER_CONFIG.ENTRY_TYPES.MANUAL,
+                description: `Late interest on capital call #${call.callNumber} from ${lpId}`,
+                reference: callId,
+                postedBy: receiptData.postedBy,
+                lines: [
+                    { accountCode: '1000', debit: lateInterest, lpId: lpId },
+                    { accountCode: '4200', credit: lateInterest, lpId: lpId }
+                ]
+            }, client);
+        }
+
+        const amountReceived = fundLedger.roundCents(allocation.amountReceived + principal);
+        const lateInterestPaid = fundLedger.roundCents(allocation.lateInterestPaid + lateInterest);
+        const fullyPaid = amountReceived >= allocation.amountCalled && lateInterestPaid >= fundLedger.roundCents(
+            calculateLateInterest({ ...allocation, receipts: [...allocation.receipts, { date: receiptDate, principal }] },
+                call.dueDate, receiptDate, call.lateInterestRate));
+        const status = fullyPaid ? CAPITAL_CALL_CONFIG.STATUSES.PAID
+            : allocation.status === CAPITAL_CALL_CONFIG.STATUSES.DEFAULTED ? CAPITAL_CALL_CONFIG.STATUSES.DEFAULTED
+            : CAPITAL_CALL_CONFIG.STATUSES.PARTIAL;
+
+        await client.query(`
+            UPDATE capital_call_allocations
+            SET amount_received = $3, late_interest_paid = $4, status = $5,
+                receipts = receipts || $6::jsonb, paid_date = $7, updated_at = CURRENT_TIMESTAMP
+            WHERE call_id = $1 AND lp_id = $2
+        `, [
+            callId, lpId, amountReceived, lateInterestPaid, status,
+            JSON.stringify([{ date: receiptDate, amount: amount, principal: principal, lateInterest: lateInterest }]),
+            fullyPaid ? receiptDate : null
+        ]);
+
+        // Close the call once every participating LP has paid
+        await client.query(`
+            UPDATE capital_calls SET status = 'closed'
+            WHERE call_id = $1 AND NOT EXISTS (
+                SELECT 1 FROM capital_call_allocations
+                WHERE call_id = $1 AND status IN ('pending', 'partial', 'defaulted')
+            )
+        `, [callId]);
+
+        const outstanding = fundLedger.roundCents(allocation.amountCalled - amountReceived);
+        return { principal, lateInterest, unitsIssued, outstanding, status };
+    }, 'CAPITAL_CALL_RECEIPT');
+    const { principal, lateInterest, unitsIssued, outstanding, status } = receipt;
+
+    console.log(`💵 Capital call receipt: ${lpId} → ${callId} (${amount.toLocaleString()} USD, ${status})`);
+
+    return {
+        callId: callId,
+        lpId: lpId,
+        receiptDate: receiptDate,
+        amount: amount,
+        appliedToCall: principal,
+        appliedToLateInterest: lateInterest,
+        unitsIssued: unitsIssued || 0,
+        outstanding: outstanding,
+        status: status
+    };
+}
+
+/**
+ * 🚨 Flag late and defaulting LPs across a fund's open calls
+ * LPs past the cure period move to defaulted and carry the LPA remedies available to date
+ */
+async function assessCapitalCallDefaults(fundId, asOfDate = new Date(), options = {}) {
+    const date = fundLedger.toLedgerDate(asOfDate);
+    const curePeriod = options.curePeriodDays ?? CAPITAL_CALL_CONFIG.CURE_PERIOD_DAYS;
+    const openCalls = await getCapitalCalls(fundId, 'open');
+
+    const lateLPs = [];
+    const defaultingLPs = [];
+
+    for (const header of openCalls) {
+        if (header.dueDate >= date) continue;
+        const call = await getCapitalCall(header.callId);
+
+        for (const allocation of call.allocations) {
+            if (![CAPITAL_CALL_CONFIG.STATUSES.PENDING, CAPITAL_CALL_CONFIG.STATUSES.PARTIAL,
+                  CAPITAL_CALL_CONFIG.STATUSES.DEFAULTED].includes(allocation.status)) continue;
+
+            const daysLate = daysBetween(call.dueDate, date);
+            const entry = {
+                callId: call.callId,
+                callNumber: call.callNumber,
+                lpId: allocation.lpId,
+                dueDate: call.dueDate,
+                daysLate: daysLate,
+                amountOutstanding: fundLedger.roundCents(allocation.amountCalled - allocation.amountReceived),
+                lateInterestAccrued: fundLedger.roundCents(
+                    calculateLateInterest(allocation, call.dueDate, date, call.lateInterestRate) - allocation.lateInterestPaid)
+            };
+
+            if (daysLate <= curePeriod) {
+                lateLPs.push({ ...entry, cureDeadline: addDays(call.dueDate, curePeriod) });
+                continue;
+            }
+
+            const defaultDate = allocation.defaultDate || addDays(call.dueDate, curePeriod + 1);
+            const remedies = determineDefaultRemedies(defaultDate, date, options.remedies);
+
+            if (options.persist !== false) {
+                // Guarded on status so a receipt that paid the allocation since it was read is not overwritten
+                const updated = await queryWithRetry(`
+                    UPDATE capital_call_allocations
+                    SET status = 'defaulted', default_date = $3, remedies = $4, updated_at = CURRENT_TIMESTAMP
+                    WHERE call_id = $1 AND lp_id = $2 AND status IN ('pending', 'partial', 'defaulted')
+                `, [call.callId, allocation.lpId, defaultDate, JSON.stringify(remedies)], 3, 'CAPITAL_CALL_DEFAULT');
+                if (updated.rowCount === 0) continue;
+            }
+            defaultingLPs.push({ ...entry, defaultDate: defaultDate, remedies: remedies });
+        }
+    }
+
+    if (defaultingLPs.length > 0) {
+        console.log(`🚨 Capital call defaults: ${defaultingLPs.length} LP allocation(s) in default for ${fundId}`);
+    }
+
+    return {
+        fundId: fundId,
+        asOfDate: date,
+        lateLPs: lateLPs,
+        defaultingLPs: defaultingLPs,
+        totalShortfall: fundLedger.roundCents(defaultingLPs.reduce((sum, d) => sum + d.amountOutstanding, 0)),
+        assessmentDate: new Date().toISOString()
+    };
+}
+
+// 📊 EXPORT FUNCTIONS
+module.exports = {
+    // Capital call lifecycle
+    createCapitalCall,
+    recordCapitalCallReceipt,
+    assessCapitalCallDefaults,
+    getCapitalCall,
+    getCapitalCalls,
+    getLPCapitalPositions,
+
+    // Calculations
+    calculateCallAllocations,
+    calculateLateInterest,
+    determineDefaultRemedies,
+
+    // Configuration
+    CAPITAL_CALL_CONFIG
+};
+
+console.log('📋 Capital Call Engine Loaded');
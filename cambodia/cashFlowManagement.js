@@ -1,6 +1,8 @@
 // cambodia/cashFlowManagement.js - COMPLETE: Cambodia Cash Flow & Liquidity Management System
 // Enterprise-grade cash flow optimization with GPT-5 intelligence for private lending fund
 
+const { getAccountBalance, getNetBalance, getAccountCodesByType, getCashMovementsByType } = require('./fundLedger');
+
 // 💵 CAMBODIA CASH FLOW MANAGEMENT FRAMEWORK
 const CASH_FLOW_FRAMEWORK = {
     // Cash flow categories and classifications
@@ -986,6 +988,53 @@ Provide comprehensive liquidity monitoring analysis with specific alert response
     }
 }
 
+/**
+ * 📒 Liquidity monitoring inputs from the fund ledger
+ * Outflow run-rate is the average daily cash outflow over the lookback, excluding loan disbursements
+ */
+async function buildLiquidityMonitoringData(fundId, options = {}) {
+    const asOfDate = options.asOfDate || new Date().toISOString().split('T')[0];
+    const lookbackDays = options.lookbackDays || 90;
+    const policies = CASH_FLOW_FRAMEWORK.liquidityPolicies;
+    const fromDate = new Date(new Date(asOfDate).getTime() - lookbackDays * 24 * 60 * 60 * 1000);
+
+    try {
+        const [cash, totalAssets, payables, movements] = await Promise.all([
+            getAccountBalance(fundId, '1000', { asOfDate }),
+            getNetBalance(fundId, getAccountCodesByType('asset'), { asOfDate }),
+            getNetBalance(fundId, getAccountCodesByType('liability'), { asOfDate }),
+            getCashMovementsByType(fundId, fromDate, asOfDate)
+        ]);
+
+        const periodOutflows = Object.entries(movements)
+            .filter(([entryType, net]) => entryType !== 'loan_disbursement' && net < 0)
+            .reduce((sum, [, net]) => sum - net, 0);
+        const dailyOutflow = periodOutflows / lookbackDays;
+        const thirtyDayOutflows = dailyOutflow * 30 + Math.max(0, payables);
+
+        return {
+            fundId: fundId,
+            asOfDate: asOfDate,
+            currentCashBalance: Math.round(cash * 100) / 100,
+            totalAssets: Math.round(totalAssets * 100) / 100,
+            cashRatio: totalAssets > 0 ? (cash / totalAssets * 100).toFixed(1) : null,
+            liquidityCoverageRatio: thirtyDayOutflows > 0 ? (cash / thirtyDayOutflows).toFixed(2) : null,
+            daysCashOnHand: dailyOutflow > 0 ? Math.round(cash / dailyOutflow) : null,
+            minCashRatio: policies.minimum_cash_ratio.warning_threshold,
+            criticalCashRatio: policies.minimum_cash_ratio.critical_threshold,
+            minDaysCoverage: options.minDaysCoverage || 30,
+            sevenDayProjection: Math.round(cash - dailyOutflow * 7),
+            thirtyDayProjection: Math.round(cash - thirtyDayOutflows),
+            upcomingOutflows: Math.round(Math.max(0, payables)),
+            cashMovements: movements
+        };
+
+    } catch (error) {
+        console.error('❌ Liquidity monitoring data error:', error.message);
+        throw new Error(`Liquidity monitoring data unavailable: ${error.message}`);
+    }
+}
+
 // 🧮 CASH FLOW HELPER FUNCTIONS
 
 /**
@@ -1832,6 +1881,7 @@ module.exports = {
     
     // Liquidity monitoring and alerts
     monitorLiquidityAlerts,
+    buildLiquidityMonitoringData,
     assessCurrentAlerts,
     analyzeLiquidityTrends,
     generateAlertActionPlan,
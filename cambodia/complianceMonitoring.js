@@ -1,6 +1,9 @@
 // cambodia/complianceMonitoring.js - COMPLETE: Cambodia Compliance Monitoring & Regulatory Tracking
 // Enterprise-grade compliance monitoring with GPT-5 intelligence for private lending fund
 
+const { getDealsDB } = require('../utils/database');
+const { getAccountBalance, getNetBalance, getAccountCodesByType } = require('./fundLedger');
+
 // 📋 CAMBODIA COMPLIANCE MONITORING FRAMEWORK
 const COMPLIANCE_MONITORING_FRAMEWORK = {
     // Regulatory authorities and frameworks
@@ -255,6 +258,90 @@ Provide real-time compliance alert analysis with prioritized response recommenda
     }
 }
 
+/**
+ * 📒 Compliance alert inputs from the fund ledger and the deal book
+ * Capital adequacy is net assets over net loans; liquidity is cash over liabilities;
+ * a borrower above 20% of net assets is a large exposure, above 80% of that limit a caution
+ */
+async function buildComplianceAlertData(fundId, options = {}) {
+    const asOfDate = options.asOfDate || new Date().toISOString().split('T')[0];
+    const largeExposureLimit = options.largeExposureLimit || 0.20;
+    const capitalMinimum = parseFloat(COMPLIANCE_MONITORING_FRAMEWORK.complianceCategories.banking_compliance.capital_adequacy.threshold);
+    const liquidityMinimum = parseFloat(COMPLIANCE_MONITORING_FRAMEWORK.complianceCategories.banking_compliance.liquidity_management.threshold.replace(/[^0-9.]/g, ''));
+
+    try {
+        const [cash, assets, liabilities, netLoans, deals] = await Promise.all([
+            getAccountBalance(fundId, '1000', { asOfDate }),
+            getNetBalance(fundId, getAccountCodesByType('asset'), { asOfDate }),
+            getNetBalance(fundId, getAccountCodesByType('liability'), { asOfDate }),
+            getNetBalance(fundId, ['1100', '1150', '1190'], { asOfDate }),
+            getDealsDB()
+        ]);
+        const netAssets = assets - liabilities;
+
+        const alerts = [];
+        const addAlert = (level, area, detail) => alerts.push({ level, area, detail });
+
+        const capitalRatio = netLoans > 0 ? netAssets / netLoans * 100 : null;
+        if (capitalRatio !== null && capitalRatio < capitalMinimum) {
+            addAlert(capitalRatio < capitalMinimum / 2 ? 'critical' : 'warning', 'Capital Adequacy',
+                `${capitalRatio.toFixed(1)}% vs ${capitalMinimum}% minimum`);
+        }
+
+        const liquidityRatio = liabilities > 0 ? cash / liabilities * 100 : null;
+        if (liquidityRatio !== null && liquidityRatio < liquidityMinimum) {
+            addAlert(liquidityRatio < liquidityMinimum / 2 ? 'critical' : 'warning', 'Liquidity Ratio',
+                `${liquidityRatio.toFixed(1)}% of liabilities vs ${liquidityMinimum}% minimum`);
+        }
+
+        // Outstanding principal by borrower for this fund's live loans
+        const exposures = {};
+        deals
+            .filter(deal => deal.fundId === fundId && (deal.financial?.principalOutstanding || 0) > 0 &&
+                !['Completed', 'Recovered', 'Written Off', 'Declined'].includes(deal.status))
+            .forEach(deal => {
+                const borrower = deal.dealInfo?.borrowerName || deal.dealId;
+                exposures[borrower] = (exposures[borrower] || 0) + deal.financial.principalOutstanding;
+            });
+
+        const largeExposures = netAssets > 0 ? Object.entries(exposures)
+            .map(([borrower, amount]) => ({ borrower, amount, percentOfNetAssets: amount / netAssets * 100 }))
+            .filter(exposure => exposure.percentOfNetAssets >= largeExposureLimit * 100 * 0.8)
+            .sort((a, b) => b.percentOfNetAssets - a.percentOfNetAssets) : [];
+        largeExposures.forEach(exposure => {
+            addAlert(exposure.percentOfNetAssets > largeExposureLimit * 100 ? 'warning' : 'caution', 'Large Exposure',
+                `${exposure.borrower}: ${exposure.percentOfNetAssets.toFixed(1)}% of net assets`);
+        });
+
+        const count = level => alerts.filter(alert => alert.level === level).length;
+        const criticalAlerts = count('critical');
+        const warningAlerts = count('warning');
+        const cautionAlerts = count('caution');
+        const breaches = largeExposures.filter(exposure => exposure.percentOfNetAssets > largeExposureLimit * 100);
+
+        return {
+            fundId: fundId,
+            asOfDate: asOfDate,
+            alertLevel: criticalAlerts > 0 ? 'critical' : warningAlerts > 0 ? 'warning' : cautionAlerts > 0 ? 'caution' : 'compliant',
+            criticalAlerts: criticalAlerts,
+            warningAlerts: warningAlerts,
+            cautionAlerts: cautionAlerts,
+            totalActiveAlerts: alerts.length,
+            capitalAdequacyStatus: capitalRatio === null ? 'No loans outstanding' :
+                `${capitalRatio.toFixed(1)}% (${capitalRatio < capitalMinimum ? 'below' : 'within'} ${capitalMinimum}% minimum)`,
+            liquidityRatioStatus: liquidityRatio === null ? 'No liabilities outstanding' :
+                `${liquidityRatio.toFixed(1)}% (${liquidityRatio < liquidityMinimum ? 'below' : 'above'} ${liquidityMinimum}% minimum)`,
+            largeExposureAlerts: breaches.length,
+            largeExposures: largeExposures,
+            alerts: alerts
+        };
+
+    } catch (error) {
+        console.error('❌ Compliance alert data error:', error.message);
+        throw new Error(`Compliance alert data unavailable: ${error.message}`);
+    }
+}
+
 /**
  * 📊 Regulatory Reporting Compliance Tracker
  */
@@ -751,6 +838,7 @@ module.exports = {
     // Core compliance monitoring functions
     performComplianceHealthCheck,
     monitorComplianceAlerts,
+    buildComplianceAlertData,
     trackRegulatoryReporting,
     assessAMLCFTCompliance,
     
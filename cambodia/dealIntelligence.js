@@ -1,6 +1,9 @@
 // cambodia/dealIntelligence.js - REAL AI Integration for Cambodia Private Lending
 // Professional deal matching and analysis system using GPT-5
 
+const { resolveRoute, completeWithFallback } = require('../utils/llmProviders');
+const { sendFormattedMessage: sendSmartMessage } = require('../utils/telegramSplitter');
+
 // 🇰🇭 CAMBODIA DEAL INTELLIGENCE CONFIGURATION
 const CAMBODIA_CONFIG = {
     // Market parameters
@@ -45,6 +48,22 @@ const CAMBODIA_CONFIG = {
     }
 };
 
+// 🤖 Prompt on the speed route
+async function executeSpeedOptimizedGPT5(prompt) {
+    const startTime = Date.now();
+    const turn = await completeWithFallback({
+        system: 'You are a senior analyst for a private real estate lending fund in Cambodia.',
+        messages: [{ role: 'user', content: prompt }]
+    }, resolveRoute('speed'));
+
+    return {
+        response: turn.text,
+        config: { model: turn.model },
+        responseTime: Date.now() - startTime,
+        provider: turn.provider
+    };
+}
+
 // 🎯 DEAL ANALYSIS FUNCTIONS
 
 /**
@@ -105,8 +124,7 @@ Please provide comprehensive analysis with specific recommendations for LP match
             analysis: result.response,
             aiModel: result.config.model,
             responseTime: result.responseTime,
-            gpt5Role: result.gpt5Role,
-            confidence: result.roleConfidence,
+            provider: result.provider,
             riskScore: calculateRiskScore(dealData),
             lpCompatibility: await calculateLPCompatibility(dealData, result.response)
         };
@@ -579,7 +597,7 @@ async function sendDealAnalysisToTelegram(bot, chatId, dealAnalysis) {
 📊 *Risk Score:* ${dealAnalysis.riskScore}/100
 🎯 *LP Compatibility:* ${Object.entries(dealAnalysis.lpCompatibility).map(([profile, score]) => `${profile}: ${score}%`).join(', ')}
 
-🤖 *AI Analysis:* ${dealAnalysis.gpt5Role} mode (${dealAnalysis.confidence}% confidence)
+🤖 *AI Analysis:* ${dealAnalysis.aiModel} (${dealAnalysis.provider})
 ⏱️ *Processing Time:* ${Math.round(dealAnalysis.responseTime / 1000)}s
 
 *Full analysis available for review.*`;
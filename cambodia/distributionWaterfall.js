@@ -0,0 +1,399 @@
+// cambodia/distributionWaterfall.js - Distribution Waterfall Engine for Cambodia Lending Fund
+// Return of capital → preferred return → GP catch-up → carried interest split, with clawback tracking
+
+const { queryWithRetry, withTransaction } = require('../utils/database');
+const fundLedger = require('./fundLedger');
+const { calculateHurdleRate, FUND_ACCOUNTING_FRAMEWORK } = require('./fundAccounting');
+
+// 🌊 WATERFALL CONFIGURATION
+const WATERFALL_CONFIG = {
+    MODES: {
+        EUROPEAN: 'european',   // Whole-fund: carry only after all contributed capital and pref are returned
+        AMERICAN: 'american'    // Deal-by-deal: carry on each realized deal, subject to fund-level clawback
+    },
+    DAYS_PER_YEAR: 365,
+    TOLERANCE: 0.01
+};
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+// 🧮 PURE WATERFALL CALCULATIONS
+
+/**
+ * 📈 Preferred return earned on dated capital flows
+ * flows: [{ date, contribution, distribution }] - compounds annually (ACT/365) while capital plus pref is outstanding
+ */
+function calculatePreferredReturn(flows, asOfDate, hurdleRate) {
+    const sorted = [...flows].sort((a, b) => new Date(a.date) - new Date(b.date));
+    const endDate = new Date(asOfDate);
+
+    let balance = 0;
+    let prefEarned = 0;
+    let contributed = 0;
+    let distributed = 0;
+    let lastDate = null;
+
+    const accrueTo = (date) => {
+        if (lastDate && balance > 0 && date > lastDate) {
+            const growth = balance * (Math.pow(1 + hurdleRate, (date - lastDate) / MS_PER_DAY / WATERFALL_CONFIG.DAYS_PER_YEAR) - 1);
+            prefEarned += growth;
+            balance += growth;
+        }
+        lastDate = date;
+    };
+
+    sorted.forEach(flow => {
+        const date = new Date(flow.date);
+        if (date > endDate) return;
+        accrueTo(date);
+        contributed += flow.contribution || 0;
+        distributed += flow.distribution || 0;
+        balance = Math.max(0, balance + (flow.contribution || 0) - (flow.distribution || 0));
+    });
+    accrueTo(endDate);
+
+    return {
+        contributed: fundLedger.roundCents(contributed),
+        distributed: fundLedger.roundCents(distributed),
+        unreturnedCapital: fundLedger.roundCents(Math.max(0, contributed - distributed)),
+        preferredReturn: fundLedger.roundCents(prefEarned),
+        hurdleBalance: fundLedger.roundCents(balance)
+    };
+}
+
+/**
+ * 🌊 Split cumulative proceeds through the four tiers
+ * Catch-up gives the GP catchUpRate of each dollar until it holds carryRate of all profit
+ */
+function calculateWaterfallTiers({ distributable, contributed, preferredReturn, carryRate, catchUpRate }) {
+    let remaining = Math.max(0, distributable);
+
+    const returnOfCapital = Math.min(remaining, Math.max(0, contributed));
+    remaining -= returnOfCapital;
+
+    const pref = Math.min(remaining, Math.max(0, preferredReturn));
+    remaining -= pref;
+
+    // Tier sized so GP catch-up = carryRate × (pref + tier); no catch-up when it would not outrun the split
+    let catchUpTier = 0;
+    if (catchUpRate > carryRate && pref > 0) {
+        catchUpTier = Math.min(remaining, carryRate * pref / (catchUpRate - carryRate));
+    }
+    const catchUpGP = catchUpTier * catchUpRate;
+    remaining -= catchUpTier;
+
+    const carryGP = remaining * carryRate;
+
+    const gpTotal = fundLedger.roundCents(catchUpGP + carryGP);
+    return {
+        returnOfCapital: fundLedger.roundCents(returnOfCapital),
+        preferredReturn: fundLedger.roundCents(pref),
+        catchUp: { gp: fundLedger.roundCents(catchUpGP), lp: fundLedger.roundCents(catchUpTier - catchUpGP) },
+        carriedInterest: { gp: fundLedger.roundCents(carryGP), lp: fundLedger.roundCents(remaining - carryGP) },
+        gpTotal: gpTotal,
+        lpTotal: fundLedger.roundCents(distributable - gpTotal)
+    };
+}
+
+/**
+ * ⚖️ Split an amount by weights, rounding residual cents onto the largest weight
+ */
+function allocateProRata(amount, weights) {
+    const total = Object.values(weights).reduce((sum, w) => sum + w, 0);
+    if (total <= 0) throw new Error('No LP ownership on record to allocate against');
+
+    const shares = {};
+    let allocated = 0;
+    let largest = null;
+    Object.entries(weights).forEach(([key, weight]) => {
+        shares[key] = fundLedger.roundCents(amount * weight / total);
+        allocated += shares[key];
+        if (largest === null || weight > weights[largest]) largest = key;
+    });
+    shares[largest] = fundLedger.roundCents(shares[largest] + amount - allocated);
+    return shares;
+}
+
+// 💾 WATERFALL HISTORY
+
+function mapAllocationRow(row) {
+    return {
+        lpId: row.lp_id,
+        dealId: row.deal_id,
+        distributionDate: row.distribution_date instanceof Date ? fundLedger.toLedgerDate(row.distribution_date) : row.distribution_date,
+        grossAmount: parseFloat(row.gross_amount) || 0,
+        returnOfCapital: parseFloat(row.return_of_capital) || 0,
+        preferredReturn: parseFloat(row.preferred_return) || 0,
+        catchUp: parseFloat(row.catch_up) || 0,
+        carriedInterest: parseFloat(row.carried_interest) || 0,
+        lpAmount: parseFloat(row.lp_amount) || 0,
+        gpAmount: parseFloat(row.gp_amount) || 0,
+        clawback: parseFloat(row.clawback) || 0
+    };
+}
+
+/**
+ * 📚 Finalized allocations for a fund, optionally up to a date
+ */
+async function getWaterfallAllocations(fundId, asOfDate = null) {
+    const result = await queryWithRetry(`
+        SELECT * FROM distribution_waterfall_allocations
+        WHERE fund_id = $1 AND ($2::date IS NULL OR distribution_date <= $2::date)
+        ORDER BY distribution_date ASC, id ASC
+    `, [fundId, asOfDate ? fundLedger.toLedgerDate(asOfDate) : null], 3, 'WATERFALL_ALLOCATIONS');
+
+    return result.rows.map(mapAllocationRow);
+}
+
+function sumAllocations(allocations) {
+    return allocations.reduce((totals, a) => ({
+        grossAmount: totals.grossAmount + a.grossAmount,
+        lpAmount: totals.lpAmount + a.lpAmount,
+        gpAmount: totals.gpAmount + a.gpAmount
+    }), { grossAmount: 0, lpAmount: 0, gpAmount: 0 });
+}
+
+/**
+ * 💾 Persist a finalized waterfall run and its LP allocations
+ */
+async function saveDistributionWaterfall(waterfall, createdBy = 'system') {
+    await withTransaction(async (client) => {
+        await client.query(`
+            INSERT INTO distribution_waterfalls
+                (waterfall_id, fund_id, distribution_date, mode, deal_id, amount, hurdle_rate, carry_rate, catch_up_rate, result, created_by)
+            VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+        `, [
+            waterfall.waterfallId, waterfall.fundId, waterfall.distributionDate, waterfall.mode, waterfall.dealId,
+            waterfall.amount, waterfall.hurdleRate, waterfall.carryRate, waterfall.catchUpRate,
+            JSON.stringify({ totals: waterfall.totals, clawback: waterfall.clawback }), createdBy
+        ]);
+
+        for (const a of waterfall.allocations) {
+            await client.query(`
+                INSERT INTO distribution_waterfall_allocations
+                    (waterfall_id, fund_id, lp_id, deal_id, distribution_date, gross_amount, return_of_capital,
+                     preferred_return, catch_up, carried_interest, lp_amount, gp_amount, clawback)
+                VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13)
+            `, [
+                waterfall.waterfallId, waterfall.fundId, a.lpId, waterfall.dealId, waterfall.distributionDate,
+                a.grossAmount, a.returnOfCapital, a.preferredReturn, a.catchUp, a.carriedInterest,
+                a.lpAmount, a.gpAmount, a.clawback
+            ]);
+        }
+    }, 'WATERFALL_SAVE');
+
+    console.log(`💾 Distribution waterfall saved: ${waterfall.waterfallId} (${waterfall.fundId}, ${waterfall.mode})`);
+    return { waterfallId: waterfall.waterfallId };
+}
+
+/**
+ * 🔍 Load a finalized waterfall run
+ */
+async function getDistributionWaterfall(waterfallId) {
+    const header = await queryWithRetry(`
+        SELECT * FROM distribution_waterfalls WHERE waterfall_id = $1
+    `, [waterfallId], 3, 'WATERFALL_GET');
+    if (header.rows.length === 0) return null;
+
+    const lines = await queryWithRetry(`
+        SELECT * FROM distribution_waterfall_allocations WHERE waterfall_id = $1 ORDER BY lp_id
+    `, [waterfallId], 3, 'WATERFALL_GET_LINES');
+
+    const row = header.rows[0];
+    return {
+        waterfallId: row.waterfall_id,
+        fundId: row.fund_id,
+        distributionDate: row.distribution_date instanceof Date ? fundLedger.toLedgerDate(row.distribution_date) : row.distribution_date,
+        mode: row.mode,
+        dealId: row.deal_id,
+        amount: parseFloat(row.amount),
+        hurdleRate: parseFloat(row.hurdle_rate),
+        carryRate: parseFloat(row.carry_rate),
+        catchUpRate: parseFloat(row.catch_up_rate),
+        totals: row.result.totals,
+        clawback: row.result.clawback,
+        allocations: lines.rows.map(mapAllocationRow),
+        createdBy: row.created_by,
+        createdAt: row.created_at
+    };
+}
+
+// 🌊 FUND WATERFALL
+
+/**
+ * 🌊 Calculate a distribution through the fund waterfall
+ * distributionData: { amount, distributionDate, mode, dealId, dealCapital, dealFundingDate,
+ *                     carryRate, catchUpRate, performanceData, finalize, createdBy }
+ * Tiers run on cumulative proceeds per LP; this distribution is the difference from
+ * the finalized allocations already on record
+ */
+async function calculateDistributionWaterfall(fundId, distributionData) {
+    const performanceFee = FUND_ACCOUNTING_FRAMEWORK.feeStructure.performance_fee;
+    const amount = fundLedger.roundCents(distributionData.amount);
+    const distributionDate = fundLedger.toLedgerDate(distributionData.distributionDate || new Date());
+    const mode = distributionData.mode || WATERFALL_CONFIG.MODES.EUROPEAN;
+    const carryRate = distributionData.carryRate ?? performanceFee.rate;
+    const catchUpRate = distributionData.catchUpRate ?? performanceFee.catch_up;
+    const hurdle = calculateHurdleRate(distributionData.performanceData || {});
+    const hurdleRate = hurdle.hurdleRate;
+
+    if (!(amount > 0)) throw new Error('Distribution amount must be positive');
+    if (!Object.values(WATERFALL_CONFIG.MODES).includes(mode)) throw new Error(`Unknown waterfall mode: ${mode}`);
+    if (mode === WATERFALL_CONFIG.MODES.AMERICAN &&
+        (!distributionData.dealId || !(distributionData.dealCapital > 0) || !distributionData.dealFundingDate)) {
+        throw new Error('Deal-by-deal waterfall needs dealId, dealCapital and dealFundingDate');
+    }
+
+    const lpIds = await fundLedger.getFundLpIds(fundId);
+    const priorAllocations = await getWaterfallAllocations(fundId, distributionDate);
+
+    // LP capital flows and ownership at the distribution date
+    const lpData = {};
+    for (const lpId of lpIds) {
+        const capitalFlows = await fundLedger.getDatedFlows(fundId, ['3000'], { asOfDate: distributionDate, lpId: lpId });
+        lpData[lpId] = {
+            contributions: capitalFlows.map(f => ({ date: f.date, contribution: f.credit - f.debit })),
+            units: await fundLedger.getUnitsOutstanding(fundId, distributionDate, lpId),
+            prior: priorAllocations.filter(a => a.lpId === lpId)
+        };
+        lpData[lpId].contributed = lpData[lpId].contributions.reduce((sum, f) => sum + f.contribution, 0);
+    }
+
+    // Units drive ownership; contributed capital stands in before units are issued
+    const useUnits = lpIds.some(lpId => lpData[lpId].units > 0);
+    const weights = {};
+    lpIds.forEach(lpId => {
+        weights[lpId] = useUnits ? lpData[lpId].units : Math.max(0, lpData[lpId].contributed);
+    });
+    const grossShares = allocateProRata(amount, weights);
+    const totalWeight = Object.values(weights).reduce((sum, w) => sum + w, 0);
+
+    const allocations = lpIds.map(lpId => {
+        const lp = lpData[lpId];
+        const grossAmount = grossShares[lpId];
+        const priorAll = sumAllocations(lp.prior);
+
+        // Whole-fund entitlement on all proceeds to date - the basis for clawback in either mode
+        const fundPref = calculatePreferredReturn([
+            ...lp.contributions,
+            ...lp.prior.map(a => ({ date: a.distributionDate, distribution: a.lpAmount }))
+        ], distributionDate, hurdleRate);
+        const wholeFund = calculateWaterfallTiers({
+            distributable: priorAll.grossAmount + grossAmount,
+            contributed: lp.contributed,
+            preferredReturn: fundPref.preferredReturn,
+            carryRate, catchUpRate
+        });
+
+        // The tier run this distribution is measured against
+        let tiers = wholeFund;
+        let prior = priorAll;
+        let priorTierAllocations = lp.prior;
+        if (mode === WATERFALL_CONFIG.MODES.AMERICAN) {
+            priorTierAllocations = lp.prior.filter(a => a.dealId === distributionData.dealId);
+            prior = sumAllocations(priorTierAllocations);
+            const dealCapital = distributionData.dealCapital * weights[lpId] / totalWeight;
+            const dealPref = calculatePreferredReturn([
+                { date: distributionData.dealFundingDate, contribution: dealCapital },
+                ...priorTierAllocations.map(a => ({ date: a.distributionDate, distribution: a.lpAmount }))
+            ], distributionDate, hurdleRate);
+            tiers = calculateWaterfallTiers({
+                distributable: prior.grossAmount + grossAmount,
+                contributed: dealCapital,
+                preferredReturn: dealPref.preferredReturn,
+                carryRate, catchUpRate
+            });
+        }
+
+        const priorComponent = field => priorTierAllocations.reduce((sum, a) => sum + a[field], 0);
+        let gpAmount = fundLedger.roundCents(tiers.gpTotal - prior.gpAmount);
+        let clawback = 0;
+
+        // GP already holds more carry than it is now entitled to: LP takes the whole distribution
+        if (gpAmount < 0) {
+            clawback = fundLedger.roundCents(-gpAmount);
+            gpAmount = 0;
+        }
+
+        // Clawback exposure: fund-level carry paid to date over whole-fund entitlement
+        const carryPaid = priorAll.gpAmount + gpAmount;
+        const clawbackExposure = fundLedger.roundCents(Math.max(0, carryPaid - wholeFund.gpTotal));
+
+        return {
+            lpId: lpId,
+            ownershipShare: totalWeight > 0 ? weights[lpId] / totalWeight : 0,
+            grossAmount: grossAmount,
+            returnOfCapital: fundLedger.roundCents(Math.max(0, tiers.returnOfCapital - priorComponent('returnOfCapital'))),
+            preferredReturn: fundLedger.roundCents(Math.max(0, tiers.preferredReturn - priorComponent('preferredReturn'))),
+            catchUp: fundLedger.roundCents(Math.max(0, tiers.catchUp.gp - priorComponent('catchUp'))),
+            carriedInterest: fundLedger.roundCents(Math.max(0, tiers.carriedInterest.gp - priorComponent('carriedInterest'))),
+            lpAmount: fundLedger.roundCents(grossAmount - gpAmount),
+            gpAmount: gpAmount,
+            clawback: Math.max(clawback, clawbackExposure),
+            cumulative: {
+                contributed: fundLedger.roundCents(lp.contributed),
+                grossDistributed: fundLedger.roundCents(priorAll.grossAmount + grossAmount),
+                lpDistributed: fundLedger.roundCents(priorAll.lpAmount + grossAmount - gpAmount),
+                carryPaid: fundLedger.roundCents(carryPaid),
+                carryEntitlement: wholeFund.gpTotal,
+                preferredReturnEarned: fundPref.preferredReturn
+            }
+        };
+    });
+
+    const sum = field => fundLedger.roundCents(allocations.reduce((total, a) => total + a[field], 0));
+    const waterfall = {
+        waterfallId: `WF-${Date.now()}-${Math.random().toString(36).substr(2, 6).toUpperCase()}`,
+        fundId: fundId,
+        distributionDate: distributionDate,
+        mode: mode,
+        dealId: distributionData.dealId || null,
+        amount: amount,
+        hurdleRate: hurdleRate,
+        hurdle: hurdle,
+        carryRate: carryRate,
+        catchUpRate: catchUpRate,
+        allocations: allocations,
+        totals: {
+            grossAmount: sum('grossAmount'),
+            returnOfCapital: sum('returnOfCapital'),
+            preferredReturn: sum('preferredReturn'),
+            catchUp: sum('catchUp'),
+            carriedInterest: sum('carriedInterest'),
+            lpAmount: sum('lpAmount'),
+            gpAmount: sum('gpAmount')
+        },
+        clawback: {
+            exposure: sum('clawback'),
+            carryPaidToDate: fundLedger.roundCents(allocations.reduce((total, a) => total + a.cumulative.carryPaid, 0)),
+            carryEntitlement: fundLedger.roundCents(allocations.reduce((total, a) => total + a.cumulative.carryEntitlement, 0))
+        },
+        finalized: false
+    };
+
+    if (distributionData.finalize) {
+        await saveDistributionWaterfall(waterfall, distributionData.createdBy);
+        waterfall.finalized = true;
+    }
+
+    return waterfall;
+}
+
+// 📊 EXPORT FUNCTIONS
+module.exports = {
+    // Waterfall engine
+    calculateDistributionWaterfall,
+    calculateWaterfallTiers,
+    calculatePreferredReturn,
+    allocateProRata,
+
+    // Waterfall history
+    saveDistributionWaterfall,
+    getDistributionWaterfall,
+    getWaterfallAllocations,
+
+    // Configuration
+    WATERFALL_CONFIG
+};
+
+console.log('🌊 Distribution Waterfall Engine Loaded');
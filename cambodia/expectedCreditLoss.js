@@ -0,0 +1,730 @@
+// cambodia/expectedCreditLoss.js - Expected Credit Loss Engine for Cambodia Lending Fund
+// IFRS 9 staging (CECL lifetime option), macro-scenario weighting and the loan loss allowance roll-forward
+
+const { queryWithRetry, withTransaction, getDealsDB } = require('../utils/database');
+const { detectEconomicRegime } = require('../utils/liveData');
+const fundLedger = require('./fundLedger');
+const { generateLoanSchedule } = require('./loanSchedule');
+const { calculateProbabilityOfDefault, calculateLossGivenDefault } = require('./riskManagement');
+
+// 📋 ECL CONFIGURATION
+const ECL_CONFIG = {
+    METHODOLOGIES: {
+        IFRS9: 'IFRS9',   // 12-month ECL in Stage 1, lifetime in Stages 2 and 3
+        CECL: 'CECL'      // Lifetime ECL for every loan; stages kept for reporting
+    },
+    DEFAULT_METHODOLOGY: 'IFRS9',
+
+    STAGES: {
+        1: { name: 'Stage 1', description: 'Performing - 12-month ECL' },
+        2: { name: 'Stage 2', description: 'Significant increase in credit risk - lifetime ECL' },
+        3: { name: 'Stage 3', description: 'Credit-impaired - lifetime ECL' }
+    },
+
+    // Rebuttable presumptions: days past due at which each stage starts
+    STAGE_DPD: {
+        STAGE_2: 30,
+        STAGE_3: 90
+    },
+
+    // Significant increase in credit risk against the PD at origination
+    SICR: {
+        PD_MULTIPLE: 2.0,           // Current annual PD at least double the origination PD
+        PD_ABSOLUTE_INCREASE: 0.05  // ...and at least 5 percentage points higher
+    },
+
+    STAGE_3_STATUSES: ['Default', 'Workout'],
+    PROVISIONED_STATUSES: ['Funded', 'Performing', 'Past Due', 'Default', 'Workout', 'Written Off'],
+    WRITTEN_OFF_STATUS: 'Written Off',
+
+    // Scenario stress applied to the base PD and LGD
+    SCENARIO_MULTIPLIERS: {
+        upside: { pd: 0.75, lgd: 0.90 },
+        base: { pd: 1.00, lgd: 1.00 },
+        downside: { pd: 1.75, lgd: 1.20 }
+    },
+
+    // Scenario weights by liveData.detectEconomicRegime regime
+    REGIME_WEIGHTS: {
+        GROWTH_RISING_INFLATION_FALLING: { upside: 0.30, base: 0.55, downside: 0.15 },
+        GROWTH_INFLATION_RISING: { upside: 0.20, base: 0.55, downside: 0.25 },
+        GROWTH_FALLING_INFLATION_FALLING: { upside: 0.10, base: 0.50, downside: 0.40 },
+        GROWTH_FALLING_INFLATION_RISING: { upside: 0.05, base: 0.45, downside: 0.50 },
+        TRANSITIONAL: { upside: 0.20, base: 0.50, downside: 0.30 }
+    },
+    DEFAULT_REGIME: 'TRANSITIONAL',
+
+    PD_CAP: 0.99,
+    LGD_CAP: 0.95,
+    DEFAULT_TERM_YEARS: 1 // Used when a loan has neither a maturity date nor a term
+};
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+// 🧮 PURE CALCULATIONS
+
+/**
+ * 📈 Cumulative PD over a horizon from an annual PD
+ */
+function calculateLifetimePD(annualPd, years) {
+    return 1 - Math.pow(1 - Math.min(ECL_CONFIG.PD_CAP, Math.max(0, annualPd)), Math.max(0, years));
+}
+
+/**
+ * 🌍 Scenario weights and stresses for a regime
+ */
+function getMacroScenarios(regimeName = ECL_CONFIG.DEFAULT_REGIME) {
+    const regime = ECL_CONFIG.REGIME_WEIGHTS[regimeName] ? regimeName : ECL_CONFIG.DEFAULT_REGIME;
+    const weights = ECL_CONFIG.REGIME_WEIGHTS[regime];
+
+    return {
+        regime: regime,
+        scenarios: Object.keys(weights).map(name => ({
+            name: name,
+            weight: weights[name],
+            pdMultiplier: ECL_CONFIG.SCENARIO_MULTIPLIERS[name].pd,
+            lgdMultiplier: ECL_CONFIG.SCENARIO_MULTIPLIERS[name].lgd
+        }))
+    };
+}
+
+/**
+ * 🚦 Stage a loan on days past due, impairment status and significant increase in credit risk
+ */
+function determineECLStage(loan, currentPd, originationPd = null) {
+    const daysPastDue = parseInt(loan.daysPastDue || 0);
+    const reasons = [];
+
+    if (daysPastDue >= ECL_CONFIG.STAGE_DPD.STAGE_3) reasons.push(`${daysPastDue} days past due`);
+    if (ECL_CONFIG.STAGE_3_STATUSES.includes(loan.status)) reasons.push(`Status ${loan.status}`);
+    if (loan.creditImpaired) reasons.push('Flagged credit-impaired');
+    if (reasons.length > 0) {
+        return { stage: 3, sicr: true, reasons: reasons };
+    }
+
+    if (daysPastDue >= ECL_CONFIG.STAGE_DPD.STAGE_2) reasons.push(`${daysPastDue} days past due`);
+    if (originationPd !== null && originationPd > 0 &&
+        currentPd >= originationPd * ECL_CONFIG.SICR.PD_MULTIPLE &&
+        currentPd - originationPd >= ECL_CONFIG.SICR.PD_ABSOLUTE_INCREASE) {
+        reasons.push(`PD ${(currentPd * 100).toFixed(1)}% vs ${(originationPd * 100).toFixed(1)}% at origination`);
+    }
+    if (loan.watchlist) reasons.push('On watchlist');
+    if (loan.restructured) reasons.push('Forborne or restructured');
+
+    return reasons.length > 0
+        ? { stage: 2, sicr: true, reasons: reasons }
+        : { stage: 1, sicr: false, reasons: [] };
+}
+
+/**
+ * 📉 Exposure at the start of each remaining year
+ * Follows the repayment schedule when the loan has one, else holds the balance to maturity
+ */
+function buildExposureProfile(loan, asOfDate) {
+    const valuationDate = new Date(fundLedger.toLedgerDate(asOfDate));
+    const outstanding = (parseFloat(loan.outstandingBalance) || 0) + (parseFloat(loan.accruedInterest) || 0);
+
+    let maturity = loan.maturityDate ? new Date(loan.maturityDate) : null;
+    if (!maturity && loan.fundingDate && loan.termMonths) {
+        maturity = new Date(loan.fundingDate);
+        maturity.setUTCMonth(maturity.getUTCMonth() + parseInt(loan.termMonths));
+    }
+    const remainingYears = maturity
+        ? Math.max(0, (maturity - valuationDate) / (365 * MS_PER_DAY))
+        : ECL_CONFIG.DEFAULT_TERM_YEARS;
+
+    // Scheduled balance on a date as a share of the balance today
+    const installments = loan.schedule?.installments || [];
+    const scheduledBalance = (date) => {
+        let balance = installments.length > 0 ? installments[0].openingBalance : null;
+        installments.forEach(inst => {
+            if (new Date(inst.dueDate) <= date) balance = inst.closingBalance;
+        });
+        return balance;
+    };
+    const balanceToday = installments.length > 0 ? scheduledBalance(valuationDate) : null;
+
+    const periods = [];
+    // Overdue loans past maturity still carry one period of exposure
+    const horizon = Math.max(remainingYears, 1 / 365);
+    for (let start = 0; start < horizon; start += 1) {
+        const fraction = Math.min(1, horizon - start);
+        let ead = outstanding;
+        if (balanceToday > 0) {
+            const periodStart = new Date(valuationDate.getTime() + start * 365 * MS_PER_DAY);
+            ead = outstanding * scheduledBalance(periodStart) / balanceToday;
+        }
+        periods.push({ yearStart: start, fraction: fraction, ead: fundLedger.roundCents(ead) });
+    }
+
+    return {
+        exposureAtDefault: fundLedger.roundCents(outstanding),
+        remainingYears: remainingYears,
+        horizonYears: horizon,
+        periods: periods
+    };
+}
+
+/**
+ * 💰 Probability-weighted ECL for one loan
+ * options: { asOfDate, methodology, scenarios, originationPd }
+ */
+function calculateLoanECL(loan, options = {}) {
+    const methodology = options.methodology || ECL_CONFIG.DEFAULT_METHODOLOGY;
+    const scenarios = options.scenarios || getMacroScenarios().scenarios;
+    const annualPd = calculateProbabilityOfDefault(loan).numeric;
+    const lgd = calculateLossGivenDefault(loan).numeric;
+    const originationPd = options.originationPd ?? loan.originationPd ?? null;
+    const staging = determineECLStage(loan, annualPd, originationPd);
+    const exposure = buildExposureProfile(loan, options.asOfDate);
+    const effectiveRate = (parseFloat(loan.interestRate) || 0) / 100;
+
+    const lifetime = methodology === ECL_CONFIG.METHODOLOGIES.CECL || staging.stage > 1;
+    // Same floor as the exposure profile so matured loans still carrying a balance are provisioned
+    const horizonYears = lifetime ? exposure.horizonYears : Math.min(1, exposure.horizonYears);
+
+    const scenarioResults = scenarios.map(scenario => {
+        const pd = Math.min(ECL_CONFIG.PD_CAP, annualPd * scenario.pdMultiplier);
+        const scenarioLgd = Math.min(ECL_CONFIG.LGD_CAP, lgd * scenario.lgdMultiplier);
+
+        // Credit-impaired loans have defaulted: loss is the LGD on today's exposure
+        if (staging.stage === 3) {
+            return { name: scenario.name, weight: scenario.weight, pd: 1, lgd: scenarioLgd, ecl: exposure.exposureAtDefault * scenarioLgd };
+        }
+
+        let survival = 1;
+        let ecl = 0;
+        exposure.periods.forEach(period => {
+            const fraction = Math.min(period.fraction, Math.max(0, horizonYears - period.yearStart));
+            if (fraction <= 0) return;
+            const marginalPd = survival * (1 - Math.pow(1 - pd, fraction));
+            const discount = Math.pow(1 + effectiveRate, period.yearStart + fraction);
+            ecl += marginalPd * scenarioLgd * period.ead / discount;
+            survival *= Math.pow(1 - pd, fraction);
+        });
+
+        return { name: scenario.name, weight: scenario.weight, pd: pd, lgd: scenarioLgd, ecl: ecl };
+    });
+
+    const ecl = fundLedger.roundCents(scenarioResults.reduce((sum, s) => sum + s.weight * s.ecl, 0));
+
+    return {
+        loanId: loan.loanId,
+        borrowerName: loan.borrowerName || null,
+        stage: staging.stage,
+        sicr: staging.sicr,
+        stageReasons: staging.reasons,
+        measurement: lifetime ? 'lifetime' : '12_month',
+        exposureAtDefault: exposure.exposureAtDefault,
+        remainingYears: Math.round(exposure.remainingYears * 100) / 100,
+        annualPd: annualPd,
+        originationPd: originationPd,
+        pd12Month: Math.round(calculateLifetimePD(annualPd, Math.min(1, exposure.horizonYears)) * 1e6) / 1e6,
+        pdLifetime: Math.round(calculateLifetimePD(annualPd, exposure.horizonYears) * 1e6) / 1e6,
+        lgd: lgd,
+        ecl: ecl,
+        coverageRatio: exposure.exposureAtDefault > 0 ? Math.round(ecl / exposure.exposureAtDefault * 10000) / 100 : 0,
+        scenarios: scenarioResults.map(s => ({ ...s, ecl: fundLedger.roundCents(s.ecl) }))
+    };
+}
+
+/**
+ * 📊 ECL for a set of loans with totals by stage
+ * options.originationPds: { loanId: pd } used when a loan does not carry originationPd
+ */
+function calculatePortfolioECL(loans, options = {}) {
+    const originationPds = options.originationPds || {};
+    const results = loans.map(loan => calculateLoanECL(loan, {
+        ...options,
+        originationPd: loan.originationPd ?? originationPds[loan.loanId] ?? null
+    }));
+
+    const byStage = {};
+    [1, 2, 3].forEach(stage => {
+        const stageLoans = results.filter(r => r.stage === stage);
+        const ead = fundLedger.roundCents(stageLoans.reduce((sum, r) => sum + r.exposureAtDefault, 0));
+        const ecl = fundLedger.roundCents(stageLoans.reduce((sum, r) => sum + r.ecl, 0));
+        byStage[stage] = {
+            ...ECL_CONFIG.STAGES[stage],
+            loanCount: stageLoans.length,
+            exposureAtDefault: ead,
+            ecl: ecl,
+            coverageRatio: ead > 0 ? Math.round(ecl / ead * 10000) / 100 : 0
+        };
+    });
+
+    const totalEad = fundLedger.roundCents(results.reduce((sum, r) => sum + r.exposureAtDefault, 0));
+    const totalEcl = fundLedger.roundCents(results.reduce((sum, r) => sum + r.ecl, 0));
+
+    return {
+        methodology: options.methodology || ECL_CONFIG.DEFAULT_METHODOLOGY,
+        loans: results,
+        byStage: byStage,
+        totalExposure: totalEad,
+        totalEcl: totalEcl,
+        coverageRatio: totalEad > 0 ? Math.round(totalEcl / totalEad * 10000) / 100 : 0
+    };
+}
+
+/**
+ * 🔄 Explain the change in allowance between two runs, loan by loan
+ * previous: [{ loanId, stage, ecl }]; writeOffs: { loanId: amount written off }
+ */
+function buildProvisionRollForward(previous, current, writeOffs = {}) {
+    const previousById = {};
+    previous.forEach(p => { previousById[p.loanId] = p; });
+    const currentIds = new Set(current.map(c => c.loanId));
+
+    const rollForward = {
+        opening: fundLedger.roundCents(previous.reduce((sum, p) => sum + p.ecl, 0)),
+        newOriginations: 0,
+        transfersToStage1: 0,
+        transfersToStage2: 0,
+        transfersToStage3: 0,
+        remeasurement: 0,
+        derecognitions: 0,
+        writeOffs: 0,
+        closing: fundLedger.roundCents(current.reduce((sum, c) => sum + c.ecl, 0))
+    };
+
+    current.forEach(c => {
+        const prior = previousById[c.loanId];
+        if (!prior) {
+            rollForward.newOriginations += c.ecl;
+        } else if (prior.stage !== c.stage) {
+            rollForward[`transfersToStage${c.stage}`] += c.ecl - prior.ecl;
+        } else {
+            rollForward.remeasurement += c.ecl - prior.ecl;
+        }
+    });
+
+    previous.forEach(p => {
+        if (currentIds.has(p.loanId)) return;
+        if (writeOffs[p.loanId] !== undefined) {
+            rollForward.writeOffs -= p.ecl;
+        } else {
+            rollForward.derecognitions -= p.ecl;
+        }
+    });
+
+    Object.keys(rollForward).forEach(key => { rollForward[key] = fundLedger.roundCents(rollForward[key]); });
+    return rollForward;
+}
+
+// 🏦 LOAN BOOK
+
+/**
+ * 🔁 Portfolio deal → ECL loan record
+ * Balances are converted to USD, the ledger currency, at fxRates (units per USD); the schedule stays in
+ * the deal currency since only its shape is used
+ */
+function mapDealToExposure(deal, fxRates = null) {
+    const info = deal.dealInfo || {};
+    const timeline = deal.timeline || {};
+    const currency = (info.currency || fundLedger.LEDGER_CONFIG.BASE_CURRENCY).toUpperCase();
+    const fxRate = fundLedger.fxRateFor(currency, fxRates);
+    const toUsd = (amount) => amount === undefined || amount === null ? amount : fundLedger.toBaseAmount(amount, currency, fxRate);
+    let schedule = null;
+    if (timeline.fundingDate && info.loanAmount && info.loanTerm && info.interestRate !== undefined) {
+        schedule = generateLoanSchedule({
+            principal: info.loanAmount,
+            annualRate: info.interestRate,
+            termMonths: info.loanTerm,
+            structure: info.structure,
+            dayCount: info.dayCount,
+            currency: info.currency,
+            startDate: timeline.fundingDate
+        });
+    }
+
+    return {
+        loanId: deal.dealId,
+        borrowerName: info.borrowerName,
+        status: deal.status,
+        currency: currency,
+        fxRate: fxRate,
+        outstandingBalance: toUsd(deal.financial?.principalOutstanding ?? info.loanAmount),
+        accruedInterest: toUsd(deal.financial?.interestAccrued || 0),
+        loanAmount: toUsd(info.loanAmount),
+        interestRate: info.interestRate,
+        termMonths: info.loanTerm,
+        fundingDate: timeline.fundingDate,
+        maturityDate: timeline.maturityDate || schedule?.summary.maturityDate || null,
+        ltv: info.ltv,
+        dscr: info.dscr,
+        collateralType: info.collateralType || 'Real Estate',
+        borrowerType: info.borrowerType,
+        industry: info.industry || info.propertyType || '',
+        daysPastDue: deal.performance?.daysOverdue || 0,
+        latePaymentsYTD: deal.performance?.latePaymentsYTD || 0,
+        watchlist: Boolean(deal.risk?.watchlist),
+        restructured: Boolean(deal.servicing?.restructured),
+        originationPd: deal.risk?.originationPd ?? null,
+        schedule: schedule
+    };
+}
+
+/**
+ * 📋 Loans in the provisioning scope from the deal book, in USD
+ * Pass fxRates to convert at those rates instead of the live feed
+ */
+async function getProvisionableLoans(fxRates = null) {
+    const deals = (await getDealsDB()).filter(deal => ECL_CONFIG.PROVISIONED_STATUSES.includes(deal.status));
+    const base = fundLedger.LEDGER_CONFIG.BASE_CURRENCY;
+    const needsFx = deals.some(deal => (deal.dealInfo?.currency || base).toUpperCase() !== base);
+    const rates = needsFx ? await fundLedger.loadFxRates(fxRates) : null;
+    return deals.map(deal => mapDealToExposure(deal, rates));
+}
+
+/**
+ * 🌍 Scenario weights for the current economic regime
+ * A regime passed in options skips the live lookup
+ */
+async function resolveMacroScenarios(options = {}) {
+    if (options.regime) {
+        return { ...getMacroScenarios(options.regime), confidence: null, source: 'override' };
+    }
+
+    try {
+        const regimeData = await detectEconomicRegime();
+        const regimeName = regimeData.currentRegime?.name || ECL_CONFIG.DEFAULT_REGIME;
+        return {
+            ...getMacroScenarios(regimeName),
+            confidence: regimeData.currentRegime?.confidence ?? null,
+            source: regimeData.error ? 'fallback' : 'live'
+        };
+    } catch (error) {
+        console.error('❌ ECL regime lookup failed:', error.message);
+        return { ...getMacroScenarios(ECL_CONFIG.DEFAULT_REGIME), confidence: null, source: 'fallback' };
+    }
+}
+
+// 💾 PROVISION RUNS
+
+// Reads and writes inside the caller's transaction when it passes a client
+function runQuery(client, sql, params, context) {
+    return client ? client.query(sql, params) : queryWithRetry(sql, params, 3, context);
+}
+
+function generateECLRunId() {
+    return `ECL-${Date.now()}-${Math.random().toString(36).substr(2, 6).toUpperCase()}`;
+}
+
+function mapRunRow(row) {
+    return {
+        runId: row.run_id,
+        fundId: row.fund_id,
+        asOfDate: fundLedger.toLedgerDate(row.as_of_date),
+        methodology: row.methodology,
+        regime: row.regime,
+        regimeConfidence: row.regime_confidence !== null ? parseFloat(row.regime_confidence) : null,
+        scenarioWeights: row.scenario_weights,
+        totalExposure: parseFloat(row.total_exposure),
+        totalEcl: parseFloat(row.total_ecl),
+        stageEcl: {
+            1: parseFloat(row.stage1_ecl),
+            2: parseFloat(row.stage2_ecl),
+            3: parseFloat(row.stage3_ecl)
+        },
+        ledgerOpening: parseFloat(row.ledger_opening),
+        writeOffs: parseFloat(row.write_offs),
+        provisionCharge: parseFloat(row.provision_charge),
+        ledgerClosing: parseFloat(row.ledger_closing),
+        rollForward: row.roll_forward,
+        entryId: row.entry_id,
+        createdBy: row.created_by,
+        createdAt: row.created_at
+    };
+}
+
+function mapLoanProvisionRow(row) {
+    return {
+        loanId: row.loan_id,
+        stage: parseInt(row.stage),
+        previousStage: row.previous_stage !== null ? parseInt(row.previous_stage) : null,
+        exposureAtDefault: parseFloat(row.exposure_at_default),
+        pd12Month: parseFloat(row.pd_12m),
+        pdLifetime: parseFloat(row.pd_lifetime),
+        lgd: parseFloat(row.lgd),
+        ecl: parseFloat(row.ecl),
+        originationPd: row.origination_pd !== null ? parseFloat(row.origination_pd) : null,
+        stageReasons: row.stage_reasons || [],
+        scenarios: row.scenario_ecl || []
+    };
+}
+
+/**
+ * 📄 A provision run with its loan-level provisions
+ */
+async function getECLRun(runId, client = null) {
+    const result = await runQuery(client, 'SELECT * FROM ecl_provision_runs WHERE run_id = $1', [runId], 'ECL_RUN_GET');
+    if (result.rows.length === 0) return null;
+
+    const loans = await runQuery(client, `
+        SELECT * FROM ecl_loan_provisions WHERE run_id = $1 ORDER BY stage DESC, ecl DESC
+    `, [runId], 'ECL_RUN_LOANS');
+
+    return { ...mapRunRow(result.rows[0]), loans: loans.rows.map(mapLoanProvisionRow) };
+}
+
+/**
+ * 🕐 Latest provision run on or before a date
+ */
+async function getLatestECLRun(fundId, asOfDate = new Date(), client = null) {
+    const result = await runQuery(client, `
+        SELECT run_id FROM ecl_provision_runs
+        WHERE fund_id = $1 AND as_of_date <= $2::date
+        ORDER BY as_of_date DESC, id DESC
+        LIMIT 1
+    `, [fundId, fundLedger.toLedgerDate(asOfDate)], 'ECL_RUN_LATEST');
+
+    return result.rows.length > 0 ? await getECLRun(result.rows[0].run_id, client) : null;
+}
+
+/**
+ * 🎯 PD at origination per loan - the first PD the engine recorded for it
+ */
+async function getOriginationPds(fundId) {
+    const result = await queryWithRetry(`
+        SELECT DISTINCT ON (loan_id) loan_id, origination_pd
+        FROM ecl_loan_provisions
+        WHERE fund_id = $1 AND origination_pd IS NOT NULL
+        ORDER BY loan_id, id ASC
+    `, [fundId], 3, 'ECL_ORIGINATION_PDS');
+
+    const pds = {};
+    result.rows.forEach(row => { pds[row.loan_id] = parseFloat(row.origination_pd); });
+    return pds;
+}
+
+/**
+ * 🧾 Run ECL provisioning for a fund and true up the allowance (account 1190)
+ * options: { asOfDate, loans, fxRates, methodology, regime, post, createdBy }
+ * Write-offs of previously provisioned loans use the allowance first; the rest of the
+ * movement is charged or released through the provision for credit losses (5300).
+ * A posting run reads the previous run, posts and saves in one transaction under a per-fund lock
+ */
+async function runECLProvisioning(fundId, options = {}) {
+    try {
+        const asOfDate = fundLedger.toLedgerDate(options.asOfDate || new Date());
+        const methodology = options.methodology || ECL_CONFIG.DEFAULT_METHODOLOGY;
+        const post = options.post !== false;
+        const createdBy = options.createdBy || 'system';
+
+        if (!ECL_CONFIG.METHODOLOGIES[methodology]) {
+            throw new Error(`Unknown ECL methodology: ${methodology}`);
+        }
+
+        const allLoans = options.loans || await getProvisionableLoans(options.fxRates);
+        const writtenOff = allLoans.filter(loan => loan.status === ECL_CONFIG.WRITTEN_OFF_STATUS);
+        const loans = allLoans.filter(loan => loan.status !== ECL_CONFIG.WRITTEN_OFF_STATUS);
+
+        const macro = await resolveMacroScenarios(options);
+        const originationPds = await getOriginationPds(fundId);
+        const portfolio = calculatePortfolioECL(loans, {
+            asOfDate: asOfDate,
+            methodology: methodology,
+            scenarios: macro.scenarios,
+            originationPds: originationPds
+        });
+
+        // First sighting fixes the origination PD used for SICR from then on
+        portfolio.loans.forEach(result => {
+            if (result.originationPd === null) result.originationPd = result.annualPd;
+        });
+
+        const provision = async (client) => {
+            if (client) {
+                // A second run for the fund waits here and then sees this run as the previous one
+                await client.query('SELECT pg_advisory_xact_lock(hashtext($1))', [`ecl_provisioning:${fundId}`]);
+            }
+
+            const previousRun = await getLatestECLRun(fundId, asOfDate, client);
+            const previousLoans = previousRun ? previousRun.loans : [];
+            const previousById = {};
+            previousLoans.forEach(p => { previousById[p.loanId] = p; });
+
+            const writeOffs = {};
+            writtenOff.forEach(loan => {
+                if (previousById[loan.loanId]) writeOffs[loan.loanId] = fundLedger.roundCents(loan.outstandingBalance);
+            });
+            const totalWriteOffs = fundLedger.roundCents(Object.values(writeOffs).reduce((sum, v) => sum + v, 0));
+            const rollForward = buildProvisionRollForward(previousLoans, portfolio.loans, writeOffs);
+
+            // Ledger true-up: closing allowance = ECL
+            const ledgerOpening = await fundLedger.getAccountBalance(fundId, '1190', { asOfDate: asOfDate, client: client });
+            const provisionCharge = fundLedger.roundCents(portfolio.totalEcl - (ledgerOpening - totalWriteOffs));
+            let entryId = null;
+
+            if (post && (totalWriteOffs > 0 || Math.abs(provisionCharge) >= 0.01)) {
+                const lines = [];
+                Object.entries(writeOffs).forEach(([loanId, amount]) => {
+                    if (amount <= 0) return;
+                    lines.push({ accountCode: '1190', debit: amount, memo: `Write-off ${loanId}` });
+                    lines.push({ accountCode: '1100', credit: amount, memo: `Write-off ${loanId}` });
+                });
+                if (provisionCharge >= 0.01) {
+                    lines.push({ accountCode: '5300', debit: provisionCharge });
+                    lines.push({ accountCode: '1190', credit: provisionCharge });
+                } else if (provisionCharge <= -0.01) {
+                    lines.push({ accountCode: '1190', debit: -provisionCharge });
+                    lines.push({ accountCode: '5300', credit: -provisionCharge });
+                }
+
+                const entry = await fundLedger.postJournalEntry(fundId, {
+                    entryDate: asOfDate,
+                    entryType: fundLedger.LEDGER_CONFIG.ENTRY_TYPES.PROVISION,
+                    description: `${methodology} expected credit loss provision ${asOfDate}`,
+                    postedBy: createdBy,
+                    lines: lines
+                }, client);
+                entryId = entry.entryId;
+            }
+
+            const run = {
+                runId: generateECLRunId(),
+                fundId: fundId,
+                asOfDate: asOfDate,
+                methodology: methodology,
+                regime: macro.regime,
+                regimeConfidence: macro.confidence,
+                regimeSource: macro.source,
+                scenarioWeights: macro.scenarios,
+                totalExposure: portfolio.totalExposure,
+                totalEcl: portfolio.totalEcl,
+                coverageRatio: portfolio.coverageRatio,
+                byStage: portfolio.byStage,
+                ledgerOpening: ledgerOpening,
+                writeOffs: totalWriteOffs,
+                provisionCharge: provisionCharge,
+                ledgerClosing: post ? portfolio.totalEcl : ledgerOpening,
+                rollForward: rollForward,
+                entryId: entryId,
+                posted: post,
+                loans: portfolio.loans.map(result => ({
+                    ...result,
+                    previousStage: previousById[result.loanId]?.stage ?? null
+                }))
+            };
+
+            if (post) {
+                await saveECLRun(run, createdBy, client);
+                console.log(`🧾 ECL provision run ${run.runId}: ${fundId} @ ${asOfDate} allowance ${run.totalEcl.toLocaleString()} USD (charge ${provisionCharge.toLocaleString()})`);
+            }
+
+            return run;
+        };
+
+        return post
+            ? await withTransaction(provision, 'ECL_PROVISIONING')
+            : await provision(null);
+
+    } catch (error) {
+        console.error('❌ ECL provisioning error:', error.message);
+        throw new Error(`Failed to run ECL provisioning: ${error.message}`);
+    }
+}
+
+async function saveECLRun(run, createdBy, client = null) {
+    await runQuery(client, `
+        INSERT INTO ecl_provision_runs
+            (run_id, fund_id, as_of_date, methodology, regime, regime_confidence, scenario_weights,
+             total_exposure, total_ecl, stage1_ecl, stage2_ecl, stage3_ecl,
+             ledger_opening, write_offs, provision_charge, ledger_closing, roll_forward, entry_id, created_by)
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19)
+    `, [
+        run.runId, run.fundId, run.asOfDate, run.methodology, run.regime, run.regimeConfidence,
+        JSON.stringify(run.scenarioWeights), run.totalExposure, run.totalEcl,
+        run.byStage[1].ecl, run.byStage[2].ecl, run.byStage[3].ecl,
+        run.ledgerOpening, run.writeOffs, run.provisionCharge, run.ledgerClosing,
+        JSON.stringify(run.rollForward), run.entryId, createdBy
+    ], 'ECL_RUN_SAVE');
+
+    for (const loan of run.loans) {
+        await runQuery(client, `
+            INSERT INTO ecl_loan_provisions
+                (run_id, fund_id, loan_id, stage, previous_stage, exposure_at_default, pd_12m, pd_lifetime,
+                 lgd, ecl, origination_pd, stage_reasons, scenario_ecl)
+            VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13)
+        `, [
+            run.runId, run.fundId, loan.loanId, loan.stage, loan.previousStage, loan.exposureAtDefault,
+            loan.pd12Month, loan.pdLifetime, loan.lgd, loan.ecl, loan.originationPd,
+            JSON.stringify(loan.stageReasons), JSON.stringify(loan.scenarios)
+        ], 'ECL_LOAN_SAVE');
+    }
+}
+
+/**
+ * 📑 Allowance roll-forward over a period from the provision runs
+ */
+async function generateProvisionRollForward(fundId, options = {}) {
+    const toDate = fundLedger.toLedgerDate(options.toDate || new Date());
+    const fromDate = options.fromDate
+        ? fundLedger.toLedgerDate(options.fromDate)
+        : `${toDate.slice(0, 4)}-01-01`;
+
+    const runs = await queryWithRetry(`
+        SELECT * FROM ecl_provision_runs
+        WHERE fund_id = $1 AND as_of_date BETWEEN $2::date AND $3::date
+        ORDER BY as_of_date ASC, id ASC
+    `, [fundId, fromDate, toDate], 3, 'ECL_ROLLFORWARD_RUNS');
+    const periodRuns = runs.rows.map(mapRunRow);
+
+    const openingRun = await getLatestECLRun(fundId, new Date(new Date(fromDate).getTime() - MS_PER_DAY));
+    const closingRun = periodRuns.length > 0 ? await getECLRun(periodRuns[periodRuns.length - 1].runId) : openingRun;
+
+    const movements = ['newOriginations', 'transfersToStage1', 'transfersToStage2', 'transfersToStage3',
+        'remeasurement', 'derecognitions', 'writeOffs'];
+    const rollForward = { opening: openingRun ? openingRun.totalEcl : 0 };
+    movements.forEach(key => {
+        rollForward[key] = fundLedger.roundCents(periodRuns.reduce((sum, run) => sum + (run.rollForward[key] || 0), 0));
+    });
+    rollForward.closing = closingRun ? closingRun.totalEcl : 0;
+
+    const ledgerBalance = await fundLedger.getAccountBalance(fundId, '1190', { asOfDate: toDate });
+
+    return {
+        fundId: fundId,
+        periodStartDate: fromDate,
+        periodEndDate: toDate,
+        runCount: periodRuns.length,
+        rollForward: rollForward,
+        ledger: {
+            provisionCharged: fundLedger.roundCents(periodRuns.reduce((sum, run) => sum + run.provisionCharge, 0)),
+            writeOffsUtilised: fundLedger.roundCents(periodRuns.reduce((sum, run) => sum + run.writeOffs, 0)),
+            allowanceBalance: ledgerBalance,
+            difference: fundLedger.roundCents(ledgerBalance - rollForward.closing)
+        },
+        closingByStage: closingRun ? closingRun.stageEcl : { 1: 0, 2: 0, 3: 0 },
+        methodology: closingRun ? closingRun.methodology : null,
+        regime: closingRun ? closingRun.regime : null,
+        loans: closingRun ? closingRun.loans : [],
+        generatedDate: new Date().toISOString()
+    };
+}
+
+// 📊 EXPORT FUNCTIONS
+module.exports = {
+    // Provisioning runs
+    runECLProvisioning,
+    generateProvisionRollForward,
+    getECLRun,
+    getLatestECLRun,
+    getProvisionableLoans,
+    resolveMacroScenarios,
+
+    // Calculations
+    calculateLoanECL,
+    calculatePortfolioECL,
+    determineECLStage,
+    buildExposureProfile,
+    buildProvisionRollForward,
+    calculateLifetimePD,
+    getMacroScenarios,
+    mapDealToExposure,
+
+    // Configuration
+    ECL_CONFIG
+};
+
+console.log('🧾 Expected Credit Loss Engine Loaded');
@@ -1,6 +1,9 @@
 // cambodia/fundAccounting.js - COMPLETE: Cambodia Fund Accounting & NAV System
 // Enterprise-grade fund accounting with GPT-5 intelligence for private lending fund
 
+const fundLedger = require('./fundLedger');
+const { queryWithRetry, withTransaction } = require('../utils/database');
+
 // 🧮 CAMBODIA FUND ACCOUNTING FRAMEWORK
 const FUND_ACCOUNTING_FRAMEWORK = {
     // Accounting standards and methods
@@ -82,14 +85,19 @@ const FUND_ACCOUNTING_FRAMEWORK = {
         management_fee: {
             rate: 0.02, // 2% annually
             calculation_basis: "committed_capital",
+            post_investment_period_basis: "invested_capital",
+            investment_period_months: 36, // From first close when no schedule sets an end date
             payment_frequency: "quarterly",
-            accrual_method: "daily"
+            accrual_method: "daily",
+            offset_percent: 1.0 // 100% of transaction fees offset against the management fee
         },
         performance_fee: {
             rate: 0.20, // 20% of profits
             hurdle_rate: 0.08, // 8% preferred return
             catch_up: 1.0, // 100% catch-up
-            high_water_mark: true
+            high_water_mark: true,
+            initial_nav_per_unit: 1.0, // High-water mark before the first crystallization
+            crystallization_frequency: "annual"
         },
         other_fees: {
             origination_fee: 0.015, // 1.5% of loan amount
@@ -103,107 +111,36 @@ const FUND_ACCOUNTING_FRAMEWORK = {
 
 /**
  * 📊 Calculate Net Asset Value (NAV)
+ * Numbers come from the ledger; GPT only narrates the finished strike
  */
-async function calculateNAV(fundId, valuationDate = new Date(), chatId = null, bot = null) {
-    const prompt = `
-CAMBODIA LENDING FUND - NET ASSET VALUE CALCULATION
-
-FUND IDENTIFICATION:
-• Fund ID: ${fundId}
-• Valuation Date: ${valuationDate.toISOString().split('T')[0]}
-• NAV Calculation Method: Fair Value Accounting
-• Accounting Standards: US GAAP with Cambodia Compliance
-
-ASSET VALUATION:
-• Cash and Cash Equivalents: $${await getCashAndEquivalents(fundId) || 'Not available'} USD
-• Loans Outstanding (Principal): $${await getLoansOutstanding(fundId) || 'Not available'} USD
-• Accrued Interest Receivable: $${await getAccruedInterest(fundId) || 'Not available'} USD
-• Other Assets: $${await getOtherAssets(fundId) || 'Not available'} USD
-• Total Gross Assets: $${await getTotalAssets(fundId) || 'Not available'} USD
-
-LIABILITY ASSESSMENT:
-• Management Fees Payable: $${await getManagementFeesPayable(fundId) || 'Not available'} USD
-• Performance Fees Payable: $${await getPerformanceFeesPayable(fundId) || 'Not available'} USD
-• Operating Expenses Payable: $${await getOperatingExpensesPayable(fundId) || 'Not available'} USD
-• Other Liabilities: $${await getOtherLiabilities(fundId) || 'Not available'} USD
-• Total Liabilities: $${await getTotalLiabilities(fundId) || 'Not available'} USD
-
-PARTNER CAPITAL STRUCTURE:
-• Total Committed Capital: $${await getCommittedCapital(fundId) || 'Not available'} USD
-• Capital Called: $${await getCapitalCalled(fundId) || 'Not available'} USD
-• Distributions Paid: $${await getDistributionsPaid(fundId) || 'Not available'} USD
-• Current Partners: ${await getPartnerCount(fundId) || 'Not available'}
-
-VALUATION ADJUSTMENTS:
-• Loan Loss Provisions: $${await getLoanLossProvisions(fundId) || 'Not available'} USD
-• Fair Value Adjustments: $${await getFairValueAdjustments(fundId) || 'Not available'} USD
-• Currency Translation Adjustments: $${await getCurrencyAdjustments(fundId) || 'Not available'} USD
-
-NAV CALCULATION ANALYSIS:
-
-1. **GROSS ASSET VALUATION**
-   - Cash and liquid assets fair value assessment
-   - Loan portfolio valuation using discounted cash flow
-   - Accrued income recognition and collectibility analysis
-   - Investment and other asset mark-to-market valuation
-
-2. **LIABILITY RECOGNITION AND MEASUREMENT**
-   - Management fee accrual calculation and timing
-   - Performance fee crystallization and high water mark
-   - Operating expense accruals and payables assessment
-   - Regulatory and compliance liability provisions
-
-3. **EQUITY CALCULATION AND ALLOCATION**
-   - Net asset value computation (Assets - Liabilities)
-   - Per-unit NAV calculation based on outstanding units
-   - Partner capital account reconciliation
-   - Profit and loss allocation methodology
-
-4. **VALUATION METHODOLOGY COMPLIANCE**
-   - Fair value hierarchy application (Level 1, 2, 3)
-   - Market-based pricing where available
-   - Income approach for illiquid loans
-   - Independent valuation verification process
-
-5. **CAMBODIA REGULATORY COMPLIANCE**
-   - NBC reporting requirement alignment
-   - Local accounting standard reconciliation
-   - Tax liability provisioning and calculation
-   - Foreign exchange impact assessment
-
-Provide comprehensive NAV calculation with detailed methodology and regulatory compliance verification.
-    `;
-
+async function calculateNAV(fundId, valuationDate = new Date(), chatId = null, bot = null, options = {}) {
     try {
-        const result = await executeEnhancedGPT5Command(prompt, chatId, bot, {
-            title: "📊 NAV Calculation",
-            forceModel: "gpt-5"
-        });
-
-        // Calculate NAV components
-        const assetValuation = await calculateAssetValuation(fundId, valuationDate);
-        const liabilityAssessment = await calculateLiabilities(fundId, valuationDate);
-        const equityCalculation = await calculateEquity(assetValuation, liabilityAssessment);
-        const navMetrics = await calculateNAVMetrics(fundId, equityCalculation);
+        const navResult = await computeNAV(fundId, valuationDate);
+        const strike = options.persist === false ? null : await saveNavStrike(navResult, options.struckBy);
+
+        let narration = null;
+        let aiUsed = false;
+
+        if (chatId && bot && options.narrate !== false) {
+            try {
+                const result = await executeEnhancedGPT5Command(buildNAVNarrationPrompt(navResult), chatId, bot, {
+                    title: "📊 NAV Calculation",
+                    forceModel: "gpt-5"
+                });
+                narration = result.response;
+                aiUsed = result.aiUsed;
+            } catch (narrationError) {
+                console.error('⚠️ NAV narration unavailable:', narrationError.message);
+            }
+        }
 
         return {
-            analysis: result.response,
-            fundId: fundId,
-            valuationDate: valuationDate.toISOString(),
-            navSummary: {
-                totalAssets: assetValuation.totalAssets,
-                totalLiabilities: liabilityAssessment.totalLiabilities,
-                netAssetValue: equityCalculation.nav,
-                navPerUnit: navMetrics.navPerUnit,
-                totalUnits: navMetrics.totalUnits
-            },
-            assetValuation: assetValuation,
-            liabilityAssessment: liabilityAssessment,
-            equityCalculation: equityCalculation,
-            navMetrics: navMetrics,
-            calculationDate: new Date().toISOString(),
-            success: result.success,
-            aiUsed: result.aiUsed
+            ...navResult,
+            analysis: narration,
+            strikeId: strike ? strike.strikeId : null,
+            revision: strike ? strike.revision : null,
+            success: true,
+            aiUsed: aiUsed
         };
 
     } catch (error) {
@@ -218,11 +155,144 @@ Provide comprehensive NAV calculation with detailed methodology and regulatory c
     }
 }
 
+/**
+ * 🧮 Deterministic NAV from ledger balances, with a traceable line for every figure
+ */
+async function computeNAV(fundId, valuationDate = new Date()) {
+    const asOf = valuationDate instanceof Date ? valuationDate : new Date(valuationDate);
+    const asOfDate = fundLedger.toLedgerDate(asOf);
+
+    const assetValuation = await calculateAssetValuation(fundId, asOf);
+    const liabilityAssessment = await calculateLiabilities(fundId, asOf);
+    const equityCalculation = await calculateEquity(assetValuation, liabilityAssessment);
+    const navMetrics = await calculateNAVMetrics(fundId, equityCalculation, asOf);
+    const currencyAdjustments = await getCurrencyAdjustments(fundId, asOf);
+
+    // Ledger equity (capital + cumulative earnings) must agree with assets less liabilities
+    const ledgerEquity = fundLedger.roundCents(
+        await fundLedger.getNetBalance(fundId, fundLedger.getAccountCodesByType('equity'), { asOfDate }) +
+        await fundLedger.getNetBalance(fundId, fundLedger.getAccountCodesByType('income'), { asOfDate }) -
+        await fundLedger.getNetBalance(fundId, fundLedger.getAccountCodesByType('expense'), { asOfDate }));
+    const reconciliationDifference = fundLedger.roundCents(equityCalculation.nav - ledgerEquity);
+
+    const navLines = [
+        { ref: 'A1', label: 'Cash and cash equivalents', accounts: ['1000'], amount: assetValuation.cashAndEquivalents },
+        { ref: 'A2', label: 'Loans outstanding (principal)', accounts: ['1100'], amount: assetValuation.loansOutstanding },
+        { ref: 'A3', label: 'Accrued interest receivable', accounts: ['1200'], amount: assetValuation.accruedInterest },
+        { ref: 'A4', label: 'Other assets', accounts: ['1300', '1400'], amount: assetValuation.otherAssets },
+        { ref: 'A', label: 'Gross assets', formula: 'A1 + A2 + A3 + A4', amount: assetValuation.grossAssets },
+        { ref: 'L1', label: 'Management fees payable', accounts: ['2200'], amount: liabilityAssessment.managementFeesPayable },
+        { ref: 'L2', label: 'Performance fees payable', accounts: ['2300'], amount: liabilityAssessment.performanceFeesPayable },
+        { ref: 'L3', label: 'Operating expenses payable', accounts: ['2000', '2100'], amount: liabilityAssessment.operatingExpensesPayable },
+        { ref: 'L4', label: 'Other liabilities', accounts: ['2400'], amount: liabilityAssessment.otherLiabilities },
+        { ref: 'L', label: 'Total liabilities', formula: 'L1 + L2 + L3 + L4', amount: liabilityAssessment.totalLiabilities },
+        { ref: 'P', label: 'Loan loss provisions', accounts: ['1190'], amount: assetValuation.loanLossProvisions },
+        { ref: 'F', label: 'Fair value adjustments', accounts: ['1150'], amount: assetValuation.fairValueAdjustments },
+        { ref: 'X', label: 'Currency translation adjustments (in A)', accounts: ['4210'], amount: currencyAdjustments, memo: 'Already reflected in asset balances' },
+        { ref: 'N', label: 'Net asset value', formula: 'A - L - P + F', amount: equityCalculation.nav },
+        { ref: 'U', label: 'Units outstanding', source: 'fund_journal_entries.units_issued', amount: navMetrics.totalUnits },
+        { ref: 'NPU', label: 'NAV per unit', formula: 'N / U', amount: navMetrics.navPerUnit },
+        { ref: 'PNPU', label: 'Prior NAV per unit', source: 'fund_nav_strikes', amount: navMetrics.priorNavPerUnit }
+    ];
+
+    return {
+        fundId: fundId,
+        valuationDate: asOfDate,
+        navSummary: {
+            grossAssets: assetValuation.grossAssets,
+            totalAssets: assetValuation.totalAssets,
+            totalLiabilities: liabilityAssessment.totalLiabilities,
+            loanLossProvisions: assetValuation.loanLossProvisions,
+            fairValueAdjustments: assetValuation.fairValueAdjustments,
+            currencyAdjustments: currencyAdjustments,
+            netAssetValue: equityCalculation.nav,
+            navPerUnit: navMetrics.navPerUnit,
+            priorNavPerUnit: navMetrics.priorNavPerUnit,
+            navChangePercent: navMetrics.navChangePercent,
+            totalUnits: navMetrics.totalUnits
+        },
+        navLines: navLines,
+        reconciliation: {
+            ledgerEquity: ledgerEquity,
+            difference: reconciliationDifference,
+            reconciled: Math.abs(reconciliationDifference) < 0.01
+        },
+        assetValuation: assetValuation,
+        liabilityAssessment: liabilityAssessment,
+        equityCalculation: equityCalculation,
+        navMetrics: navMetrics,
+        calculationDate: new Date().toISOString()
+    };
+}
+
+/**
+ * 📝 Narration prompt built from a finished NAV strike
+ */
+function buildNAVNarrationPrompt(navResult) {
+    const lines = navResult.navLines
+        .map(line => `• ${line.ref} ${line.label}: ${line.amount === null ? 'n/a' : line.amount.toLocaleString()}${line.formula ? ` (${line.formula})` : ''}`)
+        .join('\n');
+
+    return `
+CAMBODIA LENDING FUND - NAV STRIKE COMMENTARY
+
+FUND IDENTIFICATION:
+• Fund ID: ${navResult.fundId}
+• Valuation Date: ${navResult.valuationDate}
+• NAV Calculation Method: Ledger-based, Fair Value Accounting
+• Accounting Standards: US GAAP with Cambodia Compliance
+
+NAV STRIKE (FINAL - DO NOT RECALCULATE):
+${lines}
+
+LEDGER RECONCILIATION:
+• Ledger Equity: $${navResult.reconciliation.ledgerEquity.toLocaleString()} USD
+• Difference: $${navResult.reconciliation.difference.toLocaleString()} USD (${navResult.reconciliation.reconciled ? 'Reconciled' : 'NOT RECONCILED'})
+
+Explain the NAV movement for LPs and the investment committee:
+
+1. **NAV MOVEMENT** - drivers of change versus prior NAV per unit
+2. **ASSET QUALITY** - loan book, accrued interest and provisioning levels
+3. **LIABILITIES** - fee accruals and other payables
+4. **VALUATION ADJUSTMENTS** - fair value and currency effects
+5. **CAMBODIA REGULATORY NOTES** - NBC reporting considerations
+
+Use only the figures above; do not restate or recompute them.
+    `;
+}
+
 /**
  * 💰 Management Fee Calculation
+ * Fees come from the accrual ledger unless capital figures are supplied; set feeData.post to book them
  */
 async function calculateManagementFees(fundId, feeData, chatId = null, bot = null) {
-    const prompt = `
+    try {
+        const manualBasis = Boolean(feeData.capitalHistory || feeData.committedCapital);
+        let feeCalculation;
+        let lpAccruals = [];
+
+        if (manualBasis) {
+            feeCalculation = calculateManagementFeeAmount(feeData);
+        } else {
+            const accrual = await accrueManagementFees(fundId, {
+                periodStartDate: feeData.periodStartDate,
+                periodEndDate: feeData.periodEndDate,
+                post: feeData.post === true,
+                postedBy: feeData.postedBy
+            });
+            feeCalculation = accrual.calculation || calculateManagementFeeAmount({ ...feeData, committedCapital: 0 });
+            lpAccruals = accrual.accruals;
+        }
+
+        const accrualSchedule = generateFeeAccrualSchedule(feeData, feeCalculation);
+        const complianceCheck = validateFeeCompliance(feeCalculation);
+        const feeConfig = FUND_ACCOUNTING_FRAMEWORK.feeStructure.management_fee;
+
+        const lpLines = lpAccruals.length > 0
+            ? lpAccruals.map(a => `• ${a.lpId} (class ${a.lpClass}): $${a.amount.toLocaleString()} USD on ${a.basisType} basis, average $${a.averageBasis.toLocaleString()} USD`).join('\n')
+            : '• Single fund-level calculation';
+
+        const prompt = `
 CAMBODIA LENDING FUND - MANAGEMENT FEE CALCULATION
 
 FUND IDENTIFICATION:
@@ -231,68 +301,63 @@ FUND IDENTIFICATION:
 • Fee Calculation Date: ${new Date().toISOString().split('T')[0]}
 
 MANAGEMENT FEE PARAMETERS:
-• Management Fee Rate: ${(FUND_ACCOUNTING_FRAMEWORK.feeStructure.management_fee.rate * 100).toFixed(2)}% annually
-• Calculation Basis: ${FUND_ACCOUNTING_FRAMEWORK.feeStructure.management_fee.calculation_basis}
-• Payment Frequency: ${FUND_ACCOUNTING_FRAMEWORK.feeStructure.management_fee.payment_frequency}
-• Accrual Method: ${FUND_ACCOUNTING_FRAMEWORK.feeStructure.management_fee.accrual_method}
-
-FEE CALCULATION BASIS:
-• Total Committed Capital: $${feeData.committedCapital ? feeData.committedCapital.toLocaleString() : 'Not provided'} USD
-• Capital Called To Date: $${feeData.capitalCalled ? feeData.capitalCalled.toLocaleString() : 'Not provided'} USD
-• NAV at Period Start: $${feeData.navPeriodStart ? feeData.navPeriodStart.toLocaleString() : 'Not provided'} USD
-• NAV at Period End: $${feeData.navPeriodEnd ? feeData.navPeriodEnd.toLocaleString() : 'Not provided'} USD
-
-CALCULATION PERIOD DETAILS:
-• Period Start Date: ${feeData.periodStartDate || 'Not provided'}
-• Period End Date: ${feeData.periodEndDate || 'Not provided'}
-• Number of Days: ${feeData.numberOfDays || 'Not calculated'}
-• Proration Factor: ${feeData.prorationFactor || 'Not calculated'}
+• Management Fee Rate: ${(feeCalculation.annualFeeRate * 100).toFixed(2)}% annually
+• Investment Period Basis: ${feeConfig.calculation_basis}
+• Post-Investment Period Basis: ${feeConfig.post_investment_period_basis}
+• Payment Frequency: ${feeConfig.payment_frequency}
+• Accrual Method: ${feeConfig.accrual_method}
+
+FEE CALCULATION (use these exact figures):
+• Period: ${feeCalculation.periodStartDate} to ${feeCalculation.periodEndDate} (${feeCalculation.numberOfDays} days)
+• Average Fee Basis: $${feeCalculation.calculationBasis.toLocaleString()} USD
+• Current Basis Type: ${feeCalculation.basisType}
+• Basis Switch Date: ${feeCalculation.basisSwitchDate || 'No switch in period'}
+• Period Fee: $${feeCalculation.totalFee.toLocaleString()} USD
+• Average Daily Accrual: $${feeCalculation.dailyAccrual.toLocaleString()} USD
+• Posted to Ledger: ${!manualBasis && feeData.post === true ? 'Yes' : 'No (preview)'}
+
+PER-LP ACCRUALS:
+${lpLines}
 
 MANAGEMENT FEE ANALYSIS:
 
-1. **FEE CALCULATION METHODOLOGY**
-   - Committed capital base determination and verification
-   - Daily accrual calculation with compound interest
-   - Proration for partial periods and capital calls
-   - High water mark and fee offset considerations
+1. **FEE BASIS REVIEW**
+   - Committed vs invested capital basis across the investment period
+   - Effect of the basis switch and capital movements on the fee
+   - Fee offset considerations for transaction fees received
 
 2. **ACCRUAL AND PAYMENT TIMING**
-   - Daily accrual recognition in accounting system
    - Quarterly payment schedule and cash flow impact
-   - Fee payable liability booking and settlement
+   - Fee payable liability and settlement
    - Cash availability and distribution priority assessment
 
 3. **REGULATORY COMPLIANCE VERIFICATION**
    - Cambodia fund management regulation compliance
-   - SEC/regulatory disclosure requirement fulfillment
    - Tax withholding and reporting obligations
    - Investor agreement term adherence verification
 
-Provide comprehensive management fee calculation with regulatory compliance and cash flow impact analysis.
-    `;
+Provide management fee commentary with regulatory compliance and cash flow impact analysis.
+        `;
 
-    try {
         const result = await executeEnhancedGPT5Command(prompt, chatId, bot, {
             title: "💰 Management Fee Calculation",
             forceModel: "gpt-5"
         });
 
-        // Calculate management fees
-        const feeCalculation = calculateManagementFeeAmount(feeData);
-        const accrualSchedule = generateFeeAccrualSchedule(feeData, feeCalculation);
-        const complianceCheck = validateFeeCompliance(feeCalculation);
-
         return {
             analysis: result.response,
             fundId: fundId,
             feeCalculationSummary: {
-                annualFeeRate: FUND_ACCOUNTING_FRAMEWORK.feeStructure.management_fee.rate,
-                calculationBasis: feeData.committedCapital || 0,
+                annualFeeRate: feeCalculation.annualFeeRate,
+                calculationBasis: feeCalculation.calculationBasis,
+                basisType: feeCalculation.basisType,
+                basisSwitchDate: feeCalculation.basisSwitchDate,
                 periodFeeAmount: feeCalculation.totalFee,
                 dailyAccrual: feeCalculation.dailyAccrual,
                 paymentStatus: feeCalculation.paymentStatus
             },
             feeCalculation: feeCalculation,
+            lpAccruals: lpAccruals,
             accrualSchedule: accrualSchedule,
             complianceCheck: complianceCheck,
             calculationDate: new Date().toISOString(),
@@ -313,91 +378,107 @@ Provide comprehensive management fee calculation with regulatory compliance and
 
 /**
  * 🏆 Performance Fee Calculation (Carried Interest)
+ * Fees come from the latest NAV strike and LP high-water marks unless navPerUnit is supplied
  */
 async function calculatePerformanceFees(fundId, performanceData, chatId = null, bot = null) {
-    const prompt = `
+    try {
+        const feeConfig = FUND_ACCOUNTING_FRAMEWORK.feeStructure.performance_fee;
+        const valuationDate = fundLedger.toLedgerDate(performanceData.valuationDate || new Date());
+        const hurdleCalculation = calculateHurdleRate(performanceData);
+        let performanceFeeCalc;
+        let lpAccruals = [];
+
+        if (performanceData.navPerUnit !== undefined) {
+            performanceFeeCalc = calculatePerformanceFeeAmount({ ...performanceData, valuationDate }, hurdleCalculation);
+        } else {
+            const accrual = await accruePerformanceFees(fundId, valuationDate, {
+                post: performanceData.post === true,
+                postedBy: performanceData.postedBy
+            });
+            lpAccruals = accrual.accruals;
+            const sum = field => fundLedger.roundCents(lpAccruals.reduce((total, a) => total + a.calculation[field], 0));
+            const units = lpAccruals.reduce((total, a) => total + a.calculation.units, 0);
+            performanceFeeCalc = {
+                performanceFeeRate: feeConfig.rate,
+                navPerUnit: accrual.grossNavPerUnit,
+                highWaterMark: lpAccruals.length > 0 ? Math.min(...lpAccruals.map(a => a.calculation.highWaterMark)) : feeConfig.initial_nav_per_unit,
+                highWaterMarkApplied: feeConfig.high_water_mark,
+                units: units,
+                totalGains: sum('totalGains'),
+                excessGains: sum('excessGains'),
+                totalFee: accrual.totalAccrued,
+                realizationStatus: "Accrued",
+                paymentStatus: "Pending crystallization",
+                calculationDate: new Date().toISOString()
+            };
+        }
+
+        const crystallizationAnalysis = assessFeeCrystallization(performanceFeeCalc, { valuationDate });
+
+        const lpLines = lpAccruals.length > 0
+            ? lpAccruals.map(a => `• ${a.lpId} (class ${a.lpClass}): HWM ${a.calculation.highWaterMark}, hurdle NAV ${a.calculation.hurdleNavPerUnit}, fee $${a.totalAccrued.toLocaleString()} USD`).join('\n')
+            : '• Single fund-level calculation';
+
+        const prompt = `
 CAMBODIA LENDING FUND - PERFORMANCE FEE CALCULATION
 
 FUND IDENTIFICATION:
 • Fund ID: ${fundId}
 • Performance Period: ${performanceData.performancePeriod || 'Not specified'}
-• Calculation Date: ${new Date().toISOString().split('T')[0]}
+• Valuation Date: ${valuationDate}
 
 PERFORMANCE FEE STRUCTURE:
-• Performance Fee Rate: ${(FUND_ACCOUNTING_FRAMEWORK.feeStructure.performance_fee.rate * 100).toFixed(1)}%
-• Hurdle Rate: ${(FUND_ACCOUNTING_FRAMEWORK.feeStructure.performance_fee.hurdle_rate * 100).toFixed(1)}%
-• Catch-Up Rate: ${(FUND_ACCOUNTING_FRAMEWORK.feeStructure.performance_fee.catch_up * 100).toFixed(1)}%
-• High Water Mark: ${FUND_ACCOUNTING_FRAMEWORK.feeStructure.performance_fee.high_water_mark ? 'Yes' : 'No'}
-
-PERFORMANCE METRICS:
-• Total Return: ${performanceData.totalReturn || 'Not provided'}%
-• IRR Achievement: ${performanceData.irrAchievement || 'Not provided'}%
-• Capital Deployed: $${performanceData.capitalDeployed ? performanceData.capitalDeployed.toLocaleString() : 'Not provided'} USD
-• Realized Gains: $${performanceData.realizedGains ? performanceData.realizedGains.toLocaleString() : 'Not provided'} USD
-• Unrealized Gains: $${performanceData.unrealizedGains ? performanceData.unrealizedGains.toLocaleString() : 'Not provided'} USD
-
-HIGH WATER MARK ANALYSIS:
-• Previous High Water Mark: $${performanceData.previousHighWaterMark ? performanceData.previousHighWaterMark.toLocaleString() : 'Not established'} USD
-• Current NAV per Unit: $${performanceData.currentNavPerUnit || 'Not provided'} USD
-• High Water Mark Status: ${performanceData.highWaterMarkStatus || 'Not determined'}
-
-HURDLE RATE CALCULATION:
-• Required Return (Hurdle): ${performanceData.requiredReturn || 'Not calculated'}%
-• Excess Return Over Hurdle: ${performanceData.excessReturn || 'Not calculated'}%
-• Cumulative Hurdle Met: ${performanceData.cumulativeHurdleMet || 'Not determined'}
+• Performance Fee Rate: ${(performanceFeeCalc.performanceFeeRate * 100).toFixed(1)}%
+• Hurdle Rate: ${(feeConfig.hurdle_rate * 100).toFixed(1)}%
+• High Water Mark: ${performanceFeeCalc.highWaterMarkApplied ? 'Yes' : 'No'}
+• Crystallization: ${crystallizationAnalysis.crystallizationFrequency}
+
+PERFORMANCE FEE CALCULATION (use these exact figures):
+• Gross NAV per Unit: ${performanceFeeCalc.navPerUnit}
+• Lowest High-Water Mark: ${performanceFeeCalc.highWaterMark}
+• Units: ${performanceFeeCalc.units.toLocaleString()}
+• Gains Above Base: $${performanceFeeCalc.totalGains.toLocaleString()} USD
+• Gains Above Hurdle: $${performanceFeeCalc.excessGains.toLocaleString()} USD
+• Performance Fee Accrued: $${performanceFeeCalc.totalFee.toLocaleString()} USD
+• Crystallization Status: ${crystallizationAnalysis.status}
+• Next Crystallization Date: ${crystallizationAnalysis.nextCrystallizationDate}
+
+PER-LP PERFORMANCE FEES:
+${lpLines}
 
 PERFORMANCE FEE ANALYSIS:
 
-1. **HURDLE RATE ACHIEVEMENT VERIFICATION**
-   - Preferred return calculation and cumulative tracking
-   - IRR-based vs absolute return hurdle methodology
-   - Compound hurdle calculation with time-weighting
-   - Hurdle shortfall carryforward and catch-up mechanics
-
-2. **HIGH WATER MARK APPLICATION**
-   - Historical peak NAV identification and tracking
-   - Performance fee crystallization trigger events
-   - Loss recovery requirement before new fees
-   - Unit-by-unit high water mark maintenance
-
-3. **PERFORMANCE FEE CALCULATION METHODOLOGY**
-   - Excess return identification and quantification
-   - Catch-up provision application and calculation
-   - Performance fee rate application to excess profits
-   - Realized vs unrealized gain treatment
-
-4. **CRYSTALLIZATION AND PAYMENT TIMING**
-   - Performance fee accrual vs payment timing
+1. **HURDLE AND HIGH WATER MARK REVIEW**
+   - Position of NAV per unit against the high-water mark and hurdle
+   - Loss recovery still required before new fees
+
+2. **CRYSTALLIZATION AND PAYMENT TIMING**
+   - Accrued vs crystallized fee and the next crystallization date
    - Clawback provision and escrow arrangements
    - Tax implications and withholding requirements
    - Cash flow impact on fund distributions
 
-Provide comprehensive performance fee calculation with hurdle rate analysis and crystallization determination.
-    `;
+Provide performance fee commentary with hurdle analysis and crystallization outlook.
+        `;
 
-    try {
         const result = await executeEnhancedGPT5Command(prompt, chatId, bot, {
             title: "🏆 Performance Fee Calculation",
             forceModel: "gpt-5"
         });
 
-        // Calculate performance fees
-        const hurdleCalculation = calculateHurdleRate(performanceData);
-        const performanceFeeCalc = calculatePerformanceFeeAmount(performanceData, hurdleCalculation);
-        const crystallizationAnalysis = assessFeeCrystallization(performanceFeeCalc);
-
         return {
             analysis: result.response,
             fundId: fundId,
             performanceFeeSummary: {
-                hurdleRateAchieved: hurdleCalculation.achieved,
-                excessReturn: hurdleCalculation.excessReturn,
+                hurdleRateAchieved: performanceFeeCalc.excessGains > 0,
+                excessGains: performanceFeeCalc.excessGains,
                 performanceFeeEarned: performanceFeeCalc.totalFee,
                 crystallizedAmount: crystallizationAnalysis.crystallizedAmount,
                 feeStatus: crystallizationAnalysis.status
             },
             hurdleCalculation: hurdleCalculation,
             performanceFeeCalc: performanceFeeCalc,
+            lpAccruals: lpAccruals,
             crystallizationAnalysis: crystallizationAnalysis,
             calculationDate: new Date().toISOString(),
             success: result.success,
@@ -419,32 +500,39 @@ Provide comprehensive performance fee calculation with hurdle rate analysis and
  * 📋 Generate Financial Statements
  */
 async function generateFinancialStatements(fundId, statementData, chatId = null, bot = null) {
-    const prompt = `
+    try {
+        // Generate financial statements from the ledger first so the analysis works on booked numbers
+        const balanceSheet = await generateBalanceSheet(fundId, statementData);
+        const incomeStatement = await generateIncomeStatement(fundId, statementData);
+        const cashFlowStatement = await generateCashFlowStatement(fundId, statementData);
+        const notesToStatements = generateNotesToStatements(fundId, statementData);
+
+        const prompt = `
 CAMBODIA LENDING FUND - FINANCIAL STATEMENTS GENERATION
 
 FUND IDENTIFICATION:
 • Fund ID: ${fundId}
-• Statement Period: ${statementData.statementPeriod || 'Not specified'}
+• Statement Period: ${incomeStatement.statementPeriod}
 • Statement Type: ${statementData.statementType || 'Complete Financial Statements'}
-• Reporting Date: ${new Date().toISOString().split('T')[0]}
+• Reporting Date: ${balanceSheet.balanceDate}
 
 BALANCE SHEET COMPONENTS:
-• Total Assets: $${statementData.totalAssets ? statementData.totalAssets.toLocaleString() : 'Not available'} USD
-• Cash and Equivalents: $${statementData.cashAndEquivalents ? statementData.cashAndEquivalents.toLocaleString() : 'Not available'} USD
-• Loans Outstanding: $${statementData.loansOutstanding ? statementData.loansOutstanding.toLocaleString() : 'Not available'} USD
-• Total Liabilities: $${statementData.totalLiabilities ? statementData.totalLiabilities.toLocaleString() : 'Not available'} USD
-• Partners' Capital: $${statementData.partnersCapital ? statementData.partnersCapital.toLocaleString() : 'Not available'} USD
+• Total Assets: $${balanceSheet.totalAssets.toLocaleString()} USD
+• Cash and Equivalents: $${balanceSheet.assets.current.cash.toLocaleString()} USD
+• Loans Outstanding: $${balanceSheet.assets.current.loansReceivable.toLocaleString()} USD
+• Total Liabilities: $${balanceSheet.totalLiabilities.toLocaleString()} USD
+• Partners' Capital: $${balanceSheet.equity.partnerCapital.toLocaleString()} USD
 
 INCOME STATEMENT COMPONENTS:
-• Interest Income: $${statementData.interestIncome ? statementData.interestIncome.toLocaleString() : 'Not available'} USD
-• Fee Income: $${statementData.feeIncome ? statementData.feeIncome.toLocaleString() : 'Not available'} USD
-• Operating Expenses: $${statementData.operatingExpenses ? statementData.operatingExpenses.toLocaleString() : 'Not available'} USD
-• Net Income: $${statementData.netIncome ? statementData.netIncome.toLocaleString() : 'Not available'} USD
+• Interest Income: $${incomeStatement.revenue.interestIncome.toLocaleString()} USD
+• Fee Income: $${incomeStatement.revenue.feeIncome.toLocaleString()} USD
+• Operating Expenses: $${incomeStatement.expenses.operatingExpenses.toLocaleString()} USD
+• Net Income: $${incomeStatement.netIncome.toLocaleString()} USD
 
 CASH FLOW COMPONENTS:
-• Operating Cash Flow: $${statementData.operatingCashFlow ? statementData.operatingCashFlow.toLocaleString() : 'Not available'} USD
-• Investing Cash Flow: $${statementData.investingCashFlow ? statementData.investingCashFlow.toLocaleString() : 'Not available'} USD
-• Financing Cash Flow: $${statementData.financingCashFlow ? statementData.financingCashFlow.toLocaleString() : 'Not available'} USD
+• Operating Cash Flow: $${cashFlowStatement.operatingActivities.netOperatingCashFlow.toLocaleString()} USD
+• Investing Cash Flow: $${cashFlowStatement.investingActivities.netInvestingCashFlow.toLocaleString()} USD
+• Financing Cash Flow: $${cashFlowStatement.financingActivities.netFinancingCashFlow.toLocaleString()} USD
 
 FINANCIAL STATEMENT ANALYSIS:
 
@@ -479,25 +567,18 @@ FINANCIAL STATEMENT ANALYSIS:
    - Audit readiness and supporting documentation
 
 Provide comprehensive financial statement generation with regulatory compliance and audit trail documentation.
-    `;
+        `;
 
-    try {
         const result = await executeEnhancedGPT5Command(prompt, chatId, bot, {
             title: "📋 Financial Statements Generation",
             forceModel: "gpt-5"
         });
 
-        // Generate financial statements
-        const balanceSheet = generateBalanceSheet(fundId, statementData);
-        const incomeStatement = generateIncomeStatement(fundId, statementData);
-        const cashFlowStatement = generateCashFlowStatement(fundId, statementData);
-        const notesToStatements = generateNotesToStatements(fundId, statementData);
-
         return {
             analysis: result.response,
             fundId: fundId,
             statementSummary: {
-                statementPeriod: statementData.statementPeriod,
+                statementPeriod: incomeStatement.statementPeriod,
                 totalAssets: balanceSheet.totalAssets,
                 totalLiabilities: balanceSheet.totalLiabilities,
                 netIncome: incomeStatement.netIncome,
@@ -741,17 +822,23 @@ Provide comprehensive regulatory reporting package with NBC compliance verificat
  * 📊 Calculate Asset Valuation
  */
 async function calculateAssetValuation(fundId, valuationDate) {
-    // Mock asset calculation - replace with actual data retrieval
     const assets = {
-        cashAndEquivalents: await getCashAndEquivalents(fundId) || 2500000,
-        loansOutstanding: await getLoansOutstanding(fundId) || 22000000,
-        accruedInterest: await getAccruedInterest(fundId) || 450000,
-        otherAssets: await getOtherAssets(fundId) || 150000,
+        cashAndEquivalents: await getCashAndEquivalents(fundId, valuationDate),
+        loansOutstanding: await getLoansOutstanding(fundId, valuationDate),
+        accruedInterest: await getAccruedInterest(fundId, valuationDate),
+        otherAssets: await getOtherAssets(fundId, valuationDate),
+        loanLossProvisions: await getLoanLossProvisions(fundId, valuationDate),
+        fairValueAdjustments: await getFairValueAdjustments(fundId, valuationDate),
+        grossAssets: 0,
         totalAssets: 0
     };
     
-    assets.totalAssets = assets.cashAndEquivalents + assets.loansOutstanding + 
-                        assets.accruedInterest + assets.otherAssets;
+    assets.grossAssets = fundLedger.roundCents(assets.cashAndEquivalents + assets.loansOutstanding + 
+                        assets.accruedInterest + assets.otherAssets);
+    
+    // Allowance is a contra-asset, fair value marks adjust the loan book
+    assets.totalAssets = fundLedger.roundCents(assets.grossAssets + 
+                        assets.fairValueAdjustments - assets.loanLossProvisions);
     
     return {
         ...assets,
@@ -766,17 +853,17 @@ async function calculateAssetValuation(fundId, valuationDate) {
  */
 async function calculateLiabilities(fundId, valuationDate) {
     const liabilities = {
-        managementFeesPayable: await getManagementFeesPayable(fundId) || 125000,
-        performanceFeesPayable: await getPerformanceFeesPayable(fundId) || 450000,
-        operatingExpensesPayable: await getOperatingExpensesPayable(fundId) || 75000,
-        otherLiabilities: await getOtherLiabilities(fundId) || 25000,
+        managementFeesPayable: await getManagementFeesPayable(fundId, valuationDate),
+        performanceFeesPayable: await getPerformanceFeesPayable(fundId, valuationDate),
+        operatingExpensesPayable: await getOperatingExpensesPayable(fundId, valuationDate),
+        otherLiabilities: await getOtherLiabilities(fundId, valuationDate),
         totalLiabilities: 0
     };
     
-    liabilities.totalLiabilities = liabilities.managementFeesPayable + 
+    liabilities.totalLiabilities = fundLedger.roundCents(liabilities.managementFeesPayable + 
                                   liabilities.performanceFeesPayable + 
                                   liabilities.operatingExpensesPayable + 
-                                  liabilities.otherLiabilities;
+                                  liabilities.otherLiabilities);
     
     return {
         ...liabilities,
@@ -789,14 +876,14 @@ async function calculateLiabilities(fundId, valuationDate) {
  * 🏦 Calculate Equity
  */
 async function calculateEquity(assetValuation, liabilityAssessment) {
-    const nav = assetValuation.totalAssets - liabilityAssessment.totalLiabilities;
+    const nav = fundLedger.roundCents(assetValuation.totalAssets - liabilityAssessment.totalLiabilities);
     
     return {
         nav: nav,
         totalAssets: assetValuation.totalAssets,
         totalLiabilities: liabilityAssessment.totalLiabilities,
-        equityRatio: nav / assetValuation.totalAssets,
-        leverageRatio: liabilityAssessment.totalLiabilities / nav,
+        equityRatio: assetValuation.totalAssets > 0 ? nav / assetValuation.totalAssets : 0,
+        leverageRatio: nav > 0 ? liabilityAssessment.totalLiabilities / nav : 0,
         calculationDate: new Date().toISOString()
     };
 }
@@ -804,38 +891,120 @@ async function calculateEquity(assetValuation, liabilityAssessment) {
 /**
  * 📈 Calculate NAV Metrics
  */
-async function calculateNAVMetrics(fundId, equityCalculation) {
-    const totalUnits = await getTotalUnits(fundId) || 1000000;
-    const navPerUnit = equityCalculation.nav / totalUnits;
+async function calculateNAVMetrics(fundId, equityCalculation, valuationDate = null) {
+    const totalUnits = await getTotalUnits(fundId, valuationDate);
+    const navPerUnit = totalUnits > 0 ? Math.round((equityCalculation.nav / totalUnits) * 1e6) / 1e6 : 0;
+    const priorNavPerUnit = await getPriorNavPerUnit(fundId, valuationDate);
     
     return {
         navPerUnit: navPerUnit,
         totalUnits: totalUnits,
         nav: equityCalculation.nav,
-        priorNavPerUnit: await getPriorNavPerUnit(fundId) || navPerUnit * 0.98,
-        navChange: navPerUnit - (await getPriorNavPerUnit(fundId) || navPerUnit * 0.98),
-        navChangePercent: ((navPerUnit / (await getPriorNavPerUnit(fundId) || navPerUnit * 0.98)) - 1) * 100
+        priorNavPerUnit: priorNavPerUnit,
+        navChange: priorNavPerUnit ? navPerUnit - priorNavPerUnit : null,
+        navChangePercent: priorNavPerUnit ? ((navPerUnit / priorNavPerUnit) - 1) * 100 : null
     };
 }
 
 /**
  * 💰 Calculate Management Fee Amount
+ * Daily accrual on committed capital through the investment period, then on the
+ * post-period basis (invested capital or NAV). capitalHistory is a step series of
+ * [{ date, committed, invested, nav }]; flat committedCapital/investedCapital also work
  */
 function calculateManagementFeeAmount(feeData) {
-    const feeRate = FUND_ACCOUNTING_FRAMEWORK.feeStructure.management_fee.rate;
-    const basis = feeData.committedCapital || 0;
-    const days = feeData.numberOfDays || 90;
-    const annualFee = basis * feeRate;
-    const dailyAccrual = annualFee / 365;
-    const totalFee = dailyAccrual * days;
-    
+    const feeConfig = FUND_ACCOUNTING_FRAMEWORK.feeStructure.management_fee;
+    const feeRate = feeData.rate ?? feeConfig.rate;
+    const postPeriodBasis = feeData.postPeriodBasis || feeConfig.post_investment_period_basis;
+    const investmentPeriodEnd = feeData.investmentPeriodEnd ? fundLedger.toLedgerDate(feeData.investmentPeriodEnd) : null;
+
+    const startDate = fundLedger.toLedgerDate(feeData.periodStartDate || new Date());
+    const endDate = feeData.periodEndDate
+        ? fundLedger.toLedgerDate(feeData.periodEndDate)
+        : fundLedger.toLedgerDate(new Date(new Date(startDate).getTime() + ((feeData.numberOfDays || 90) - 1) * 86400000));
+
+    const history = (feeData.capitalHistory || [{
+        date: startDate,
+        committed: feeData.committedCapital || 0,
+        invested: feeData.investedCapital ?? feeData.capitalCalled ?? 0,
+        nav: feeData.navPeriodEnd || 0
+    }]).slice().sort((x, y) => x.date.localeCompare(y.date));
+
+    const dailyAccruals = [];
+    let historyIndex = -1;
+    for (let d = new Date(startDate); fundLedger.toLedgerDate(d) <= endDate; d.setUTCDate(d.getUTCDate() + 1)) {
+        const date = fundLedger.toLedgerDate(d);
+        while (historyIndex + 1 < history.length && history[historyIndex + 1].date <= date) historyIndex++;
+        const point = historyIndex >= 0 ? history[historyIndex] : { committed: 0, invested: 0, nav: 0 };
+
+        const inInvestmentPeriod = !investmentPeriodEnd || date <= investmentPeriodEnd;
+        const basisType = inInvestmentPeriod ? 'committed_capital' : postPeriodBasis;
+        const basis = basisType === 'committed_capital' ? point.committed
+            : basisType === 'nav' ? point.nav
+            : point.invested;
+
+        dailyAccruals.push({
+            date: date,
+            basisType: basisType,
+            basis: fundLedger.roundCents(basis || 0),
+            accrual: (basis || 0) * feeRate / 365
+        });
+    }
+
+    const days = dailyAccruals.length;
+    const totalFee = fundLedger.roundCents(dailyAccruals.reduce((sum, day) => sum + day.accrual, 0));
+    const averageBasis = days > 0 ? dailyAccruals.reduce((sum, day) => sum + day.basis, 0) / days : 0;
+    const basisSwitchDate = investmentPeriodEnd && investmentPeriodEnd >= startDate && investmentPeriodEnd < endDate
+        ? fundLedger.toLedgerDate(new Date(new Date(investmentPeriodEnd).getTime() + 86400000))
+        : null;
+
     return {
         annualFeeRate: feeRate,
-        calculationBasis: basis,
-        annualFeeAmount: annualFee,
-        dailyAccrual: dailyAccrual,
+        calculationBasis: fundLedger.roundCents(averageBasis),
+        basisType: days > 0 ? dailyAccruals[days - 1].basisType : 'committed_capital',
+        basisSwitchDate: basisSwitchDate,
+        annualFeeAmount: fundLedger.roundCents(averageBasis * feeRate),
+        dailyAccrual: days > 0 ? fundLedger.roundCents(totalFee / days) : 0,
+        periodStartDate: startDate,
+        periodEndDate: endDate,
         numberOfDays: days,
         totalFee: totalFee,
+        dailyAccruals: dailyAccruals,
+        paymentStatus: "Accrued",
+        lastCalculated: new Date().toISOString()
+    };
+}
+
+/**
+ * 🧮 Merge per-LP fee calculations into a fund-level calculation
+ */
+function combineFeeCalculations(calculations) {
+    const byDate = {};
+    calculations.forEach(calc => {
+        calc.dailyAccruals.forEach(day => {
+            if (!byDate[day.date]) byDate[day.date] = { date: day.date, basisType: day.basisType, basis: 0, accrual: 0 };
+            byDate[day.date].basis += day.basis;
+            byDate[day.date].accrual += day.accrual;
+        });
+    });
+
+    const dailyAccruals = Object.values(byDate).sort((x, y) => x.date.localeCompare(y.date));
+    const days = dailyAccruals.length;
+    const totalFee = fundLedger.roundCents(calculations.reduce((sum, calc) => sum + calc.totalFee, 0));
+    const averageBasis = days > 0 ? dailyAccruals.reduce((sum, day) => sum + day.basis, 0) / days : 0;
+
+    return {
+        annualFeeRate: calculations.reduce((max, calc) => Math.max(max, calc.annualFeeRate), 0),
+        calculationBasis: fundLedger.roundCents(averageBasis),
+        basisType: days > 0 ? dailyAccruals[days - 1].basisType : 'committed_capital',
+        basisSwitchDate: calculations.map(calc => calc.basisSwitchDate).find(Boolean) || null,
+        annualFeeAmount: fundLedger.roundCents(calculations.reduce((sum, calc) => sum + calc.annualFeeAmount, 0)),
+        dailyAccrual: days > 0 ? fundLedger.roundCents(totalFee / days) : 0,
+        periodStartDate: days > 0 ? dailyAccruals[0].date : null,
+        periodEndDate: days > 0 ? dailyAccruals[days - 1].date : null,
+        numberOfDays: days,
+        totalFee: totalFee,
+        dailyAccruals: dailyAccruals,
         paymentStatus: "Accrued",
         lastCalculated: new Date().toISOString()
     };
@@ -843,25 +1012,36 @@ function calculateManagementFeeAmount(feeData) {
 
 /**
  * 📅 Generate Fee Accrual Schedule
+ * Daily rows with running totals, plus a monthly roll-up
  */
 function generateFeeAccrualSchedule(feeData, feeCalculation) {
-    const schedule = [];
-    const startDate = new Date(feeData.periodStartDate || new Date());
-    const endDate = new Date(feeData.periodEndDate || new Date());
-    const dailyAccrual = feeCalculation.dailyAccrual;
-    
-    for (let d = new Date(startDate); d <= endDate; d.setDate(d.getDate() + 1)) {
-        schedule.push({
-            date: d.toISOString().split('T')[0],
-            dailyAccrual: dailyAccrual,
-            cumulativeAccrual: dailyAccrual * ((d - startDate) / (24 * 60 * 60 * 1000) + 1)
-        });
-    }
-    
+    let cumulative = 0;
+    const schedule = feeCalculation.dailyAccruals.map(day => {
+        cumulative += day.accrual;
+        return {
+            date: day.date,
+            basisType: day.basisType,
+            basis: day.basis,
+            dailyAccrual: fundLedger.roundCents(day.accrual),
+            cumulativeAccrual: fundLedger.roundCents(cumulative)
+        };
+    });
+
+    const monthly = {};
+    feeCalculation.dailyAccruals.forEach(day => {
+        const month = day.date.substring(0, 7);
+        if (!monthly[month]) monthly[month] = { month: month, days: 0, amount: 0, basisTypes: [] };
+        monthly[month].days++;
+        monthly[month].amount += day.accrual;
+        if (!monthly[month].basisTypes.includes(day.basisType)) monthly[month].basisTypes.push(day.basisType);
+    });
+
     return {
-        schedule: schedule.slice(0, 5), // Show first 5 days for demo
+        schedule: schedule,
+        monthlySummary: Object.values(monthly).map(m => ({ ...m, amount: fundLedger.roundCents(m.amount) })),
         totalDays: schedule.length,
         totalAccrual: feeCalculation.totalFee,
+        basisSwitchDate: feeCalculation.basisSwitchDate,
         scheduleGenerated: new Date().toISOString()
     };
 }
@@ -917,17 +1097,36 @@ function calculateHurdleRate(performanceData) {
 
 /**
  * 🏆 Calculate Performance Fee Amount
+ * Fee on NAV per unit above the high-water mark grown at the hurdle rate (simple, ACT/365)
+ * performanceData: { navPerUnit, highWaterMark, highWaterMarkDate, valuationDate, units, rate, highWaterMarkEnabled, periodStartNavPerUnit }
  */
 function calculatePerformanceFeeAmount(performanceData, hurdleCalculation) {
-    const performanceFeeRate = FUND_ACCOUNTING_FRAMEWORK.feeStructure.performance_fee.rate;
-    const totalGains = (performanceData.realizedGains || 0) + (performanceData.unrealizedGains || 0);
-    const excessGains = totalGains * hurdleCalculation.excessReturn / hurdleCalculation.actualReturn;
-    const performanceFee = Math.max(0, excessGains * performanceFeeRate);
-    
+    const feeConfig = FUND_ACCOUNTING_FRAMEWORK.feeStructure.performance_fee;
+    const performanceFeeRate = performanceData.rate ?? feeConfig.rate;
+    const highWaterMarkEnabled = performanceData.highWaterMarkEnabled ?? feeConfig.high_water_mark;
+    const navPerUnit = performanceData.navPerUnit || 0;
+    const units = performanceData.units || 0;
+    const highWaterMark = performanceData.highWaterMark ?? feeConfig.initial_nav_per_unit;
+
+    // Without a high-water mark, performance is measured from the start of the period
+    const baseNavPerUnit = highWaterMarkEnabled ? highWaterMark : (performanceData.periodStartNavPerUnit ?? highWaterMark);
+    const days = performanceData.highWaterMarkDate && performanceData.valuationDate
+        ? Math.max(0, (new Date(performanceData.valuationDate) - new Date(performanceData.highWaterMarkDate)) / 86400000)
+        : 0;
+    const hurdleNavPerUnit = baseNavPerUnit * (1 + (hurdleCalculation.hurdleRate || 0) * days / 365);
+
+    const excessPerUnit = Math.max(0, navPerUnit - hurdleNavPerUnit);
+    const performanceFee = fundLedger.roundCents(excessPerUnit * units * performanceFeeRate);
+
     return {
         performanceFeeRate: performanceFeeRate,
-        totalGains: totalGains,
-        excessGains: excessGains,
+        navPerUnit: navPerUnit,
+        highWaterMark: highWaterMark,
+        highWaterMarkApplied: highWaterMarkEnabled,
+        hurdleNavPerUnit: Math.round(hurdleNavPerUnit * 1e6) / 1e6,
+        units: units,
+        totalGains: fundLedger.roundCents((navPerUnit - baseNavPerUnit) * units),
+        excessGains: fundLedger.roundCents(excessPerUnit * units),
         totalFee: performanceFee,
         realizationStatus: "Accrued",
         paymentStatus: "Pending crystallization",
@@ -935,96 +1134,210 @@ function calculatePerformanceFeeAmount(performanceData, hurdleCalculation) {
     };
 }
 
+/**
+ * 📆 Last day of the crystallization period containing a date
+ */
+function getCrystallizationPeriodEnd(date, frequency = 'annual') {
+    const d = new Date(fundLedger.toLedgerDate(date));
+    const months = { monthly: 1, quarterly: 3, semiannual: 6, annual: 12 }[frequency];
+    if (!months) throw new Error(`Unknown crystallization frequency: ${frequency}`);
+
+    const periodEndMonth = Math.ceil((d.getUTCMonth() + 1) / months) * months; // 1-based month
+    return fundLedger.toLedgerDate(new Date(Date.UTC(d.getUTCFullYear(), periodEndMonth, 0)));
+}
+
 /**
  * 💎 Assess Fee Crystallization
+ * Accrued performance fees crystallize only on a period-end date
  */
-function assessFeeCrystallization(performanceFeeCalc) {
-    const crystallized = performanceFeeCalc.totalFee > 0;
-    
+function assessFeeCrystallization(performanceFeeCalc, options = {}) {
+    const frequency = options.frequency || FUND_ACCOUNTING_FRAMEWORK.feeStructure.performance_fee.crystallization_frequency;
+    const valuationDate = fundLedger.toLedgerDate(options.valuationDate || new Date());
+    const periodEnd = getCrystallizationPeriodEnd(valuationDate, frequency);
+    const isCrystallizationDate = valuationDate === periodEnd;
+    const fee = performanceFeeCalc.totalFee || 0;
+    const crystallized = isCrystallizationDate && fee > 0;
+
     return {
-        crystallizedAmount: crystallized ? performanceFeeCalc.totalFee * 0.8 : 0, // 80% crystallized
-        escrowAmount: crystallized ? performanceFeeCalc.totalFee * 0.2 : 0, // 20% in escrow
-        status: crystallized ? "Partially Crystallized" : "Not Crystallized",
-        triggerEvent: crystallized ? "Positive excess returns" : "No excess returns",
+        crystallizedAmount: crystallized ? fee : 0,
+        accruedAmount: crystallized ? 0 : fee,
+        status: crystallized ? "Crystallized" : fee > 0 ? "Accrued" : "Not Crystallized",
+        isCrystallizationDate: isCrystallizationDate,
+        crystallizationFrequency: frequency,
+        nextCrystallizationDate: isCrystallizationDate
+            ? getCrystallizationPeriodEnd(new Date(new Date(periodEnd).getTime() + 86400000), frequency)
+            : periodEnd,
+        newHighWaterMark: crystallized && performanceFeeCalc.units > 0
+            ? Math.round((performanceFeeCalc.navPerUnit - fee / performanceFeeCalc.units) * 1e6) / 1e6
+            : null,
+        triggerEvent: crystallized ? "Period end with fee above high-water mark" : "No crystallization event",
         assessmentDate: new Date().toISOString()
     };
 }
 
 // Financial statement generation functions
-function generateBalanceSheet(fundId, statementData) {
+function resolveStatementPeriod(statementData) {
+    const periodEnd = statementData.periodEndDate ? new Date(statementData.periodEndDate) : new Date();
+    const periodStart = statementData.periodStartDate
+        ? new Date(statementData.periodStartDate)
+        : new Date(Date.UTC(periodEnd.getUTCFullYear(), 0, 1));
+    
     return {
-        assets: {
-            current: {
-                cash: statementData.cashAndEquivalents || 2500000,
-                loansReceivable: statementData.loansOutstanding || 22000000,
-                accruedInterest: 450000,
-                totalCurrent: 24950000
-            },
-            nonCurrent: {
-                investments: 0,
-                fixedAssets: 50000,
-                totalNonCurrent: 50000
-            },
-            totalAssets: 25000000
+        periodStart: fundLedger.toLedgerDate(periodStart),
+        periodEnd: fundLedger.toLedgerDate(periodEnd)
+    };
+}
+
+function sumAccounts(balances, accountCodes) {
+    return fundLedger.roundCents(accountCodes.reduce((sum, code) => sum + (balances[code] || 0), 0));
+}
+
+async function generateBalanceSheet(fundId, statementData) {
+    const { periodEnd } = resolveStatementPeriod(statementData);
+    const trialBalance = await fundLedger.getTrialBalance(fundId, periodEnd);
+    
+    // Balances signed by account type so contra accounts net out
+    const balances = {};
+    trialBalance.accounts.forEach(account => {
+        const isDebitType = account.accountType === 'asset' || account.accountType === 'expense';
+        balances[account.accountCode] = isDebitType ? account.debit - account.credit : account.credit - account.debit;
+    });
+    
+    const cumulativeIncome = sumAccounts(balances, fundLedger.getAccountCodesByType('income')) -
+                             sumAccounts(balances, fundLedger.getAccountCodesByType('expense'));
+    
+    const assets = {
+        current: {
+            cash: sumAccounts(balances, ['1000']),
+            loansReceivable: sumAccounts(balances, ['1100', '1150']),
+            allowanceForLoanLosses: sumAccounts(balances, ['1190']),
+            accruedInterest: sumAccounts(balances, ['1200']),
+            otherReceivables: sumAccounts(balances, ['1300']),
+            totalCurrent: sumAccounts(balances, ['1000', '1100', '1150', '1190', '1200', '1300'])
         },
-        liabilities: {
-            current: {
-                accountsPayable: 75000,
-                accruedExpenses: 125000,
-                totalCurrent: 200000
-            },
-            nonCurrent: {
-                performanceFeesPayable: 450000,
-                totalNonCurrent: 450000
-            },
-            totalLiabilities: 650000
+        nonCurrent: {
+            investments: sumAccounts(balances, ['1400']),
+            totalNonCurrent: sumAccounts(balances, ['1400'])
+        },
+        totalAssets: sumAccounts(balances, fundLedger.getAccountCodesByType('asset'))
+    };
+    
+    const liabilities = {
+        current: {
+            accountsPayable: sumAccounts(balances, ['2000']),
+            accruedExpenses: sumAccounts(balances, ['2100']),
+            managementFeesPayable: sumAccounts(balances, ['2200']),
+            totalCurrent: sumAccounts(balances, ['2000', '2100', '2200'])
+        },
+        nonCurrent: {
+            performanceFeesPayable: sumAccounts(balances, ['2300']),
+            otherLiabilities: sumAccounts(balances, ['2400']),
+            totalNonCurrent: sumAccounts(balances, ['2300', '2400'])
         },
+        totalLiabilities: sumAccounts(balances, fundLedger.getAccountCodesByType('liability'))
+    };
+    
+    const partnerCapital = fundLedger.roundCents(sumAccounts(balances, ['3000', '3010', '3100']) + cumulativeIncome);
+    
+    return {
+        assets: assets,
+        liabilities: liabilities,
         equity: {
-            partnerCapital: 24350000,
-            totalEquity: 24350000
+            contributedCapital: sumAccounts(balances, ['3000']),
+            distributions: sumAccounts(balances, ['3010']),
+            retainedEarnings: fundLedger.roundCents(sumAccounts(balances, ['3100']) + cumulativeIncome),
+            partnerCapital: partnerCapital,
+            totalEquity: partnerCapital
         },
-        balanceDate: new Date().toISOString()
+        totalAssets: assets.totalAssets,
+        totalLiabilities: liabilities.totalLiabilities,
+        balanced: trialBalance.balanced &&
+                  Math.abs(assets.totalAssets - liabilities.totalLiabilities - partnerCapital) < 0.01,
+        balanceDate: periodEnd
     };
 }
 
-function generateIncomeStatement(fundId, statementData) {
+async function generateIncomeStatement(fundId, statementData) {
+    const { periodStart, periodEnd } = resolveStatementPeriod(statementData);
+    const activity = await fundLedger.getPeriodActivity(fundId, periodStart, periodEnd);
+    const totalUnits = await getTotalUnits(fundId, periodEnd);
+    
+    const revenue = {
+        interestIncome: sumAccounts(activity, ['4000']),
+        feeIncome: sumAccounts(activity, ['4100']),
+        otherIncome: sumAccounts(activity, ['4200', '4210', '4250']),
+        totalRevenue: sumAccounts(activity, fundLedger.getAccountCodesByType('income'))
+    };
+    
+    const expenses = {
+        managementFees: sumAccounts(activity, ['5000']),
+        performanceFees: sumAccounts(activity, ['5050']),
+        operatingExpenses: sumAccounts(activity, ['5100']),
+        interestExpense: sumAccounts(activity, ['5200']),
+        creditLossProvisions: sumAccounts(activity, ['5300']),
+        otherExpenses: sumAccounts(activity, ['5390']),
+        totalExpenses: sumAccounts(activity, fundLedger.getAccountCodesByType('expense'))
+    };
+    
+    const netIncome = fundLedger.roundCents(revenue.totalRevenue - expenses.totalExpenses);
+    
     return {
-        revenue: {
-            interestIncome: statementData.interestIncome || 4200000,
-            feeIncome: statementData.feeIncome || 350000,
-            totalRevenue: 4550000
-        },
-        expenses: {
-            managementFees: 500000,
-            operatingExpenses: 280000,
-            totalExpenses: 780000
-        },
-        netIncome: 3770000,
-        netIncomePerUnit: 3.77,
-        statementPeriod: statementData.statementPeriod || "Q4 2024"
+        revenue: revenue,
+        expenses: expenses,
+        netIncome: netIncome,
+        netIncomePerUnit: totalUnits > 0 ? netIncome / totalUnits : 0,
+        statementPeriod: statementData.statementPeriod || `${periodStart} to ${periodEnd}`,
+        periodStart: periodStart,
+        periodEnd: periodEnd
     };
 }
 
-function generateCashFlowStatement(fundId, statementData) {
+async function generateCashFlowStatement(fundId, statementData) {
+    const { periodStart, periodEnd } = resolveStatementPeriod(statementData);
+    const types = fundLedger.LEDGER_CONFIG.ENTRY_TYPES;
+    const movements = await fundLedger.getCashMovementsByType(fundId, periodStart, periodEnd);
+    const activity = await fundLedger.getPeriodActivity(fundId, periodStart, periodEnd);
+    
+    const investingTypes = [types.LOAN_DISBURSEMENT, types.PRINCIPAL_REPAYMENT];
+    const financingTypes = [types.CAPITAL_CALL, types.DISTRIBUTION];
+    
+    const netIncome = fundLedger.roundCents(
+        sumAccounts(activity, fundLedger.getAccountCodesByType('income')) -
+        sumAccounts(activity, fundLedger.getAccountCodesByType('expense')));
+    const netOperatingCashFlow = sumAccounts(movements,
+        Object.keys(movements).filter(type => !investingTypes.includes(type) && !financingTypes.includes(type)));
+    
+    const loanOriginations = movements[types.LOAN_DISBURSEMENT] || 0;
+    const loanRepayments = movements[types.PRINCIPAL_REPAYMENT] || 0;
+    const capitalCalls = movements[types.CAPITAL_CALL] || 0;
+    const distributions = movements[types.DISTRIBUTION] || 0;
+    
+    const dayBeforeStart = new Date(periodStart);
+    dayBeforeStart.setUTCDate(dayBeforeStart.getUTCDate() - 1);
+    const cashBeginning = await getCashAndEquivalents(fundId, dayBeforeStart);
+    const cashEnding = await getCashAndEquivalents(fundId, periodEnd);
+    
     return {
         operatingActivities: {
-            netIncome: 3770000,
-            adjustments: 150000,
-            netOperatingCashFlow: 3920000
+            netIncome: netIncome,
+            adjustments: fundLedger.roundCents(netOperatingCashFlow - netIncome),
+            netOperatingCashFlow: netOperatingCashFlow
         },
         investingActivities: {
-            loanOriginations: -5500000,
-            loanRepayments: 4200000,
-            netInvestingCashFlow: -1300000
+            loanOriginations: loanOriginations,
+            loanRepayments: loanRepayments,
+            netInvestingCashFlow: fundLedger.roundCents(loanOriginations + loanRepayments)
         },
         financingActivities: {
-            capitalCalls: 2000000,
-            distributions: -3500000,
-            netFinancingCashFlow: -1500000
+            capitalCalls: capitalCalls,
+            distributions: distributions,
+            netFinancingCashFlow: fundLedger.roundCents(capitalCalls + distributions)
         },
-        netCashFlow: 1120000,
-        cashBeginning: 1380000,
-        cashEnding: 2500000
+        netCashFlow: fundLedger.roundCents(cashEnding - cashBeginning),
+        cashBeginning: cashBeginning,
+        cashEnding: cashEnding,
+        periodStart: periodStart,
+        periodEnd: periodEnd
     };
 }
 
@@ -1148,31 +1461,870 @@ function validateSubmissionReadiness(reportPackage) {
     };
 }
 
-// Mock data functions for NAV calculation
-async function getCashAndEquivalents(fundId) { return 2500000; }
-async function getLoansOutstanding(fundId) { return 22000000; }
-async function getAccruedInterest(fundId) { return 450000; }
-async function getOtherAssets(fundId) { return 150000; }
-async function getTotalAssets(fundId) { return 25100000; }
-async function getManagementFeesPayable(fundId) { return 125000; }
-async function getPerformanceFeesPayable(fundId) { return 450000; }
-async function getOperatingExpensesPayable(fundId) { return 75000; }
-async function getOtherLiabilities(fundId) { return 25000; }
-async function getTotalLiabilities(fundId) { return 675000; }
-async function getCommittedCapital(fundId) { return 30000000; }
-async function getCapitalCalled(fundId) { return 25000000; }
-async function getDistributionsPaid(fundId) { return 2000000; }
-async function getPartnerCount(fundId) { return 12; }
-async function getLoanLossProvisions(fundId) { return 350000; }
-async function getFairValueAdjustments(fundId) { return 0; }
-async function getCurrencyAdjustments(fundId) { return -50000; }
-async function getTotalUnits(fundId) { return 1000000; }
-async function getPriorNavPerUnit(fundId) { return 24.15; }
+// Ledger-backed balance functions for NAV calculation
+async function getCashAndEquivalents(fundId, asOfDate = null) {
+    return await fundLedger.getNetBalance(fundId, ['1000'], { asOfDate });
+}
+async function getLoansOutstanding(fundId, asOfDate = null) {
+    return await fundLedger.getNetBalance(fundId, ['1100'], { asOfDate });
+}
+async function getAccruedInterest(fundId, asOfDate = null) {
+    return await fundLedger.getNetBalance(fundId, ['1200'], { asOfDate });
+}
+async function getOtherAssets(fundId, asOfDate = null) {
+    return await fundLedger.getNetBalance(fundId, ['1300', '1400'], { asOfDate });
+}
+async function getTotalAssets(fundId, asOfDate = null) {
+    return await fundLedger.getNetBalance(fundId, fundLedger.getAccountCodesByType('asset'), { asOfDate });
+}
+async function getManagementFeesPayable(fundId, asOfDate = null) {
+    return await fundLedger.getNetBalance(fundId, ['2200'], { asOfDate });
+}
+async function getPerformanceFeesPayable(fundId, asOfDate = null) {
+    return await fundLedger.getNetBalance(fundId, ['2300'], { asOfDate });
+}
+async function getOperatingExpensesPayable(fundId, asOfDate = null) {
+    return await fundLedger.getNetBalance(fundId, ['2000', '2100'], { asOfDate });
+}
+async function getOtherLiabilities(fundId, asOfDate = null) {
+    return await fundLedger.getNetBalance(fundId, ['2400'], { asOfDate });
+}
+async function getTotalLiabilities(fundId, asOfDate = null) {
+    return await fundLedger.getNetBalance(fundId, fundLedger.getAccountCodesByType('liability'), { asOfDate });
+}
+async function getCommittedCapital(fundId, asOfDate = null) {
+    return await fundLedger.getTotalCommitments(fundId, asOfDate);
+}
+async function getCapitalCalled(fundId, asOfDate = null) {
+    return await fundLedger.getAccountBalance(fundId, '3000', { asOfDate });
+}
+async function getDistributionsPaid(fundId, asOfDate = null) {
+    return await fundLedger.getAccountBalance(fundId, '3010', { asOfDate });
+}
+async function getPartnerCount(fundId) {
+    return await fundLedger.getPartnerCount(fundId);
+}
+// Allowance is trued up to the ECL by expectedCreditLoss.runECLProvisioning
+async function getLoanLossProvisions(fundId, asOfDate = null) {
+    return await fundLedger.getAccountBalance(fundId, '1190', { asOfDate });
+}
+async function getFairValueAdjustments(fundId, asOfDate = null) {
+    return await fundLedger.getNetBalance(fundId, ['1150'], { asOfDate });
+}
+async function getCurrencyAdjustments(fundId, asOfDate = null) {
+    return await fundLedger.getAccountBalance(fundId, '4210', { asOfDate });
+}
+async function getTotalUnits(fundId, asOfDate = null) {
+    return await fundLedger.getUnitsOutstanding(fundId, asOfDate);
+}
+async function getPriorNavPerUnit(fundId, beforeDate = null) {
+    const result = await queryWithRetry(`
+        SELECT nav_per_unit FROM fund_nav_strikes
+        WHERE fund_id = $1 AND valuation_date < $2::date
+        ORDER BY valuation_date DESC, revision DESC
+        LIMIT 1
+    `, [fundId, fundLedger.toLedgerDate(beforeDate || new Date())], 3, 'NAV_PRIOR');
+
+    return result.rows.length > 0 ? parseFloat(result.rows[0].nav_per_unit) : null;
+}
+
+// 🧮 NAV STRIKE PERSISTENCE
+
+/**
+ * 💾 Persist a NAV strike (re-striking the same date adds the next revision; earlier ones are kept)
+ */
+async function saveNavStrike(navResult, struckBy = 'system') {
+    const strikeId = `NAV-${Date.now()}-${Math.random().toString(36).substr(2, 6).toUpperCase()}`;
+    const summary = navResult.navSummary;
+
+    const row = await withTransaction(async (client) => {
+        // One strike at a time per fund and date, so two re-strikes cannot take the same revision
+        await client.query('SELECT pg_advisory_xact_lock(hashtext($1))', [`nav_strike:${navResult.fundId}:${navResult.valuationDate}`]);
+        const latest = await client.query(`
+            SELECT COALESCE(MAX(revision), 0) AS revision FROM fund_nav_strikes
+            WHERE fund_id = $1 AND valuation_date = $2::date
+        `, [navResult.fundId, navResult.valuationDate]);
+
+        const result = await client.query(`
+            INSERT INTO fund_nav_strikes
+                (strike_id, fund_id, valuation_date, gross_assets, total_liabilities, loan_loss_provisions,
+                 fair_value_adjustments, currency_adjustments, nav, total_units, nav_per_unit, prior_nav_per_unit,
+                 components, struck_by, revision)
+            VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15)
+            RETURNING strike_id, revision
+        `, [
+            strikeId, navResult.fundId, navResult.valuationDate, summary.grossAssets, summary.totalLiabilities,
+            summary.loanLossProvisions, summary.fairValueAdjustments, summary.currencyAdjustments,
+            summary.netAssetValue, summary.totalUnits, summary.navPerUnit, summary.priorNavPerUnit,
+            JSON.stringify({ navLines: navResult.navLines, reconciliation: navResult.reconciliation }),
+            struckBy || 'system', parseInt(latest.rows[0].revision) + 1
+        ]);
+        return result.rows[0];
+    }, 'NAV_STRIKE_SAVE');
+
+    console.log(`💾 NAV strike saved: ${navResult.fundId} @ ${navResult.valuationDate} (rev ${row.revision})`);
+    return { strikeId: row.strike_id, revision: row.revision };
+}
+
+function mapNavStrike(row) {
+    return {
+        strikeId: row.strike_id,
+        fundId: row.fund_id,
+        valuationDate: row.valuation_date instanceof Date ? fundLedger.toLedgerDate(row.valuation_date) : row.valuation_date,
+        grossAssets: parseFloat(row.gross_assets),
+        totalLiabilities: parseFloat(row.total_liabilities),
+        loanLossProvisions: parseFloat(row.loan_loss_provisions),
+        fairValueAdjustments: parseFloat(row.fair_value_adjustments),
+        currencyAdjustments: parseFloat(row.currency_adjustments),
+        netAssetValue: parseFloat(row.nav),
+        totalUnits: parseFloat(row.total_units),
+        navPerUnit: row.nav_per_unit === null ? null : parseFloat(row.nav_per_unit),
+        priorNavPerUnit: row.prior_nav_per_unit === null ? null : parseFloat(row.prior_nav_per_unit),
+        navLines: row.components.navLines,
+        reconciliation: row.components.reconciliation,
+        revision: row.revision,
+        struckBy: row.struck_by,
+        struckAt: row.created_at
+    };
+}
+
+/**
+ * 🔎 NAV strike in effect on a date (latest strike on or before it, or exact match), at its latest revision
+ */
+async function getNavStrike(fundId, valuationDate = new Date(), exact = false) {
+    const result = await queryWithRetry(`
+        SELECT * FROM fund_nav_strikes
+        WHERE fund_id = $1 AND ${exact ? 'valuation_date = $2::date' : 'valuation_date <= $2::date'}
+        ORDER BY valuation_date DESC, revision DESC
+        LIMIT 1
+    `, [fundId, fundLedger.toLedgerDate(valuationDate)], 3, 'NAV_STRIKE_GET');
+
+    return result.rows.length > 0 ? mapNavStrike(result.rows[0]) : null;
+}
+
+/**
+ * 📈 NAV strikes for a fund within a date range, latest revision of each date
+ */
+async function getNavHistory(fundId, fromDate = null, toDate = null) {
+    const result = await queryWithRetry(`
+        SELECT DISTINCT ON (valuation_date) * FROM fund_nav_strikes
+        WHERE fund_id = $1
+          AND ($2::date IS NULL OR valuation_date >= $2::date)
+          AND ($3::date IS NULL OR valuation_date <= $3::date)
+        ORDER BY valuation_date ASC, revision DESC
+    `, [
+        fundId,
+        fromDate ? fundLedger.toLedgerDate(fromDate) : null,
+        toDate ? fundLedger.toLedgerDate(toDate) : null
+    ], 3, 'NAV_HISTORY');
+
+    return result.rows.map(mapNavStrike);
+}
+
+// 💼 FEE ACCRUAL LEDGER
+
+function generateFeeAccrualId() {
+    return `FEE-${Date.now()}-${Math.random().toString(36).substr(2, 6).toUpperCase()}`;
+}
+
+function nextLedgerDate(date) {
+    return fundLedger.toLedgerDate(new Date(new Date(fundLedger.toLedgerDate(date)).getTime() + 86400000));
+}
+
+/**
+ * 📋 Fee terms for a fund and LP class on a date (framework defaults when none are on file)
+ */
+async function getFeeSchedule(fundId, lpClass = 'A', asOfDate = new Date()) {
+    const result = await queryWithRetry(`
+        SELECT * FROM fund_fee_schedules
+        WHERE fund_id = $1 AND lp_class = $2 AND effective_from <= $3::date
+        ORDER BY effective_from DESC
+        LIMIT 1
+    `, [fundId, lpClass, fundLedger.toLedgerDate(asOfDate)], 3, 'FEE_SCHEDULE_GET');
+
+    if (result.rows.length > 0) {
+        const row = result.rows[0];
+        return {
+            fundId: fundId,
+            lpClass: lpClass,
+            effectiveFrom: fundLedger.toLedgerDate(row.effective_from),
+            managementRate: parseFloat(row.management_rate),
+            investmentPeriodEnd: row.investment_period_end ? fundLedger.toLedgerDate(row.investment_period_end) : null,
+            postPeriodBasis: row.post_period_basis,
+            offsetPercent: parseFloat(row.offset_percent),
+            performanceRate: parseFloat(row.performance_rate),
+            hurdleRate: parseFloat(row.hurdle_rate),
+            highWaterMark: row.high_water_mark,
+            crystallizationFrequency: row.crystallization_frequency,
+            source: 'schedule'
+        };
+    }
+
+    // Default investment period runs from the first close
+    const management = FUND_ACCOUNTING_FRAMEWORK.feeStructure.management_fee;
+    const performance = FUND_ACCOUNTING_FRAMEWORK.feeStructure.performance_fee;
+    const firstClose = await queryWithRetry(`
+        SELECT MIN(commitment_date) AS first_close FROM lp_commitments WHERE fund_id = $1
+    `, [fundId], 3, 'FEE_SCHEDULE_FIRST_CLOSE');
+    let investmentPeriodEnd = null;
+    if (firstClose.rows[0].first_close) {
+        const end = new Date(firstClose.rows[0].first_close);
+        end.setUTCMonth(end.getUTCMonth() + management.investment_period_months);
+        end.setUTCDate(end.getUTCDate() - 1);
+        investmentPeriodEnd = fundLedger.toLedgerDate(end);
+    }
+
+    return {
+        fundId: fundId,
+        lpClass: lpClass,
+        effectiveFrom: null,
+        managementRate: management.rate,
+        investmentPeriodEnd: investmentPeriodEnd,
+        postPeriodBasis: management.post_investment_period_basis,
+        offsetPercent: management.offset_percent,
+        performanceRate: performance.rate,
+        hurdleRate: performance.hurdle_rate,
+        highWaterMark: performance.high_water_mark,
+        crystallizationFrequency: performance.crystallization_frequency,
+        source: 'default'
+    };
+}
+
+/**
+ * 💾 Save fee terms for a fund and LP class
+ */
+async function saveFeeSchedule(fundId, schedule) {
+    const management = FUND_ACCOUNTING_FRAMEWORK.feeStructure.management_fee;
+    const performance = FUND_ACCOUNTING_FRAMEWORK.feeStructure.performance_fee;
+    const lpClass = schedule.lpClass || 'A';
+    const effectiveFrom = fundLedger.toLedgerDate(schedule.effectiveFrom || new Date());
+
+    await queryWithRetry(`
+        INSERT INTO fund_fee_schedules
+            (fund_id, lp_class, effective_from, management_rate, investment_period_end, post_period_basis,
+             offset_percent, performance_rate, hurdle_rate, high_water_mark, crystallization_frequency)
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+        ON CONFLICT (fund_id, lp_class, effective_from) DO UPDATE SET
+            management_rate = EXCLUDED.management_rate,
+            investment_period_end = EXCLUDED.investment_period_end,
+            post_period_basis = EXCLUDED.post_period_basis,
+            offset_percent = EXCLUDED.offset_percent,
+            performance_rate = EXCLUDED.performance_rate,
+            hurdle_rate = EXCLUDED.hurdle_rate,
+            high_water_mark = EXCLUDED.high_water_mark,
+            crystallization_frequency = EXCLUDED.crystallization_frequency
+    `, [
+        fundId, lpClass, effectiveFrom,
+        schedule.managementRate ?? management.rate,
+        schedule.investmentPeriodEnd ? fundLedger.toLedgerDate(schedule.investmentPeriodEnd) : null,
+        schedule.postPeriodBasis || management.post_investment_period_basis,
+        schedule.offsetPercent ?? management.offset_percent,
+        schedule.performanceRate ?? performance.rate,
+        schedule.hurdleRate ?? performance.hurdle_rate,
+        schedule.highWaterMark ?? performance.high_water_mark,
+        schedule.crystallizationFrequency || performance.crystallization_frequency
+    ], 3, 'FEE_SCHEDULE_SAVE');
+
+    console.log(`💾 Fee schedule saved: ${fundId} class ${lpClass} from ${effectiveFrom}`);
+    return await getFeeSchedule(fundId, lpClass, effectiveFrom);
+}
+
+/**
+ * 👥 LP class per LP (latest commitment wins)
+ */
+async function getLPFeeClasses(fundId) {
+    const result = await queryWithRetry(`
+        SELECT DISTINCT ON (lp_id) lp_id, COALESCE(lp_class, 'A') AS lp_class
+        FROM lp_commitments
+        WHERE fund_id = $1
+        ORDER BY lp_id, commitment_date DESC, id DESC
+    `, [fundId], 3, 'FEE_LP_CLASSES');
+
+    const classes = {};
+    result.rows.forEach(row => { classes[row.lp_id] = row.lp_class; });
+    return classes;
+}
+
+/**
+ * 📈 Step series of an LP's committed and invested capital
+ * Invested capital is the LP's contributed share of loans at cost
+ */
+async function getLPCapitalHistory(fundId, lpId, toDate, fundFlows = null) {
+    const commitments = await queryWithRetry(`
+        SELECT commitment_date, committed_amount FROM lp_commitments
+        WHERE fund_id = $1 AND lp_id = $2 AND commitment_date <= $3::date
+    `, [fundId, lpId, fundLedger.toLedgerDate(toDate)], 3, 'FEE_LP_COMMITMENTS');
+
+    const flows = fundFlows || {
+        contributions: await fundLedger.getDatedFlows(fundId, ['3000'], { asOfDate: toDate }),
+        loans: await fundLedger.getDatedFlows(fundId, ['1100'], { asOfDate: toDate })
+    };
+    const lpContributions = await fundLedger.getDatedFlows(fundId, ['3000'], { asOfDate: toDate, lpId: lpId });
+
+    const events = {};
+    const addEvent = (date, field, delta) => {
+        const key = fundLedger.toLedgerDate(date);
+        if (!events[key]) events[key] = { committed: 0, lpContributed: 0, fundContributed: 0, loans: 0 };
+        events[key][field] += delta;
+    };
+    commitments.rows.forEach(row => addEvent(row.commitment_date, 'committed', parseFloat(row.committed_amount)));
+    lpContributions.forEach(f => addEvent(f.date, 'lpContributed', f.credit - f.debit));
+    flows.contributions.forEach(f => addEvent(f.date, 'fundContributed', f.credit - f.debit));
+    flows.loans.forEach(f => addEvent(f.date, 'loans', f.debit - f.credit));
+
+    const totals = { committed: 0, lpContributed: 0, fundContributed: 0, loans: 0 };
+    return Object.keys(events).sort().map(date => {
+        Object.keys(totals).forEach(field => { totals[field] += events[date][field]; });
+        return {
+            date: date,
+            committed: totals.committed,
+            invested: totals.fundContributed > 0 ? totals.loans * totals.lpContributed / totals.fundContributed : 0
+        };
+    });
+}
+
+// Fee reads and writes go through the caller's transaction client when there is one
+function feeQuery(client, sql, params, context) {
+    return client ? client.query(sql, params) : queryWithRetry(sql, params, 3, context);
+}
+
+async function saveFeeAccrual(accrual, client = null) {
+    const sql = `
+        INSERT INTO fee_accruals
+            (accrual_id, fund_id, lp_id, lp_class, fee_type, period_start, period_end, basis_type,
+             average_basis, amount, entry_id, details)
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
+    `;
+    const params = [
+        accrual.accrualId, accrual.fundId, accrual.lpId, accrual.lpClass, accrual.feeType,
+        accrual.periodStart, accrual.periodEnd, accrual.basisType || null, accrual.averageBasis || null,
+        accrual.amount, accrual.entryId || null, JSON.stringify(accrual.details || {})
+    ];
+    if (client) {
+        await client.query(sql, params);
+    } else {
+        await queryWithRetry(sql, params, 3, 'FEE_ACCRUAL_SAVE');
+    }
+}
+
+/**
+ * 💰 Accrue management fees per LP up to a date and post them to the ledger
+ * Each LP accrues from the day after its last accrual (or its first commitment); an explicit
+ * periodStartDate never reaches back into a period already accrued. All LPs post in one transaction;
+ * options.client runs it in the caller's transaction
+ */
+async function accrueManagementFees(fundId, options = {}) {
+    const periodEnd = fundLedger.toLedgerDate(options.periodEndDate || new Date());
+    const post = options.post !== false;
+    const lpClasses = await getLPFeeClasses(fundId);
+    const fundFlows = {
+        contributions: await fundLedger.getDatedFlows(fundId, ['3000'], { asOfDate: periodEnd }),
+        loans: await fundLedger.getDatedFlows(fundId, ['1100'], { asOfDate: periodEnd })
+    };
+
+    const accrue = async (client) => {
+        const lastAccrualsSql = `
+            SELECT lp_id, MAX(period_end) AS last_end FROM fee_accruals
+            WHERE fund_id = $1 AND fee_type = 'management'
+            GROUP BY lp_id
+        `;
+        let lastAccruals;
+        if (client) {
+            // Serializes concurrent runs for the fund so both cannot start from the same last accrual
+            await client.query('SELECT pg_advisory_xact_lock(hashtext($1))', [`management_fees:${fundId}`]);
+            lastAccruals = await client.query(lastAccrualsSql, [fundId]);
+        } else {
+            lastAccruals = await queryWithRetry(lastAccrualsSql, [fundId], 3, 'FEE_LAST_ACCRUAL');
+        }
+        const lastEndByLp = {};
+        lastAccruals.rows.forEach(row => { lastEndByLp[row.lp_id] = fundLedger.toLedgerDate(row.last_end); });
+
+        const accruals = [];
+        const calculations = [];
+
+        for (const [lpId, lpClass] of Object.entries(lpClasses)) {
+            const history = await getLPCapitalHistory(fundId, lpId, periodEnd, fundFlows);
+            if (history.length === 0) continue;
+
+            let periodStart = options.periodStartDate ? fundLedger.toLedgerDate(options.periodStartDate) : history[0].date;
+            if (lastEndByLp[lpId] && periodStart <= lastEndByLp[lpId]) {
+                periodStart = nextLedgerDate(lastEndByLp[lpId]);
+            }
+            if (periodStart > periodEnd) continue;
+
+            const schedule = await getFeeSchedule(fundId, lpClass, periodEnd);
+            const calculation = calculateManagementFeeAmount({
+                periodStartDate: periodStart,
+                periodEndDate: periodEnd,
+                rate: schedule.managementRate,
+                investmentPeriodEnd: schedule.investmentPeriodEnd,
+                postPeriodBasis: schedule.postPeriodBasis,
+                capitalHistory: history
+            });
+            calculations.push(calculation);
+            if (calculation.totalFee <= 0) continue;
+
+            const accrual = {
+                accrualId: generateFeeAccrualId(),
+                fundId: fundId,
+                lpId: lpId,
+                lpClass: lpClass,
+                feeType: 'management',
+                periodStart: periodStart,
+                periodEnd: periodEnd,
+                basisType: calculation.basisSwitchDate ? 'mixed' : calculation.basisType,
+                averageBasis: calculation.calculationBasis,
+                amount: calculation.totalFee,
+                details: { rate: schedule.managementRate, days: calculation.numberOfDays, basisSwitchDate: calculation.basisSwitchDate }
+            };
+
+            if (post) {
+                const entry = await fundLedger.postFeeAccrual(fundId, {
+                    feeType: 'management',
+                    amount: accrual.amount,
+                    lpId: lpId,
+                    date: periodEnd,
+                    reference: accrual.accrualId,
+                    description: `Management fee ${periodStart} to ${periodEnd} (class ${lpClass})`,
+                    postedBy: options.postedBy
+                }, client);
+                accrual.entryId = entry.entryId;
+                await saveFeeAccrual(accrual, client);
+            }
+            accruals.push(accrual);
+        }
+
+        return { accruals: accruals, calculations: calculations };
+    };
+
+    const { accruals, calculations } = options.client
+        ? await accrue(options.client)
+        : post ? await withTransaction(accrue, 'FEE_MANAGEMENT_ACCRUAL') : await accrue(null);
+
+    const totalFee = fundLedger.roundCents(accruals.reduce((sum, a) => sum + a.amount, 0));
+    if (post && accruals.length > 0) {
+        console.log(`💰 Management fees accrued: ${fundId} to ${periodEnd} (${totalFee.toLocaleString()} USD, ${accruals.length} LPs)`);
+    }
+
+    return {
+        fundId: fundId,
+        periodEndDate: periodEnd,
+        posted: post,
+        accruals: accruals,
+        totalFee: totalFee,
+        calculation: calculations.length > 0 ? combineFeeCalculations(calculations) : null
+    };
+}
+
+/**
+ * 🧾 Record a transaction fee received by the manager for offset against management fees
+ */
+async function recordFeeOffset(fundId, offsetData) {
+    const amount = fundLedger.roundCents(offsetData.amount);
+    if (!(amount > 0)) throw new Error('Fee offset amount must be positive');
+
+    const offsetId = `OFS-${Date.now()}-${Math.random().toString(36).substr(2, 6).toUpperCase()}`;
+    await queryWithRetry(`
+        INSERT INTO fee_offsets (offset_id, fund_id, offset_date, amount, description)
+        VALUES ($1, $2, $3, $4, $5)
+    `, [offsetId, fundId, fundLedger.toLedgerDate(offsetData.date || new Date()), amount, offsetData.description || null],
+    3, 'FEE_OFFSET_SAVE');
+
+    console.log(`🧾 Fee offset recorded: ${fundId} (${amount.toLocaleString()} USD)`);
+    return { offsetId: offsetId, fundId: fundId, amount: amount };
+}
+
+/**
+ * ➖ Apply unapplied offsets against management fees accrued in a period
+ * Each LP's share of the offset pool follows its fee, scaled by its class offset percent. The posting,
+ * the offset accruals and the pool consumption commit together under a per-fund lock;
+ * options.client runs them in the caller's transaction
+ */
+async function applyFeeOffsets(fundId, periodStartDate, periodEndDate, options = {}) {
+    const periodStart = fundLedger.toLedgerDate(periodStartDate);
+    const periodEnd = fundLedger.toLedgerDate(periodEndDate);
+    const post = options.post !== false;
+
+    const apply = async (client) => {
+        if (client) {
+            await client.query('SELECT pg_advisory_xact_lock(hashtext($1))', [`fee_offsets:${fundId}`]);
+        }
+
+        const offsets = await feeQuery(client, `
+            SELECT offset_id, amount - applied_amount AS available FROM fee_offsets
+            WHERE fund_id = $1 AND offset_date <= $2::date AND applied_amount < amount
+            ORDER BY offset_date ASC, id ASC
+        `, [fundId, periodEnd], 'FEE_OFFSETS_OPEN');
+        const pool = offsets.rows.reduce((sum, row) => sum + parseFloat(row.available), 0);
+        if (pool <= 0) return { fundId: fundId, applied: 0, lines: [] };
+
+        const fees = await feeQuery(client, `
+            SELECT lp_id, lp_class, SUM(amount) AS fee FROM fee_accruals
+            WHERE fund_id = $1 AND fee_type IN ('management', 'management_offset')
+              AND period_end BETWEEN $2::date AND $3::date
+            GROUP BY lp_id, lp_class
+            HAVING SUM(amount) > 0
+        `, [fundId, periodStart, periodEnd], 'FEE_OFFSET_BASE');
+        const totalFees = fees.rows.reduce((sum, row) => sum + parseFloat(row.fee), 0);
+        if (totalFees <= 0) return { fundId: fundId, applied: 0, lines: [] };
+
+        const lines = [];
+        let poolConsumed = 0;
+        for (const row of fees.rows) {
+            const fee = parseFloat(row.fee);
+            const schedule = await getFeeSchedule(fundId, row.lp_class, periodEnd);
+            const poolShare = pool * fee / totalFees;
+            const reduction = fundLedger.roundCents(Math.min(poolShare * schedule.offsetPercent, fee));
+            if (reduction <= 0) continue;
+            poolConsumed += schedule.offsetPercent > 0 ? Math.min(poolShare, reduction / schedule.offsetPercent) : poolShare;
+            lines.push({ lpId: row.lp_id, lpClass: row.lp_class, reduction: reduction });
+        }
+        const applied = fundLedger.roundCents(lines.reduce((sum, l) => sum + l.reduction, 0));
+        if (applied <= 0 || !post) {
+            return { fundId: fundId, applied: applied, lines: lines, posted: false };
+        }
+
+        const entry = await fundLedger.postJournalEntry(fundId, {
+            entryDate: periodEnd,
+            entryType: fundLedger.LEDGER_CONFIG.ENTRY_TYPES.FEE_ACCRUAL,
+            description: `Management fee offset ${periodStart} to ${periodEnd}`,
+            postedBy: options.postedBy,
+            lines: lines.flatMap(l => [
+                { accountCode: '2200', debit: l.reduction, lpId: l.lpId },
+                { accountCode: '5000', credit: l.reduction, lpId: l.lpId }
+            ])
+        }, client);
+
+        for (const l of lines) {
+            await saveFeeAccrual({
+                accrualId: generateFeeAccrualId(), fundId: fundId, lpId: l.lpId, lpClass: l.lpClass,
+                feeType: 'management_offset', periodStart: periodStart, periodEnd: periodEnd,
+                amount: -l.reduction, entryId: entry.entryId
+            }, client);
+        }
+
+        // Consume the offset pool oldest first
+        let remaining = fundLedger.roundCents(poolConsumed);
+        for (const row of offsets.rows) {
+            if (remaining <= 0) break;
+            const take = Math.min(remaining, parseFloat(row.available));
+            await feeQuery(client, `
+                UPDATE fee_offsets SET applied_amount = applied_amount + $2 WHERE offset_id = $1
+            `, [row.offset_id, fundLedger.roundCents(take)], 'FEE_OFFSET_APPLY');
+            remaining = fundLedger.roundCents(remaining - take);
+        }
+
+        console.log(`➖ Fee offsets applied: ${fundId} (${applied.toLocaleString()} USD)`);
+        return { fundId: fundId, applied: applied, lines: lines, entryId: entry.entryId, posted: true };
+    };
+
+    if (options.client) return await apply(options.client);
+    return post ? await withTransaction(apply, 'FEE_OFFSET_APPLY') : await apply(null);
+}
+
+/**
+ * 🏔️ High-water mark for an LP (initial NAV per unit from its first contribution until the first crystallization)
+ */
+async function getHighWaterMark(fundId, lpId, client = null) {
+    const result = await feeQuery(client, `
+        SELECT nav_per_unit, set_date FROM fee_high_water_marks WHERE fund_id = $1 AND lp_id = $2
+    `, [fundId, lpId], 'FEE_HWM_GET');
+
+    if (result.rows.length > 0) {
+        return {
+            navPerUnit: parseFloat(result.rows[0].nav_per_unit),
+            setDate: fundLedger.toLedgerDate(result.rows[0].set_date),
+            source: 'crystallization'
+        };
+    }
+
+    const flows = await fundLedger.getDatedFlows(fundId, ['3000'], { lpId: lpId });
+    return {
+        navPerUnit: FUND_ACCOUNTING_FRAMEWORK.feeStructure.performance_fee.initial_nav_per_unit,
+        setDate: flows.length > 0 ? flows[0].date : null,
+        source: 'initial'
+    };
+}
+
+/**
+ * 🏆 Accrue performance fees per LP against the high-water mark and post the change
+ * NAV per unit is taken gross of uncrystallized performance fee accruals. Posting runs read the
+ * accrued amounts and post every LP in one transaction under a per-fund lock;
+ * options.client runs them in the caller's transaction
+ */
+async function accruePerformanceFees(fundId, valuationDate = new Date(), options = {}) {
+    const date = fundLedger.toLedgerDate(valuationDate);
+    const post = options.post !== false;
+    const strike = await getNavStrike(fundId, date);
+    if (!strike) throw new Error(`No NAV strike on or before ${date} for ${fundId}`);
+    const lpClasses = await getLPFeeClasses(fundId);
+
+    const accrue = async (client) => {
+        if (client) {
+            await client.query('SELECT pg_advisory_xact_lock(hashtext($1))', [`performance_fees:${fundId}`]);
+        }
+
+        const uncrystallized = await feeQuery(client, `
+            SELECT lp_id, SUM(amount) AS accrued, MAX(period_end) AS last_end FROM fee_accruals
+            WHERE fund_id = $1 AND fee_type = 'performance' AND crystallized_at IS NULL
+            GROUP BY lp_id
+        `, [fundId], 'FEE_PERF_UNCRYSTALLIZED');
+        const accruedByLp = {};
+        const lastEndByLp = {};
+        uncrystallized.rows.forEach(row => {
+            accruedByLp[row.lp_id] = parseFloat(row.accrued) || 0;
+            lastEndByLp[row.lp_id] = fundLedger.toLedgerDate(row.last_end);
+        });
+        const fundAccrued = Object.values(accruedByLp).reduce((sum, v) => sum + v, 0);
+        const grossNavPerUnit = strike.totalUnits > 0 ? (strike.netAssetValue + fundAccrued) / strike.totalUnits : 0;
+
+        const accruals = [];
+        for (const [lpId, lpClass] of Object.entries(lpClasses)) {
+            const units = await fundLedger.getUnitsOutstanding(fundId, date, lpId);
+            if (units <= 0) continue;
+
+            const schedule = await getFeeSchedule(fundId, lpClass, date);
+            const highWaterMark = await getHighWaterMark(fundId, lpId, client);
+            const calculation = calculatePerformanceFeeAmount({
+                navPerUnit: grossNavPerUnit,
+                highWaterMark: highWaterMark.navPerUnit,
+                highWaterMarkDate: highWaterMark.setDate,
+                valuationDate: date,
+                units: units,
+                rate: schedule.performanceRate,
+                highWaterMarkEnabled: schedule.highWaterMark
+            }, { hurdleRate: schedule.hurdleRate });
+
+            const alreadyAccrued = fundLedger.roundCents(accruedByLp[lpId] || 0);
+            const change = fundLedger.roundCents(calculation.totalFee - alreadyAccrued);
+            const accrual = {
+                accrualId: generateFeeAccrualId(),
+                fundId: fundId,
+                lpId: lpId,
+                lpClass: lpClass,
+                feeType: 'performance',
+                periodStart: lastEndByLp[lpId] ? nextLedgerDate(lastEndByLp[lpId]) : (highWaterMark.setDate || date),
+                periodEnd: date,
+                basisType: 'nav_per_unit',
+                averageBasis: fundLedger.roundCents(grossNavPerUnit * units),
+                amount: change,
+                totalAccrued: calculation.totalFee,
+                calculation: calculation,
+                details: {
+                    navPerUnit: calculation.navPerUnit,
+                    highWaterMark: calculation.highWaterMark,
+                    hurdleNavPerUnit: calculation.hurdleNavPerUnit,
+                    units: units,
+                    strikeId: strike.strikeId
+                }
+            };
+
+            if (post && Math.abs(change) >= 0.01) {
+                const entry = change > 0
+                    ? await fundLedger.postFeeAccrual(fundId, {
+                        feeType: 'performance', amount: change, lpId: lpId, date: date,
+                        reference: accrual.accrualId,
+                        description: `Performance fee accrual to ${date} (class ${lpClass})`,
+                        postedBy: options.postedBy
+                    }, client)
+                    : await fundLedger.postJournalEntry(fundId, {
+                        entryDate: date,
+                        entryType: fundLedger.LEDGER_CONFIG.ENTRY_TYPES.FEE_ACCRUAL,
+                        description: `Performance fee accrual released to ${date} (class ${lpClass})`,
+                        reference: accrual.accrualId,
+                        postedBy: options.postedBy,
+                        lines: [
+                            { accountCode: '2300', debit: -change, lpId: lpId },
+                            { accountCode: '5050', credit: -change, lpId: lpId }
+                        ]
+                    }, client);
+                accrual.entryId = entry.entryId;
+                await saveFeeAccrual(accrual, client);
+            }
+            accruals.push(accrual);
+        }
+
+        return { accruals: accruals, grossNavPerUnit: grossNavPerUnit };
+    };
+
+    const { accruals, grossNavPerUnit } = options.client
+        ? await accrue(options.client)
+        : post ? await withTransaction(accrue, 'FEE_PERFORMANCE_ACCRUAL') : await accrue(null);
+
+    const totalAccrued = fundLedger.roundCents(accruals.reduce((sum, a) => sum + a.totalAccrued, 0));
+    if (post) {
+        console.log(`🏆 Performance fees accrued: ${fundId} @ ${date} (${totalAccrued.toLocaleString()} USD outstanding)`);
+    }
+
+    return {
+        fundId: fundId,
+        valuationDate: date,
+        strikeId: strike.strikeId,
+        grossNavPerUnit: Math.round(grossNavPerUnit * 1e6) / 1e6,
+        posted: post,
+        accruals: accruals,
+        totalAccrued: totalAccrued,
+        totalChange: fundLedger.roundCents(accruals.reduce((sum, a) => sum + a.amount, 0))
+    };
+}
+
+/**
+ * 💎 Crystallize fees at a period end
+ * Accrues both fees to the date, applies offsets, locks accruals and resets high-water marks,
+ * all in one transaction under a per-fund lock so a retry or a concurrent run cannot crystallize twice
+ */
+async function crystallizeFees(fundId, periodEndDate, options = {}) {
+    const periodEnd = fundLedger.toLedgerDate(periodEndDate);
+    const strike = await getNavStrike(fundId, periodEnd);
+
+    const crystallize = async (client) => {
+        await client.query('SELECT pg_advisory_xact_lock(hashtext($1))', [`fee_crystallization:${fundId}`]);
+
+        const management = await accrueManagementFees(fundId, { periodEndDate: periodEnd, postedBy: options.postedBy, client });
+        const lastCrystallization = await client.query(`
+            SELECT MAX(crystallized_at) AS last_date FROM fee_accruals
+            WHERE fund_id = $1 AND fee_type = 'management' AND crystallized_at IS NOT NULL
+        `, [fundId]);
+        const offsetStart = lastCrystallization.rows[0].last_date
+            ? nextLedgerDate(lastCrystallization.rows[0].last_date)
+            : '1900-01-01';
+        const offsets = await applyFeeOffsets(fundId, offsetStart, periodEnd, { postedBy: options.postedBy, client });
+
+        await client.query(`
+            UPDATE fee_accruals SET crystallized_at = $2
+            WHERE fund_id = $1 AND fee_type IN ('management', 'management_offset')
+              AND crystallized_at IS NULL AND period_end <= $2::date
+        `, [fundId, periodEnd]);
+
+        // Performance fees crystallize only for classes whose period ends today
+        const performanceCrystallized = [];
+        if (strike) {
+            const performance = await accruePerformanceFees(fundId, periodEnd, { postedBy: options.postedBy, client });
+            for (const accrual of performance.accruals) {
+                const schedule = await getFeeSchedule(fundId, accrual.lpClass, periodEnd);
+                const assessment = assessFeeCrystallization(accrual.calculation, {
+                    valuationDate: periodEnd,
+                    frequency: schedule.crystallizationFrequency
+                });
+                if (!assessment.isCrystallizationDate) continue;
+
+                await client.query(`
+                    UPDATE fee_accruals SET crystallized_at = $3
+                    WHERE fund_id = $1 AND lp_id = $2 AND fee_type = 'performance' AND crystallized_at IS NULL
+                `, [fundId, accrual.lpId, periodEnd]);
+
+                if (assessment.newHighWaterMark !== null) {
+                    await client.query(`
+                        INSERT INTO fee_high_water_marks (fund_id, lp_id, nav_per_unit, set_date)
+                        VALUES ($1, $2, $3, $4)
+                        ON CONFLICT (fund_id, lp_id) DO UPDATE SET
+                            nav_per_unit = EXCLUDED.nav_per_unit,
+                            set_date = EXCLUDED.set_date,
+                            updated_at = CURRENT_TIMESTAMP
+                    `, [fundId, accrual.lpId, assessment.newHighWaterMark, periodEnd]);
+                }
+
+                performanceCrystallized.push({
+                    lpId: accrual.lpId,
+                    lpClass: accrual.lpClass,
+                    crystallizedAmount: assessment.crystallizedAmount,
+                    newHighWaterMark: assessment.newHighWaterMark
+                });
+            }
+        }
+
+        return { management, offsets, performanceCrystallized };
+    };
+
+    const { management, offsets, performanceCrystallized } = await withTransaction(crystallize, 'FEE_CRYSTALLIZATION');
+    console.log(`💎 Fees crystallized: ${fundId} @ ${periodEnd}`);
+
+    return {
+        fundId: fundId,
+        periodEndDate: periodEnd,
+        managementFees: {
+            accrued: management.totalFee,
+            offsetsApplied: offsets.applied
+        },
+        performanceFees: {
+            navStrikeAvailable: Boolean(strike),
+            crystallized: performanceCrystallized,
+            totalCrystallized: fundLedger.roundCents(performanceCrystallized.reduce((sum, p) => sum + p.crystallizedAmount, 0))
+        },
+        crystallizationDate: new Date().toISOString()
+    };
+}
+
+/**
+ * 📑 Fee schedule for a fund by LP class: terms, accrued, offset and crystallized amounts
+ */
+async function getFundFeeSchedule(fundId, options = {}) {
+    const periodEnd = fundLedger.toLedgerDate(options.periodEndDate || new Date());
+    const periodStart = options.periodStartDate ? fundLedger.toLedgerDate(options.periodStartDate) : null;
+
+    const result = await queryWithRetry(`
+        SELECT lp_id, lp_class, fee_type,
+               SUM(amount) AS amount,
+               SUM(CASE WHEN crystallized_at IS NOT NULL THEN amount ELSE 0 END) AS crystallized
+        FROM fee_accruals
+        WHERE fund_id = $1 AND period_end <= $2::date AND ($3::date IS NULL OR period_end >= $3::date)
+        GROUP BY lp_id, lp_class, fee_type
+        ORDER BY lp_class, lp_id
+    `, [fundId, periodEnd, periodStart], 3, 'FEE_SCHEDULE_SUMMARY');
+
+    const lpClasses = await getLPFeeClasses(fundId);
+    const classes = {};
+    const ensureClass = async (lpClass) => {
+        if (!classes[lpClass]) {
+            classes[lpClass] = {
+                lpClass: lpClass,
+                terms: await getFeeSchedule(fundId, lpClass, periodEnd),
+                lps: {},
+                totals: { management: 0, managementOffset: 0, performance: 0, crystallized: 0 }
+            };
+        }
+        return classes[lpClass];
+    };
+
+    for (const [lpId, lpClass] of Object.entries(lpClasses)) {
+        (await ensureClass(lpClass)).lps[lpId] = { lpId: lpId, management: 0, managementOffset: 0, performance: 0, crystallized: 0 };
+    }
+
+    for (const row of result.rows) {
+        const cls = await ensureClass(row.lp_class);
+        if (!cls.lps[row.lp_id]) cls.lps[row.lp_id] = { lpId: row.lp_id, management: 0, managementOffset: 0, performance: 0, crystallized: 0 };
+        const field = row.fee_type === 'management_offset' ? 'managementOffset' : row.fee_type;
+        const amount = parseFloat(row.amount) || 0;
+        const crystallized = parseFloat(row.crystallized) || 0;
+        cls.lps[row.lp_id][field] = fundLedger.roundCents(cls.lps[row.lp_id][field] + amount);
+        cls.lps[row.lp_id].crystallized = fundLedger.roundCents(cls.lps[row.lp_id].crystallized + crystallized);
+        cls.totals[field] = fundLedger.roundCents(cls.totals[field] + amount);
+        cls.totals.crystallized = fundLedger.roundCents(cls.totals.crystallized + crystallized);
+    }
+
+    const classList = Object.values(classes).map(cls => ({ ...cls, lps: Object.values(cls.lps) }));
+    const fundTotal = field => fundLedger.roundCents(classList.reduce((sum, cls) => sum + cls.totals[field], 0));
+
+    return {
+        fundId: fundId,
+        periodStartDate: periodStart,
+        periodEndDate: periodEnd,
+        classes: classList,
+        totals: {
+            management: fundTotal('management'),
+            managementOffset: fundTotal('managementOffset'),
+            performance: fundTotal('performance'),
+            crystallized: fundTotal('crystallized')
+        },
+        generatedDate: new Date().toISOString()
+    };
+}
 
 // 📊 EXPORT FUNCTIONS
 module.exports = {
     // Core accounting functions
     calculateNAV,
+    computeNAV,
     calculateManagementFees,
     calculatePerformanceFees,
     generateFinancialStatements,
@@ -1185,6 +2337,12 @@ module.exports = {
     calculateEquity,
     calculateNAVMetrics,
     
+    // NAV strike functions
+    saveNavStrike,
+    getNavStrike,
+    getNavHistory,
+    getPriorNavPerUnit,
+    
     // Fee calculation functions
     calculateManagementFeeAmount,
     generateFeeAccrualSchedule,
@@ -1192,6 +2350,21 @@ module.exports = {
     calculateHurdleRate,
     calculatePerformanceFeeAmount,
     assessFeeCrystallization,
+    combineFeeCalculations,
+    getCrystallizationPeriodEnd,
+    
+    // Fee accrual ledger functions
+    getFeeSchedule,
+    saveFeeSchedule,
+    getLPFeeClasses,
+    getLPCapitalHistory,
+    accrueManagementFees,
+    accruePerformanceFees,
+    recordFeeOffset,
+    applyFeeOffsets,
+    getHighWaterMark,
+    crystallizeFees,
+    getFundFeeSchedule,
     
     // Financial statement functions
     generateBalanceSheet,
@@ -1199,6 +2372,26 @@ module.exports = {
     generateCashFlowStatement,
     generateNotesToStatements,
     
+    // Ledger balance functions
+    getCashAndEquivalents,
+    getLoansOutstanding,
+    getAccruedInterest,
+    getOtherAssets,
+    getTotalAssets,
+    getManagementFeesPayable,
+    getPerformanceFeesPayable,
+    getOperatingExpensesPayable,
+    getOtherLiabilities,
+    getTotalLiabilities,
+    getCommittedCapital,
+    getCapitalCalled,
+    getDistributionsPaid,
+    getPartnerCount,
+    getLoanLossProvisions,
+    getFairValueAdjustments,
+    getCurrencyAdjustments,
+    getTotalUnits,
+    
     // Currency management functions
     calculateCurrencyConversions,
     analyzeFXImpact,
@@ -0,0 +1,982 @@
+// cambodia/fundLedger.js - Double-Entry Fund Ledger for Cambodia Lending Fund
+// Journal entries, chart of accounts and per-fund balances persisted in PostgreSQL
+
+const { queryWithRetry, withTransaction } = require('../utils/database');
+const { getForexRates } = require('../utils/liveData');
+
+// 📒 CHART OF ACCOUNTS
+// Categories mirror FUND_ACCOUNTING_FRAMEWORK.chartOfAccounts in fundAccounting.js
+const FUND_LEDGER_ACCOUNTS = {
+    // Assets
+    '1000': { name: 'Cash and Cash Equivalents', type: 'asset', category: 'cash_and_equivalents', normal: 'debit' },
+    '1100': { name: 'Loans Receivable - Principal', type: 'asset', category: 'loans_receivable', normal: 'debit' },
+    '1150': { name: 'Loan Fair Value Adjustments', type: 'asset', category: 'loans_receivable', normal: 'debit' },
+    '1190': { name: 'Allowance for Loan Losses', type: 'asset', category: 'loans_receivable', normal: 'credit' },
+    '1200': { name: 'Interest Receivable', type: 'asset', category: 'interest_receivable', normal: 'debit' },
+    '1300': { name: 'Other Receivables', type: 'asset', category: 'other_receivables', normal: 'debit' },
+    '1400': { name: 'Investments', type: 'asset', category: 'investments', normal: 'debit' },
+
+    // Liabilities
+    '2000': { name: 'Accounts Payable', type: 'liability', category: 'accounts_payable', normal: 'credit' },
+    '2100': { name: 'Accrued Operating Expenses', type: 'liability', category: 'accrued_expenses', normal: 'credit' },
+    '2200': { name: 'Management Fees Payable', type: 'liability', category: 'management_fees_payable', normal: 'credit' },
+    '2300': { name: 'Performance Fees Payable', type: 'liability', category: 'performance_fees_payable', normal: 'credit' },
+    '2400': { name: 'Other Liabilities', type: 'liability', category: 'other_liabilities', normal: 'credit' },
+
+    // Equity
+    '3000': { name: 'Partner Capital - Contributions', type: 'equity', category: 'partner_capital', normal: 'credit' },
+    '3010': { name: 'Partner Capital - Distributions', type: 'equity', category: 'partner_capital', normal: 'debit' },
+    '3100': { name: 'Retained Earnings', type: 'equity', category: 'retained_earnings', normal: 'credit' },
+
+    // Income
+    '4000': { name: 'Interest Income', type: 'income', category: 'interest_income', normal: 'credit' },
+    '4100': { name: 'Fee Income', type: 'income', category: 'fee_income', normal: 'credit' },
+    '4200': { name: 'Other Income', type: 'income', category: 'other_income', normal: 'credit' },
+    '4210': { name: 'Foreign Exchange Gain/(Loss)', type: 'income', category: 'other_income', normal: 'credit' },
+    '4250': { name: 'Unrealized Gain/(Loss) on Loans', type: 'income', category: 'other_income', normal: 'credit' },
+
+    // Expenses
+    '5000': { name: 'Management Fee Expense', type: 'expense', category: 'management_fees', normal: 'debit' },
+    '5050': { name: 'Performance Fee Expense', type: 'expense', category: 'management_fees', normal: 'debit' },
+    '5100': { name: 'Operating Expenses', type: 'expense', category: 'operating_expenses', normal: 'debit' },
+    '5200': { name: 'Interest Expense', type: 'expense', category: 'interest_expense', normal: 'debit' },
+    '5300': { name: 'Provision for Credit Losses', type: 'expense', category: 'other_expenses', normal: 'debit' },
+    '5390': { name: 'Other Expenses', type: 'expense', category: 'other_expenses', normal: 'debit' }
+};
+
+// 📋 LEDGER CONFIGURATION
+const LEDGER_CONFIG = {
+    ENTRY_TYPES: {
+        CAPITAL_CALL: 'capital_call',
+        LOAN_DISBURSEMENT: 'loan_disbursement',
+        PRINCIPAL_REPAYMENT: 'principal_repayment',
+        INTEREST_ACCRUAL: 'interest_accrual',
+        INTEREST_RECEIPT: 'interest_receipt',
+        FEE_ACCRUAL: 'fee_accrual',
+        FEE_PAYMENT: 'fee_payment',
+        DISTRIBUTION: 'distribution',
+        EXPENSE: 'expense',
+        PROVISION: 'provision',
+        MANUAL: 'manual'
+    },
+
+    // Fee type → [expense account, payable account]
+    FEE_ACCOUNTS: {
+        management: ['5000', '2200'],
+        performance: ['5050', '2300'],
+        operating: ['5100', '2100']
+    },
+
+    // The ledger is kept in USD; fxRate on an entry is units of its currency per 1 USD (e.g. 4100 for KHR)
+    BASE_CURRENCY: 'USD',
+    BALANCE_TOLERANCE: 0.005 // Debits and credits must agree to the cent
+};
+
+// 🧮 LEDGER HELPERS
+
+function roundCents(amount) {
+    return Math.round((Number(amount) || 0) * 100) / 100;
+}
+
+function toLedgerDate(date) {
+    const d = date ? new Date(date) : new Date();
+    if (isNaN(d.getTime())) {
+        throw new Error(`Invalid ledger date: ${date}`);
+    }
+    return d.toISOString().split('T')[0];
+}
+
+function generateEntryId() {
+    return `JE-${Date.now()}-${Math.random().toString(36).substr(2, 6).toUpperCase()}`;
+}
+
+/**
+ * ✅ Validate journal lines (known accounts, one-sided lines, balanced totals)
+ */
+function validateJournalLines(lines) {
+    if (!Array.isArray(lines) || lines.length < 2) {
+        throw new Error('Journal entry requires at least two lines');
+    }
+
+    let totalDebit = 0;
+    let totalCredit = 0;
+
+    const normalized = lines.map((line, index) => {
+        if (!FUND_LEDGER_ACCOUNTS[line.accountCode]) {
+            throw new Error(`Line ${index + 1}: unknown account ${line.accountCode}`);
+        }
+
+        const debit = roundCents(line.debit);
+        const credit = roundCents(line.credit);
+
+        if (debit < 0 || credit < 0) {
+            throw new Error(`Line ${index + 1}: negative amounts are not allowed`);
+        }
+        if ((debit > 0) === (credit > 0)) {
+            throw new Error(`Line ${index + 1}: must have either a debit or a credit`);
+        }
+
+        totalDebit += debit;
+        totalCredit += credit;
+
+        return {
+            accountCode: line.accountCode,
+            debit,
+            credit,
+            lpId: line.lpId || null,
+            dealId: line.dealId || null,
+            memo: line.memo || null
+        };
+    });
+
+    if (Math.abs(totalDebit - totalCredit) > LEDGER_CONFIG.BALANCE_TOLERANCE) {
+        throw new Error(`Unbalanced entry: debits ${totalDebit.toFixed(2)} ≠ credits ${totalCredit.toFixed(2)}`);
+    }
+
+    return { lines: normalized, totalDebit: roundCents(totalDebit), totalCredit: roundCents(totalCredit) };
+}
+
+/**
+ * ➕ Signed balance of an account from the perspective of its account type
+ * (assets/expenses are debit-positive, everything else credit-positive)
+ */
+function typeSignedBalance(accountCode, debit, credit) {
+    const account = FUND_LEDGER_ACCOUNTS[accountCode];
+    const isDebitType = account.type === 'asset' || account.type === 'expense';
+    return roundCents(isDebitType ? debit - credit : credit - debit);
+}
+
+/**
+ * 💱 Convert an amount in an entry currency to USD
+ */
+function toBaseAmount(amount, currency, fxRate) {
+    if (!currency || currency.toUpperCase() === LEDGER_CONFIG.BASE_CURRENCY) return roundCents(amount);
+    if (!(Number(fxRate) > 0)) {
+        throw new Error(`FX rate to ${LEDGER_CONFIG.BASE_CURRENCY} is required for ${currency} entries`);
+    }
+    return roundCents(amount / Number(fxRate));
+}
+
+/**
+ * 💱 Units of each currency per 1 USD for posting deal-currency amounts
+ * Pass rates to use them instead of the live feed
+ */
+async function loadFxRates(rates = null) {
+    const source = rates || (await getForexRates(LEDGER_CONFIG.BASE_CURRENCY))?.rates || {};
+    return { ...source, [LEDGER_CONFIG.BASE_CURRENCY]: 1 };
+}
+
+function fxRateFor(currency, fxRates) {
+    const code = (currency || LEDGER_CONFIG.BASE_CURRENCY).toUpperCase();
+    if (code === LEDGER_CONFIG.BASE_CURRENCY) return 1;
+    const rate = Number(fxRates?.[code]);
+    if (!(rate > 0)) throw new Error(`No ${code}/${LEDGER_CONFIG.BASE_CURRENCY} FX rate available`);
+    return rate;
+}
+
+/**
+ * 💱 Convert validated journal lines to USD
+ * Cents lost to rounding go on the largest line of the heavier side so the entry still balances
+ */
+function convertLinesToBase(lines, currency, fxRate) {
+    const converted = lines.map(line => ({
+        ...line,
+        debit: toBaseAmount(line.debit, currency, fxRate),
+        credit: toBaseAmount(line.credit, currency, fxRate)
+    }));
+
+    const residual = roundCents(converted.reduce((sum, line) => sum + line.debit - line.credit, 0));
+    if (residual !== 0) {
+        const side = residual > 0 ? 'debit' : 'credit';
+        const largest = converted.reduce((max, line) => line[side] > max[side] ? line : max);
+        largest[side] = roundCents(largest[side] - Math.abs(residual));
+    }
+    return converted;
+}
+
+/**
+ * ➕ Balance of an account in its own normal-balance direction
+ */
+function normalSignedBalance(accountCode, debit, credit) {
+    const account = FUND_LEDGER_ACCOUNTS[accountCode];
+    return roundCents(account.normal === 'debit' ? debit - credit : credit - debit);
+}
+
+// 🗂️ CHART OF ACCOUNTS SEEDING
+
+let chartOfAccountsReady = null;
+
+async function ensureChartOfAccounts() {
+    if (!chartOfAccountsReady) {
+        chartOfAccountsReady = (async () => {
+            const codes = Object.keys(FUND_LEDGER_ACCOUNTS);
+            const values = [];
+            const params = [];
+
+            codes.forEach((code, i) => {
+                const account = FUND_LEDGER_ACCOUNTS[code];
+                const base = i * 5;
+                values.push(`($${base + 1}, $${base + 2}, $${base + 3}, $${base + 4}, $${base + 5})`);
+                params.push(code, account.name, account.type, account.category, account.normal);
+            });
+
+            await queryWithRetry(`
+                INSERT INTO fund_accounts (account_code, account_name, account_type, category, normal_balance)
+                VALUES ${values.join(', ')}
+                ON CONFLICT (account_code) DO UPDATE SET
+                    account_name = EXCLUDED.account_name,
+                    account_type = EXCLUDED.account_type,
+                    category = EXCLUDED.category,
+                    normal_balance = EXCLUDED.normal_balance
+            `, params, 3, 'LEDGER_SEED_ACCOUNTS');
+
+            console.log(`📒 Fund ledger chart of accounts ready (${codes.length} accounts)`);
+            return true;
+        })().catch(error => {
+            chartOfAccountsReady = null;
+            throw error;
+        });
+    }
+
+    return chartOfAccountsReady;
+}
+
+// 📒 CORE POSTING
+
+/**
+ * 📒 Post a balanced journal entry
+ * Lines in another currency are converted to USD at entryData.fxRate; entryData.baseAmounts marks
+ * lines that are already in USD. Pass a transaction client to post as part of the caller's transaction
+ */
+async function postJournalEntry(fundId, entryData, client = null) {
+    try {
+        if (!fundId) {
+            throw new Error('Fund ID is required');
+        }
+
+        const currency = (entryData.currency || LEDGER_CONFIG.BASE_CURRENCY).toUpperCase();
+        const isBase = currency === LEDGER_CONFIG.BASE_CURRENCY;
+        const fxRate = isBase ? 1 : Number(entryData.fxRate);
+        if (!isBase && !(fxRate > 0)) {
+            throw new Error(`FX rate to ${LEDGER_CONFIG.BASE_CURRENCY} is required for ${currency} entries`);
+        }
+
+        const validated = validateJournalLines(entryData.lines);
+        const { lines, totalDebit } = isBase || entryData.baseAmounts
+            ? validated
+            : validateJournalLines(convertLinesToBase(validated.lines, currency, fxRate));
+        await ensureChartOfAccounts();
+
+        const entry = {
+            entryId: generateEntryId(),
+            fundId: fundId,
+            entryDate: toLedgerDate(entryData.entryDate),
+            entryType: entryData.entryType || LEDGER_CONFIG.ENTRY_TYPES.MANUAL,
+            description: entryData.description || null,
+            reference: entryData.reference || null,
+            currency: currency,
+            fxRate: fxRate,
+            unitsIssued: Number(entryData.unitsIssued) || 0,
+            postedBy: entryData.postedBy || 'system',
+            reversesEntryId: entryData.reversesEntryId || null,
+            lines: lines,
+            totalAmount: totalDebit
+        };
+
+        const writeEntry = async (client) => {
+            await client.query(`
+                INSERT INTO fund_journal_entries
+                    (entry_id, fund_id, entry_date, entry_type, description, reference, currency, fx_rate, units_issued, posted_by, reverses_entry_id)
+                VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+            `, [
+                entry.entryId, fundId, entry.entryDate, entry.entryType, entry.description, entry.reference,
+                entry.currency, entry.fxRate, entry.unitsIssued, entry.postedBy, entry.reversesEntryId
+            ]);
+
+            for (const line of lines) {
+                await client.query(`
+                    INSERT INTO fund_journal_lines (entry_id, fund_id, account_code, debit, credit, lp_id, deal_id, memo)
+                    VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+                `, [entry.entryId, fundId, line.accountCode, line.debit, line.credit, line.lpId, line.dealId, line.memo]);
+
+                await client.query(`
+                    INSERT INTO fund_account_balances (fund_id, account_code, debit_total, credit_total, updated_at)
+                    VALUES ($1, $2, $3, $4, CURRENT_TIMESTAMP)
+                    ON CONFLICT (fund_id, account_code) DO UPDATE SET
+                        debit_total = fund_account_balances.debit_total + EXCLUDED.debit_total,
+                        credit_total = fund_account_balances.credit_total + EXCLUDED.credit_total,
+                        updated_at = CURRENT_TIMESTAMP
+                `, [fundId, line.accountCode, line.debit, line.credit]);
+            }
+        };
+
+        if (client) {
+            await writeEntry(client);
+        } else {
+            await withTransaction(writeEntry, 'LEDGER_POST');
+        }
+
+        console.log(`📒 Journal entry posted: ${entry.entryId} (${entry.entryType}, ${totalDebit.toLocaleString()} USD)`);
+        return entry;
+
+    } catch (error) {
+        console.error('❌ Journal entry posting failed:', error.message);
+        throw new Error(`Journal entry posting failed: ${error.message}`);
+    }
+}
+
+/**
+ * ↩️ Reverse a previously posted journal entry
+ */
+async function reverseJournalEntry(entryId, reason = null, postedBy = 'system') {
+    const original = await getJournalEntry(entryId);
+    if (!original) {
+        throw new Error(`Journal entry ${entryId} not found`);
+    }
+
+    const existingReversal = await queryWithRetry(`
+        SELECT entry_id FROM fund_journal_entries WHERE reverses_entry_id = $1
+    `, [entryId], 3, 'LEDGER_CHECK_REVERSAL');
+
+    if (existingReversal.rows.length > 0) {
+        throw new Error(`Journal entry ${entryId} already reversed by ${existingReversal.rows[0].entry_id}`);
+    }
+
+    return await postJournalEntry(original.fundId, {
+        entryDate: new Date(),
+        entryType: original.entryType, // Keep the type so cash flow classification nets out
+        description: `Reversal of ${entryId}${reason ? `: ${reason}` : ''}`,
+        reference: original.reference,
+        currency: original.currency,
+        fxRate: original.fxRate,
+        baseAmounts: true, // Stored lines are already in USD
+        unitsIssued: -original.unitsIssued,
+        postedBy: postedBy,
+        reversesEntryId: entryId,
+        lines: original.lines.map(line => ({
+            accountCode: line.accountCode,
+            debit: line.credit,
+            credit: line.debit,
+            lpId: line.lpId,
+            dealId: line.dealId,
+            memo: line.memo
+        }))
+    });
+}
+
+// 💼 POSTING APIS
+
+/**
+ * 📥 Capital call received from an LP
+ * Dr Cash / Cr Partner Capital - Contributions
+ */
+async function postCapitalCall(fundId, callData, client = null) {
+    const amount = roundCents(callData.amount);
+    if (amount <= 0) throw new Error('Capital call amount must be positive');
+
+    return await postJournalEntry(fundId, {
+        entryDate: callData.date,
+        entryType: LEDGER_CONFIG.ENTRY_TYPES.CAPITAL_CALL,
+        description: callData.description || `Capital call received${callData.lpId ? ` from ${callData.lpId}` : ''}`,
+        reference: callData.reference,
+        unitsIssued: callData.unitsIssued,
+        postedBy: callData.postedBy,
+        lines: [
+            { accountCode: '1000', debit: amount, lpId: callData.lpId },
+            { accountCode: '3000', credit: amount, lpId: callData.lpId }
+        ]
+    }, client);
+}
+
+/**
+ * 🏦 Loan disbursement to a borrower
+ * Dr Loans Receivable / Cr Cash (net of any origination fee withheld) / Cr Fee Income
+ */
+async function postLoanDisbursement(fundId, disbursementData) {
+    const amount = roundCents(disbursementData.amount);
+    const originationFee = roundCents(disbursementData.originationFee || 0);
+    if (amount <= 0) throw new Error('Disbursement amount must be positive');
+    if (originationFee < 0 || originationFee >= amount) throw new Error('Invalid origination fee');
+
+    const lines = [
+        { accountCode: '1100', debit: amount, dealId: disbursementData.dealId },
+        { accountCode: '1000', credit: roundCents(amount - originationFee), dealId: disbursementData.dealId }
+    ];
+
+    if (originationFee > 0) {
+        lines.push({ accountCode: '4100', credit: originationFee, dealId: disbursementData.dealId, memo: 'Origination fee withheld' });
+    }
+
+    return await postJournalEntry(fundId, {
+        entryDate: disbursementData.date,
+        entryType: LEDGER_CONFIG.ENTRY_TYPES.LOAN_DISBURSEMENT,
+        description: disbursementData.description || `Loan disbursement${disbursementData.dealId ? ` for ${disbursementData.dealId}` : ''}`,
+        reference: disbursementData.reference,
+        currency: disbursementData.currency,
+        fxRate: disbursementData.fxRate,
+        postedBy: disbursementData.postedBy,
+        lines
+    });
+}
+
+/**
+ * 💵 Principal repayment from a borrower
+ * Dr Cash / Cr Loans Receivable
+ */
+async function postPrincipalRepayment(fundId, repaymentData) {
+    const amount = roundCents(repaymentData.amount);
+    if (amount <= 0) throw new Error('Repayment amount must be positive');
+
+    return await postJournalEntry(fundId, {
+        entryDate: repaymentData.date,
+        entryType: LEDGER_CONFIG.ENTRY_TYPES.PRINCIPAL_REPAYMENT,
+        description: repaymentData.description || `Principal repayment${repaymentData.dealId ? ` for ${repaymentData.dealId}` : ''}`,
+        reference: repaymentData.reference,
+        currency: repaymentData.currency,
+        fxRate: repaymentData.fxRate,
+        postedBy: repaymentData.postedBy,
+        lines: [
+            { accountCode: '1000', debit: amount, dealId: repaymentData.dealId },
+            { accountCode: '1100', credit: amount, dealId: repaymentData.dealId }
+        ]
+    });
+}
+
+/**
+ * 📈 Accrue interest earned but not yet received
+ * Dr Interest Receivable / Cr Interest Income
+ */
+async function postInterestAccrual(fundId, accrualData, client = null) {
+    const amount = roundCents(accrualData.amount);
+    if (amount <= 0) throw new Error('Interest accrual amount must be positive');
+
+    return await postJournalEntry(fundId, {
+        entryDate: accrualData.date,
+        entryType: LEDGER_CONFIG.ENTRY_TYPES.INTEREST_ACCRUAL,
+        description: accrualData.description || `Interest accrual${accrualData.dealId ? ` for ${accrualData.dealId}` : ''}`,
+        reference: accrualData.reference,
+        currency: accrualData.currency,
+        fxRate: accrualData.fxRate,
+        postedBy: accrualData.postedBy,
+        lines: [
+            { accountCode: '1200', debit: amount, dealId: accrualData.dealId },
+            { accountCode: '4000', credit: amount, dealId: accrualData.dealId }
+        ]
+    }, client);
+}
+
+/**
+ * 💰 Interest received from a borrower
+ * Settles the deal's accrued interest receivable first, any excess is recognized as income.
+ * The receivable is read and settled in one transaction so concurrent receipts cannot both settle it
+ */
+async function postInterestReceipt(fundId, receiptData) {
+    if (!(roundCents(receiptData.amount) > 0)) throw new Error('Interest receipt amount must be positive');
+    // The receivable is carried in USD, so the split is worked out in USD
+    const amount = toBaseAmount(receiptData.amount, receiptData.currency, receiptData.fxRate);
+
+    return await withTransaction(async (client) => {
+        let accrued = 0;
+        if (receiptData.dealId) {
+            await client.query('SELECT pg_advisory_xact_lock(hashtext($1))', [`interest_receivable:${fundId}:${receiptData.dealId}`]);
+            accrued = await getAccountBalance(fundId, '1200', { dealId: receiptData.dealId, client });
+        }
+        const settledReceivable = roundCents(Math.min(amount, Math.max(0, accrued)));
+        const newIncome = roundCents(amount - settledReceivable);
+
+        const lines = [{ accountCode: '1000', debit: amount, dealId: receiptData.dealId }];
+        if (settledReceivable > 0) {
+            lines.push({ accountCode: '1200', credit: settledReceivable, dealId: receiptData.dealId, memo: 'Accrued interest settled' });
+        }
+        if (newIncome > 0) {
+            lines.push({ accountCode: '4000', credit: newIncome, dealId: receiptData.dealId });
+        }
+
+        return await postJournalEntry(fundId, {
+            entryDate: receiptData.date,
+            entryType: LEDGER_CONFIG.ENTRY_TYPES.INTEREST_RECEIPT,
+            description: receiptData.description || `Interest received${receiptData.dealId ? ` for ${receiptData.dealId}` : ''}`,
+            reference: receiptData.reference,
+            currency: receiptData.currency,
+            fxRate: receiptData.fxRate,
+            baseAmounts: true,
+            postedBy: receiptData.postedBy,
+            lines
+        }, client);
+    }, 'LEDGER_INTEREST_RECEIPT');
+}
+
+/**
+ * 🧾 Accrue a management, performance or operating fee
+ * Dr Fee Expense / Cr Fees Payable
+ */
+async function postFeeAccrual(fundId, feeData, client = null) {
+    const amount = roundCents(feeData.amount);
+    const accounts = LEDGER_CONFIG.FEE_ACCOUNTS[feeData.feeType || 'management'];
+    if (!accounts) throw new Error(`Unknown fee type: ${feeData.feeType}`);
+    if (amount <= 0) throw new Error('Fee accrual amount must be positive');
+
+    return await postJournalEntry(fundId, {
+        entryDate: feeData.date,
+        entryType: LEDGER_CONFIG.ENTRY_TYPES.FEE_ACCRUAL,
+        description: feeData.description || `${feeData.feeType || 'management'} fee accrual`,
+        reference: feeData.reference,
+        postedBy: feeData.postedBy,
+        lines: [
+            { accountCode: accounts[0], debit: amount, lpId: feeData.lpId },
+            { accountCode: accounts[1], credit: amount, lpId: feeData.lpId }
+        ]
+    }, client);
+}
+
+/**
+ * 💸 Settle an accrued fee in cash
+ * Dr Fees Payable / Cr Cash
+ */
+async function postFeePayment(fundId, paymentData) {
+    const amount = roundCents(paymentData.amount);
+    const accounts = LEDGER_CONFIG.FEE_ACCOUNTS[paymentData.feeType || 'management'];
+    if (!accounts) throw new Error(`Unknown fee type: ${paymentData.feeType}`);
+    if (amount <= 0) throw new Error('Fee payment amount must be positive');
+
+    return await postJournalEntry(fundId, {
+        entryDate: paymentData.date,
+        entryType: LEDGER_CONFIG.ENTRY_TYPES.FEE_PAYMENT,
+        description: paymentData.description || `${paymentData.feeType || 'management'} fee payment`,
+        reference: paymentData.reference,
+        postedBy: paymentData.postedBy,
+        lines: [
+            { accountCode: accounts[1], debit: amount },
+            { accountCode: '1000', credit: amount }
+        ]
+    });
+}
+
+/**
+ * 📤 Distribution paid to an LP
+ * Dr Partner Capital - Distributions / Cr Cash
+ */
+async function postDistribution(fundId, distributionData) {
+    const amount = roundCents(distributionData.amount);
+    if (amount <= 0) throw new Error('Distribution amount must be positive');
+
+    return await postJournalEntry(fundId, {
+        entryDate: distributionData.date,
+        entryType: LEDGER_CONFIG.ENTRY_TYPES.DISTRIBUTION,
+        description: distributionData.description || `Distribution paid${distributionData.lpId ? ` to ${distributionData.lpId}` : ''}`,
+        reference: distributionData.reference,
+        postedBy: distributionData.postedBy,
+        lines: [
+            { accountCode: '3010', debit: amount, lpId: distributionData.lpId },
+            { accountCode: '1000', credit: amount, lpId: distributionData.lpId }
+        ]
+    });
+}
+
+/**
+ * 📝 Record an LP capital commitment (off-balance-sheet)
+ */
+async function recordCommitment(fundId, lpId, committedAmount, commitmentDate = new Date(), lpClass = 'A') {
+    const amount = roundCents(committedAmount);
+    if (!fundId || !lpId) throw new Error('Fund ID and LP ID are required');
+    if (amount <= 0) throw new Error('Commitment amount must be positive');
+
+    await queryWithRetry(`
+        INSERT INTO lp_commitments (fund_id, lp_id, committed_amount, commitment_date, lp_class)
+        VALUES ($1, $2, $3, $4, $5)
+    `, [fundId, lpId, amount, toLedgerDate(commitmentDate), lpClass], 3, 'LEDGER_COMMITMENT');
+
+    console.log(`📝 Commitment recorded: ${lpId} → ${fundId} (${amount.toLocaleString()} USD, class ${lpClass})`);
+    return { fundId, lpId, committedAmount: amount, commitmentDate: toLedgerDate(commitmentDate), lpClass };
+}
+
+// 📊 BALANCE QUERIES
+
+/**
+ * 📊 Raw debit/credit totals per account
+ * Uses the maintained balance table when no date or LP/deal filter is requested;
+ * options.client reads inside the caller's transaction
+ */
+async function getAccountTotals(fundId, accountCodes, options = {}) {
+    const codes = accountCodes.filter(code => FUND_LEDGER_ACCOUNTS[code]);
+    if (codes.length === 0) return {};
+
+    const filtered = options.asOfDate || options.fromDate || options.lpId || options.dealId;
+    const query = (sql, params, context) => options.client
+        ? options.client.query(sql, params)
+        : queryWithRetry(sql, params, 3, context);
+    let result;
+
+    if (!filtered) {
+        result = await query(`
+            SELECT account_code, debit_total AS debit, credit_total AS credit
+            FROM fund_account_balances
+            WHERE fund_id = $1 AND account_code = ANY($2)
+        `, [fundId, codes], 'LEDGER_BALANCES');
+    } else {
+        result = await query(`
+            SELECT l.account_code, COALESCE(SUM(l.debit), 0) AS debit, COALESCE(SUM(l.credit), 0) AS credit
+            FROM fund_journal_lines l
+            JOIN fund_journal_entries e ON e.entry_id = l.entry_id
+            WHERE l.fund_id = $1
+              AND l.account_code = ANY($2)
+              AND ($3::date IS NULL OR e.entry_date <= $3::date)
+              AND ($4::date IS NULL OR e.entry_date >= $4::date)
+              AND ($5::varchar IS NULL OR l.lp_id = $5)
+              AND ($6::varchar IS NULL OR l.deal_id = $6)
+            GROUP BY l.account_code
+        `, [
+            fundId, codes,
+            options.asOfDate ? toLedgerDate(options.asOfDate) : null,
+            options.fromDate ? toLedgerDate(options.fromDate) : null,
+            options.lpId || null,
+            options.dealId || null
+        ], 'LEDGER_BALANCES_FILTERED');
+    }
+
+    const totals = {};
+    result.rows.forEach(row => {
+        totals[row.account_code] = {
+            debit: parseFloat(row.debit) || 0,
+            credit: parseFloat(row.credit) || 0
+        };
+    });
+    return totals;
+}
+
+/**
+ * 📊 Balance of a single account in its normal direction
+ */
+async function getAccountBalance(fundId, accountCode, options = {}) {
+    const totals = await getAccountTotals(fundId, [accountCode], options);
+    const row = totals[accountCode];
+    return row ? normalSignedBalance(accountCode, row.debit, row.credit) : 0;
+}
+
+/**
+ * 📊 Net balance of a list of accounts, signed by account type
+ * (contra accounts such as the loan loss allowance reduce the total)
+ */
+async function getNetBalance(fundId, accountCodes, options = {}) {
+    const totals = await getAccountTotals(fundId, accountCodes, options);
+    return roundCents(Object.keys(totals).reduce((sum, code) =>
+        sum + typeSignedBalance(code, totals[code].debit, totals[code].credit), 0));
+}
+
+function getAccountCodesByType(type) {
+    return Object.keys(FUND_LEDGER_ACCOUNTS).filter(code => FUND_LEDGER_ACCOUNTS[code].type === type);
+}
+
+function getAccountCodesByCategory(category) {
+    return Object.keys(FUND_LEDGER_ACCOUNTS).filter(code => FUND_LEDGER_ACCOUNTS[code].category === category);
+}
+
+/**
+ * ⚖️ Trial balance for a fund
+ */
+async function getTrialBalance(fundId, asOfDate = null) {
+    const codes = Object.keys(FUND_LEDGER_ACCOUNTS);
+    const totals = await getAccountTotals(fundId, codes, { asOfDate });
+
+    let totalDebit = 0;
+    let totalCredit = 0;
+
+    const accounts = codes
+        .filter(code => totals[code])
+        .map(code => {
+            const net = roundCents(totals[code].debit - totals[code].credit);
+            totalDebit += net > 0 ? net : 0;
+            totalCredit += net < 0 ? -net : 0;
+
+            return {
+                accountCode: code,
+                accountName: FUND_LEDGER_ACCOUNTS[code].name,
+                accountType: FUND_LEDGER_ACCOUNTS[code].type,
+                debit: net > 0 ? net : 0,
+                credit: net < 0 ? -net : 0,
+                balance: normalSignedBalance(code, totals[code].debit, totals[code].credit)
+            };
+        });
+
+    return {
+        fundId,
+        asOfDate: asOfDate ? toLedgerDate(asOfDate) : toLedgerDate(new Date()),
+        accounts,
+        totalDebit: roundCents(totalDebit),
+        totalCredit: roundCents(totalCredit),
+        balanced: Math.abs(totalDebit - totalCredit) <= LEDGER_CONFIG.BALANCE_TOLERANCE
+    };
+}
+
+/**
+ * 📈 Income and expense totals for a period, grouped by account
+ */
+async function getPeriodActivity(fundId, fromDate, toDate) {
+    const codes = [...getAccountCodesByType('income'), ...getAccountCodesByType('expense')];
+    const totals = await getAccountTotals(fundId, codes, { fromDate, asOfDate: toDate });
+
+    const activity = {};
+    Object.keys(totals).forEach(code => {
+        activity[code] = typeSignedBalance(code, totals[code].debit, totals[code].credit);
+    });
+    return activity;
+}
+
+/**
+ * 💧 Net cash movement for a period, grouped by entry type
+ */
+async function getCashMovementsByType(fundId, fromDate, toDate) {
+    const result = await queryWithRetry(`
+        SELECT e.entry_type, COALESCE(SUM(l.debit), 0) - COALESCE(SUM(l.credit), 0) AS net
+        FROM fund_journal_lines l
+        JOIN fund_journal_entries e ON e.entry_id = l.entry_id
+        WHERE l.fund_id = $1 AND l.account_code = '1000'
+          AND e.entry_date >= $2::date AND e.entry_date <= $3::date
+        GROUP BY e.entry_type
+    `, [fundId, toLedgerDate(fromDate), toLedgerDate(toDate)], 3, 'LEDGER_CASH_MOVEMENTS');
+
+    const movements = {};
+    result.rows.forEach(row => {
+        movements[row.entry_type] = roundCents(parseFloat(row.net));
+    });
+    return movements;
+}
+
+/**
+ * 🔢 Units outstanding (sum of units issued on capital entries), optionally for one LP
+ */
+async function getUnitsOutstanding(fundId, asOfDate = null, lpId = null) {
+    const result = await queryWithRetry(`
+        SELECT COALESCE(SUM(e.units_issued), 0) AS units
+        FROM fund_journal_entries e
+        WHERE e.fund_id = $1
+          AND ($2::date IS NULL OR e.entry_date <= $2::date)
+          AND ($3::varchar IS NULL OR EXISTS (
+              SELECT 1 FROM fund_journal_lines l
+              WHERE l.entry_id = e.entry_id AND l.account_code = '3000' AND l.lp_id = $3
+          ))
+    `, [fundId, asOfDate ? toLedgerDate(asOfDate) : null, lpId || null], 3, 'LEDGER_UNITS');
+
+    return parseFloat(result.rows[0].units) || 0;
+}
+
+/**
+ * 📅 Dated debit/credit totals for a set of accounts (input to IRR and multiple calculations)
+ */
+async function getDatedFlows(fundId, accountCodes, options = {}) {
+    const result = await queryWithRetry(`
+        SELECT e.entry_date, l.account_code, COALESCE(SUM(l.debit), 0) AS debit, COALESCE(SUM(l.credit), 0) AS credit
+        FROM fund_journal_lines l
+        JOIN fund_journal_entries e ON e.entry_id = l.entry_id
+        WHERE l.fund_id = $1
+          AND l.account_code = ANY($2)
+          AND ($3::date IS NULL OR e.entry_date <= $3::date)
+          AND ($4::varchar IS NULL OR l.lp_id = $4)
+          AND ($5::varchar[] IS NULL OR e.entry_type = ANY($5))
+        GROUP BY e.entry_date, l.account_code
+        ORDER BY e.entry_date ASC
+    `, [
+        fundId, accountCodes,
+        options.asOfDate ? toLedgerDate(options.asOfDate) : null,
+        options.lpId || null,
+        options.entryTypes || null
+    ], 3, 'LEDGER_DATED_FLOWS');
+
+    return result.rows.map(row => ({
+        date: row.entry_date instanceof Date ? toLedgerDate(row.entry_date) : row.entry_date,
+        accountCode: row.account_code,
+        debit: parseFloat(row.debit) || 0,
+        credit: parseFloat(row.credit) || 0
+    }));
+}
+
+/**
+ * 📝 Total committed capital for a fund, or for one LP
+ */
+async function getTotalCommitments(fundId, asOfDate = null, lpId = null, client = null) {
+    const query = (sql, params) => client ? client.query(sql, params) : queryWithRetry(sql, params, 3, 'LEDGER_COMMITMENTS');
+    const result = await query(`
+        SELECT COALESCE(SUM(committed_amount), 0) AS committed
+        FROM lp_commitments
+        WHERE fund_id = $1
+          AND ($2::date IS NULL OR commitment_date <= $2::date)
+          AND ($3::varchar IS NULL OR lp_id = $3)
+    `, [fundId, asOfDate ? toLedgerDate(asOfDate) : null, lpId || null]);
+
+    return parseFloat(result.rows[0].committed) || 0;
+}
+
+/**
+ * 👥 Partners with a commitment or contribution on record
+ */
+async function getPartnerCount(fundId) {
+    const result = await queryWithRetry(`
+        SELECT COUNT(DISTINCT lp_id) AS partners FROM (
+            SELECT lp_id FROM lp_commitments WHERE fund_id = $1
+            UNION
+            SELECT lp_id FROM fund_journal_lines WHERE fund_id = $1 AND account_code = '3000' AND lp_id IS NOT NULL
+        ) partners
+    `, [fundId], 3, 'LEDGER_PARTNERS');
+
+    return parseInt(result.rows[0].partners) || 0;
+}
+
+/**
+ * 👥 LP IDs with a commitment or contribution on record
+ */
+async function getFundLpIds(fundId, client = null) {
+    const query = (sql, params) => client ? client.query(sql, params) : queryWithRetry(sql, params, 3, 'LEDGER_LP_IDS');
+    const result = await query(`
+        SELECT lp_id FROM lp_commitments WHERE fund_id = $1
+        UNION
+        SELECT lp_id FROM fund_journal_lines WHERE fund_id = $1 AND account_code = '3000' AND lp_id IS NOT NULL
+        ORDER BY lp_id
+    `, [fundId]);
+
+    return result.rows.map(row => row.lp_id);
+}
+
+/**
+ * 🏦 Funds with at least one journal entry
+ */
+async function getLedgerFundIds() {
+    const result = await queryWithRetry(`
+        SELECT DISTINCT fund_id FROM fund_journal_entries ORDER BY fund_id
+    `, [], 3, 'LEDGER_FUND_IDS');
+
+    return result.rows.map(row => row.fund_id);
+}
+
+// 📚 JOURNAL QUERIES
+
+function mapJournalEntry(row, lines) {
+    return {
+        entryId: row.entry_id,
+        fundId: row.fund_id,
+        entryDate: row.entry_date instanceof Date ? toLedgerDate(row.entry_date) : row.entry_date,
+        entryType: row.entry_type,
+        description: row.description,
+        reference: row.reference,
+        currency: row.currency,
+        fxRate: parseFloat(row.fx_rate) || 1,
+        unitsIssued: parseFloat(row.units_issued) || 0,
+        postedBy: row.posted_by,
+        reversesEntryId: row.reverses_entry_id,
+        createdAt: row.created_at,
+        lines: lines.map(line => ({
+            accountCode: line.account_code,
+            accountName: FUND_LEDGER_ACCOUNTS[line.account_code]?.name,
+            debit: parseFloat(line.debit) || 0,
+            credit: parseFloat(line.credit) || 0,
+            lpId: line.lp_id,
+            dealId: line.deal_id,
+            memo: line.memo
+        }))
+    };
+}
+
+async function getJournalEntry(entryId) {
+    const entryResult = await queryWithRetry(`
+        SELECT * FROM fund_journal_entries WHERE entry_id = $1
+    `, [entryId], 3, 'LEDGER_GET_ENTRY');
+
+    if (entryResult.rows.length === 0) return null;
+
+    const linesResult = await queryWithRetry(`
+        SELECT * FROM fund_journal_lines WHERE entry_id = $1 ORDER BY id
+    `, [entryId], 3, 'LEDGER_GET_LINES');
+
+    return mapJournalEntry(entryResult.rows[0], linesResult.rows);
+}
+
+/**
+ * 🔎 Whether an entry with this reference is already posted to the fund
+ * Lets scheduled postings that use a deterministic reference skip work a previous run completed
+ */
+async function hasPostedReference(fundId, reference, client = null) {
+    const sql = `SELECT 1 FROM fund_journal_entries WHERE fund_id = $1 AND reference = $2 LIMIT 1`;
+    const result = client
+        ? await client.query(sql, [fundId, reference])
+        : await queryWithRetry(sql, [fundId, reference], 3, 'LEDGER_REFERENCE_EXISTS');
+    return result.rows.length > 0;
+}
+
+async function getJournalEntries(fundId, options = {}) {
+    const entriesResult = await queryWithRetry(`
+        SELECT * FROM fund_journal_entries
+        WHERE fund_id = $1
+          AND ($2::date IS NULL OR entry_date >= $2::date)
+          AND ($3::date IS NULL OR entry_date <= $3::date)
+          AND ($4::varchar IS NULL OR entry_type = $4)
+        ORDER BY entry_date DESC, id DESC
+        LIMIT $5
+    `, [
+        fundId,
+        options.fromDate ? toLedgerDate(options.fromDate) : null,
+        options.toDate ? toLedgerDate(options.toDate) : null,
+        options.entryType || null,
+        options.limit || 100
+    ], 3, 'LEDGER_GET_ENTRIES');
+
+    if (entriesResult.rows.length === 0) return [];
+
+    const entryIds = entriesResult.rows.map(row => row.entry_id);
+    const linesResult = await queryWithRetry(`
+        SELECT * FROM fund_journal_lines WHERE entry_id = ANY($1) ORDER BY id
+    `, [entryIds], 3, 'LEDGER_GET_ENTRY_LINES');
+
+    return entriesResult.rows.map(row =>
+        mapJournalEntry(row, linesResult.rows.filter(line => line.entry_id === row.entry_id)));
+}
+
+// 📊 EXPORT FUNCTIONS
+module.exports = {
+    // Posting
+    postJournalEntry,
+    reverseJournalEntry,
+    postCapitalCall,
+    postLoanDisbursement,
+    postPrincipalRepayment,
+    postInterestAccrual,
+    postInterestReceipt,
+    postFeeAccrual,
+    postFeePayment,
+    postDistribution,
+    recordCommitment,
+
+    // Balances
+    getAccountBalance,
+    getNetBalance,
+    getTrialBalance,
+    getPeriodActivity,
+    getCashMovementsByType,
+    getUnitsOutstanding,
+    getDatedFlows,
+    getTotalCommitments,
+    getPartnerCount,
+    getFundLpIds,
+    getLedgerFundIds,
+    getAccountCodesByType,
+    getAccountCodesByCategory,
+
+    // Journal
+    getJournalEntry,
+    getJournalEntries,
+    hasPostedReference,
+
+    // Helpers
+    validateJournalLines,
+    ensureChartOfAccounts,
+    roundCents,
+    toBaseAmount,
+    loadFxRates,
+    fxRateFor,
+    toLedgerDate,
+
+    // Configuration
+    FUND_LEDGER_ACCOUNTS,
+    LEDGER_CONFIG
+};
+
+console.log('📒 Fund Ledger Loaded');
+console.log('⚖️ Double-entry journal posting and per-fund balances active');
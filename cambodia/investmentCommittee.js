@@ -0,0 +1,645 @@
+// cambodia/investmentCommittee.js - Investment Committee Approval Workflow for Cambodia Lending Fund
+// Deal memos go to IC members, votes are tallied against quorum and threshold rules by loan size,
+// and the decision moves the loan through the lifecycle and is kept with the memo
+
+const { queryWithRetry } = require('../utils/database');
+const { listBotUsers } = require('../utils/accessControl');
+const { getDealById, updateDealStatus } = require('./portfolioManager');
+const { getLoanState } = require('./loanLifecycle');
+const {
+    determineApprovalLevel,
+    generateApprovalSummary,
+    generateConditionsPrecedent,
+    generateClosingTimeline,
+    generateApprovalNextSteps
+} = require('./loanOrigination');
+
+// 🏛️ COMMITTEE CONFIGURATION
+const IC_CONFIG = {
+    VOTES: ['approve', 'conditional', 'reject'],
+    VOTER_ROLE: 'ic_member',
+    ACTOR: 'investment_committee',
+    REVIEW_TTL_DAYS: 7,
+
+    // Same amount bands as loanOrigination.determineApprovalLevel; a conditional vote counts towards approval
+    APPROVAL_LEVELS: [
+        { level: 'level1', maxAmount: 100000, quorum: 2, rule: 'majority' },
+        { level: 'level2', maxAmount: 500000, quorum: 3, rule: 'majority' },
+        { level: 'level3', maxAmount: 2000000, quorum: 4, rule: 'two_thirds' },
+        { level: 'level4', maxAmount: Infinity, quorum: 5, rule: 'unanimous' }
+    ],
+
+    STATUSES: {
+        OPEN: 'open',
+        APPROVED: 'approved',
+        APPROVED_WITH_CONDITIONS: 'approved_with_conditions',
+        REJECTED: 'rejected',
+        EXPIRED: 'expired'
+    }
+};
+
+// Approval rules: (votes in favour, votes cast) -> approved?
+const APPROVAL_RULES = {
+    majority: (inFavour, cast) => inFavour * 2 > cast,
+    two_thirds: (inFavour, cast) => inFavour * 3 >= cast * 2,
+    unanimous: (inFavour, cast) => cast > 0 && inFavour === cast
+};
+
+const RULE_LABELS = {
+    majority: 'simple majority',
+    two_thirds: 'two-thirds majority',
+    unanimous: 'unanimous'
+};
+
+// 🛠️ HELPERS
+
+function generateReviewId() {
+    return `ICR-${Date.now()}-${Math.random().toString(36).substr(2, 6).toUpperCase()}`;
+}
+
+function formatUSD(amount) {
+    return `$${Math.round(amount || 0).toLocaleString()}`;
+}
+
+function mapReview(row) {
+    return {
+        reviewId: row.review_id,
+        dealId: row.deal_id,
+        applicationId: row.application_id,
+        approvalLevel: row.approval_level,
+        approvalAuthority: row.approval_authority,
+        loanAmount: parseFloat(row.loan_amount),
+        quorum: parseInt(row.quorum),
+        approvalRule: row.approval_rule,
+        eligibleVoters: row.eligible_voters || [],
+        memo: row.memo || {},
+        messages: row.messages || [],
+        status: row.status,
+        decision: row.decision || null,
+        requestedBy: row.requested_by,
+        notifyChatId: row.notify_chat_id,
+        expiresAt: row.expires_at,
+        decidedAt: row.decided_at,
+        createdAt: row.created_at
+    };
+}
+
+function mapVote(row) {
+    return {
+        reviewId: row.review_id,
+        voterId: row.voter_id,
+        voterName: row.voter_name,
+        vote: row.vote,
+        comment: row.comment,
+        conditions: row.conditions || [],
+        votedAt: row.voted_at,
+        updatedAt: row.updated_at
+    };
+}
+
+function isEligibleVoter(review, voterId) {
+    return review.eligibleVoters.some(voter => voter.userId === String(voterId));
+}
+
+/**
+ * ⚖️ Quorum and approval rule for a loan amount
+ */
+function getApprovalRule(loanAmount) {
+    const amount = loanAmount || 0;
+    const level = IC_CONFIG.APPROVAL_LEVELS.find(entry => amount <= entry.maxAmount);
+    return {
+        level: level.level,
+        quorum: level.quorum,
+        rule: level.rule,
+        ruleLabel: RULE_LABELS[level.rule],
+        authority: determineApprovalLevel(amount).authority
+    };
+}
+
+async function getEligibleVoters() {
+    const users = await listBotUsers();
+    return users
+        .filter(user => user.role === IC_CONFIG.VOTER_ROLE && user.status === 'active')
+        .map(user => ({ userId: user.userId, name: user.displayName || user.userId }));
+}
+
+// 📝 DEAL MEMO
+
+/**
+ * 📝 Deal memo put in front of the committee; underwriting is the wizard's stage result when there is one
+ */
+function buildDealMemo(deal, underwriting = null) {
+    const info = deal.dealInfo || {};
+    return {
+        dealId: deal.dealId,
+        borrowerName: info.borrowerName || null,
+        borrowerType: info.borrowerType || null,
+        propertyType: info.propertyType || null,
+        location: info.location || null,
+        loanAmount: info.loanAmount,
+        interestRate: info.interestRate,
+        loanTerm: info.loanTerm,
+        ltv: info.ltv,
+        purpose: info.purpose || null,
+        riskScore: deal.risk?.riskScore ?? null,
+        riskLevel: deal.risk?.riskLevel || null,
+        underwriting: underwriting ? {
+            decision: underwriting.decision || null,
+            reason: underwriting.reason || null,
+            overallRisk: underwriting.overallRisk || null,
+            debtServiceCoverage: underwriting.creditMetrics?.debtServiceCoverage ?? null,
+            conditions: underwriting.conditions || []
+        } : null,
+        preparedAt: new Date().toISOString()
+    };
+}
+
+function formatDealMemo(review) {
+    const { memo } = review;
+    const lines = [
+        `🏛️ IC DEAL MEMO - ${memo.dealId}`,
+        `Review ${review.reviewId}`,
+        '',
+        `👤 Borrower: ${memo.borrowerName || 'n/a'}${memo.borrowerType ? ` (${memo.borrowerType})` : ''}`,
+        `🏠 Collateral: ${memo.propertyType || 'n/a'} in ${memo.location || 'n/a'}`,
+        `💰 Loan: ${formatUSD(memo.loanAmount)} for ${memo.loanTerm || 'n/a'} months at ${memo.interestRate ?? 'n/a'}%`,
+        `📐 LTV: ${memo.ltv ?? 'n/a'}%`,
+        `🎯 Purpose: ${memo.purpose || 'n/a'}`,
+        `⚠️ Risk: ${memo.riskLevel || 'n/a'}${memo.riskScore !== null && memo.riskScore !== undefined ? ` (score ${memo.riskScore})` : ''}`
+    ];
+
+    if (memo.underwriting) {
+        lines.push('', `🏦 Underwriting: ${memo.underwriting.decision || 'n/a'} - ${memo.underwriting.reason || ''}`.trim());
+        if (memo.underwriting.debtServiceCoverage !== null) {
+            lines.push(`   DSCR ${memo.underwriting.debtServiceCoverage}, overall risk ${memo.underwriting.overallRisk || 'n/a'}`);
+        }
+        if (memo.underwriting.conditions.length > 0) {
+            lines.push(...memo.underwriting.conditions.map(condition => `   • ${condition}`));
+        }
+    }
+
+    lines.push('',
+        `👥 Authority: ${review.approvalAuthority} (${review.approvalLevel})`,
+        `🗳️ Quorum ${review.quorum} of ${review.eligibleVoters.length}, ${RULE_LABELS[review.approvalRule]} to approve`,
+        `⏳ Voting closes ${new Date(review.expiresAt).toISOString().split('T')[0]}`);
+
+    return lines.join('\n');
+}
+
+// 🗳️ TALLY
+
+/**
+ * 🗳️ Count votes and work out whether the outcome is settled
+ * final: quorum is met and no combination of the outstanding votes could change the outcome
+ */
+function tallyVotes(review, votes) {
+    const count = vote => votes.filter(entry => entry.vote === vote).length;
+    const approve = count('approve');
+    const conditional = count('conditional');
+    const reject = count('reject');
+    const cast = votes.length;
+    const inFavour = approve + conditional;
+    const outstanding = Math.max(review.eligibleVoters.length - cast, 0);
+    const isApproved = APPROVAL_RULES[review.approvalRule];
+
+    const quorumMet = cast >= review.quorum;
+    const approved = quorumMet && isApproved(inFavour, cast);
+
+    // Every way the outstanding members could still vote, from the point quorum is reached
+    let settled = quorumMet;
+    for (let more = 0; settled && more <= outstanding; more++) {
+        if (cast + more < review.quorum) continue;
+        for (let yes = 0; yes <= more; yes++) {
+            if (isApproved(inFavour + yes, cast + more) !== approved) {
+                settled = false;
+                break;
+            }
+        }
+    }
+
+    return {
+        approve,
+        conditional,
+        reject,
+        cast,
+        outstanding,
+        quorum: review.quorum,
+        quorumMet,
+        approved,
+        final: settled
+    };
+}
+
+function collectConditions(votes) {
+    const seen = new Set();
+    const conditions = [];
+    votes.filter(vote => vote.vote === 'conditional').forEach(vote => {
+        vote.conditions.forEach(condition => {
+            const key = condition.trim().toLowerCase();
+            if (!key || seen.has(key)) return;
+            seen.add(key);
+            conditions.push({ condition: condition.trim(), proposedBy: vote.voterName || vote.voterId });
+        });
+    });
+    return conditions;
+}
+
+/**
+ * ✅ Approval package from the committee's terms and conditions (rule-based, no AI)
+ */
+function buildApprovalPackage(review, status, conditions) {
+    const memo = review.memo;
+    const approvalData = {
+        committeeDecision: status,
+        approvedAmount: memo.loanAmount,
+        approvedTerm: memo.loanTerm,
+        interestRate: memo.interestRate,
+        approvalAuthority: review.approvalAuthority,
+        conditions: conditions.map(item => item.condition),
+        collateralRequirements: memo.propertyType
+    };
+
+    const standard = generateConditionsPrecedent(approvalData);
+    const committee = conditions.map((item, index) => ({
+        id: standard.length + index + 1,
+        condition: item.condition,
+        status: 'pending',
+        responsibility: 'borrower',
+        critical: true,
+        source: 'investment_committee'
+    }));
+
+    return {
+        summary: generateApprovalSummary(approvalData),
+        conditionsPrecedent: [...standard, ...committee],
+        closingTimeline: generateClosingTimeline(approvalData),
+        nextSteps: generateApprovalNextSteps(approvalData)
+    };
+}
+
+// 📋 REVIEWS
+
+async function getReview(reviewId) {
+    const result = await queryWithRetry(`
+        SELECT * FROM ic_reviews WHERE review_id = $1
+    `, [reviewId], 3, 'GET_IC_REVIEW');
+
+    return result.rows[0] ? mapReview(result.rows[0]) : null;
+}
+
+async function getReviewVotes(reviewId) {
+    const result = await queryWithRetry(`
+        SELECT * FROM ic_votes WHERE review_id = $1 ORDER BY voted_at ASC
+    `, [reviewId], 3, 'GET_IC_VOTES');
+
+    return result.rows.map(mapVote);
+}
+
+async function getOpenReviews() {
+    const result = await queryWithRetry(`
+        SELECT * FROM ic_reviews WHERE status = 'open' ORDER BY created_at ASC
+    `, [], 3, 'GET_OPEN_IC_REVIEWS');
+
+    return result.rows.map(mapReview);
+}
+
+async function getDealReviews(dealId) {
+    const result = await queryWithRetry(`
+        SELECT * FROM ic_reviews WHERE deal_id = $1 ORDER BY created_at DESC
+    `, [dealId], 3, 'GET_DEAL_IC_REVIEWS');
+
+    return result.rows.map(mapReview);
+}
+
+/**
+ * 🏛️ Open a committee review for a deal and move it into underwriting
+ * options: { requestedBy, notifyChatId, applicationId, underwriting }
+ * Voters are the active IC members at the time of submission; too few members to reach quorum is an error
+ */
+async function openReview(dealId, options = {}) {
+    const { requestedBy = 'system', notifyChatId = null, applicationId = null, underwriting = null } = options;
+
+    try {
+        const deal = await getDealById(dealId);
+        if (!deal) throw new Error(`Deal ${dealId} not found`);
+
+        const state = getLoanState(deal.status);
+        if (!['application', 'underwriting'].includes(state)) {
+            throw new Error(`${dealId} is ${deal.status} and cannot go to the committee`);
+        }
+
+        const open = (await getDealReviews(dealId)).find(review => review.status === IC_CONFIG.STATUSES.OPEN);
+        if (open) throw new Error(`${dealId} already has an open committee review (${open.reviewId})`);
+
+        const rule = getApprovalRule(deal.dealInfo?.loanAmount);
+        const voters = await getEligibleVoters();
+        if (voters.length < rule.quorum) {
+            throw new Error(`${rule.authority} needs a quorum of ${rule.quorum} but only ${voters.length} IC members are registered`);
+        }
+
+        if (state === 'application') {
+            await updateDealStatus(dealId, 'underwriting', {
+                actor: requestedBy,
+                reason: 'Submitted to the investment committee'
+            });
+        }
+
+        const result = await queryWithRetry(`
+            INSERT INTO ic_reviews
+                (review_id, deal_id, application_id, approval_level, approval_authority, loan_amount, quorum,
+                 approval_rule, eligible_voters, memo, requested_by, notify_chat_id, expires_at)
+            VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, CURRENT_TIMESTAMP + make_interval(days => $13))
+            RETURNING *
+        `, [
+            generateReviewId(), dealId, applicationId, rule.level, rule.authority, deal.dealInfo.loanAmount, rule.quorum,
+            rule.rule, JSON.stringify(voters), JSON.stringify(buildDealMemo(deal, underwriting)), requestedBy,
+            notifyChatId ? String(notifyChatId) : null, IC_CONFIG.REVIEW_TTL_DAYS
+        ], 3, 'OPEN_IC_REVIEW');
+
+        const review = mapReview(result.rows[0]);
+        console.log(`🏛️ ${dealId} submitted to IC as ${review.reviewId} (${rule.level}, quorum ${rule.quorum})`);
+        return review;
+
+    } catch (error) {
+        console.error('❌ Open IC review error:', error.message);
+        throw new Error(`Failed to open committee review: ${error.message}`);
+    }
+}
+
+/**
+ * 📨 Remember where a memo was posted so its buttons can be removed once the review closes
+ */
+async function recordMemoMessage(reviewId, chatId, messageId) {
+    await queryWithRetry(`
+        UPDATE ic_reviews SET messages = messages || $2::jsonb WHERE review_id = $1
+    `, [reviewId, JSON.stringify([{ chatId: String(chatId), messageId }])], 3, 'RECORD_IC_MEMO_MESSAGE');
+}
+
+// 🗳️ VOTING
+
+/**
+ * 🗳️ Record or change a member's vote; decides the review as soon as the outcome is settled
+ * voter: { userId, name }; options: { comment, conditions, bot }
+ * A conditional vote must carry at least one condition.
+ */
+async function castVote(reviewId, voter, vote, options = {}) {
+    const { comment = null, conditions = [], bot = null } = options;
+
+    try {
+        if (!IC_CONFIG.VOTES.includes(vote)) {
+            throw new Error(`Unknown vote "${vote}" (use ${IC_CONFIG.VOTES.join(', ')})`);
+        }
+        const cleanConditions = vote === 'conditional' ? conditions.map(c => String(c).trim()).filter(Boolean) : [];
+        if (vote === 'conditional' && cleanConditions.length === 0) {
+            throw new Error('A conditional vote needs at least one condition');
+        }
+
+        const review = await getReview(reviewId);
+        if (!review) throw new Error(`Review ${reviewId} not found`);
+        if (review.status !== IC_CONFIG.STATUSES.OPEN) throw new Error(`Review ${reviewId} is already ${review.status}`);
+        if (new Date(review.expiresAt) <= new Date()) throw new Error(`Voting on ${reviewId} has closed`);
+        if (!isEligibleVoter(review, voter.userId)) throw new Error('You are not on the committee for this review');
+
+        await queryWithRetry(`
+            INSERT INTO ic_votes (review_id, voter_id, voter_name, vote, comment, conditions)
+            VALUES ($1, $2, $3, $4, $5, $6)
+            ON CONFLICT (review_id, voter_id) DO UPDATE SET
+                voter_name = EXCLUDED.voter_name,
+                vote = EXCLUDED.vote,
+                comment = COALESCE(EXCLUDED.comment, ic_votes.comment),
+                conditions = EXCLUDED.conditions,
+                updated_at = CURRENT_TIMESTAMP
+        `, [reviewId, String(voter.userId), voter.name || null, vote, comment, JSON.stringify(cleanConditions)], 3, 'CAST_IC_VOTE');
+
+        const votes = await getReviewVotes(reviewId);
+        const tally = tallyVotes(review, votes);
+        console.log(`🗳️ ${reviewId}: ${voter.name || voter.userId} voted ${vote} (${tally.cast}/${review.eligibleVoters.length})`);
+
+        const decided = tally.final ? await decideReview(reviewId, { bot }) : null;
+        return { review: decided || review, tally, decided: !!decided };
+
+    } catch (error) {
+        console.error('❌ IC vote error:', error.message);
+        throw new Error(`Vote not recorded: ${error.message}`);
+    }
+}
+
+async function addVoteComment(reviewId, voterId, comment) {
+    const result = await queryWithRetry(`
+        UPDATE ic_votes SET comment = $3, updated_at = CURRENT_TIMESTAMP
+        WHERE review_id = $1 AND voter_id = $2
+    `, [reviewId, String(voterId), comment], 3, 'ADD_IC_VOTE_COMMENT');
+
+    return result.rowCount > 0;
+}
+
+// ⚖️ DECISION
+
+/**
+ * ⚖️ Close a review on the votes cast and move the loan: approved, or declined
+ * Only the first caller decides; returns null when the review was already closed.
+ * The decision is saved on the review next to the memo and on the deal as icApproval.
+ */
+async function decideReview(reviewId, options = {}) {
+    const { bot = null } = options;
+
+    try {
+        const review = await getReview(reviewId);
+        if (!review) throw new Error(`Review ${reviewId} not found`);
+
+        const votes = await getReviewVotes(reviewId);
+        const tally = tallyVotes(review, votes);
+        if (!tally.quorumMet) throw new Error(`quorum of ${review.quorum} not reached (${tally.cast} votes)`);
+
+        const conditions = tally.approved ? collectConditions(votes) : [];
+        const status = !tally.approved ? IC_CONFIG.STATUSES.REJECTED
+            : conditions.length > 0 ? IC_CONFIG.STATUSES.APPROVED_WITH_CONDITIONS
+            : IC_CONFIG.STATUSES.APPROVED;
+
+        const decision = {
+            status,
+            tally: { approve: tally.approve, conditional: tally.conditional, reject: tally.reject, cast: tally.cast },
+            rule: review.approvalRule,
+            quorum: review.quorum,
+            conditions,
+            votes: votes.map(vote => ({
+                voterId: vote.voterId,
+                voterName: vote.voterName,
+                vote: vote.vote,
+                comment: vote.comment,
+                conditions: vote.conditions
+            })),
+            approvalPackage: tally.approved ? buildApprovalPackage(review, status, conditions) : null,
+            decidedAt: new Date().toISOString()
+        };
+
+        // Guarded so two final votes arriving together cannot both decide
+        const claimed = await queryWithRetry(`
+            UPDATE ic_reviews SET status = $2, decision = $3, decided_at = CURRENT_TIMESTAMP
+            WHERE review_id = $1 AND status = 'open'
+            RETURNING *
+        `, [reviewId, status, JSON.stringify(decision)], 3, 'DECIDE_IC_REVIEW');
+        if (claimed.rows.length === 0) {
+            return null;
+        }
+
+        const toState = tally.approved ? 'approved' : 'declined';
+        try {
+            await updateDealStatus(review.dealId, toState, {
+                actor: IC_CONFIG.ACTOR,
+                reason: `IC ${status.replace(/_/g, ' ')} ${tally.approve + tally.conditional}-${tally.reject} (${review.reviewId})`,
+                context: { icReviewId: review.reviewId, decision: status, conditions: conditions.length },
+                updates: {
+                    icApproval: {
+                        reviewId: review.reviewId,
+                        status,
+                        conditions,
+                        approvalAuthority: review.approvalAuthority,
+                        decidedAt: decision.decidedAt
+                    }
+                },
+                bot,
+                chatId: review.notifyChatId
+            });
+        } catch (error) {
+            // The vote stands; the deal move is reported for manual follow-up
+            decision.transitionError = error.message;
+            await queryWithRetry(`
+                UPDATE ic_reviews SET decision = $2 WHERE review_id = $1
+            `, [reviewId, JSON.stringify(decision)], 3, 'SAVE_IC_DECISION_ERROR');
+        }
+
+        const decided = { ...mapReview(claimed.rows[0]), decision };
+        console.log(`⚖️ ${reviewId}: ${status} for ${review.dealId}`);
+
+        if (bot) await notifyDecision(decided, bot);
+        return decided;
+
+    } catch (error) {
+        console.error('❌ IC decision error:', error.message);
+        throw new Error(`Committee decision failed: ${error.message}`);
+    }
+}
+
+function formatDecision(review) {
+    const { decision } = review;
+    const icon = decision.status === IC_CONFIG.STATUSES.REJECTED ? '❌' : '✅';
+    const lines = [
+        `${icon} IC DECISION - ${review.dealId}: ${decision.status.replace(/_/g, ' ').toUpperCase()}`,
+        `Review ${review.reviewId} • ${decision.tally.approve} approve, ${decision.tally.conditional} conditional, ` +
+        `${decision.tally.reject} reject (${RULE_LABELS[decision.rule]}, quorum ${decision.quorum})`
+    ];
+
+    if (decision.conditions.length > 0) {
+        lines.push('', 'Conditions:', ...decision.conditions.map(item => `• ${item.condition} (${item.proposedBy})`));
+    }
+    const comments = decision.votes.filter(vote => vote.comment);
+    if (comments.length > 0) {
+        lines.push('', 'Comments:', ...comments.map(vote => `• ${vote.voterName || vote.voterId}: ${vote.comment}`));
+    }
+    if (decision.transitionError) {
+        lines.push('', `⚠️ Loan status not updated: ${decision.transitionError}`);
+    }
+    return lines.join('\n');
+}
+
+/**
+ * 📣 Close the memo keyboards and tell the committee and the requester
+ */
+async function notifyDecision(review, bot) {
+    const text = formatDecision(review);
+    const chats = new Set([
+        ...review.eligibleVoters.map(voter => voter.userId),
+        ...(review.notifyChatId ? [review.notifyChatId] : [])
+    ]);
+
+    for (const message of review.messages) {
+        try {
+            await bot.editMessageReplyMarkup({ inline_keyboard: [] }, { chat_id: message.chatId, message_id: message.messageId });
+        } catch (error) {
+            console.warn(`⚠️ Could not close IC memo keyboard in ${message.chatId}:`, error.message);
+        }
+    }
+
+    for (const chatId of chats) {
+        try {
+            await bot.sendMessage(chatId, text);
+        } catch (error) {
+            console.warn(`⚠️ IC decision not delivered to ${chatId}:`, error.message);
+        }
+    }
+}
+
+/**
+ * ⏳ Close reviews whose voting window has passed
+ * With quorum the votes cast decide; without it the review expires and the deal returns to application
+ */
+async function expireStaleReviews(options = {}) {
+    const { bot = null } = options;
+    const result = await queryWithRetry(`
+        SELECT * FROM ic_reviews WHERE status = 'open' AND expires_at <= CURRENT_TIMESTAMP
+    `, [], 3, 'GET_STALE_IC_REVIEWS');
+
+    const outcome = { decided: [], expired: [], failed: [] };
+    for (const review of result.rows.map(mapReview)) {
+        try {
+            const tally = tallyVotes(review, await getReviewVotes(review.reviewId));
+            if (tally.quorumMet) {
+                const decided = await decideReview(review.reviewId, { bot });
+                if (decided) outcome.decided.push({ reviewId: review.reviewId, status: decided.status });
+                continue;
+            }
+
+            const closed = await queryWithRetry(`
+                UPDATE ic_reviews SET status = 'expired', decided_at = CURRENT_TIMESTAMP,
+                    decision = $2
+                WHERE review_id = $1 AND status = 'open'
+            `, [review.reviewId, JSON.stringify({ status: 'expired', tally, decidedAt: new Date().toISOString() })], 3, 'EXPIRE_IC_REVIEW');
+            if (closed.rowCount === 0) continue;
+
+            await updateDealStatus(review.dealId, 'application', {
+                actor: IC_CONFIG.ACTOR,
+                reason: `IC review ${review.reviewId} expired with ${tally.cast} of ${review.quorum} votes`
+            });
+            outcome.expired.push({ reviewId: review.reviewId, votes: tally.cast });
+
+            if (bot && review.notifyChatId) {
+                await bot.sendMessage(review.notifyChatId,
+                    `⏳ IC review ${review.reviewId} for ${review.dealId} expired without quorum ` +
+                    `(${tally.cast}/${review.quorum} votes). The deal is back in the pipeline; resubmit when ready.`);
+            }
+        } catch (error) {
+            console.error(`❌ IC review expiry failed for ${review.reviewId}:`, error.message);
+            outcome.failed.push({ reviewId: review.reviewId, error: error.message });
+        }
+    }
+    return outcome;
+}
+
+module.exports = {
+    // Reviews
+    openReview,
+    getReview,
+    getReviewVotes,
+    getOpenReviews,
+    getDealReviews,
+    recordMemoMessage,
+
+    // Voting and decisions
+    castVote,
+    addVoteComment,
+    tallyVotes,
+    decideReview,
+    expireStaleReviews,
+
+    // Memo and rules
+    getApprovalRule,
+    buildDealMemo,
+    formatDealMemo,
+    formatDecision,
+
+    // Configuration
+    IC_CONFIG
+};
+
+console.log('🏛️ Investment Committee Loaded');
@@ -1,6 +1,10 @@
 // cambodia/investorReporting.js - COMPLETE: Cambodia Investor Reporting & LP Communications
 // Enterprise-grade investor relations with GPT-5 intelligence for private lending fund
 
+const { calculateDistributionWaterfall } = require('./distributionWaterfall');
+const { createCapitalCall, getCapitalCall } = require('./capitalCalls');
+const { registerTransitionHook } = require('./loanLifecycle');
+
 // 📊 CAMBODIA INVESTOR REPORTING FRAMEWORK
 const INVESTOR_REPORTING_FRAMEWORK = {
     // Reporting standards and frequencies
@@ -423,29 +427,50 @@ Provide concise monthly investor update with key performance and operational hig
 
 /**
  * 📋 Generate Capital Call Notice
+ * Call amounts and LP shares come from the capital call engine; GPT writes the notice around them
  */
 async function generateCapitalCallNotice(fundId, callData, chatId = null, bot = null) {
+    let lpAllocations;
+    try {
+        lpAllocations = await calculateLPAllocations(fundId, callData);
+    } catch (error) {
+        console.error('❌ Capital call allocation error:', error.message);
+        return {
+            analysis: `Capital call notice unavailable: ${error.message}`,
+            fundId: fundId,
+            success: false,
+            error: error.message
+        };
+    }
+    const call = lpAllocations.call;
+
     const prompt = `
 CAMBODIA LENDING FUND - CAPITAL CALL NOTICE
 
 FUND IDENTIFICATION:
 • Fund ID: ${fundId}
-• Capital Call Number: ${callData.callNumber || 'Not specified'}
-• Call Date: ${callData.callDate || new Date().toISOString().split('T')[0]}
-• Settlement Date: ${callData.settlementDate || 'Not specified'}
+• Capital Call Number: ${call.callNumber || 'Draft (not yet issued)'}
+• Call Date: ${call.callDate}
+• Settlement Date: ${call.dueDate}
 
 CAPITAL CALL DETAILS:
-• Total Call Amount: $${callData.totalCallAmount ? callData.totalCallAmount.toLocaleString() : 'Not specified'} USD
-• Call Percentage of Commitment: ${callData.callPercentage || 'Not calculated'}%
-• Purpose of Call: ${callData.purposeOfCall || 'General fund operations and loan origination'}
+• Total Call Amount: $${call.totalAmount.toLocaleString()} USD
+• Call Percentage of Commitment: ${call.summary.callPercentOfCommitment}%
+• Purpose of Call: ${call.purpose || callData.purposeOfCall || 'General fund operations and loan origination'}
 • Funding Timeline: ${callData.fundingTimeline || 'Not specified'}
+• Late Interest: ${(call.lateInterestRate * 100).toFixed(1)}% p.a. on amounts unpaid after the settlement date
 
 CUMULATIVE CAPITAL STATUS:
-• Total Committed Capital: $${callData.totalCommittedCapital ? callData.totalCommittedCapital.toLocaleString() : 'Not specified'} USD
-• Prior Cumulative Calls: $${callData.priorCumulativeCalls ? callData.priorCumulativeCalls.toLocaleString() : 'Not specified'} USD
-• Current Call Amount: $${callData.currentCallAmount ? callData.currentCallAmount.toLocaleString() : 'Not specified'} USD
-• Post-Call Cumulative: $${callData.postCallCumulative ? callData.postCallCumulative.toLocaleString() : 'Not specified'} USD
-• Remaining Commitment: $${callData.remainingCommitment ? callData.remainingCommitment.toLocaleString() : 'Not specified'} USD
+• Total Committed Capital: $${call.summary.totalCommitment.toLocaleString()} USD
+• Prior Cumulative Calls: $${call.summary.priorCalled.toLocaleString()} USD
+• Current Call Amount: $${call.totalAmount.toLocaleString()} USD
+• Post-Call Cumulative: $${call.summary.postCallCumulative.toLocaleString()} USD
+• Remaining Commitment: $${call.summary.remainingCommitment.toLocaleString()} USD
+
+PER-LP CALL AMOUNTS (use these exact figures):
+${call.allocations.map(a => a.status === 'excused'
+    ? `• ${a.lpId}: excused (${a.excuseReason})`
+    : `• ${a.lpId}: $${a.amountCalled.toLocaleString()} USD (${a.callPercentOfCommitment}% of $${a.commitment.toLocaleString()} commitment)`).join('\n')}
 
 USE OF PROCEEDS:
 • Loan Origination: ${callData.loanOriginationUse || 'Not specified'}%
@@ -475,18 +500,19 @@ Provide comprehensive capital call notice with clear rationale and deployment st
             forceModel: "gpt-4"
         });
 
-        const callAnalysis = analyzeCapitalCall(callData);
-        const lpAllocations = calculateLPAllocations(fundId, callData);
+        const callAnalysis = analyzeCapitalCall(call);
         const deploymentPlan = generateDeploymentPlan(callData);
 
         return {
             analysis: result.response,
             fundId: fundId,
             callSummary: {
-                callNumber: callData.callNumber,
-                totalCallAmount: callData.totalCallAmount,
+                callId: call.callId,
+                callNumber: call.callNumber,
+                status: call.status,
+                totalCallAmount: call.totalAmount,
                 callPercentage: callAnalysis.callPercentage,
-                settlementDate: callData.settlementDate,
+                settlementDate: call.dueDate,
                 deploymentTimeline: deploymentPlan.timeline
             },
             callAnalysis: callAnalysis,
@@ -510,8 +536,23 @@ Provide comprehensive capital call notice with clear rationale and deployment st
 
 /**
  * 💰 Generate Distribution Notice
+ * LP amounts come from the distribution waterfall; GPT writes the notice around them
  */
 async function generateDistributionNotice(fundId, distributionData, chatId = null, bot = null) {
+    let lpDistributions;
+    try {
+        lpDistributions = await calculateLPDistributions(fundId, distributionData);
+    } catch (error) {
+        console.error('❌ Distribution waterfall error:', error.message);
+        return {
+            analysis: `Distribution notice unavailable: ${error.message}`,
+            fundId: fundId,
+            success: false,
+            error: error.message
+        };
+    }
+    const waterfall = lpDistributions.waterfall;
+
     const prompt = `
 CAMBODIA LENDING FUND - DISTRIBUTION NOTICE
 
@@ -552,6 +593,18 @@ TAX IMPLICATIONS:
 • Tax Reporting: ${distributionData.taxReporting || 'Form 1099 will be issued'}
 • Foreign Tax Credits: ${distributionData.foreignTaxCredits || 'Not applicable'}
 
+DISTRIBUTION WATERFALL (${waterfall.mode === 'american' ? `deal-by-deal, ${waterfall.dealId}` : 'whole-fund'}):
+• Return of Capital: $${waterfall.totals.returnOfCapital.toLocaleString()} USD
+• Preferred Return (${(waterfall.hurdleRate * 100).toFixed(1)}% hurdle): $${waterfall.totals.preferredReturn.toLocaleString()} USD
+• GP Catch-Up: $${waterfall.totals.catchUp.toLocaleString()} USD
+• Carried Interest (${(waterfall.carryRate * 100).toFixed(0)}%): $${waterfall.totals.carriedInterest.toLocaleString()} USD
+• Total to LPs: $${waterfall.totals.lpAmount.toLocaleString()} USD
+• Total to GP: $${waterfall.totals.gpAmount.toLocaleString()} USD
+• Clawback Exposure: $${waterfall.clawback.exposure.toLocaleString()} USD
+
+PER-LP DISTRIBUTION AMOUNTS (use these exact figures):
+${lpDistributions.allocations.map(a => `• ${a.lpId}: $${a.lpAmount.toLocaleString()} USD (ownership ${(a.ownershipShare * 100).toFixed(2)}%, return of capital $${a.returnOfCapital.toLocaleString()}, preferred return $${a.preferredReturn.toLocaleString()})`).join('\n')}
+
 DISTRIBUTION NOTICE ANALYSIS:
 
 1. **DISTRIBUTION RATIONALE** - Performance achievement and cash flow generation supporting distribution
@@ -569,7 +622,6 @@ Provide comprehensive distribution notice with performance context and payment d
         });
 
         const distributionAnalysis = analyzeDistribution(distributionData);
-        const lpDistributions = calculateLPDistributions(fundId, distributionData);
         const taxImplications = assessTaxImplications(distributionData);
 
         return {
@@ -583,6 +635,7 @@ Provide comprehensive distribution notice with performance context and payment d
                 distributionYield: distributionAnalysis.yield
             },
             distributionAnalysis: distributionAnalysis,
+            waterfall: waterfall,
             lpDistributions: lpDistributions,
             taxImplications: taxImplications,
             noticeDate: new Date().toISOString(),
@@ -1020,25 +1073,49 @@ function generateKeyHighlights(updateData) {
     };
 }
 
-function analyzeCapitalCall(callData) {
-    const totalCommitment = callData.totalCommittedCapital || 30000000;
-    const callAmount = callData.totalCallAmount || 5000000;
-    const callPercentage = (callAmount / totalCommitment) * 100;
-    
+function analyzeCapitalCall(call) {
     return {
-        callPercentage: callPercentage.toFixed(1),
+        callPercentage: call.summary.callPercentOfCommitment.toFixed(1),
         deploymentUrgency: "Moderate",
         marketTiming: "Favorable",
         expectedReturns: "Consistent with fund targets"
     };
 }
 
-function calculateLPAllocations(fundId, callData) {
-    // Mock LP allocation calculation
+/**
+ * 📋 Per-LP call amounts from the capital call engine
+ * Loads an issued call by callId, otherwise computes one (and issues it when callData.issue is set)
+ */
+async function calculateLPAllocations(fundId, callData) {
+    let call;
+    if (callData.callId) {
+        call = await getCapitalCall(callData.callId);
+        if (!call) throw new Error(`Capital call not found: ${callData.callId}`);
+    } else {
+        call = await createCapitalCall(fundId, {
+            totalAmount: callData.totalCallAmount,
+            callDate: callData.callDate,
+            dueDate: callData.settlementDate,
+            purpose: callData.purposeOfCall,
+            excusedLps: callData.excusedLps,
+            lateInterestRate: callData.lateInterestRate,
+            issue: callData.issue,
+            createdBy: callData.createdBy
+        });
+    }
+
     return {
-        totalLPs: 12,
+        totalLPs: call.allocations.length,
         allocationsCalculated: true,
-        individualNotices: "Generated and ready for distribution",
+        allocations: call.allocations.map(a => ({
+            lpId: a.lpId,
+            commitment: a.commitment,
+            unfundedBefore: a.unfundedBefore,
+            amountCalled: a.amountCalled,
+            status: a.status,
+            excuseReason: a.excuseReason
+        })),
+        call: call,
         paymentInstructions: "Included in individual notices"
     };
 }
@@ -1064,10 +1141,30 @@ function analyzeDistribution(distributionData) {
     };
 }
 
-function calculateLPDistributions(fundId, distributionData) {
+/**
+ * 💸 Per-LP distribution amounts from the distribution waterfall
+ */
+async function calculateLPDistributions(fundId, distributionData) {
+    const waterfall = await calculateDistributionWaterfall(fundId, {
+        ...distributionData,
+        amount: distributionData.totalDistributionAmount,
+        distributionDate: distributionData.paymentDate || distributionData.declarationDate
+    });
+
     return {
-        totalLPs: 12,
+        totalLPs: waterfall.allocations.length,
         distributionCalculated: true,
+        allocations: waterfall.allocations.map(a => ({
+            lpId: a.lpId,
+            ownershipShare: a.ownershipShare,
+            grossAmount: a.grossAmount,
+            returnOfCapital: a.returnOfCapital,
+            preferredReturn: a.preferredReturn,
+            lpAmount: a.lpAmount,
+            carryWithheld: a.gpAmount,
+            clawback: a.clawback
+        })),
+        waterfall: waterfall,
         paymentMethod: "Wire transfer",
         expectedPaymentDate: distributionData.paymentDate
     };
@@ -1173,6 +1270,29 @@ function calculatePortfolioGrowth(reportData) {
     return ((netGrowth / currentValue) * 100).toFixed(1) + "%";
 }
 
+// 🔄 LIFECYCLE HOOKS
+
+/**
+ * 🔄 Material credit events are flagged for LP reporting and sent to the reporting chat
+ */
+registerTransitionHook('reporting', { to: ['default', 'workout', 'recovered', 'written_off', 'repaid'] }, async ({ deal, transition, bot, chatId }) => {
+    const dealInfo = deal.dealInfo || {};
+    const headline = `${deal.dealId} (${dealInfo.borrowerName || 'borrower not recorded'}): ` +
+        `${transition.fromStatus} → ${transition.toStatus}`;
+    const notifyChatId = chatId || process.env.ADMIN_CHAT_ID || null;
+
+    let notified = false;
+    if (bot && notifyChatId) {
+        await bot.sendMessage(notifyChatId,
+            `📣 Credit event for investor reporting\n\n${headline}\n` +
+            `Loan amount: $${(dealInfo.loanAmount || 0).toLocaleString()}\n` +
+            `By: ${transition.actor}\nReason: ${transition.reason}`);
+        notified = true;
+    }
+
+    return { reportable: true, headline, notified };
+});
+
 // 📊 EXPORT FUNCTIONS
 module.exports = {
     // Core reporting functions
@@ -0,0 +1,364 @@
+// cambodia/loanLifecycle.js - Loan Lifecycle State Machine for Cambodia Lending Fund
+// One set of loan states and allowed transitions; every move is guarded, audited and announced to hooks
+
+const { queryWithRetry, getDealByIdDB, saveDealTransitionDB } = require('../utils/database');
+
+// 🔄 LIFECYCLE CONFIGURATION
+const LIFECYCLE_CONFIG = {
+    // State -> stored deal status; the status labels are the ones deals already carry
+    STATES: {
+        application: { status: 'Pipeline', description: 'Application received, not yet in credit review' },
+        underwriting: { status: 'Underwriting', description: 'Credit review and due diligence' },
+        approved: { status: 'Approved', description: 'Approved, awaiting funding' },
+        declined: { status: 'Declined', description: 'Declined by the investment committee' },
+        funded: { status: 'Funded', description: 'Disbursed, first payment not yet due' },
+        performing: { status: 'Performing', description: 'Paying as scheduled' },
+        watch: { status: 'Past Due', description: 'In arrears, under 90 days past due' },
+        default: { status: 'Default', description: 'Credit-impaired, 90+ days past due or declared' },
+        workout: { status: 'Workout', description: 'Restructure or enforcement under way' },
+        recovered: { status: 'Recovered', description: 'Closed through recovery proceeds' },
+        written_off: { status: 'Written Off', description: 'Closed with the balance written off' },
+        repaid: { status: 'Completed', description: 'Closed, repaid in full' }
+    },
+
+    TRANSITIONS: {
+        application: ['underwriting'],
+        underwriting: ['approved', 'declined', 'application'],
+        approved: ['funded'],
+        funded: ['performing', 'watch', 'default', 'repaid'],
+        performing: ['watch', 'default', 'repaid'],
+        watch: ['performing', 'default', 'repaid'],
+        default: ['workout', 'written_off', 'repaid'],
+        workout: ['performing', 'recovered', 'written_off', 'repaid'],
+        declined: [],
+        recovered: [],
+        written_off: [],
+        repaid: []
+    },
+
+    TERMINAL_STATES: ['declined', 'recovered', 'written_off', 'repaid'],
+    CREDIT_EVENT_STATES: ['default', 'workout', 'recovered', 'written_off', 'repaid'],
+
+    DEFAULT_DPD: 90,            // Default below this needs an explicit override
+    REPAID_TOLERANCE: 1         // Balance left on a repaid loan, in loan currency
+};
+
+// Transition hooks: { name, from, to, handler }
+const TRANSITION_HOOKS = [];
+
+// 🛠️ HELPERS
+
+function generateTransitionId() {
+    return `LST-${Date.now()}-${Math.random().toString(36).substr(2, 6).toUpperCase()}`;
+}
+
+function getLoanState(status) {
+    const entry = Object.entries(LIFECYCLE_CONFIG.STATES).find(([, state]) => state.status === status);
+    return entry ? entry[0] : null;
+}
+
+/**
+ * 🔍 Accept either a state key ('watch') or a stored status label ('Past Due')
+ */
+function resolveState(stateOrStatus) {
+    if (LIFECYCLE_CONFIG.STATES[stateOrStatus]) return stateOrStatus;
+    return getLoanState(stateOrStatus);
+}
+
+function getAllowedTransitions(stateOrStatus) {
+    const state = resolveState(stateOrStatus);
+    return state ? LIFECYCLE_CONFIG.TRANSITIONS[state] : [];
+}
+
+function outstandingBalance(deal) {
+    const financial = deal.financial || {};
+    return (financial.principalOutstanding || 0) + (financial.interestAccrued || 0) +
+        (financial.penaltyInterestOutstanding || 0) + (financial.feesOutstanding || 0);
+}
+
+function daysPastDue(deal, context) {
+    const days = context.daysPastDue !== undefined ? context.daysPastDue : deal.performance?.daysOverdue;
+    return parseInt(days) || 0;
+}
+
+function mapTransition(row) {
+    return {
+        transitionId: row.transition_id,
+        dealId: row.deal_id,
+        fromState: row.from_state,
+        toState: row.to_state,
+        fromStatus: row.from_status,
+        toStatus: row.to_status,
+        actor: row.actor,
+        reason: row.reason,
+        context: row.context || {},
+        hookResults: row.hook_results || {},
+        transitionedAt: row.transitioned_at
+    };
+}
+
+// 🛡️ GUARDS
+// Each guard returns an error message when the transition must not happen
+
+const TRANSITION_GUARDS = [
+    {
+        to: 'underwriting',
+        check: (deal) => {
+            const info = deal.dealInfo || {};
+            return info.loanAmount > 0 && info.interestRate !== undefined && info.loanTerm > 0
+                ? null : 'loan amount, interest rate and term are required for underwriting';
+        }
+    },
+    {
+        to: 'approved',
+        check: (deal, context, override) => (override || context.icReviewId
+            ? null : 'approval needs an investment committee decision (override required)')
+    },
+    {
+        to: 'funded',
+        check: (deal) => (deal.dealInfo?.loanAmount > 0 ? null : 'a funded loan needs a positive loan amount')
+    },
+    {
+        to: 'watch',
+        check: (deal, context, override) => (override || daysPastDue(deal, context) > 0
+            ? null : 'a loan goes on watch only when it is past due')
+    },
+    {
+        from: 'watch',
+        to: 'performing',
+        check: (deal, context) => (daysPastDue(deal, context) === 0
+            ? null : `loan is still ${daysPastDue(deal, context)} days past due`)
+    },
+    {
+        to: 'default',
+        check: (deal, context, override) => (override || daysPastDue(deal, context) >= LIFECYCLE_CONFIG.DEFAULT_DPD
+            ? null : `${daysPastDue(deal, context)} days past due is below the ${LIFECYCLE_CONFIG.DEFAULT_DPD}-day default threshold (override required)`)
+    },
+    {
+        to: 'repaid',
+        check: (deal) => {
+            const balance = outstandingBalance(deal);
+            return balance <= LIFECYCLE_CONFIG.REPAID_TOLERANCE
+                ? null : `${balance.toLocaleString()} is still outstanding`;
+        }
+    },
+    {
+        to: 'recovered',
+        check: (deal, context) => (typeof context.recoveredAmount === 'number' && context.recoveredAmount >= 0
+            ? null : 'recovered amount is required to close a loan as recovered')
+    }
+];
+
+/**
+ * 🛡️ Check whether a deal may move to a state; returns every failed guard
+ */
+function canTransition(deal, toStateOrStatus, options = {}) {
+    const { context = {}, override = false } = options;
+    const fromState = getLoanState(deal.status);
+    const toState = resolveState(toStateOrStatus);
+    const errors = [];
+
+    if (!fromState) {
+        errors.push(`unknown current status "${deal.status}"`);
+    } else if (!toState) {
+        errors.push(`unknown target state "${toStateOrStatus}"`);
+    } else if (!LIFECYCLE_CONFIG.TRANSITIONS[fromState].includes(toState)) {
+        errors.push(`${fromState} → ${toState} is not an allowed transition`);
+    } else {
+        TRANSITION_GUARDS
+            .filter(guard => guard.to === toState && (!guard.from || guard.from === fromState))
+            .forEach(guard => {
+                const error = guard.check(deal, context, override);
+                if (error) errors.push(error);
+            });
+    }
+
+    return { allowed: errors.length === 0, fromState, toState, errors };
+}
+
+// 📅 STATE EFFECTS
+
+function applyStateEffects(deal, toState, context, timestamp) {
+    deal.timeline = deal.timeline || {};
+
+    if (toState === 'approved' && !deal.timeline.approvalDate) {
+        deal.timeline.approvalDate = timestamp;
+    }
+    if (toState === 'funded' && !deal.timeline.fundingDate) {
+        deal.timeline.fundingDate = timestamp;
+    }
+    if (LIFECYCLE_CONFIG.TERMINAL_STATES.includes(toState)) {
+        deal.timeline.completionDate = timestamp;
+    }
+    if (toState === 'recovered') {
+        deal.financial = deal.financial || {};
+        deal.financial.recoveredAmount = context.recoveredAmount;
+    }
+}
+
+// 🪝 HOOKS
+
+/**
+ * 🪝 Register a hook that runs after matching transitions are persisted
+ * filter: { from?, to? } as a state or array of states; omitted matches everything.
+ * handler receives { deal, transition, bot, chatId } and its return value is kept on the audit record.
+ */
+function registerTransitionHook(name, filter, handler) {
+    const existing = TRANSITION_HOOKS.findIndex(hook => hook.name === name);
+    if (existing >= 0) {
+        console.warn(`⚠️ Transition hook "${name}" re-registered`);
+        TRANSITION_HOOKS.splice(existing, 1);
+    }
+
+    const toList = value => (value === undefined ? null : [].concat(value));
+    TRANSITION_HOOKS.push({ name, from: toList(filter.from), to: toList(filter.to), handler });
+}
+
+function getTransitionHooks() {
+    return TRANSITION_HOOKS.map(({ name, from, to }) => ({ name, from, to }));
+}
+
+async function runTransitionHooks(deal, transition, options) {
+    const results = {};
+    const hooks = TRANSITION_HOOKS.filter(hook =>
+        (!hook.from || hook.from.includes(transition.fromState)) &&
+        (!hook.to || hook.to.includes(transition.toState)));
+
+    for (const hook of hooks) {
+        try {
+            const result = await hook.handler({ deal, transition, bot: options.bot || null, chatId: options.chatId || null });
+            results[hook.name] = { success: true, result: result === undefined ? null : result };
+        } catch (error) {
+            console.error(`❌ Transition hook ${hook.name} failed for ${deal.dealId}:`, error.message);
+            results[hook.name] = { success: false, error: error.message };
+        }
+    }
+
+    if (hooks.length > 0) {
+        try {
+            await queryWithRetry(`
+                UPDATE loan_status_transitions SET hook_results = $2 WHERE transition_id = $1
+            `, [transition.transitionId, JSON.stringify(results)], 3, 'SAVE_TRANSITION_HOOKS');
+        } catch (error) {
+            console.error(`❌ Hook results not saved for ${transition.transitionId}:`, error.message);
+        }
+    }
+    return results;
+}
+
+// 🔄 TRANSITIONS
+
+/**
+ * 🔄 Move a loan to a new lifecycle state
+ * options: { actor, reason, override, context, bot, chatId }
+ * context is stored on the audit record and feeds the guards (daysPastDue, recoveredAmount, icReviewId).
+ * Hooks run after the deal and audit record are saved; a failing hook never undoes the transition.
+ */
+async function transitionLoan(dealOrId, toStateOrStatus, options = {}) {
+    const { actor, reason, override = false, context = {} } = options;
+
+    try {
+        if (!actor) throw new Error('actor is required');
+        if (!reason || !String(reason).trim()) throw new Error('reason is required');
+
+        const deal = typeof dealOrId === 'string' ? await getDealByIdDB(dealOrId) : dealOrId;
+        if (!deal) throw new Error(`Deal ${dealOrId} not found`);
+
+        const check = canTransition(deal, toStateOrStatus, { context, override });
+        if (!check.allowed) {
+            throw new Error(`${deal.dealId} cannot move from ${deal.status}: ${check.errors.join('; ')}`);
+        }
+
+        const timestamp = new Date().toISOString();
+        const transition = {
+            transitionId: generateTransitionId(),
+            dealId: deal.dealId,
+            fromState: check.fromState,
+            toState: check.toState,
+            fromStatus: deal.status,
+            toStatus: LIFECYCLE_CONFIG.STATES[check.toState].status,
+            actor: actor,
+            reason: String(reason).trim(),
+            context: { ...context, ...(override ? { override: true } : {}) },
+            transitionedAt: timestamp
+        };
+
+        deal.status = transition.toStatus;
+        applyStateEffects(deal, check.toState, context, timestamp);
+        deal.notes = deal.notes || [];
+        deal.notes.push({
+            date: timestamp,
+            type: 'status_change',
+            note: `Status changed to ${transition.toStatus} by ${actor}: ${transition.reason}`,
+            transitionId: transition.transitionId
+        });
+
+        await saveDealTransitionDB(deal, transition);
+        console.log(`🔄 ${deal.dealId}: ${transition.fromState} → ${transition.toState} by ${actor}`);
+
+        const hookResults = await runTransitionHooks(deal, transition, options);
+        return { deal, transition, hookResults };
+
+    } catch (error) {
+        console.error('❌ Loan transition error:', error.message);
+        throw new Error(`Loan transition failed: ${error.message}`);
+    }
+}
+
+// 📜 AUDIT TRAIL
+
+/**
+ * 📜 Every transition a loan has been through, oldest first
+ */
+async function getLoanHistory(dealId) {
+    const result = await queryWithRetry(`
+        SELECT * FROM loan_status_transitions
+        WHERE deal_id = $1
+        ORDER BY transitioned_at ASC
+    `, [dealId], 3, 'GET_LOAN_HISTORY');
+
+    return result.rows.map(mapTransition);
+}
+
+/**
+ * 📣 Transitions into credit-event states over a period, newest first
+ */
+async function getCreditEvents(options = {}) {
+    const {
+        fromDate = null,
+        toDate = null,
+        states = LIFECYCLE_CONFIG.CREDIT_EVENT_STATES
+    } = options;
+
+    const result = await queryWithRetry(`
+        SELECT * FROM loan_status_transitions
+        WHERE to_state = ANY($1)
+          AND ($2::timestamp IS NULL OR transitioned_at >= $2::timestamp)
+          AND ($3::timestamp IS NULL OR transitioned_at <= $3::timestamp)
+        ORDER BY transitioned_at DESC
+    `, [states, fromDate, toDate], 3, 'GET_CREDIT_EVENTS');
+
+    return result.rows.map(mapTransition);
+}
+
+module.exports = {
+    // State machine
+    transitionLoan,
+    canTransition,
+    getLoanState,
+    resolveState,
+    getAllowedTransitions,
+
+    // Hooks
+    registerTransitionHook,
+    getTransitionHooks,
+
+    // Audit trail
+    getLoanHistory,
+    getCreditEvents,
+
+    // Configuration
+    LIFECYCLE_CONFIG
+};
+
+console.log('🔄 Loan Lifecycle State Machine Loaded');
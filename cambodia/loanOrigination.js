@@ -1453,6 +1453,11 @@ module.exports = {
     // 🎯 Quick access functions
     getLoanOriginationQuickInsights,
     
+    // ✅ Approval package functions
+    generateApprovalSummary,
+    generateConditionsPrecedent,
+    generateApprovalNextSteps,
+    
     // 📅 Timeline and workflow functions
     generateClosingTimeline,
     calculateEstimatedClosingDate,
@@ -1,6 +1,8 @@
 // cambodia/loanRecovery.js - COMPLETE: Cambodia Loan Recovery & Collections System
 // Enterprise-grade recovery operations with GPT-5 intelligence for private lending fund
 
+const { registerTransitionHook } = require('./loanLifecycle');
+
 // 💰 CAMBODIA LOAN RECOVERY FRAMEWORK
 const LOAN_RECOVERY_FRAMEWORK = {
     // Recovery stages and classifications
@@ -2077,6 +2079,40 @@ function generateBenchmarkRecommendations(performanceMetrics) {
     return recommendations;
 }
 
+// 🔄 LIFECYCLE HOOKS
+
+/**
+ * 🔄 Recovery plan for loans entering default or workout
+ * Uses the rule-based strategy selection; the GPT strategy stays on request via developRecoveryStrategy
+ */
+registerTransitionHook('recovery', { to: ['default', 'workout'] }, ({ deal, transition }) => {
+    const dealInfo = deal.dealInfo || {};
+    const financial = deal.financial || {};
+    const recoveryData = {
+        borrowerName: dealInfo.borrowerName,
+        originalAmount: dealInfo.loanAmount,
+        outstandingBalance: (financial.principalOutstanding || 0) + (financial.interestAccrued || 0),
+        daysPastDue: transition.context.daysPastDue !== undefined
+            ? transition.context.daysPastDue : (deal.performance?.daysOverdue || 0),
+        primaryCollateral: dealInfo.propertyType ? `Real estate (${dealInfo.propertyType})` : dealInfo.collateral,
+        collateralValue: dealInfo.collateralValue || (dealInfo.ltv ? dealInfo.loanAmount / (dealInfo.ltv / 100) : 0),
+        ltv: dealInfo.ltv,
+        currentStage: transition.toState
+    };
+
+    const recoveryAnalysis = analyzeRecoveryOptions(recoveryData);
+    const optimalStrategy = selectOptimalStrategy(recoveryData, recoveryAnalysis);
+    const recoveryProjections = calculateRecoveryProjections(recoveryData, optimalStrategy);
+
+    return {
+        recommendedApproach: optimalStrategy.approach,
+        recoveryTimeline: optimalStrategy.timeline,
+        expectedRecovery: recoveryProjections.expectedAmount,
+        recoveryProbability: recoveryProjections.probability,
+        keyMilestones: optimalStrategy.keyMilestones
+    };
+});
+
 // 📊 EXPORT FUNCTIONS
 module.exports = {
     // Recovery strategy development
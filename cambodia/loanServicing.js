@@ -1,6 +1,14 @@
 // cambodia/loanServicing.js - COMPLETE: Cambodia Loan Servicing & Portfolio Management System
 // Enterprise-grade loan servicing with GPT-5 intelligence for private lending fund
 
+const {
+    generateLoanSchedule,
+    reconcileLoanPayments,
+    buildArrearsAging
+} = require('./loanSchedule');
+const { getDealsDB, saveDealDB } = require('../utils/database');
+const { transitionLoan, registerTransitionHook } = require('./loanLifecycle');
+
 // 🏦 CAMBODIA LOAN SERVICING FRAMEWORK
 const LOAN_SERVICING_FRAMEWORK = {
     // Loan statuses and lifecycle
@@ -480,6 +488,25 @@ function calculatePerformanceGrade(metrics) {
  * 📋 Process Individual Loan Servicing
  */
 async function processLoanServicing(loanId, servicingData, chatId = null, bot = null) {
+    // Derive delinquency from the schedule when loan terms are supplied
+    let reconciliation = null;
+    try {
+        const schedule = resolveLoanSchedule(servicingData);
+        if (schedule) {
+            reconciliation = reconcileServicingData(servicingData, schedule);
+            servicingData = applyReconciliation(servicingData, schedule, reconciliation);
+        }
+    } catch (error) {
+        console.error('❌ Schedule reconciliation error:', error.message);
+        return {
+            analysis: `Loan servicing analysis unavailable: ${error.message}`,
+            loanId: loanId,
+            accountSummary: { status: "error" },
+            success: false,
+            error: error.message
+        };
+    }
+
     const prompt = `
 CAMBODIA LENDING - INDIVIDUAL LOAN SERVICING ANALYSIS
 
@@ -502,7 +529,14 @@ ACCOUNT HISTORY:
 • Late Payments YTD: ${servicingData.latePaymentsYTD || 'Not recorded'}
 • Total Late Fees: $${servicingData.totalLateFees || 0} USD
 • Covenant Violations: ${servicingData.covenantViolations || 'None reported'}
-
+${reconciliation ? `
+SCHEDULE RECONCILIATION (as of ${reconciliation.asOfDate}, ${reconciliation.currency}):
+• Arrears Bucket: ${reconciliation.arrearsBucketLabel}
+• Principal in Arrears: ${reconciliation.principalInArrears.toLocaleString()}
+• Interest in Arrears: ${reconciliation.interestInArrears.toLocaleString()}
+• Penalty Interest Accrued: ${reconciliation.penaltyInterest.toLocaleString()} (${reconciliation.penaltyRate}% p.a.)
+• Overdue Installments: ${reconciliation.overdueInstallments.length}
+` : ''}
 LOAN SERVICING ANALYSIS:
 
 1. **PAYMENT PERFORMANCE EVALUATION**
@@ -572,6 +606,7 @@ Provide detailed loan servicing analysis with specific action recommendations.
                 daysPastDue: servicingData.daysPastDue,
                 riskLevel: loanStatus.riskLevel
             },
+            reconciliation: reconciliation,
             servicingActions: requiredActions,
             riskAssessment: riskAssessment,
             nextReviewDate: calculateNextReviewDate(loanStatus),
@@ -592,6 +627,156 @@ Provide detailed loan servicing analysis with specific action recommendations.
     }
 }
 
+/**
+ * 📅 Repayment schedule for servicing data, null when no loan terms are supplied
+ */
+function resolveLoanSchedule(servicingData) {
+    if (servicingData.schedule) return servicingData.schedule;
+    if (servicingData.loanTerms) return generateLoanSchedule(servicingData.loanTerms);
+    return null;
+}
+
+/**
+ * 🔍 Reconcile servicing data payments against the repayment schedule
+ */
+function reconcileServicingData(servicingData, schedule, asOfDate = null) {
+    return reconcileLoanPayments(
+        schedule,
+        servicingData.payments || [],
+        asOfDate || servicingData.asOfDate || new Date(),
+        { penaltyRate: servicingData.penaltyRate }
+    );
+}
+
+/**
+ * 🔄 Overlay reconciled figures on the caller's servicing data
+ */
+function applyReconciliation(servicingData, schedule, reconciliation) {
+    const payments = (servicingData.payments || [])
+        .filter(p => new Date(p.date) <= new Date(reconciliation.asOfDate))
+        .sort((a, b) => new Date(a.date) - new Date(b.date));
+    const lastPayment = payments[payments.length - 1];
+
+    return {
+        ...servicingData,
+        originalAmount: schedule.terms.principal,
+        outstandingBalance: reconciliation.outstandingPrincipal,
+        monthlyPayment: schedule.summary.regularInstallment || servicingData.monthlyPayment,
+        currentStatus: reconciliation.arrearsBucketLabel,
+        daysPastDue: reconciliation.daysPastDue,
+        lastPaymentDate: lastPayment ? new Date(lastPayment.date).toISOString().split('T')[0] : servicingData.lastPaymentDate,
+        lastPaymentAmount: lastPayment ? Number(lastPayment.amount) : servicingData.lastPaymentAmount,
+        nextPaymentDue: reconciliation.nextDue ? reconciliation.nextDue.dueDate : servicingData.nextPaymentDue,
+        currency: reconciliation.currency
+    };
+}
+
+/**
+ * 📆 Recalculate days past due for every funded deal from its schedule and payments
+ * Moves deals between Performing, Past Due and Default through the loan lifecycle;
+ * defaulted and workout loans keep their DPD current but are never cured automatically
+ */
+async function recalculatePortfolioDelinquency(options = {}) {
+    const asOfDate = options.asOfDate || new Date().toISOString().split('T')[0];
+    const serviced = ['Funded', 'Performing', 'Past Due', 'Default', 'Workout'];
+    const impaired = ['Default', 'Workout'];
+
+    try {
+        const deals = (await getDealsDB()).filter(deal =>
+            serviced.includes(deal.status) && deal.timeline?.fundingDate &&
+            deal.dealInfo?.loanAmount && deal.dealInfo?.loanTerm && deal.dealInfo?.interestRate !== undefined);
+
+        const loans = deals.map(deal => ({
+            loanId: deal.dealId,
+            loanTerms: {
+                principal: deal.dealInfo.loanAmount,
+                annualRate: deal.dealInfo.interestRate,
+                termMonths: deal.dealInfo.loanTerm,
+                structure: deal.dealInfo.structure,
+                dayCount: deal.dealInfo.dayCount,
+                currency: deal.dealInfo.currency,
+                startDate: deal.timeline.fundingDate
+            },
+            payments: (deal.payments || []).map(p => ({ date: p.date, amount: p.amount }))
+        }));
+        const aging = buildArrearsAging(loans, asOfDate);
+
+        const statusChanges = [];
+        const failed = [];
+        for (const [i, deal] of deals.entries()) {
+            const reconciliation = aging.loans[i];
+            const previousDays = deal.performance.daysOverdue || 0;
+            const previousStatus = deal.status;
+            const loanStatus = determineLoanStatus({ daysPastDue: reconciliation.daysPastDue });
+
+            let newStatus = previousStatus;
+            if (loanStatus === LOAN_SERVICING_FRAMEWORK.loanStatuses.default) {
+                newStatus = impaired.includes(previousStatus) ? previousStatus : 'Default';
+            } else if (!impaired.includes(previousStatus)) {
+                newStatus = reconciliation.daysPastDue > 0 ? 'Past Due' :
+                    previousStatus === 'Past Due' ? 'Performing' : previousStatus;
+            }
+
+            if (reconciliation.daysPastDue === previousDays && newStatus === previousStatus &&
+                deal.performance.paymentStatus === reconciliation.arrearsBucket) {
+                continue;
+            }
+
+            deal.performance.daysOverdue = reconciliation.daysPastDue;
+            deal.performance.paymentStatus = reconciliation.arrearsBucket;
+
+            try {
+                if (newStatus !== previousStatus) {
+                    await transitionLoan(deal, newStatus, {
+                        actor: 'system',
+                        reason: `${reconciliation.daysPastDue} DPD as of ${asOfDate}`,
+                        context: {
+                            daysPastDue: reconciliation.daysPastDue,
+                            arrearsBucket: reconciliation.arrearsBucket,
+                            totalArrears: reconciliation.totalArrears,
+                            asOfDate: asOfDate
+                        },
+                        bot: options.bot,
+                        chatId: options.chatId
+                    });
+                    statusChanges.push({
+                        dealId: deal.dealId,
+                        borrowerName: deal.dealInfo.borrowerName,
+                        from: previousStatus,
+                        to: newStatus,
+                        daysPastDue: reconciliation.daysPastDue,
+                        totalArrears: reconciliation.totalArrears,
+                        currency: reconciliation.currency
+                    });
+                } else {
+                    await saveDealDB(deal);
+                }
+            } catch (error) {
+                console.error(`❌ Delinquency update failed for ${deal.dealId}:`, error.message);
+                failed.push({ dealId: deal.dealId, error: error.message });
+            }
+        }
+
+        console.log(`📆 Delinquency recalculated as of ${asOfDate}: ${deals.length} loans, ${statusChanges.length} status changes`);
+
+        return {
+            asOfDate: aging.asOfDate,
+            loansReviewed: deals.length,
+            buckets: aging.buckets,
+            totalArrearsUSD: aging.totalArrearsUSD,
+            statusChanges: statusChanges,
+            failed: failed,
+            pastDue: aging.loans
+                .filter(loan => loan.daysPastDue > 0)
+                .map(loan => ({ dealId: loan.loanId, daysPastDue: loan.daysPastDue, arrearsBucket: loan.arrearsBucket, totalArrears: loan.totalArrears, currency: loan.currency }))
+        };
+
+    } catch (error) {
+        console.error('❌ Delinquency recalculation failed:', error.message);
+        throw new Error(`Delinquency recalculation failed: ${error.message}`);
+    }
+}
+
 /**
  * 🎯 Determine Loan Status
  */
@@ -793,8 +978,16 @@ function calculateNextReviewDate(loanStatus) {
 
 /**
  * 📊 Calculate Total Past Due
+ * Uses schedule reconciliation (USD) when portfolioData.loans carry loan terms
  */
 function calculateTotalPastDue(portfolioData) {
+    if (Array.isArray(portfolioData.loans) && portfolioData.loans.some(loan => loan.loanTerms || loan.schedule)) {
+        const loans = portfolioData.loans.filter(loan => loan.loanTerms || loan.schedule);
+        return buildArrearsAging(loans, portfolioData.asOfDate || new Date(), {
+            usdKhrRate: portfolioData.usdKhrRate
+        }).totalArrearsUSD;
+    }
+
     return (portfolioData.pastDue30 || 0) + 
            (portfolioData.pastDue60 || 0) + 
            (portfolioData.pastDue90 || 0);
@@ -1417,6 +1610,23 @@ function generateMonitoringPlan(arrangementData) {
     };
 }
 
+// 🔄 LIFECYCLE HOOKS
+
+/**
+ * 🔄 Servicing plan for loans entering a serviced state
+ */
+registerTransitionHook('servicing', { to: ['funded', 'performing', 'watch'] }, ({ deal, transition }) => {
+    const daysPastDue = transition.context.daysPastDue !== undefined
+        ? transition.context.daysPastDue : (deal.performance?.daysOverdue || 0);
+    const loanStatus = determineLoanStatus({ daysPastDue });
+
+    return {
+        loanStatus: loanStatus.status,
+        actionRequired: loanStatus.actionRequired,
+        actions: generateServicingActions(loanStatus, { daysPastDue })
+    };
+});
+
 // 📊 EXPORT FUNCTIONS
 module.exports = {
     // Portfolio monitoring
@@ -1428,7 +1638,11 @@ module.exports = {
     
     // Individual loan servicing
     processLoanServicing,
+    resolveLoanSchedule,
+    reconcileServicingData,
+    applyReconciliation,
     determineLoanStatus,
+    recalculatePortfolioDelinquency,
     generateServicingActions,
     assessIndividualLoanRisk,
     calculateProbabilityOfDefault,
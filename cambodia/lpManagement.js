@@ -1,6 +1,10 @@
 // cambodia/lpManagement.js - COMPLETE LP Management System for Cambodia Fund
 // Professional Limited Partner relationship and investment management
 
+const { saveLPDB, getLPsDB, getLPByIdDB, queryWithRetry } = require('../utils/database');
+const { getLPCapitalPositions } = require('./capitalCalls');
+const { getWaterfallAllocations } = require('./distributionWaterfall');
+
 // 🏦 LP MANAGEMENT CONFIGURATION
 const LP_CONFIG = {
     // Investment categories
@@ -58,7 +62,8 @@ const LP_CONFIG = {
     ]
 };
 
-// 📊 LP DATABASE - In production, use proper database
+// 📊 LP CACHE - LPs are persisted in Postgres (lps); this in-process copy
+// is refreshed from the DB by getAllLPs() and the matching/statistics functions
 let LP_DATABASE = [];
 
 // 🏦 LP MANAGEMENT FUNCTIONS
@@ -135,6 +140,7 @@ async function addNewLP(lpData) {
             }
         };
         
+        await saveLPDB(newLP);
         LP_DATABASE.push(newLP);
         console.log(`✅ LP added: ${newLP.name} (${newLP.id})`);
         
@@ -234,7 +240,8 @@ async function findMatchingLPs(dealCriteria) {
         console.log('🎯 Finding matching LPs for deal...');
         
         // Filter LPs based on deal criteria
-        const eligibleLPs = LP_DATABASE.filter(lp => {
+        const allLPs = await getAllLPs();
+        const eligibleLPs = allLPs.filter(lp => {
             const profile = lp.investmentProfile;
             
             // Basic qualification checks
@@ -289,7 +296,7 @@ async function generateLPPortfolioReport(lpId) {
     try {
         console.log('📊 Generating LP portfolio report...');
         
-        const lp = LP_DATABASE.find(l => l.id === lpId);
+        const lp = await getLPById(lpId);
         if (!lp) {
             throw new Error('LP not found');
         }
@@ -357,7 +364,7 @@ async function generateLPCommunication(type, lpId, data = {}) {
     try {
         console.log(`📧 Generating ${type} communication for LP ${lpId}...`);
         
-        const lp = LP_DATABASE.find(l => l.id === lpId);
+        const lp = await getLPById(lpId);
         if (!lp) {
             throw new Error('LP not found');
         }
@@ -450,9 +457,9 @@ Tone: Professional, transparent, forward-looking`;
 /**
  * 📈 Track LP investment
  */
-function trackLPInvestment(lpId, investmentData) {
+async function trackLPInvestment(lpId, investmentData) {
     try {
-        const lp = LP_DATABASE.find(l => l.id === lpId);
+        const lp = await getLPById(lpId);
         if (!lp) {
             throw new Error('LP not found');
         }
@@ -485,6 +492,9 @@ function trackLPInvestment(lpId, investmentData) {
             note: `Invested $${investmentData.amount.toLocaleString()} in ${investmentData.dealId}`
         });
         
+        await saveLPDB(lp);
+        cacheLP(lp);
+        
         console.log(`✅ Investment tracked: ${lp.name} invested $${investmentData.amount.toLocaleString()}`);
         
         return {
@@ -660,32 +670,84 @@ function extractRecommendations(analysis) {
 
 // 📊 LP DATABASE OPERATIONS
 
-function getAllLPs() {
+function cacheLP(lp) {
+    const index = LP_DATABASE.findIndex(l => l.id === lp.id);
+    if (index >= 0) {
+        LP_DATABASE[index] = lp;
+    } else {
+        LP_DATABASE.push(lp);
+    }
+}
+
+async function getAllLPs() {
+    LP_DATABASE = await getLPsDB();
     return LP_DATABASE;
 }
 
-function getLPById(lpId) {
-    return LP_DATABASE.find(lp => lp.id === lpId);
+async function getLPById(lpId) {
+    return await getLPByIdDB(lpId);
 }
 
-function getLPsByStatus(status) {
-    return LP_DATABASE.filter(lp => lp.status === status);
+async function getLPsByStatus(status) {
+    return await getLPsDB({ status });
 }
 
-function getLPsByRiskProfile(riskProfile) {
-    return LP_DATABASE.filter(lp => lp.investmentProfile.riskProfile === riskProfile);
+async function getLPsByRiskProfile(riskProfile) {
+    return await getLPsDB({ riskProfile });
 }
 
-function updateLPStatus(lpId, newStatus) {
-    const lp = LP_DATABASE.find(l => l.id === lpId);
+async function updateLPStatus(lpId, newStatus) {
+    const lp = await getLPById(lpId);
     if (lp) {
         lp.status = newStatus;
         lp.relationship.lastContact = new Date().toISOString();
+        await saveLPDB(lp);
+        cacheLP(lp);
         return lp;
     }
     return null;
 }
 
+/**
+ * 🏦 Funds an LP has committed to
+ */
+async function getLPFundIds(lpId) {
+    const funds = await queryWithRetry(`
+        SELECT DISTINCT fund_id FROM lp_commitments WHERE lp_id = $1 ORDER BY fund_id
+    `, [lpId], 3, 'LP_FUNDS');
+    return funds.rows.map(row => row.fund_id);
+}
+
+/**
+ * 💼 One LP's capital position and distributions in every fund it has committed to
+ * Only this LP's rows are read, so the result is safe to show to the LP itself
+ */
+async function getLPFundPositions(lpId) {
+    try {
+        const positions = [];
+        for (const fundId of await getLPFundIds(lpId)) {
+            const [capital] = await getLPCapitalPositions(fundId, new Date(), lpId);
+            const distributions = (await getWaterfallAllocations(fundId)).filter(a => a.lpId === lpId);
+
+            positions.push({
+                fundId: fundId,
+                commitment: capital ? capital.commitment : 0,
+                contributed: capital ? capital.contributed : 0,
+                unfunded: capital ? capital.unfunded : 0,
+                outstandingCalled: capital ? capital.outstandingCalled : 0,
+                distributed: distributions.reduce((sum, a) => sum + a.lpAmount, 0),
+                lastDistributionDate: distributions.length > 0 ? distributions[distributions.length - 1].distributionDate : null
+            });
+        }
+
+        return positions;
+
+    } catch (error) {
+        console.error('❌ LP fund positions error:', error.message);
+        throw new Error(`LP fund positions failed: ${error.message}`);
+    }
+}
+
 // 📤 MAIN EXPORTS
 module.exports = {
     // Core LP management
@@ -702,6 +764,8 @@ module.exports = {
     getLPsByStatus,
     getLPsByRiskProfile,
     updateLPStatus,
+    getLPFundIds,
+    getLPFundPositions,
     
     // Utility functions
     calculateLPDealCompatibility,
@@ -711,7 +775,8 @@ module.exports = {
     LP_CONFIG,
     
     // Analytics functions
-    getLPStatistics: () => {
+    getLPStatistics: async () => {
+        await getAllLPs();
         return {
             totalLPs: LP_DATABASE.length,
             activeInvestors: LP_DATABASE.filter(lp => lp.status === LP_CONFIG.STATUS.ACTIVE).length,
@@ -1,17 +1,26 @@
 // cambodia/portfolioManager.js - COMPLETE Portfolio Management System for Cambodia Fund
 // Professional fund portfolio tracking, performance monitoring, and risk management
 
+const { saveDealDB, saveDealPaymentDB, getDealsDB, getDealByIdDB, deletePipelineDealDB, withTransaction } = require('../utils/database');
+const { generateLoanSchedule, reconcileLoanPayments, yearFraction, roundAmount } = require('./loanSchedule');
+const { postInterestAccrual, hasPostedReference, loadFxRates, fxRateFor, toBaseAmount } = require('./fundLedger');
+const { transitionLoan, canTransition } = require('./loanLifecycle');
+
 // 📊 PORTFOLIO CONFIGURATION
 const PORTFOLIO_CONFIG = {
     // Deal statuses
     DEAL_STATUS: {
         PIPELINE: 'Pipeline',
+        UNDERWRITING: 'Underwriting',
         APPROVED: 'Approved',
+        DECLINED: 'Declined',
         FUNDED: 'Funded',
         PERFORMING: 'Performing',
         PAST_DUE: 'Past Due',
         DEFAULT: 'Default',
+        WORKOUT: 'Workout',
         COMPLETED: 'Completed',
+        RECOVERED: 'Recovered',
         WRITTEN_OFF: 'Written Off'
     },
     
@@ -46,10 +55,24 @@ const PORTFOLIO_CONFIG = {
         MAX_DEALS: 50,          // Maximum 50 active deals
         MIN_DIVERSIFICATION: 10, // Minimum 10 deals for diversification
         CASH_RESERVE: 0.10      // 10% cash reserve
+    },
+    
+    // Payment waterfall - buckets are settled in order; a deal can override
+    // the order with deal.servicing.waterfallOrder
+    PAYMENT_WATERFALL: {
+        ORDER: ['fees', 'penaltyInterest', 'accruedInterest', 'principal'],
+        OVERPAYMENT: 'hold_as_credit',  // 'hold_as_credit' or 'refund'; a deal can override with deal.servicing.overpayment
+        OVERPAYMENT_OPTIONS: ['hold_as_credit', 'refund'],
+        PREPAYMENT_PENALTY: {
+            RATE: 2.0,                  // % of principal prepaid
+            WINDOW_MONTHS: 12           // Charged only within 12 months of funding
+        },
+        DAY_COUNT: '30/360'
     }
 };
 
-// 📈 PORTFOLIO DATABASE - In production, use proper database
+// 📈 PORTFOLIO CACHE - deals are persisted in Postgres (deals, deal_payments);
+// this in-process copy is refreshed from the DB before portfolio calculations
 let PORTFOLIO_DATABASE = {
     deals: [],
     fundMetrics: {
@@ -103,6 +126,15 @@ async function addDealToPortfolio(dealData) {
             financial: {
                 principalOutstanding: dealData.loanAmount,
                 interestAccrued: 0,
+                interestAccruedThrough: null,
+                interestPaid: 0,
+                feesOutstanding: 0,
+                feesPaid: 0,
+                penaltyInterestOutstanding: 0,
+                penaltyInterestPaid: 0,
+                prepaymentPenaltiesPaid: 0,
+                unappliedCredit: 0,
+                refundsDue: 0,
                 paymentsReceived: 0,
                 expectedReturn: (dealData.loanAmount * dealData.interestRate * dealData.loanTerm) / (100 * 12),
                 actualReturn: 0,
@@ -147,6 +179,7 @@ async function addDealToPortfolio(dealData) {
             notes: []
         };
         
+        await saveDealDB(newDeal);
         PORTFOLIO_DATABASE.deals.push(newDeal);
         console.log(`✅ Deal added to portfolio: ${newDeal.dealId}`);
         
@@ -353,24 +386,7 @@ async function monitorPortfolioRisks() {
     try {
         console.log('⚠️ Monitoring portfolio risks...');
         
-        const risks = [];
-        const portfolioMetrics = await calculateDetailedPortfolioMetrics();
-        
-        // Check concentration limits
-        const concentrationRisks = checkConcentrationLimits(portfolioMetrics);
-        risks.push(...concentrationRisks);
-        
-        // Check performance issues
-        const performanceRisks = checkPerformanceRisks();
-        risks.push(...performanceRisks);
-        
-        // Check credit risks
-        const creditRisks = checkCreditRisks();
-        risks.push(...creditRisks);
-        
-        // Check liquidity risks
-        const liquidityRisks = checkLiquidityRisks(portfolioMetrics);
-        risks.push(...liquidityRisks);
+        const risks = await identifyPortfolioRisks();
         
         // Generate AI-powered risk analysis
         if (risks.length > 0) {
@@ -403,56 +419,174 @@ async function monitorPortfolioRisks() {
     }
 }
 
+/**
+ * 🔍 Rule-based portfolio risk checks, without the AI analysis
+ */
+async function identifyPortfolioRisks() {
+    const risks = [];
+    const portfolioMetrics = await calculateDetailedPortfolioMetrics();
+    
+    // Check concentration limits
+    risks.push(...checkConcentrationLimits(portfolioMetrics));
+    
+    // Check performance issues
+    risks.push(...checkPerformanceRisks());
+    
+    // Check credit risks
+    risks.push(...checkCreditRisks());
+    
+    // Check liquidity risks
+    risks.push(...checkLiquidityRisks(portfolioMetrics));
+    
+    return risks;
+}
+
 /**
  * 💰 Update deal payment
+ * Accrues interest to the payment date, then allocates the amount plus any credit held
+ * from earlier overpayments through the payment waterfall and stores the allocation on the payment record
  */
-function updateDealPayment(dealId, paymentData) {
+async function updateDealPayment(dealId, paymentData) {
     try {
-        const deal = PORTFOLIO_DATABASE.deals.find(d => d.dealId === dealId);
+        const deal = await getDealById(dealId);
         if (!deal) {
             throw new Error('Deal not found');
         }
+        if (!(paymentData.amount > 0)) {
+            throw new Error('Payment amount must be positive');
+        }
+        
+        const currency = deal.dealInfo.currency || 'USD';
+        const paymentDate = paymentData.date || new Date().toISOString();
+        const financial = deal.financial;
+        const balancesBefore = getDealBalances(deal);
+        
+        // Bring interest and penalty accruals up to the payment date
+        const interestAccrual = accrueDealInterest(deal, paymentDate);
+        const arrears = refreshDealPenaltyInterest(deal, paymentDate);
+        
+        // Fees assessed with this payment (late fees, legal costs)
+        if (paymentData.feesAssessed > 0) {
+            financial.feesOutstanding = roundAmount((financial.feesOutstanding || 0) + paymentData.feesAssessed, currency);
+        }
+        
+        // Principal in arrears plus the next installment is scheduled; only principal beyond that is prepaid.
+        // Paying the installment early accrues less interest than scheduled, and that difference is scheduled too
+        let scheduledPrincipal = financial.principalOutstanding || 0;
+        if (arrears) {
+            const next = arrears.nextDue || { principal: 0, interest: 0 };
+            const currentInterest = Math.max(0, (financial.interestAccrued || 0) - arrears.interestInArrears);
+            scheduledPrincipal = arrears.principalInArrears + next.principal + Math.max(0, next.interest - currentInterest);
+        }
+        
+        // Credit held from earlier overpayments is spent before the new money
+        const creditAvailable = roundAmount(financial.unappliedCredit || 0, currency);
+        const waterfall = allocatePayment({
+            fees: financial.feesOutstanding || 0,
+            penaltyInterest: financial.penaltyInterestOutstanding || 0,
+            accruedInterest: financial.interestAccrued || 0,
+            principal: financial.principalOutstanding || 0,
+            scheduledPrincipal: paymentData.type === 'prepayment' ? 0 : scheduledPrincipal
+        }, roundAmount(paymentData.amount + creditAvailable, currency), {
+            order: deal.servicing?.waterfallOrder,
+            prepaymentPenaltyRate: getPrepaymentPenaltyRate(deal, paymentDate),
+            overpayment: paymentData.overpayment || deal.servicing?.overpayment,
+            currency: currency
+        });
+        const creditApplied = roundAmount(Math.min(creditAvailable, waterfall.totalApplied), currency);
+        const refund = waterfall.overpayment.handling === 'refund' ? waterfall.overpayment.amount : 0;
+        
+        const applied = bucket => waterfall.buckets.find(b => b.bucket === bucket)?.applied || 0;
+        const principalApplied = roundAmount(applied('principal'), currency);
+        const interestApplied = applied('accruedInterest');
+        const penaltyApplied = applied('penaltyInterest');
+        const feesApplied = applied('fees');
+        const prepaymentPenalty = waterfall.prepayment.penalty;
+        
+        // Update deal financials
+        financial.feesOutstanding = roundAmount((financial.feesOutstanding || 0) - feesApplied, currency);
+        financial.feesPaid = roundAmount((financial.feesPaid || 0) + feesApplied, currency);
+        financial.penaltyInterestOutstanding = roundAmount((financial.penaltyInterestOutstanding || 0) - penaltyApplied, currency);
+        financial.penaltyInterestPaid = roundAmount((financial.penaltyInterestPaid || 0) + penaltyApplied, currency);
+        financial.interestAccrued = roundAmount(financial.interestAccrued - interestApplied, currency);
+        financial.interestPaid = roundAmount((financial.interestPaid || 0) + interestApplied, currency);
+        financial.principalOutstanding = roundAmount(financial.principalOutstanding - principalApplied, currency);
+        financial.prepaymentPenaltiesPaid = roundAmount((financial.prepaymentPenaltiesPaid || 0) + prepaymentPenalty, currency);
+        financial.unappliedCredit = waterfall.overpayment.handling === 'hold_as_credit' ? waterfall.overpayment.amount : 0;
+        financial.refundsDue = roundAmount((financial.refundsDue || 0) + refund, currency);
+        
+        const income = roundAmount(interestApplied + penaltyApplied + feesApplied + prepaymentPenalty, currency);
+        financial.paymentsReceived += paymentData.amount;
+        financial.actualReturn += income;
+        financial.netReturn = financial.actualReturn - financial.paymentsReceived;
+        financial.roi = (financial.actualReturn / deal.dealInfo.loanAmount) * 100;
         
         const payment = {
             paymentId: generatePaymentId(),
-            date: paymentData.date || new Date().toISOString(),
+            date: paymentDate,
             amount: paymentData.amount,
-            principal: paymentData.principal || 0,
-            interest: paymentData.interest || paymentData.amount,
-            type: paymentData.type || 'interest',
-            status: 'received'
+            principal: principalApplied,
+            interest: interestApplied,
+            refunded: refund,
+            type: paymentData.type || (principalApplied > 0 ? 'principal_and_interest' : 'interest'),
+            status: 'received',
+            allocation: {
+                waterfallOrder: waterfall.order,
+                interestAccrual: interestAccrual,
+                creditApplied: creditApplied,
+                buckets: waterfall.buckets,
+                prepayment: waterfall.prepayment,
+                overpayment: waterfall.overpayment,
+                balancesBefore: balancesBefore,
+                balancesAfter: getDealBalances(deal)
+            }
         };
-        
-        // Update deal financials
         deal.payments.push(payment);
-        deal.financial.paymentsReceived += paymentData.amount;
-        deal.financial.principalOutstanding -= payment.principal;
-        deal.financial.actualReturn += payment.interest;
-        deal.financial.netReturn = deal.financial.actualReturn - deal.financial.paymentsReceived;
-        deal.financial.roi = (deal.financial.actualReturn / deal.dealInfo.loanAmount) * 100;
         
-        // Update performance metrics
-        deal.performance.currentYield = (deal.financial.actualReturn / deal.dealInfo.loanAmount) * 100;
-        deal.performance.paymentStatus = 'current';
-        deal.performance.daysOverdue = 0;
+        // Update performance metrics from the schedule when one can be built
+        const arrearsAfter = reconcileDealSchedule(deal, paymentDate);
+        deal.performance.currentYield = (financial.actualReturn / deal.dealInfo.loanAmount) * 100;
+        deal.performance.daysOverdue = arrearsAfter ? arrearsAfter.daysPastDue : 0;
+        deal.performance.paymentStatus = arrearsAfter ? arrearsAfter.arrearsBucket : 'current';
         
         // Update last contact
         deal.notes.push({
             date: new Date().toISOString(),
             type: 'payment',
-            note: `Payment received: ${paymentData.amount.toLocaleString()} (${payment.type})`
+            note: `Payment received: ${paymentData.amount.toLocaleString()} (${payment.type}) - ` +
+                  `principal ${principalApplied.toLocaleString()}, interest ${interestApplied.toLocaleString()}, ` +
+                  `penalty ${penaltyApplied.toLocaleString()}, fees ${feesApplied.toLocaleString()}` +
+                  (creditApplied > 0 ? `, credit applied ${creditApplied.toLocaleString()}` : '') +
+                  (refund > 0 ? `, ${refund.toLocaleString()} to be refunded` : '')
         });
         
+        await saveDealPaymentDB(deal, payment);
+        
+        // A payment that clears the balance closes the loan
+        if (canTransition(deal, 'repaid').allowed) {
+            try {
+                await transitionLoan(deal, 'repaid', {
+                    actor: paymentData.recordedBy || 'system',
+                    reason: `Paid in full by payment ${payment.paymentId}`,
+                    context: { paymentId: payment.paymentId }
+                });
+            } catch (error) {
+                console.error(`❌ Repaid transition failed for ${dealId}:`, error.message);
+            }
+        }
+        cacheDeal(deal);
+        
         // Update fund metrics
-        updateFundMetrics();
+        await updateFundMetrics();
         
         console.log(`✅ Payment updated: ${dealId} - ${paymentData.amount.toLocaleString()}`);
         
         return {
             success: true,
             paymentId: payment.paymentId,
+            allocation: payment.allocation,
             dealUpdated: deal,
-            newBalance: deal.financial.principalOutstanding
+            newBalance: financial.principalOutstanding
         };
         
     } catch (error) {
@@ -461,10 +595,241 @@ function updateDealPayment(dealId, paymentData) {
     }
 }
 
+/**
+ * 📅 Daily interest accrual across the funded book
+ * Defaulted loans are non-accrual; each deal's accrual is posted to its fund's ledger (Dr 1200 / Cr 4000),
+ * converted to USD at options.fxRates or the live rate for non-USD deals
+ */
+async function accruePortfolioInterest(options = {}) {
+    const asOfDate = options.asOfDate || new Date().toISOString().split('T')[0];
+    const post = options.post !== false;
+    const statuses = PORTFOLIO_CONFIG.DEAL_STATUS;
+    const accruing = [statuses.FUNDED, statuses.PERFORMING, statuses.PAST_DUE];
+    
+    try {
+        const deals = (await refreshDealCache()).filter(deal => accruing.includes(deal.status));
+        const needsFx = deals.some(deal => (deal.dealInfo.currency || 'USD').toUpperCase() !== 'USD');
+        const fxRates = needsFx ? await loadFxRates(options.fxRates) : { USD: 1 };
+        const accruals = [];
+        const failed = [];
+        
+        for (const deal of deals) {
+            const { interestAccrued, interestAccruedThrough } = deal.financial;
+            try {
+                const currency = deal.dealInfo.currency || 'USD';
+                const fxRate = fxRateFor(currency, fxRates);
+                const accrual = accrueDealInterest(deal, asOfDate);
+                if (accrual.amount <= 0) continue;
+                
+                // The posting and the deal's accrued-through date commit together; a rerun after a failed
+                // save finds the reference already posted and only saves the deal
+                const reference = `ACCRUAL-${deal.dealId}-${asOfDate}`;
+                const entryId = await withTransaction(async (client) => {
+                    let posted = null;
+                    if (post && deal.fundId && !await hasPostedReference(deal.fundId, reference, client)) {
+                        const entry = await postInterestAccrual(deal.fundId, {
+                            amount: accrual.amount,
+                            currency: currency,
+                            fxRate: fxRate,
+                            date: asOfDate,
+                            dealId: deal.dealId,
+                            reference: reference,
+                            description: `Interest accrual ${new Date(accrual.fromDate).toISOString().split('T')[0]} to ${asOfDate} for ${deal.dealId}`,
+                            postedBy: options.postedBy || 'system'
+                        }, client);
+                        posted = entry.entryId;
+                    }
+                    await saveDealDB(deal, client);
+                    return posted;
+                }, 'PORTFOLIO_INTEREST_ACCRUAL');
+                
+                cacheDeal(deal);
+                accruals.push({
+                    dealId: deal.dealId,
+                    fundId: deal.fundId || null,
+                    amount: accrual.amount,
+                    currency: currency,
+                    amountUsd: toBaseAmount(accrual.amount, currency, fxRate),
+                    fromDate: accrual.fromDate,
+                    entryId: entryId
+                });
+            } catch (error) {
+                // Leave the cached deal as stored so the next run accrues the same period
+                Object.assign(deal.financial, { interestAccrued, interestAccruedThrough });
+                console.error(`❌ Interest accrual failed for ${deal.dealId}:`, error.message);
+                failed.push({ dealId: deal.dealId, error: error.message });
+            }
+        }
+        
+        const totalAccrued = roundAmount(accruals.reduce((sum, a) => sum + a.amountUsd, 0), 'USD');
+        console.log(`📅 Interest accrued through ${asOfDate}: ${accruals.length} deals, ${totalAccrued.toLocaleString()} USD`);
+        
+        return {
+            asOfDate: asOfDate,
+            dealsReviewed: deals.length,
+            accruals: accruals,
+            failed: failed,
+            totalAccrued: totalAccrued
+        };
+        
+    } catch (error) {
+        console.error('❌ Portfolio interest accrual failed:', error.message);
+        throw new Error(`Portfolio interest accrual failed: ${error.message}`);
+    }
+}
+
+/**
+ * 🌊 Allocate a payment through the waterfall
+ * Principal beyond scheduledPrincipal is a prepayment and carries the prepayment penalty;
+ * anything left after principal is an overpayment
+ */
+function allocatePayment(balances, amount, options = {}) {
+    const config = PORTFOLIO_CONFIG.PAYMENT_WATERFALL;
+    const currency = options.currency || 'USD';
+    const order = options.order || config.ORDER;
+    const penaltyRate = options.prepaymentPenaltyRate || 0;
+    const overpaymentHandling = options.overpayment || config.OVERPAYMENT;
+    
+    if (!config.OVERPAYMENT_OPTIONS.includes(overpaymentHandling)) {
+        throw new Error(`Invalid overpayment handling: ${overpaymentHandling}`);
+    }
+    
+    const unknown = order.filter(bucket => !config.ORDER.includes(bucket));
+    if (unknown.length > 0 || order.length !== config.ORDER.length) {
+        throw new Error(`Invalid waterfall order: ${order.join(', ')}`);
+    }
+    
+    let remaining = roundAmount(amount, currency);
+    const prepayment = { principal: 0, penalty: 0, rate: penaltyRate };
+    
+    const buckets = order.map(bucket => {
+        const due = roundAmount(Math.max(0, balances[bucket] || 0), currency);
+        let applied;
+        
+        if (bucket === 'principal') {
+            const scheduled = Math.min(due, roundAmount(Math.max(0, balances.scheduledPrincipal || 0), currency));
+            const scheduledApplied = Math.min(remaining, scheduled);
+            remaining = roundAmount(remaining - scheduledApplied, currency);
+            
+            // Prepaid principal and its penalty must both fit in what is left: P * (1 + r) <= remaining
+            const prepaid = roundAmount(Math.min(due - scheduledApplied, remaining / (1 + penaltyRate / 100)), currency);
+            prepayment.penalty = roundAmount(Math.max(0, prepaid) * penaltyRate / 100, currency);
+            prepayment.principal = Math.max(0, Math.min(prepaid, roundAmount(remaining - prepayment.penalty, currency)));
+            remaining = roundAmount(remaining - prepayment.principal - prepayment.penalty, currency);
+            applied = roundAmount(scheduledApplied + prepayment.principal, currency);
+        } else {
+            applied = Math.min(remaining, due);
+            remaining = roundAmount(remaining - applied, currency);
+        }
+        
+        return { bucket: bucket, due: due, applied: applied, remaining: roundAmount(due - applied, currency) };
+    });
+    
+    return {
+        order: order,
+        buckets: buckets,
+        prepayment: prepayment,
+        overpayment: {
+            amount: Math.max(0, remaining),
+            handling: remaining > 0 ? overpaymentHandling : null
+        },
+        totalApplied: roundAmount(amount - Math.max(0, remaining), currency)
+    };
+}
+
+/**
+ * 📅 Accrue contractual interest on the outstanding principal up to a date
+ */
+function accrueDealInterest(deal, toDate) {
+    const financial = deal.financial;
+    const currency = deal.dealInfo.currency || 'USD';
+    const fromDate = financial.interestAccruedThrough || deal.timeline.fundingDate || deal.addedDate;
+    const dayCount = deal.dealInfo.dayCount || PORTFOLIO_CONFIG.PAYMENT_WATERFALL.DAY_COUNT;
+    
+    if (!fromDate || new Date(toDate) <= new Date(fromDate)) {
+        return { fromDate: fromDate, toDate: toDate, amount: 0 };
+    }
+    
+    const amount = roundAmount(
+        financial.principalOutstanding * (deal.dealInfo.interestRate || 0) / 100 * yearFraction(fromDate, toDate, dayCount),
+        currency
+    );
+    financial.interestAccrued = roundAmount((financial.interestAccrued || 0) + amount, currency);
+    financial.interestAccruedThrough = toDate;
+    
+    return { fromDate: fromDate, toDate: toDate, dayCount: dayCount, amount: amount };
+}
+
+/**
+ * 📋 Reconcile deal payments against its repayment schedule
+ * Returns null until the deal is funded with a term and rate
+ */
+function reconcileDealSchedule(deal, asOfDate) {
+    const info = deal.dealInfo;
+    if (!deal.timeline.fundingDate || !info.loanAmount || !info.loanTerm || info.interestRate === undefined) {
+        return null;
+    }
+    
+    const schedule = generateLoanSchedule({
+        principal: info.loanAmount,
+        annualRate: info.interestRate,
+        termMonths: info.loanTerm,
+        structure: info.structure,
+        dayCount: info.dayCount,
+        currency: info.currency,
+        startDate: deal.timeline.fundingDate
+    });
+    
+    // Refunded overpayments never settle installments
+    return reconcileLoanPayments(schedule, deal.payments.map(p => ({ date: p.date, amount: p.amount - (p.refunded || 0) })), asOfDate);
+}
+
+/**
+ * ⚠️ Bring penalty interest in line with the schedule reconciliation
+ */
+function refreshDealPenaltyInterest(deal, asOfDate) {
+    const reconciliation = reconcileDealSchedule(deal, asOfDate);
+    if (reconciliation) {
+        const currency = deal.dealInfo.currency || 'USD';
+        deal.financial.penaltyInterestOutstanding = roundAmount(
+            Math.max(0, reconciliation.penaltyInterest - (deal.financial.penaltyInterestPaid || 0)), currency);
+    }
+    return reconciliation;
+}
+
+/**
+ * 💸 Prepayment penalty rate applicable on a date
+ */
+function getPrepaymentPenaltyRate(deal, paymentDate) {
+    const config = deal.servicing?.prepaymentPenalty || PORTFOLIO_CONFIG.PAYMENT_WATERFALL.PREPAYMENT_PENALTY;
+    const fundingDate = deal.timeline.fundingDate;
+    if (!fundingDate) return 0;
+    
+    const monthsSinceFunding = (new Date(paymentDate) - new Date(fundingDate)) / (1000 * 60 * 60 * 24 * 30.4375);
+    return monthsSinceFunding < config.WINDOW_MONTHS ? config.RATE : 0;
+}
+
+/**
+ * 📒 Snapshot of deal balances for the allocation record
+ */
+function getDealBalances(deal) {
+    const financial = deal.financial;
+    return {
+        principalOutstanding: financial.principalOutstanding || 0,
+        interestAccrued: financial.interestAccrued || 0,
+        penaltyInterestOutstanding: financial.penaltyInterestOutstanding || 0,
+        feesOutstanding: financial.feesOutstanding || 0,
+        unappliedCredit: financial.unappliedCredit || 0,
+        refundsDue: financial.refundsDue || 0
+    };
+}
+
 /**
  * 📈 Calculate detailed portfolio metrics
  */
 async function calculateDetailedPortfolioMetrics() {
+    await refreshDealCache();
+    
     const activeDeals = PORTFOLIO_DATABASE.deals.filter(d => 
         d.status === PORTFOLIO_CONFIG.DEAL_STATUS.PERFORMING ||
         d.status === PORTFOLIO_CONFIG.DEAL_STATUS.FUNDED
@@ -531,7 +896,7 @@ async function calculateDetailedPortfolioMetrics() {
  * 📊 Analyze portfolio performance
  */
 async function analyzePortfolioPerformance() {
-    const deals = PORTFOLIO_DATABASE.deals;
+    const deals = await refreshDealCache();
     const activeDeals = deals.filter(d => d.status === PORTFOLIO_CONFIG.DEAL_STATUS.PERFORMING);
     
     // Calculate performance metrics
@@ -565,7 +930,7 @@ async function analyzePortfolioPerformance() {
  * ⚠️ Analyze portfolio risk
  */
 async function analyzePortfolioRisk() {
-    const deals = PORTFOLIO_DATABASE.deals;
+    const deals = await refreshDealCache();
     
     // Credit risk
     const pastDueDeals = deals.filter(d => d.status === PORTFOLIO_CONFIG.DEAL_STATUS.PAST_DUE);
@@ -856,46 +1221,81 @@ async function updateFundMetrics() {
 
 // 📊 PORTFOLIO DATABASE OPERATIONS
 
-function getAllDeals() {
+async function refreshDealCache() {
+    PORTFOLIO_DATABASE.deals = await getDealsDB();
     return PORTFOLIO_DATABASE.deals;
 }
 
-function getDealById(dealId) {
-    return PORTFOLIO_DATABASE.deals.find(deal => deal.dealId === dealId);
+function cacheDeal(deal) {
+    const index = PORTFOLIO_DATABASE.deals.findIndex(d => d.dealId === deal.dealId);
+    if (index >= 0) {
+        PORTFOLIO_DATABASE.deals[index] = deal;
+    } else {
+        PORTFOLIO_DATABASE.deals.push(deal);
+    }
 }
 
-function getDealsByStatus(status) {
-    return PORTFOLIO_DATABASE.deals.filter(deal => deal.status === status);
+async function getAllDeals() {
+    return await refreshDealCache();
 }
 
-function getDealsByLocation(location) {
-    return PORTFOLIO_DATABASE.deals.filter(deal => deal.dealInfo.location === location);
+async function getDealById(dealId) {
+    return await getDealByIdDB(dealId);
 }
 
-function getDealsByRiskLevel(riskLevel) {
-    return PORTFOLIO_DATABASE.deals.filter(deal => deal.risk.riskLevel === riskLevel);
+/**
+ * 🗑️ Remove a pipeline deal that never reached the committee
+ * Returns false, keeping the deal, once anything has been recorded against it
+ */
+async function removePipelineDeal(dealId) {
+    const removed = await deletePipelineDealDB(dealId);
+    if (removed) {
+        PORTFOLIO_DATABASE.deals = PORTFOLIO_DATABASE.deals.filter(d => d.dealId !== dealId);
+        console.log(`🗑️ Pipeline deal removed: ${dealId}`);
+    }
+    return removed;
 }
 
-function updateDealStatus(dealId, newStatus) {
-    const deal = PORTFOLIO_DATABASE.deals.find(d => d.dealId === dealId);
-    if (deal) {
-        deal.status = newStatus;
-        deal.notes.push({
-            date: new Date().toISOString(),
-            type: 'status_change',
-            note: `Status changed to ${newStatus}`
-        });
-        updateFundMetrics();
-        return deal;
+async function getDealsByStatus(status) {
+    return await getDealsDB({ status });
+}
+
+async function getDealsByLocation(location) {
+    return await getDealsDB({ location });
+}
+
+async function getDealsByRiskLevel(riskLevel) {
+    return await getDealsDB({ riskLevel });
+}
+
+/**
+ * 🔄 Move a deal through the loan lifecycle; newStatus may be a status label or lifecycle state
+ * options: { actor, reason, override, context, bot, chatId } as for loanLifecycle.transitionLoan,
+ * plus updates: deal fields saved together with the transition
+ */
+async function updateDealStatus(dealId, newStatus, options = {}) {
+    const { updates = {}, ...transitionOptions } = options;
+    const deal = await getDealById(dealId);
+    if (!deal) {
+        return null;
     }
-    return null;
+
+    const { deal: updated } = await transitionLoan({ ...deal, ...updates }, newStatus, {
+        actor: 'system',
+        reason: `Status changed to ${newStatus}`,
+        ...transitionOptions
+    });
+    cacheDeal(updated);
+    await updateFundMetrics();
+    return updated;
 }
 
 function getFundMetrics() {
     return PORTFOLIO_DATABASE.fundMetrics;
 }
 
-function getPortfolioSummary() {
+async function getPortfolioSummary() {
+    await updateFundMetrics();
     return {
         fundMetrics: PORTFOLIO_DATABASE.fundMetrics,
         riskMetrics: PORTFOLIO_DATABASE.riskMetrics,
@@ -1090,7 +1490,10 @@ module.exports = {
     analyzeDealForPortfolio,
     generatePortfolioReport,
     monitorPortfolioRisks,
+    identifyPortfolioRisks,
     updateDealPayment,
+    allocatePayment,
+    accruePortfolioInterest,
     
     // Analytics and insights
     calculateDetailedPortfolioMetrics,
@@ -1101,12 +1504,14 @@ module.exports = {
     // Database operations
     getAllDeals,
     getDealById,
+    removePipelineDeal,
     getDealsByStatus,
     getDealsByLocation,
     getDealsByRiskLevel,
     updateDealStatus,
     getFundMetrics,
     getPortfolioSummary,
+    refreshDealCache,
     
     // Performance tracking
     trackPerformanceHistory,
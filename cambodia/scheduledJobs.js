@@ -0,0 +1,391 @@
+// cambodia/scheduledJobs.js - Recurring Fund Operations for the Job Scheduler
+// Daily accrual, delinquency, liquidity and compliance monitoring, nightly NAV strike and market data refresh
+
+const {
+    registerJobHandler,
+    defineJob,
+    pruneJobRuns
+} = require('../utils/jobScheduler');
+const { accruePortfolioInterest } = require('./portfolioManager');
+const { recalculatePortfolioDelinquency } = require('./loanServicing');
+const { buildLiquidityMonitoringData, assessCurrentAlerts, monitorLiquidityAlerts } = require('./cashFlowManagement');
+const { buildComplianceAlertData, monitorComplianceAlerts } = require('./complianceMonitoring');
+const { calculateNAV } = require('./fundAccounting');
+const { getLedgerFundIds } = require('./fundLedger');
+const { runMarketDataBackfill, runMarketDataUpdate } = require('../utils/marketHistory');
+const { evaluateAlerts } = require('../utils/alertManager');
+const { pruneExpiredSessions } = require('../utils/callbackRouter');
+const { expireStaleReviews } = require('./investmentCommittee');
+
+// 🗓️ DEFAULT JOB DEFINITIONS
+// Times are Asia/Phnom_Penh; these only seed new rows, edits in scheduled_jobs take precedence
+const SCHEDULED_JOB_DEFINITIONS = [
+    {
+        jobName: 'interest_accrual',
+        handler: 'interest_accrual',
+        description: 'Accrue daily interest on funded deals and post to the fund ledger',
+        schedule: '30 0 * * *',
+        notifyOn: 'failure'
+    },
+    {
+        jobName: 'dpd_recalculation',
+        handler: 'dpd_recalculation',
+        description: 'Recalculate days past due and move deals between Performing, Past Due and Default',
+        schedule: '0 1 * * *'
+    },
+    {
+        jobName: 'liquidity_monitoring',
+        handler: 'liquidity_monitoring',
+        description: 'Check cash ratio, coverage and days of cash against liquidity policy',
+        schedule: '0 7 * * *'
+    },
+    {
+        jobName: 'compliance_monitoring',
+        handler: 'compliance_monitoring',
+        description: 'Check capital adequacy, liquidity ratio and large exposures',
+        schedule: '15 7 * * *'
+    },
+    {
+        jobName: 'nightly_nav_strike',
+        handler: 'nav_strike',
+        description: 'Strike NAV for every fund with ledger activity',
+        schedule: '30 23 * * *',
+        timeoutSeconds: 1800
+    },
+    {
+        jobName: 'market_data_update',
+        handler: 'market_data_update',
+        description: 'Fetch new market observations and recent revisions',
+        schedule: '0 6 * * 1-5',
+        timeoutSeconds: 1800,
+        notifyOn: 'failure'
+    },
+    {
+        jobName: 'market_data_backfill',
+        handler: 'market_data_backfill',
+        description: 'Full history refresh for every tracked market series',
+        schedule: '0 3 * * 0',
+        maxRetries: 1,
+        retryDelaySeconds: 1800,
+        timeoutSeconds: 3600,
+        notifyOn: 'failure'
+    },
+    {
+        jobName: 'job_history_cleanup',
+        handler: 'job_history_cleanup',
+        description: 'Delete job run history older than the retention period',
+        schedule: '0 4 * * 0',
+        notifyOn: 'never'
+    },
+    {
+        jobName: 'chat_session_cleanup',
+        handler: 'chat_session_cleanup',
+        description: 'Delete expired inline keyboard sessions',
+        schedule: '30 4 * * *',
+        notifyOn: 'never'
+    },
+    {
+        jobName: 'alert_evaluation',
+        handler: 'alert_evaluation',
+        description: 'Evaluate chat alert subscriptions and send new alerts',
+        schedule: '*/15 * * * *',
+        maxRetries: 0,
+        timeoutSeconds: 600,
+        notifyOn: 'never'
+    },
+    {
+        jobName: 'ic_review_expiry',
+        handler: 'ic_review_expiry',
+        description: 'Close investment committee reviews whose voting window has passed',
+        schedule: '0 8 * * *',
+        notifyOn: 'failure'
+    }
+];
+
+// 🛠️ HELPERS
+
+function formatUSD(amount) {
+    return `$${Math.round(amount || 0).toLocaleString()}`;
+}
+
+async function resolveFundIds(params) {
+    return params.fundIds && params.fundIds.length > 0 ? params.fundIds : await getLedgerFundIds();
+}
+
+/**
+ * 🏦 Run a step for each fund, keeping per-fund failures
+ * Throws only when every fund failed, so a single broken fund does not block the rest
+ */
+async function forEachFund(params, runForFund) {
+    const fundIds = await resolveFundIds(params);
+    const results = [];
+    const failed = [];
+
+    for (const fundId of fundIds) {
+        try {
+            results.push({ fundId, ...(await runForFund(fundId)) });
+        } catch (error) {
+            console.error(`❌ Scheduled step failed for ${fundId}:`, error.message);
+            failed.push({ fundId, error: error.message });
+        }
+    }
+
+    if (fundIds.length > 0 && results.length === 0) {
+        throw new Error(`All funds failed: ${failed.map(f => `${f.fundId} (${f.error})`).join('; ')}`);
+    }
+    return { fundIds, results, failed };
+}
+
+function failureLines(failed, key = 'fundId') {
+    return failed.map(f => `⚠️ ${f[key]}: ${f.error}`);
+}
+
+// 📋 JOB HANDLERS
+
+/**
+ * 📅 Daily interest accrual
+ */
+async function runInterestAccrual({ asOfDate, params }) {
+    const result = await accruePortfolioInterest({ asOfDate: params.asOfDate || asOfDate, postedBy: 'scheduler' });
+    if (result.dealsReviewed > 0 && result.accruals.length === 0 && result.failed.length > 0) {
+        throw new Error(`Interest accrual failed for every deal: ${result.failed[0].error}`);
+    }
+
+    const summary = [
+        `📅 Interest accrued through ${result.asOfDate}`,
+        `• Deals accrued: ${result.accruals.length}/${result.dealsReviewed}`,
+        `• Total accrued: ${formatUSD(result.totalAccrued)}`,
+        ...failureLines(result.failed, 'dealId')
+    ].join('\n');
+
+    return { summary, ...result };
+}
+
+/**
+ * 📆 DPD recalculation
+ */
+async function runDelinquencyRecalculation({ asOfDate, params }) {
+    const result = await recalculatePortfolioDelinquency({ asOfDate: params.asOfDate || asOfDate });
+
+    const lines = [
+        `📆 Delinquency as of ${result.asOfDate}`,
+        `• Loans reviewed: ${result.loansReviewed}`,
+        ...Object.values(result.buckets).filter(bucket => bucket.loanCount > 0).map(bucket =>
+            `• ${bucket.label}: ${bucket.loanCount} loans, ${formatUSD(bucket.outstandingUSD)} outstanding`),
+        `• Total arrears: ${formatUSD(result.totalArrearsUSD)}`
+    ];
+    if (result.statusChanges.length > 0) {
+        lines.push('', 'Status changes:');
+        result.statusChanges.forEach(change => lines.push(
+            `• ${change.dealId}${change.borrowerName ? ` (${change.borrowerName})` : ''}: ${change.from} → ${change.to}, ${change.daysPastDue} DPD`));
+    }
+    lines.push(...failureLines(result.failed, 'dealId'));
+
+    return { summary: lines.join('\n'), ...result };
+}
+
+/**
+ * 🚨 Liquidity monitoring - GPT analysis only when a threshold is breached
+ */
+async function runLiquidityMonitoring({ asOfDate, params, chatId, bot }) {
+    const { results, failed } = await forEachFund(params, async (fundId) => {
+        const monitoringData = await buildLiquidityMonitoringData(fundId, { asOfDate, ...params.thresholds });
+        const alertStatus = assessCurrentAlerts(monitoringData);
+
+        let analysis = null;
+        if (alertStatus.alertCount > 0 && params.analyze !== false) {
+            const monitoring = await monitorLiquidityAlerts(monitoringData, chatId, bot);
+            analysis = monitoring.success ? 'sent' : monitoring.error || 'unavailable';
+        }
+        return { monitoringData, alertStatus, analysis };
+    });
+
+    const lines = [`🚨 Liquidity monitoring ${asOfDate}`];
+    results.forEach(({ fundId, monitoringData, alertStatus }) => {
+        const icon = alertStatus.alertLevel === 'Critical' ? '🔴' : alertStatus.alertLevel === 'Warning' ? '🟡' : '🟢';
+        lines.push(`${icon} ${fundId}: cash ${formatUSD(monitoringData.currentCashBalance)}, ` +
+            `ratio ${monitoringData.cashRatio ?? 'n/a'}%, LCR ${monitoringData.liquidityCoverageRatio ?? 'n/a'}x, ` +
+            `${monitoringData.daysCashOnHand ?? 'n/a'} days`);
+        alertStatus.activeAlerts.forEach(alert => lines.push(`   • ${alert.level} ${alert.metric}: ${alert.current} - ${alert.action}`));
+    });
+    lines.push(...failureLines(failed));
+
+    return {
+        summary: lines.join('\n'),
+        funds: results.map(({ fundId, alertStatus, analysis }) => ({ fundId, alertLevel: alertStatus.alertLevel, alerts: alertStatus.activeAlerts, analysis })),
+        failed
+    };
+}
+
+/**
+ * 🛡️ Compliance monitoring - GPT analysis only when alerts are active
+ */
+async function runComplianceMonitoring({ asOfDate, params, chatId, bot }) {
+    const { results, failed } = await forEachFund(params, async (fundId) => {
+        const alertData = await buildComplianceAlertData(fundId, { asOfDate, largeExposureLimit: params.largeExposureLimit });
+
+        let analysis = null;
+        if (alertData.totalActiveAlerts > 0 && params.analyze !== false) {
+            const monitoring = await monitorComplianceAlerts(fundId, alertData, chatId, bot);
+            analysis = monitoring.success ? 'sent' : monitoring.error || 'unavailable';
+        }
+        return { alertData, analysis };
+    });
+
+    const lines = [`🛡️ Compliance monitoring ${asOfDate}`];
+    results.forEach(({ fundId, alertData }) => {
+        const icon = alertData.criticalAlerts > 0 ? '🔴' : alertData.warningAlerts > 0 ? '🟠' : alertData.cautionAlerts > 0 ? '🟡' : '🟢';
+        lines.push(`${icon} ${fundId}: capital ${alertData.capitalAdequacyStatus}, liquidity ${alertData.liquidityRatioStatus}`);
+        alertData.alerts.forEach(alert => lines.push(`   • ${alert.level} ${alert.area}: ${alert.detail}`));
+    });
+    lines.push(...failureLines(failed));
+
+    return {
+        summary: lines.join('\n'),
+        funds: results.map(({ fundId, alertData, analysis }) => ({ fundId, alertLevel: alertData.alertLevel, alerts: alertData.alerts, analysis })),
+        failed
+    };
+}
+
+/**
+ * 📊 Nightly NAV strike
+ */
+async function runNavStrike({ asOfDate, params }) {
+    const { results, failed } = await forEachFund(params, async (fundId) => {
+        const nav = await calculateNAV(fundId, params.valuationDate || asOfDate, null, null, { struckBy: 'scheduler', narrate: false });
+        if (!nav.success) throw new Error(nav.error);
+        return {
+            strikeId: nav.strikeId,
+            netAssetValue: nav.navSummary.netAssetValue,
+            navPerUnit: nav.navSummary.navPerUnit,
+            navChangePercent: nav.navSummary.navChangePercent,
+            reconciled: nav.reconciliation.reconciled
+        };
+    });
+
+    const lines = [`📊 NAV strike ${params.valuationDate || asOfDate}`];
+    results.forEach(nav => {
+        const change = nav.navChangePercent === null ? '' : ` (${nav.navChangePercent >= 0 ? '+' : ''}${nav.navChangePercent.toFixed(2)}%)`;
+        lines.push(`${nav.reconciled ? '✅' : '⚠️'} ${nav.fundId}: NAV ${formatUSD(nav.netAssetValue)}, ` +
+            `${nav.navPerUnit.toFixed(4)} per unit${change}${nav.reconciled ? '' : ' - ledger not reconciled'}`);
+    });
+    lines.push(...failureLines(failed));
+
+    return { summary: lines.join('\n'), strikes: results, failed };
+}
+
+/**
+ * 📚 Market data refresh - incremental or full backfill
+ */
+function marketDataHandler(run) {
+    return async ({ params }) => {
+        const result = await run({ seriesIds: params.seriesIds, startDate: params.startDate });
+        if (result.series.length === 0 && result.failed.length > 0) {
+            throw new Error(`All series failed: ${result.failed.map(f => f.seriesId).join(', ')}`);
+        }
+
+        const summary = [
+            `📚 Market data ${result.job}: ${result.series.length} series`,
+            `• ${result.inserted} new observations, ${result.revised} revisions`,
+            ...failureLines(result.failed, 'seriesId')
+        ].join('\n');
+
+        return { summary, ...result };
+    };
+}
+
+/**
+ * 🧹 Job history retention
+ */
+async function runJobHistoryCleanup({ params }) {
+    const deleted = await pruneJobRuns(params.retentionDays);
+    return { summary: `🧹 Deleted ${deleted} old job runs`, deleted };
+}
+
+/**
+ * 🧹 Expired chat session retention
+ */
+async function runChatSessionCleanup({ params }) {
+    const deleted = await pruneExpiredSessions(params.retentionDays);
+    return { summary: `🧹 Deleted ${deleted} expired chat sessions`, deleted };
+}
+
+/**
+ * 🔔 Subscribed chat alerts; the alerts themselves go to each subscribing chat
+ */
+async function runAlertEvaluation({ bot }) {
+    const outcome = await evaluateAlerts({ bot });
+    const errors = outcome.sourceErrors.map(source => `${source.alertType}: ${source.error}`);
+    return {
+        summary: `🔔 ${outcome.sent} alerts sent, ${outcome.suppressed} suppressed, ${outcome.rateLimited} held back` +
+                 (errors.length > 0 ? `\n⚠️ Source errors: ${errors.join('; ')}` : ''),
+        ...outcome
+    };
+}
+
+/**
+ * 🏛️ Overdue IC reviews: decided on the votes cast when quorum was met, otherwise expired
+ */
+async function runIcReviewExpiry({ bot }) {
+    const outcome = await expireStaleReviews({ bot });
+    if (outcome.failed.length > 0 && outcome.decided.length === 0 && outcome.expired.length === 0) {
+        throw new Error(`IC review expiry failed: ${outcome.failed.map(f => `${f.reviewId}: ${f.error}`).join('; ')}`);
+    }
+    return {
+        summary: `🏛️ ${outcome.decided.length} IC reviews decided, ${outcome.expired.length} expired without quorum` +
+                 (outcome.failed.length > 0 ? `\n⚠️ Failed: ${outcome.failed.map(f => f.reviewId).join(', ')}` : ''),
+        ...outcome
+    };
+}
+
+// 🚀 REGISTRATION
+
+/**
+ * 🚀 Register fund operation handlers and seed their default schedules
+ */
+async function registerScheduledJobs() {
+    registerJobHandler('interest_accrual', runInterestAccrual, 'Daily interest accrual');
+    registerJobHandler('dpd_recalculation', runDelinquencyRecalculation, 'DPD recalculation');
+    registerJobHandler('liquidity_monitoring', runLiquidityMonitoring, 'Liquidity alert monitoring');
+    registerJobHandler('compliance_monitoring', runComplianceMonitoring, 'Compliance alert monitoring');
+    registerJobHandler('nav_strike', runNavStrike, 'Nightly NAV strike');
+    registerJobHandler('market_data_update', marketDataHandler(({ seriesIds }) => runMarketDataUpdate(seriesIds ? { seriesIds } : {})), 'Market data update');
+    registerJobHandler('market_data_backfill', marketDataHandler(({ seriesIds, startDate }) =>
+        runMarketDataBackfill({ ...(seriesIds ? { seriesIds } : {}), startDate: startDate || null })), 'Market data backfill');
+    registerJobHandler('job_history_cleanup', runJobHistoryCleanup, 'Job history cleanup');
+    registerJobHandler('chat_session_cleanup', runChatSessionCleanup, 'Chat session cleanup');
+    registerJobHandler('alert_evaluation', runAlertEvaluation, 'Chat alert evaluation');
+    registerJobHandler('ic_review_expiry', runIcReviewExpiry, 'IC review expiry');
+
+    const seeded = [];
+    for (const definition of SCHEDULED_JOB_DEFINITIONS) {
+        try {
+            const result = await defineJob(definition);
+            if (result.created) seeded.push(result.jobName);
+        } catch (error) {
+            console.error(`❌ Scheduled job seed failed (${definition.jobName}):`, error.message);
+        }
+    }
+
+    if (seeded.length > 0) {
+        console.log(`🌱 Seeded scheduled jobs: ${seeded.join(', ')}`);
+    }
+    return { handlers: SCHEDULED_JOB_DEFINITIONS.length, seeded };
+}
+
+module.exports = {
+    registerScheduledJobs,
+
+    // Handlers
+    runInterestAccrual,
+    runDelinquencyRecalculation,
+    runLiquidityMonitoring,
+    runComplianceMonitoring,
+    runNavStrike,
+    runJobHistoryCleanup,
+
+    // Configuration
+    SCHEDULED_JOB_DEFINITIONS
+};
+
+console.log('⏰ Scheduled Fund Operations Loaded');
@@ -12,6 +12,7 @@ function checkEnvironment() {
     
     const requiredEnvVars = {
         'OPENAI_API_KEY': 'OpenAI API access',
+        'ANTHROPIC_API_KEY': 'Claude routing and fallback (optional)',
         'TELEGRAM_BOT_TOKEN': 'Telegram Bot connection',
         'ADMIN_CHAT_ID': 'Authorized user access',
         'DATABASE_URL': 'PostgreSQL database (Railway provides this)',
@@ -32,7 +33,7 @@ function checkEnvironment() {
         
         results[key] = { exists, description, valid: exists };
         
-        if (!exists && !key.includes('METAAPI')) {
+        if (!exists && !description.includes('(optional)')) {
             allGood = false;
         }
     });
@@ -75,6 +76,41 @@ function checkEnvironment() {
     return { allGood, results };
 }
 
+/**
+ * 🔑 CHECK MARKET DATA PROVIDERS
+ */
+function checkMarketDataProviders() {
+    console.log("\n🔑 CHECKING MARKET DATA PROVIDERS...");
+    console.log("=".repeat(50));
+
+    const { validateConfig, PROVIDERS } = require('./utils/config');
+    const check = validateConfig();
+
+    console.log(`📄 Secrets file: ${check.secretsFile} ${check.secretsFileLoaded ? '✅ LOADED' : '(not mounted - using environment)'}`);
+
+    const fixtureCapabilities = Object.keys(check.marketData.capabilities).filter(cap => check.marketData.capabilities[cap] === 'fixture');
+    if (fixtureCapabilities.length > 0) {
+        console.log(`📁 Fixtures: ${check.marketData.fixturesPath} (serving ${fixtureCapabilities.join(', ')})`);
+    }
+
+    Object.entries(check.providers).forEach(([id, status]) => {
+        const provider = PROVIDERS[id];
+        const icon = !status.configured ? '⚠️ ' : !status.validFormat ? '❌' : status.enabled ? '✅' : '⚠️ ';
+        console.log(`${icon} ${provider.envVar}: ${status.maskedKey || 'NOT SET'}${status.source ? ` (${status.source})` : ''}`);
+        console.log(`   📝 ${provider.description}`);
+        if (!status.enabled) {
+            console.log(`   🚫 ${status.disabledReason}`);
+        }
+    });
+
+    check.errors.forEach(error => console.log(`⚠️  ${error}`));
+
+    console.log("\n" + "=".repeat(50));
+    console.log(check.valid ? "✅ Market data providers: READY" : "❌ Market data providers: INVALID KEYS");
+
+    return check;
+}
+
 /**
  * 📁 CHECK FILE STRUCTURE
  */
@@ -90,6 +126,26 @@ function checkFileStructure() {
         'package.json': 'Dependencies configuration', 
         '.env': 'Environment variables',
         'utils/liveData.js': 'Ray Dalio market data',
+        'utils/config.js': 'Market data provider keys',
+        'utils/marketDataProviders.js': 'Market data provider adapters',
+        'utils/marketHistory.js': 'Market data time-series store',
+        'utils/jobScheduler.js': 'Scheduled job runner',
+        'cambodia/scheduledJobs.js': 'Recurring fund operations',
+        'cambodia/loanLifecycle.js': 'Loan lifecycle state machine',
+        'utils/alertManager.js': 'Chat alert subscriptions',
+        'utils/callbackRouter.js': 'Inline keyboard callback routing',
+        'utils/accessControl.js': 'Role-based access control',
+        'utils/toolRegistry.js': 'LLM tool calling over fund data',
+        'utils/circuitBreaker.js': 'LLM client circuit breaker',
+        'utils/llmProviders.js': 'OpenAI, Anthropic and mock LLM routing',
+        'utils/semanticMemory.js': 'Embedding-based memory retrieval',
+        'utils/entityMemory.js': 'Borrower, LP and property entity memory',
+        'handlers/entityProfiles.js': 'Entity profile questions',
+        'handlers/memoryCommands.js': 'User memory management commands',
+        'handlers/loanApplicationWizard.js': 'Telegram loan application wizard',
+        'handlers/lpPositions.js': 'LP fund position statements',
+        'cambodia/investmentCommittee.js': 'Investment committee approval workflow',
+        'handlers/icApproval.js': 'Investment committee voting',
         'utils/contextEnhancer.js': 'Ray Dalio context intelligence',
         'utils/metaTrader.js': 'Ray Dalio risk management',
         'utils/database.js': 'Ray Dalio data persistence',
@@ -261,7 +317,7 @@ function generateSetupInstructions(checks) {
     console.log("\n🎯 SETUP INSTRUCTIONS:");
     console.log("=".repeat(50));
     
-    const { env, files, deps, git } = checks;
+    const { env, providers, files, deps, git } = checks;
     
     if (!env.allGood) {
         console.log("\n1️⃣ ENVIRONMENT VARIABLES:");
@@ -275,6 +331,20 @@ function generateSetupInstructions(checks) {
         console.log("   🤖 Get Telegram token: https://t.me/BotFather");
     }
 
+    if (providers && (!providers.valid || providers.warnings.length > 0)) {
+        const { PROVIDERS, CONFIG_SETTINGS } = require('./utils/config');
+        console.log("\n🔑 MARKET DATA KEYS:");
+        console.log(`   Set in .env or a secrets file (${CONFIG_SETTINGS.SECRETS_FILE_VAR}=/path/to/secrets):`);
+        Object.entries(providers.providers).forEach(([id, status]) => {
+            if (!status.configured || !status.validFormat) {
+                console.log(`   ${PROVIDERS[id].envVar}=your_key_here   # ${PROVIDERS[id].signupUrl}`);
+            }
+        });
+        console.log("   Keys in the secrets file are reloaded without a restart");
+        console.log(`   Disable a provider with ${CONFIG_SETTINGS.DISABLED_PROVIDERS_VAR}=fred,newsApi or e.g. FRED_DISABLED=true`);
+        console.log("   Or run offline from recorded data with MARKET_DATA_PROVIDER=fixture");
+    }
+
     if (!files) {
         console.log("\n2️⃣ MISSING FILES:");
         console.log("   Create utils/ directory");
@@ -306,4 +376,43 @@ function generateSetupInstructions(checks) {
     
     console.log("\n6️⃣ DEPLOYMENT:");
     console.log("   Connect GitHub to Railway");
-    console.log
+    console.log("   Add environment variables (and mount the secrets file) in Railway");
+    console.log("   Deploy and check the startup provider report in the logs");
+}
+
+/**
+ * 🚀 RUN ALL CHECKS
+ */
+function runEnvironmentCheck() {
+    const checks = {
+        env: checkEnvironment(),
+        providers: checkMarketDataProviders(),
+        files: checkFileStructure(),
+        deps: checkDependencies(),
+        git: checkGitHubReadiness()
+    };
+
+    generateSetupInstructions(checks);
+
+    const ready = checks.env.allGood && checks.providers.valid && checks.files && checks.deps.depsGood;
+    console.log("\n" + "=".repeat(50));
+    console.log(ready ? "🚀 SYSTEM READY FOR DEPLOYMENT" : "⚠️  RESOLVE THE ISSUES ABOVE BEFORE DEPLOYING");
+
+    return { ready, checks };
+}
+
+module.exports = {
+    checkEnvironment,
+    checkMarketDataProviders,
+    checkFileStructure,
+    checkDependencies,
+    checkGitHubReadiness,
+    generateSetupInstructions,
+    runEnvironmentCheck
+};
+
+// Run checks if called directly
+if (require.main === module) {
+    const { ready } = runEnvironmentCheck();
+    process.exit(ready ? 0 : 1);
+}
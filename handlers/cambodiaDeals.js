@@ -1,6 +1,21 @@
 // handlers/cambodiaDeals.js - REAL Telegram Integration for Cambodia Deal Intelligence
 // Connect your Telegram bot to the Cambodia Deal Intelligence System
 
+const cambodiaDeals = require('../cambodia/dealIntelligence');
+const { addDealToPortfolio } = require('../cambodia/portfolioManager');
+const { findMatchingLPs } = require('../cambodia/lpManagement');
+const { submitToCommittee } = require('./icApproval');
+const {
+    createSession,
+    updateSession,
+    registerCallbackNamespace,
+    callbackButton
+} = require('../utils/callbackRouter');
+const { sendFormattedMessage: sendSmartMessage } = require('../utils/telegramSplitter');
+
+// 🔘 Deal action buttons stay usable for a day after the analysis
+const DEAL_ACTION_TTL_SECONDS = 24 * 60 * 60;
+
 // 🇰🇭 CAMBODIA DEAL COMMANDS for Telegram Bot
 
 /**
@@ -70,6 +85,9 @@ async function handleDealAnalysis(bot, msg) {
             includeMetadata: true
         });
         
+        // Offer next steps as buttons
+        await sendDealActions(bot, chatId, dealAnalysis, msg.from);
+        
     } catch (error) {
         console.error('❌ Deal analysis error:', error.message);
         await sendSmartMessage(bot, chatId, 
@@ -80,6 +98,13 @@ async function handleDealAnalysis(bot, msg) {
     }
 }
 
+/**
+ * 🏢 /analyze_deal from the command router, which passes text and chat rather than the Telegram message
+ */
+async function handleAnalyzeDealCommand(text, chatId, bot, from = {}) {
+    return await handleDealAnalysis(bot, { chat: { id: chatId }, text: text, from: from || {} });
+}
+
 /**
  * 🎯 Handle LP matching command
  * Usage: /match_lps deal_id
@@ -507,10 +532,182 @@ Full end-to-end deal processing
     });
 }
 
+// 🔘 DEAL ACTION BUTTONS
+// deal:<action>:<sessionId> - the session holds the analysed deal and how far it has progressed
+
+function buildDealActionKeyboard(sessionId, state) {
+    const rows = [];
+    if (!state.icReviewId) {
+        rows.push([callbackButton('🏛️ Submit to IC', 'deal', 'submit_ic', sessionId)]);
+    }
+    rows.push([
+        callbackButton('📋 DD checklist', 'deal', 'dd', sessionId),
+        callbackButton('🎯 Match LPs', 'deal', 'lps', sessionId)
+    ]);
+    if (!state.inPortfolio) {
+        rows.push([callbackButton('📈 Add to portfolio', 'deal', 'add', sessionId)]);
+    }
+    return { inline_keyboard: rows };
+}
+
+function describeDealProgress(state) {
+    const steps = [];
+    if (state.inPortfolio) steps.push('in portfolio');
+    if (state.icReviewId) steps.push(`with IC (${state.icReviewId})`);
+    if (state.checklistId) steps.push(`DD checklist ${state.checklistId}`);
+    if (state.lpMatches !== undefined) steps.push(`${state.lpMatches} LP matches`);
+    return steps.length > 0 ? steps.join(' • ') : 'No actions taken yet';
+}
+
+function dealActionsText(state) {
+    return `🧭 *Next steps for ${state.dealId}*\n` +
+           `${state.dealData.propertyType} in ${state.dealData.location} - $${state.dealData.loanAmount?.toLocaleString()}\n\n` +
+           `📌 ${describeDealProgress(state)}`;
+}
+
+async function sendDealActions(bot, chatId, dealAnalysis, from = {}) {
+    const state = {
+        dealId: dealAnalysis.dealId,
+        dealData: dealAnalysis.dealData,
+        riskScore: dealAnalysis.riskScore,
+        inPortfolio: false,
+        status: 'Pipeline'
+    };
+    const session = await createSession(chatId, 'deal', state, {
+        ttlSeconds: DEAL_ACTION_TTL_SECONDS,
+        createdBy: from.username || String(from.id || '')
+    });
+
+    return await bot.sendMessage(chatId, dealActionsText(state), {
+        parse_mode: 'Markdown',
+        reply_markup: buildDealActionKeyboard(session.sessionId, state)
+    });
+}
+
+async function refreshDealActions(context, state) {
+    if (!context.message) return;
+    await context.bot.editMessageText(dealActionsText(state), {
+        chat_id: context.message.chat.id,
+        message_id: context.message.message_id,
+        parse_mode: 'Markdown',
+        reply_markup: buildDealActionKeyboard(context.session.sessionId, state)
+    });
+}
+
+async function ensureDealInPortfolio(state) {
+    if (state.inPortfolio) return;
+    await addDealToPortfolio({
+        ...state.dealData,
+        dealId: state.dealId,
+        riskScore: state.riskScore
+    });
+}
+
+const DEAL_CALLBACK_ACTIONS = {
+    // Approval is the committee's; this only opens the review and posts the memo to IC members
+    submit_ic: async (context) => {
+        const { state } = context.session;
+        if (state.icReviewId) {
+            return { text: `Already with the committee (${state.icReviewId})` };
+        }
+
+        await context.answer('🏛️ Submitting to the investment committee...');
+        await ensureDealInPortfolio(state);
+        const { review } = await submitToCommittee(state.dealId, {
+            bot: context.bot,
+            chatId: context.chatId,
+            requestedBy: context.actor
+        });
+
+        const updated = await updateSession(context.session.sessionId, {
+            inPortfolio: true,
+            icReviewId: review.reviewId
+        });
+        await refreshDealActions(context, updated.state);
+    },
+
+    menu: async (context) => {
+        await refreshDealActions(context, context.session.state);
+    },
+
+    dd: async (context) => {
+        const { state } = context.session;
+        await context.answer('📋 Generating due diligence checklist...');
+
+        const ddChecklist = await cambodiaDeals.generateDueDiligenceChecklist({
+            ...state.dealData,
+            dealId: state.dealId
+        });
+        const updated = await updateSession(context.session.sessionId, { checklistId: ddChecklist.checklistId });
+        await refreshDealActions(context, updated.state);
+
+        await sendSmartMessage(context.bot, context.chatId, ddChecklist.checklist, {
+            title: `Due Diligence Checklist - ${state.dealId}`,
+            type: 'analysis',
+            aiModel: ddChecklist.aiModel,
+            responseTime: ddChecklist.responseTime,
+            includeMetadata: true
+        });
+    },
+
+    lps: async (context) => {
+        const { state } = context.session;
+        await context.answer('🎯 Matching LPs...');
+
+        const matching = await findMatchingLPs({
+            dealId: state.dealId,
+            location: state.dealData.location,
+            ltv: state.dealData.ltv,
+            expectedReturn: state.dealData.interestRate,
+            minInvestment: state.dealData.loanAmount,
+            totalAmount: state.dealData.loanAmount
+        });
+        const updated = await updateSession(context.session.sessionId, { lpMatches: matching.matches.length });
+        await refreshDealActions(context, updated.state);
+
+        if (matching.matches.length === 0) {
+            await context.bot.sendMessage(context.chatId, `🎯 ${matching.message}`);
+            return;
+        }
+
+        const summary = `🎯 *LP MATCHES FOR ${state.dealId}*\n\n` +
+            matching.topMatches.map((lp, index) =>
+                `${index + 1}. *${lp.name}* - ${lp.compatibilityScore}% (${lp.investmentFit})\n` +
+                `   Suggested allocation: $${lp.recommendedAllocation?.toLocaleString()}`).join('\n') +
+            `\n\n💰 *Eligible capacity:* $${matching.totalCapacity.toLocaleString()} across ${matching.totalEligible} LPs\n\n` +
+            matching.matchingAnalysis;
+
+        await sendSmartMessage(context.bot, context.chatId, summary, {
+            title: 'LP Matching',
+            type: 'portfolio',
+            includeMetadata: true
+        });
+    },
+
+    add: async (context) => {
+        const { state } = context.session;
+        if (state.inPortfolio) {
+            return { text: 'Already in portfolio' };
+        }
+
+        await context.answer('📈 Adding to portfolio...');
+        await ensureDealInPortfolio(state);
+        const updated = await updateSession(context.session.sessionId, { inPortfolio: true });
+        await refreshDealActions(context, updated.state);
+        await context.bot.sendMessage(context.chatId, `📈 ${state.dealId} added to the portfolio pipeline by ${context.actor}`);
+    }
+};
+
+registerCallbackNamespace('deal', DEAL_CALLBACK_ACTIONS, {
+    sessionScoped: true,
+    description: 'Deal analysis next steps'
+});
+
 // 📤 EXPORTS
 module.exports = {
     // Command handlers
     handleDealAnalysis,
+    handleAnalyzeDealCommand,
     handleLPMatching,
     handleDueDiligenceChecklist,
     handleMarketIntelligence,
@@ -518,6 +715,9 @@ module.exports = {
     handleDealWorkflow,
     handleCambodiaHelp,
     
+    // Deal action buttons
+    sendDealActions,
+    
     // Register all Cambodia deal commands
     registerCambodiaCommands: (bot) => {
         console.log('🇰🇭 Registering Cambodia deal commands...');
@@ -0,0 +1,72 @@
+// handlers/entityProfiles.js - "What do we know about borrower X" over Telegram
+// Answered from entity memory with the linked portfolio and LP records; questions about names
+// memory has never seen carry on to the model
+
+const { getEntityProfile, formatEntityProfile } = require('../utils/entityMemory');
+const { hasPermission } = require('../utils/accessControl');
+
+const PROFILE_QUESTION = new RegExp(
+    '^\\s*(?:what\\s+do\\s+(?:we|you)\\s+know\\s+(?:about|on)|what\\s+have\\s+we\\s+got\\s+on|' +
+    '(?:show\\s+(?:me\\s+)?|give\\s+me\\s+)?(?:the\\s+|a\\s+)?profile\\s+(?:of|for))\\s+' +
+    '(?:the\\s+)?(?:(borrower|lp|limited\\s+partner|investor|property|loan)\\s+)?(.+?)[\\s?.!]*$', 'i');
+
+const TYPE_ALIASES = {
+    borrower: 'borrower',
+    lp: 'lp',
+    'limited partner': 'lp',
+    investor: 'lp',
+    property: 'property',
+    loan: 'loan'
+};
+
+// LP profiles include LP records; everything else is deal information
+const PROFILE_PERMISSIONS = {
+    lp: 'fund.view'
+};
+const DEFAULT_PROFILE_PERMISSION = 'deals.view';
+
+function parseProfileQuestion(text) {
+    const match = String(text || '').match(PROFILE_QUESTION);
+    if (!match || !match[2]) return null;
+    return {
+        type: match[1] ? TYPE_ALIASES[match[1].toLowerCase().replace(/\s+/g, ' ')] : null,
+        name: match[2].trim()
+    };
+}
+
+/**
+ * 🗂️ Answer a profile question from entity memory
+ * Returns handled: false when the message is not a profile question or memory knows nothing of the name
+ */
+async function handleProfileQuestion(text, chatId, bot, user = null) {
+    const question = parseProfileQuestion(text);
+    if (!question) return { handled: false };
+
+    const permission = PROFILE_PERMISSIONS[question.type] || DEFAULT_PROFILE_PERMISSION;
+    if (!hasPermission(user, permission)) return { handled: false };
+
+    let profile;
+    try {
+        profile = await getEntityProfile(question.name, { type: question.type, user });
+    } catch (error) {
+        console.warn('⚠️ Entity profile lookup failed:', error.message);
+        return { handled: false };
+    }
+    if (!profile) return { handled: false };
+
+    if (!hasPermission(user, PROFILE_PERMISSIONS[profile.entity.type] || DEFAULT_PROFILE_PERMISSION)) {
+        return { handled: false };
+    }
+
+    const response = formatEntityProfile(profile);
+    await bot.sendMessage(chatId, response);
+    console.log(`🗂️ Profile for ${profile.entity.type} "${profile.entity.name}" sent to ${chatId}`);
+    return { handled: true, success: true, response, entityId: profile.entity.entityId };
+}
+
+module.exports = {
+    handleProfileQuestion,
+    parseProfileQuestion
+};
+
+console.log('🗂️ Entity Profiles Handler Loaded');
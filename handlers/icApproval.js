@@ -0,0 +1,247 @@
+// handlers/icApproval.js - Investment committee voting over Telegram
+// Deal memos are sent privately to each IC member with vote buttons; conditional votes and
+// comments are collected as the member's next message
+
+const {
+    openReview,
+    getReview,
+    getReviewVotes,
+    getOpenReviews,
+    recordMemoMessage,
+    castVote,
+    addVoteComment,
+    tallyVotes,
+    formatDealMemo,
+    formatDecision,
+    IC_CONFIG
+} = require('../cambodia/investmentCommittee');
+const {
+    createSession,
+    getActiveSession,
+    endSession,
+    registerCallbackNamespace,
+    callbackButton
+} = require('../utils/callbackRouter');
+
+const IC_NAMESPACE = 'ic';
+const COMMENT_NAMESPACE = 'iccomment';
+const COMMENT_TTL_SECONDS = 60 * 60;
+
+const VOTE_LABELS = {
+    approve: '✅ Approve',
+    conditional: '📝 Approve with conditions',
+    reject: '❌ Reject'
+};
+
+function voteKeyboard(reviewId) {
+    return {
+        inline_keyboard: [
+            [callbackButton(VOTE_LABELS.approve, IC_NAMESPACE, 'vote', reviewId, 'approve'),
+             callbackButton(VOTE_LABELS.reject, IC_NAMESPACE, 'vote', reviewId, 'reject')],
+            [callbackButton(VOTE_LABELS.conditional, IC_NAMESPACE, 'vote', reviewId, 'conditional')]
+        ]
+    };
+}
+
+function formatProgress(review, tally) {
+    return `🗳️ ${tally.cast}/${review.eligibleVoters.length} voted (quorum ${review.quorum}): ` +
+           `${tally.approve} approve, ${tally.conditional} conditional, ${tally.reject} reject`;
+}
+
+// 🏛️ SUBMISSION
+
+/**
+ * 🏛️ Open a committee review and post the memo to every IC member
+ * options: { bot, chatId, requestedBy, applicationId, underwriting }
+ * Members who have never started a chat with the bot cannot be reached; they are listed back to the requester
+ */
+async function submitToCommittee(dealId, options = {}) {
+    const { bot, chatId = null, requestedBy = 'system', applicationId = null, underwriting = null } = options;
+
+    const review = await openReview(dealId, { requestedBy, notifyChatId: chatId, applicationId, underwriting });
+    const memoText = formatDealMemo(review);
+    const unreachable = [];
+
+    for (const voter of review.eligibleVoters) {
+        try {
+            const sent = await bot.sendMessage(voter.userId, memoText, { reply_markup: voteKeyboard(review.reviewId) });
+            await recordMemoMessage(review.reviewId, voter.userId, sent.message_id);
+        } catch (error) {
+            console.warn(`⚠️ IC memo not delivered to ${voter.userId}:`, error.message);
+            unreachable.push(voter.name);
+        }
+    }
+
+    if (chatId) {
+        await bot.sendMessage(chatId,
+            `🏛️ ${dealId} sent to the investment committee (${review.reviewId})\n` +
+            `👥 ${review.approvalAuthority}: quorum ${review.quorum} of ${review.eligibleVoters.length}` +
+            (unreachable.length > 0 ? `\n⚠️ Could not reach ${unreachable.join(', ')} - they can vote with /ic ${review.reviewId}` : ''));
+    }
+    return { review, unreachable };
+}
+
+// 🔘 VOTE BUTTONS
+// ic:vote:<reviewId>:<approve|conditional|reject>
+
+const IC_CALLBACK_ACTIONS = {
+    vote: async (context) => {
+        const [reviewId, vote] = context.args;
+        const voter = { userId: String(context.from.id), name: context.actor };
+
+        const review = await getReview(reviewId);
+        if (!review || review.status !== IC_CONFIG.STATUSES.OPEN) {
+            return { text: review ? `This review is ${review.status}` : 'Review not found', showAlert: true };
+        }
+
+        // Conditions arrive as the member's next message; the vote is only cast once they do
+        if (vote === 'conditional') {
+            await startCommentSession(context.chatId, voter, reviewId, 'conditions');
+            await context.bot.sendMessage(context.chatId,
+                `📝 Conditions for ${review.dealId}: send them in one message, one per line. /skip to cancel.`);
+            return { text: 'Send your conditions' };
+        }
+
+        const result = await castVote(reviewId, voter, vote, { bot: context.bot });
+        if (!result.decided) {
+            await startCommentSession(context.chatId, voter, reviewId, 'comment');
+            await context.bot.sendMessage(context.chatId,
+                `${VOTE_LABELS[vote]} recorded for ${review.dealId}.\n${formatProgress(review, result.tally)}\n\n` +
+                '💬 Send a comment for the record, or /skip.');
+        }
+        return { text: `Vote recorded: ${vote}` };
+    }
+};
+
+registerCallbackNamespace(IC_NAMESPACE, IC_CALLBACK_ACTIONS, { description: 'Investment committee votes' });
+
+// 💬 CONDITIONS AND COMMENTS
+
+async function startCommentSession(chatId, voter, reviewId, expecting) {
+    const existing = await getActiveSession(chatId, COMMENT_NAMESPACE);
+    if (existing) await endSession(existing.sessionId);
+
+    return await createSession(chatId, COMMENT_NAMESPACE, {
+        reviewId,
+        voterId: voter.userId,
+        voterName: voter.name,
+        expecting
+    }, { ttlSeconds: COMMENT_TTL_SECONDS, createdBy: voter.name });
+}
+
+/**
+ * 💬 Take a member's conditions or comment after a vote button
+ * Returns handled: false when the chat is not waiting on this sender, so normal handling carries on
+ */
+async function handleCommitteeMessage(message, bot) {
+    const text = (message.text || '').trim();
+    if (!text || (text.startsWith('/') && text.split(/\s+/)[0] !== '/skip')) {
+        return { handled: false };
+    }
+
+    let session;
+    try {
+        session = await getActiveSession(message.chat.id, COMMENT_NAMESPACE);
+    } catch (error) {
+        console.warn('⚠️ IC comment lookup failed:', error.message);
+        return { handled: false };
+    }
+    if (!session || session.state.voterId !== String(message.from?.id)) {
+        return { handled: false };
+    }
+
+    const { reviewId, voterId, voterName, expecting } = session.state;
+    const chatId = message.chat.id;
+    await endSession(session.sessionId);
+
+    if (text === '/skip') {
+        await bot.sendMessage(chatId, expecting === 'conditions'
+            ? '↩️ Conditional vote cancelled - use the memo buttons to vote.'
+            : '👍 Vote recorded without a comment.');
+        return { handled: true };
+    }
+
+    try {
+        if (expecting === 'conditions') {
+            const conditions = text.split('\n').map(line => line.replace(/^(?:[-•*]|\d+[.)])\s*/, '').trim()).filter(Boolean);
+            const result = await castVote(reviewId, { userId: voterId, name: voterName }, 'conditional', { conditions, bot });
+            if (!result.decided) {
+                await bot.sendMessage(chatId,
+                    `📝 Conditional approval recorded with ${conditions.length} condition(s).\n${formatProgress(result.review, result.tally)}`);
+            }
+        } else {
+            await addVoteComment(reviewId, voterId, text);
+            await bot.sendMessage(chatId, '💬 Comment added to your vote.');
+        }
+    } catch (error) {
+        await bot.sendMessage(chatId, `❌ ${error.message}`);
+    }
+    return { handled: true };
+}
+
+// 📋 /ic
+
+async function formatReviewDetail(review, user) {
+    const votes = await getReviewVotes(review.reviewId);
+    const lines = [formatDealMemo(review), ''];
+
+    if (review.decision && review.decision.tally && review.status !== 'expired') {
+        lines.push(formatDecision(review));
+    } else {
+        lines.push(`📌 Status: ${review.status}`, formatProgress(review, tallyVotes(review, votes)));
+        votes.forEach(vote => {
+            lines.push(`• ${vote.voterName || vote.voterId}: ${vote.vote}` +
+                       (vote.conditions.length > 0 ? ` - ${vote.conditions.join('; ')}` : '') +
+                       (vote.comment ? ` ("${vote.comment}")` : ''));
+        });
+    }
+
+    const canVote = review.status === IC_CONFIG.STATUSES.OPEN &&
+                    review.eligibleVoters.some(voter => voter.userId === String(user?.userId));
+    return { text: lines.join('\n'), canVote };
+}
+
+/**
+ * 📋 /ic - open reviews; /ic <review id> - memo, votes and decision
+ */
+async function handleIcCommand(text, chatId, bot, user = null) {
+    const [, reviewId] = text.trim().split(/\s+/);
+
+    try {
+        if (reviewId) {
+            const review = await getReview(reviewId);
+            if (!review) {
+                await bot.sendMessage(chatId, `Review ${reviewId} not found`);
+                return { success: false };
+            }
+            const detail = await formatReviewDetail(review, user);
+            await bot.sendMessage(chatId, detail.text, detail.canVote ? { reply_markup: voteKeyboard(review.reviewId) } : {});
+            return { success: true };
+        }
+
+        const reviews = await getOpenReviews();
+        const response = reviews.length === 0 ? '🏛️ No deals waiting on the investment committee.'
+            : '🏛️ Open IC reviews\n\n' + (await Promise.all(reviews.map(async review => {
+                const tally = tallyVotes(review, await getReviewVotes(review.reviewId));
+                return `• ${review.reviewId} - ${review.dealId}, $${Math.round(review.loanAmount).toLocaleString()}\n` +
+                       `   ${tally.cast}/${review.eligibleVoters.length} voted, quorum ${review.quorum}, ` +
+                       `closes ${new Date(review.expiresAt).toISOString().split('T')[0]}`;
+            }))).join('\n') + '\n\nUse /ic <review id> for the memo and votes.';
+
+        await bot.sendMessage(chatId, response);
+        return { success: true };
+
+    } catch (error) {
+        console.error('❌ IC command error:', error.message);
+        await bot.sendMessage(chatId, `❌ Committee reviews unavailable: ${error.message}`);
+        return { success: false, error: error.message };
+    }
+}
+
+module.exports = {
+    submitToCommittee,
+    handleCommitteeMessage,
+    handleIcCommand
+};
+
+console.log('🏛️ IC Approval Handler Loaded');
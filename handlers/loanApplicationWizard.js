@@ -0,0 +1,776 @@
+// handlers/loanApplicationWizard.js - Telegram Loan Application Wizard
+// Collects an application field by field, takes supporting documents along the way,
+// then runs documentation -> underwriting -> investment committee once the applicant submits
+
+const {
+    initiateApplication,
+    processDocumentationStage,
+    processUnderwritingStage,
+    generateApplicationId,
+    generateDocumentationPlan,
+    determineApprovalLevel,
+    calculateCreditMetrics
+} = require('../cambodia/loanOrigination');
+const { addDealToPortfolio, getDealById, removePipelineDeal } = require('../cambodia/portfolioManager');
+const { validateDealParameters, VALIDATION_RULES } = require('../utils/cambodiaLending');
+const { submitToCommittee } = require('./icApproval');
+const multimodal = require('../utils/multimodal');
+const {
+    createSession,
+    getActiveSession,
+    updateSession,
+    endSession,
+    registerCallbackNamespace,
+    callbackButton
+} = require('../utils/callbackRouter');
+
+// 🧙 WIZARD CONFIGURATION
+const WIZARD_CONFIG = {
+    NAMESPACE: 'loanapp',
+    SESSION_TTL_SECONDS: 14 * 24 * 60 * 60,     // Unfinished applications can be resumed for two weeks
+    MAX_DOCUMENTS_PER_CATEGORY: 10,
+    OPTIONS_PER_ROW: 2,
+    PROCEED_DECISIONS: ['proceed_to_underwriting', 'proceed_with_conditions'],
+    APPROVE_DECISIONS: ['approve_as_requested', 'approve_with_conditions'],
+
+    DOCUMENT_CATEGORIES: {
+        financial: 'Financial',
+        business: 'Business',
+        collateral: 'Collateral',
+        legal: 'Legal',
+        cambodiaSpecific: 'Cambodia-specific'
+    }
+};
+
+// 📝 WIZARD STEPS
+// validatesAs: validateDealParameters error prefixes this step is responsible for
+// documentCategory: uploads sent while this step is open are filed under that category
+const WIZARD_STEPS = [
+    {
+        key: 'applicantName',
+        label: 'Applicant',
+        prompt: '👤 What is the applicant\'s full name?',
+        type: 'text'
+    },
+    {
+        key: 'businessName',
+        label: 'Business',
+        prompt: '🏢 Borrowing entity or business name?\n(Skip if borrowing personally.)',
+        type: 'text',
+        optional: true,
+        documentCategory: 'business'
+    },
+    {
+        key: 'borrowerType',
+        label: 'Borrower type',
+        prompt: '🧾 Borrower type?',
+        type: 'choice',
+        options: () => VALIDATION_RULES.BORROWER_TYPES,
+        validatesAs: ['Invalid borrower type'],
+        documentCategory: 'business'
+    },
+    {
+        key: 'industry',
+        label: 'Industry',
+        prompt: '🏭 Industry or sector?',
+        type: 'text',
+        documentCategory: 'business'
+    },
+    {
+        key: 'yearsInBusiness',
+        label: 'Years in business',
+        prompt: '📅 Years in business?',
+        type: 'number',
+        min: 0,
+        documentCategory: 'business'
+    },
+    {
+        key: 'annualRevenue',
+        label: 'Annual revenue',
+        prompt: '💵 Annual revenue (USD)?',
+        type: 'amount',
+        min: 0,
+        documentCategory: 'financial'
+    },
+    {
+        key: 'annualCashFlow',
+        label: 'Annual cash flow',
+        prompt: '💧 Annual net operating cash flow (USD)?',
+        type: 'amount',
+        min: 0,
+        documentCategory: 'financial'
+    },
+    {
+        key: 'collateralType',
+        label: 'Collateral',
+        prompt: '🏠 Collateral type?',
+        type: 'choice',
+        options: () => VALIDATION_RULES.COLLATERAL_TYPES,
+        validatesAs: ['Invalid collateral type'],
+        documentCategory: 'collateral'
+    },
+    {
+        key: 'location',
+        label: 'Location',
+        prompt: '📍 Collateral location?',
+        type: 'choice',
+        options: () => VALIDATION_RULES.LOCATION_VALIDATION,
+        validatesAs: ['Invalid location'],
+        documentCategory: 'collateral'
+    },
+    {
+        key: 'collateralValue',
+        label: 'Collateral value',
+        prompt: '🏷️ Collateral market value (USD)?',
+        type: 'amount',
+        min: 1,
+        documentCategory: 'collateral'
+    },
+    {
+        key: 'requestedAmount',
+        label: 'Loan amount',
+        prompt: '💰 Requested loan amount (USD)?',
+        type: 'amount',
+        validatesAs: ['Amount', 'LTV'],
+        documentCategory: 'financial'
+    },
+    {
+        key: 'requestedTerm',
+        label: 'Term',
+        prompt: '⏱️ Requested term (months)?',
+        type: 'number',
+        validatesAs: ['Term']
+    },
+    {
+        key: 'interestRate',
+        label: 'Proposed rate',
+        prompt: '📈 Proposed interest rate (% per year)?',
+        type: 'number',
+        validatesAs: ['Interest rate']
+    },
+    {
+        key: 'loanPurpose',
+        label: 'Purpose',
+        prompt: '🎯 What is the loan for?',
+        type: 'text'
+    },
+    ...Object.keys(WIZARD_CONFIG.DOCUMENT_CATEGORIES).map(category => ({
+        key: `documents:${category}`,
+        label: `${WIZARD_CONFIG.DOCUMENT_CATEGORIES[category]} documents`,
+        type: 'documents',
+        documentCategory: category
+    }))
+];
+
+// 🛠️ HELPERS
+
+function parseNumber(text) {
+    const match = String(text).trim().toLowerCase().replace(/[$,\s]/g, '').match(/^(-?\d+(?:\.\d+)?)([km]?)$/);
+    if (!match) return NaN;
+    const multiplier = { k: 1000, m: 1000000 }[match[2]] || 1;
+    return parseFloat(match[1]) * multiplier;
+}
+
+function formatUSD(amount) {
+    return `$${Math.round(amount || 0).toLocaleString()}`;
+}
+
+function calculateLTV(fields) {
+    return fields.requestedAmount && fields.collateralValue
+        ? Math.round(fields.requestedAmount / fields.collateralValue * 1000) / 10
+        : undefined;
+}
+
+function toDealParams(fields) {
+    return {
+        amount: fields.requestedAmount,
+        interestRate: fields.interestRate,
+        term: fields.requestedTerm,
+        loanToValue: calculateLTV(fields),
+        borrowerType: fields.borrowerType,
+        collateralType: fields.collateralType,
+        location: fields.location
+    };
+}
+
+function toApplicationData(fields) {
+    return {
+        ...fields,
+        businessName: fields.businessName || fields.applicantName,
+        loanToValue: calculateLTV(fields)
+    };
+}
+
+function getRequiredDocuments(fields) {
+    const plan = generateDocumentationPlan(toApplicationData(fields));
+    return { ...plan.requiredDocuments, cambodiaSpecific: plan.cambodiaSpecific };
+}
+
+function formatValue(step, value) {
+    if (value === undefined || value === null || value === '') return '—';
+    if (step.type === 'amount') return formatUSD(value);
+    if (step.key === 'requestedTerm') return `${value} months`;
+    if (step.key === 'interestRate') return `${value}%`;
+    return String(value);
+}
+
+/**
+ * ✅ Validate one answer; deal parameters go through validateDealParameters
+ */
+function validateStepValue(step, rawText, fields) {
+    let value = String(rawText || '').trim();
+
+    if (step.type === 'text') {
+        if (value.length < 2) return { error: 'Please enter at least 2 characters' };
+    } else if (step.type === 'number' || step.type === 'amount') {
+        value = parseNumber(value);
+        if (!Number.isFinite(value)) return { error: 'Please enter a number (e.g. 250000, 250k or 1.5m)' };
+        if (step.min !== undefined && value < step.min) return { error: `Must be at least ${step.min}` };
+    } else if (step.type === 'choice') {
+        const match = step.options().find(option => option.toLowerCase() === value.toLowerCase());
+        if (!match) return { error: 'Please pick one of the buttons' };
+        value = match;
+    }
+
+    if (step.validatesAs) {
+        const { errors } = validateDealParameters(toDealParams({ ...fields, [step.key]: value }));
+        const stepErrors = errors.filter(error => step.validatesAs.some(prefix => error.startsWith(prefix)));
+        if (stepErrors.length > 0) return { error: stepErrors.join('\n') };
+    }
+
+    return { value };
+}
+
+// 📄 DOCUMENT STATUS
+
+function getDocumentCounts(state) {
+    const required = getRequiredDocuments(state.fields);
+    return Object.keys(WIZARD_CONFIG.DOCUMENT_CATEGORIES).map(category => {
+        const uploaded = (state.documents[category] || []).filter(doc => doc.analysed).length;
+        const requiredCount = (required[category] || []).length;
+        return { category, uploaded, required: requiredCount, requiredDocuments: required[category] || [] };
+    });
+}
+
+/**
+ * 📄 Documentation status in the shape processDocumentationStage scores
+ * Uploads that the document analysis could read count towards completeness;
+ * unreadable ones mark accuracy and authenticity as questionable
+ */
+function buildDocumentationStatus(state) {
+    const status = {};
+    let failedUploads = 0;
+
+    getDocumentCounts(state).forEach(({ category, uploaded, required }) => {
+        status[category] = uploaded === 0 ? 'missing' : uploaded < required ? 'partial' : 'complete';
+        failedUploads += (state.documents[category] || []).filter(doc => !doc.analysed).length;
+    });
+
+    const quality = failedUploads > 0 ? 'questionable' : 'acceptable';
+    status.accuracy = quality;
+    status.currency = 'acceptable';
+    status.authenticity = quality;
+    return status;
+}
+
+// 💬 PROMPTS
+
+function stepKeyboard(sessionId, step) {
+    const rows = [];
+    if (step.type === 'choice') {
+        const options = step.options();
+        for (let i = 0; i < options.length; i += WIZARD_CONFIG.OPTIONS_PER_ROW) {
+            rows.push(options.slice(i, i + WIZARD_CONFIG.OPTIONS_PER_ROW).map((option, offset) =>
+                callbackButton(option, WIZARD_CONFIG.NAMESPACE, 'pick', sessionId, i + offset)));
+        }
+    }
+
+    const controls = [callbackButton('⬅️ Back', WIZARD_CONFIG.NAMESPACE, 'back', sessionId)];
+    if (step.type === 'documents') {
+        controls.push(callbackButton('✅ Done', WIZARD_CONFIG.NAMESPACE, 'next', sessionId));
+    } else if (step.optional) {
+        controls.push(callbackButton('⏭️ Skip', WIZARD_CONFIG.NAMESPACE, 'next', sessionId));
+    }
+    controls.push(callbackButton('❌ Cancel', WIZARD_CONFIG.NAMESPACE, 'cancel', sessionId));
+    rows.push(controls);
+
+    return { inline_keyboard: rows };
+}
+
+function stepText(state) {
+    const step = WIZARD_STEPS[state.step];
+    const header = `📝 Loan application - step ${state.step + 1}/${WIZARD_STEPS.length}`;
+
+    if (step.type === 'documents') {
+        const counts = getDocumentCounts(state).find(count => count.category === step.documentCategory);
+        return `${header}\n\n📎 ${step.label}\nUpload each as a file or photo (${counts.uploaded}/${counts.required} received):\n` +
+               counts.requiredDocuments.map(doc => `• ${doc}`).join('\n') +
+               '\n\nPress Done when finished - missing documents can be sent later.';
+    }
+
+    const current = state.fields[step.key];
+    return `${header}\n\n${step.prompt}` +
+           (current !== undefined ? `\nCurrent answer: ${formatValue(step, current)}` : '') +
+           (step.documentCategory ? `\n\n📎 You can also upload ${WIZARD_CONFIG.DOCUMENT_CATEGORIES[step.documentCategory].toLowerCase()} documents now.` : '');
+}
+
+function reviewText(state) {
+    const lines = WIZARD_STEPS
+        .filter(step => step.type !== 'documents')
+        .map(step => `• ${step.label}: ${formatValue(step, state.fields[step.key])}`);
+    const ltv = calculateLTV(state.fields);
+    const documents = getDocumentCounts(state)
+        .map(count => `• ${WIZARD_CONFIG.DOCUMENT_CATEGORIES[count.category]}: ${count.uploaded}/${count.required}`);
+
+    return `📋 Application review\n\n${lines.join('\n')}\n• LTV: ${ltv !== undefined ? `${ltv}%` : '—'}\n\n` +
+           `📎 Documents\n${documents.join('\n')}\n\nSubmit to run documentation review, underwriting and approval.`;
+}
+
+async function sendStepPrompt(bot, chatId, session) {
+    const { state } = session;
+    if (state.status === 'review') {
+        return await bot.sendMessage(chatId, reviewText(state), {
+            reply_markup: {
+                inline_keyboard: [[
+                    callbackButton('🚀 Submit', WIZARD_CONFIG.NAMESPACE, 'submit', session.sessionId),
+                    callbackButton('⬅️ Back', WIZARD_CONFIG.NAMESPACE, 'back', session.sessionId),
+                    callbackButton('❌ Cancel', WIZARD_CONFIG.NAMESPACE, 'cancel', session.sessionId)
+                ]]
+            }
+        });
+    }
+
+    return await bot.sendMessage(chatId, stepText(state), {
+        reply_markup: stepKeyboard(session.sessionId, WIZARD_STEPS[state.step])
+    });
+}
+
+// 🔄 STEP TRANSITIONS
+
+async function moveToStep(session, stepIndex, changes = {}) {
+    const position = stepIndex >= WIZARD_STEPS.length
+        ? { step: WIZARD_STEPS.length - 1, status: 'review' }
+        : { step: Math.max(0, stepIndex), status: 'collecting' };
+    return await updateSession(session.sessionId, { ...changes, ...position }, { ttlSeconds: WIZARD_CONFIG.SESSION_TTL_SECONDS });
+}
+
+async function recordAnswer(session, step, value) {
+    const fields = { ...session.state.fields, [step.key]: value };
+    return await moveToStep(session, session.state.step + 1, { fields });
+}
+
+/**
+ * 📎 Analyse an upload with the multimodal handler and file it under the open step's category
+ */
+async function attachDocument(message, bot, session) {
+    const { state } = session;
+    const step = WIZARD_STEPS[state.step];
+    const category = state.status === 'collecting' ? step.documentCategory : null;
+    const chatId = message.chat.id;
+
+    if (!category) {
+        await bot.sendMessage(chatId, '📎 Documents can be uploaded on the business, financial, collateral and document steps.');
+        return { handled: true };
+    }
+
+    const existing = state.documents[category] || [];
+    if (existing.length >= WIZARD_CONFIG.MAX_DOCUMENTS_PER_CATEGORY) {
+        await bot.sendMessage(chatId, `📎 ${WIZARD_CONFIG.DOCUMENT_CATEGORIES[category]} already has ${existing.length} documents.`);
+        return { handled: true };
+    }
+
+    const prompt = `Review this ${WIZARD_CONFIG.DOCUMENT_CATEGORIES[category].toLowerCase()} document submitted with a Cambodia loan application ` +
+                   `for ${state.fields.applicantName || 'the applicant'}. Identify the document type, parties, dates and amounts, ` +
+                   'and flag anything inconsistent or suspicious.';
+
+    let result;
+    let fileName;
+    if (message.document) {
+        fileName = message.document.file_name;
+        result = await multimodal.analyzeDocument(bot, message.document, prompt, chatId);
+    } else {
+        const photo = message.photo[message.photo.length - 1];
+        fileName = `photo-${photo.file_unique_id || photo.file_id.slice(-8)}.jpg`;
+        result = await multimodal.analyzeImage(bot, photo.file_id, prompt, chatId);
+    }
+
+    const documentRecord = {
+        fileName,
+        fileId: message.document ? message.document.file_id : message.photo[message.photo.length - 1].file_id,
+        type: result.type,
+        analysed: !!result.success,
+        summary: result.success ? String(result.analysis || '').substring(0, 500) : result.error,
+        uploadedAt: new Date().toISOString()
+    };
+    const documents = { ...state.documents, [category]: [...existing, documentRecord] };
+    const updated = await updateSession(session.sessionId, { documents });
+
+    const counts = getDocumentCounts(updated.state).find(count => count.category === category);
+    await bot.sendMessage(chatId, documentRecord.analysed
+        ? `📎 ${fileName} filed under ${WIZARD_CONFIG.DOCUMENT_CATEGORIES[category]} (${counts.uploaded}/${counts.required})`
+        : `⚠️ ${fileName} could not be read - it is recorded but will not count towards completeness. Try a clearer copy.`);
+
+    return { handled: true, category, analysed: documentRecord.analysed };
+}
+
+// 🚀 SUBMISSION PIPELINE
+
+/**
+ * 🚀 Run a completed application through documentation and underwriting, then to the investment committee
+ * Stops at the first stage that does not clear; the outcome is kept on the session
+ */
+async function runApplicationPipeline(session, chatId, bot, actor = 'applicant') {
+    const { fields } = session.state;
+    const applicationData = toApplicationData(fields);
+    const stages = {};
+
+    // Stage 1: initiation (the AI narrative is optional, the rule-based plan is not)
+    const initiation = await initiateApplication(applicationData, chatId, bot);
+    const applicationId = session.state.applicationId || initiation.applicationId || generateApplicationId(applicationData);
+    stages.initiation = { track: initiation.processingPlan?.track?.duration, approvalLevel: initiation.processingPlan?.approvalLevel?.authority };
+    await updateSession(session.sessionId, { applicationId });
+
+    // Stage 2: documentation
+    const documentation = await processDocumentationStage(applicationId, buildDocumentationStatus(session.state), chatId, bot);
+    stages.documentation = {
+        decision: documentation.decision?.action,
+        reason: documentation.decision?.reason,
+        completeness: documentation.documentationAssessment?.completenessScore,
+        outstandingItems: documentation.outstandingItems || []
+    };
+    if (!WIZARD_CONFIG.PROCEED_DECISIONS.includes(stages.documentation.decision)) {
+        return { applicationId, outcome: 'documents_required', stages };
+    }
+
+    // Stage 3: underwriting
+    const underwritingData = {
+        ...applicationData,
+        loanTerm: fields.requestedTerm
+    };
+    underwritingData.debtServiceCoverage = calculateCreditMetrics(underwritingData).debtServiceCoverage;
+
+    const underwriting = await processUnderwritingStage(applicationId, underwritingData, chatId, bot);
+    const terms = underwriting.recommendedTerms;
+    stages.underwriting = {
+        decision: underwriting.underwritingDecision?.decision,
+        reason: underwriting.underwritingDecision?.reason,
+        creditMetrics: underwriting.creditMetrics,
+        overallRisk: underwriting.riskAssessment?.overallRisk,
+        recommendedTerms: terms,
+        conditions: (underwriting.conditions || []).map(condition => condition.condition || condition)
+    };
+    if (!WIZARD_CONFIG.APPROVE_DECISIONS.includes(stages.underwriting.decision)) {
+        const outcome = { counter_offer: 'counter_offer', decline: 'declined' }[stages.underwriting.decision] || 'manual_review';
+        return { applicationId, outcome, stages };
+    }
+
+    // Stage 4: investment committee votes on the recommended terms; the decision comes back to this chat.
+    // A resubmission reuses the deal already created for the application
+    const existing = session.state.dealId ? await getDealById(session.state.dealId) : null;
+    const dealId = existing ? existing.dealId : (await addDealToPortfolio({
+        propertyType: fields.collateralType,
+        location: fields.location,
+        borrowerName: applicationData.businessName,
+        borrowerType: fields.borrowerType,
+        propertyValue: fields.collateralValue,
+        loanAmount: terms.amount,
+        interestRate: terms.interestRate,
+        loanTerm: terms.term,
+        ltv: calculateLTV({ requestedAmount: terms.amount, collateralValue: fields.collateralValue }),
+        purpose: fields.loanPurpose
+    })).dealId;
+    if (!existing) await updateSession(session.sessionId, { dealId });
+    stages.committee = {
+        dealId: dealId,
+        approvalAuthority: determineApprovalLevel(terms.amount).authority
+    };
+
+    try {
+        const { review } = await submitToCommittee(dealId, {
+            bot,
+            chatId,
+            requestedBy: actor,
+            applicationId,
+            underwriting: stages.underwriting
+        });
+        stages.committee.reviewId = review.reviewId;
+        stages.committee.quorum = review.quorum;
+    } catch (error) {
+        console.error('❌ IC submission failed:', error.message);
+        stages.committee.error = error.message;
+
+        // Manual review starts from the application, so the deal goes unless the committee already has it
+        try {
+            if (await removePipelineDeal(dealId)) {
+                await updateSession(session.sessionId, { dealId: null });
+                delete stages.committee.dealId;
+            }
+        } catch (removeError) {
+            console.warn(`⚠️ Could not remove deal ${dealId} after the failed submission:`, removeError.message);
+        }
+        return { applicationId, outcome: 'manual_review', stages };
+    }
+
+    return { applicationId, outcome: 'ic_review', stages };
+}
+
+function formatPipelineResult(result) {
+    const { applicationId, outcome, stages } = result;
+    const lines = [`🗂️ Application ${applicationId}`];
+
+    if (stages.documentation) {
+        lines.push(`📄 Documentation: ${stages.documentation.decision || 'n/a'} (${stages.documentation.completeness ?? 'n/a'}% complete)`);
+    }
+    if (stages.underwriting) {
+        lines.push(`🏦 Underwriting: ${stages.underwriting.decision} - ${stages.underwriting.reason}`);
+    }
+
+    if (outcome === 'ic_review') {
+        const terms = stages.underwriting.recommendedTerms;
+        lines.push(`🏛️ With the investment committee: ${formatUSD(terms.amount)} for ${terms.term} months at ${terms.interestRate}%`);
+        lines.push(`👥 ${stages.committee.approvalAuthority} - review ${stages.committee.reviewId} (deal ${stages.committee.dealId})`);
+        lines.push('', 'The committee decision will be posted here.');
+    } else if (outcome === 'documents_required') {
+        lines.push('📎 More documents are needed before underwriting:',
+            ...stages.documentation.outstandingItems.map(item => `• ${item.actionRequired}`),
+            '', 'Upload them on the document steps and submit again.');
+    } else if (outcome === 'counter_offer') {
+        const terms = stages.underwriting.recommendedTerms;
+        lines.push(`🔁 Counter-offer: ${formatUSD(terms.amount)} for ${terms.term} months at ${terms.interestRate}%`);
+    } else if (outcome === 'declined') {
+        lines.push('❌ Declined at underwriting');
+    } else {
+        lines.push('🧑‍💼 Referred for manual review' + (stages.committee?.error ? `: ${stages.committee.error}` : ''));
+    }
+
+    return lines.join('\n');
+}
+
+// 🔘 BUTTON ACTIONS
+// loanapp:<action>:<sessionId>[:<arg>]
+
+const WIZARD_CALLBACK_ACTIONS = {
+    pick: async (context) => {
+        const { session } = context;
+        const step = WIZARD_STEPS[session.state.step];
+        const option = step.type === 'choice' ? step.options()[parseInt(context.args[0], 10)] : undefined;
+        if (session.state.status !== 'collecting' || option === undefined) {
+            return { text: 'That question has moved on' };
+        }
+
+        const { value, error } = validateStepValue(step, option, session.state.fields);
+        if (error) return { text: error, showAlert: true };
+
+        const updated = await recordAnswer(session, step, value);
+        await sendStepPrompt(context.bot, context.chatId, updated);
+        return { text: `${step.label}: ${value}` };
+    },
+
+    next: async (context) => {
+        const { session } = context;
+        const step = WIZARD_STEPS[session.state.step];
+        if (session.state.status !== 'collecting' || !(step.optional || step.type === 'documents')) {
+            return { text: 'This step needs an answer' };
+        }
+        const updated = await moveToStep(session, session.state.step + 1);
+        await sendStepPrompt(context.bot, context.chatId, updated);
+    },
+
+    back: async (context) => {
+        const { session } = context;
+        if (!['collecting', 'review'].includes(session.state.status)) {
+            return { text: 'The application has already been submitted' };
+        }
+        const target = session.state.status === 'review' ? WIZARD_STEPS.length - 1 : session.state.step - 1;
+        const updated = await moveToStep(session, target);
+        await sendStepPrompt(context.bot, context.chatId, updated);
+    },
+
+    resume: async (context) => {
+        await sendStepPrompt(context.bot, context.chatId, context.session);
+    },
+
+    restart: async (context) => {
+        await endSession(context.session.sessionId);
+        await startApplication(context.chatId, context.bot, context.from);
+    },
+
+    cancel: async (context) => {
+        await endSession(context.session.sessionId);
+        await context.bot.sendMessage(context.chatId, '🗑️ Loan application cancelled.');
+        return { text: 'Cancelled' };
+    },
+
+    submit: async (context) => {
+        const { session } = context;
+        if (session.state.status !== 'review') {
+            return { text: session.state.status === 'processing' ? 'Already processing' : 'Nothing to submit' };
+        }
+
+        const { errors } = validateDealParameters(toDealParams(session.state.fields));
+        if (errors.length > 0) {
+            return { text: `Please fix: ${errors.join('; ')}`, showAlert: true };
+        }
+
+        await updateSession(session.sessionId, { status: 'processing' });
+        await context.answer('🚀 Submitting application...');
+
+        let result;
+        try {
+            result = await runApplicationPipeline(session, context.chatId, context.bot, context.actor);
+        } catch (error) {
+            await updateSession(session.sessionId, { status: 'review' });
+            throw new Error(`Application processing failed: ${error.message}`);
+        }
+
+        if (result.outcome === 'documents_required') {
+            // Reopen the first document step so the applicant can fill the gaps and resubmit
+            const firstDocumentStep = WIZARD_STEPS.findIndex(step => step.type === 'documents');
+            await moveToStep(session, firstDocumentStep, { applicationId: result.applicationId, lastResult: result });
+        } else {
+            await updateSession(session.sessionId, {
+                status: 'completed',
+                applicationId: result.applicationId,
+                lastResult: result,
+                completedAt: new Date().toISOString()
+            });
+        }
+
+        await context.bot.sendMessage(context.chatId, formatPipelineResult(result));
+    }
+};
+
+registerCallbackNamespace(WIZARD_CONFIG.NAMESPACE, WIZARD_CALLBACK_ACTIONS, {
+    sessionScoped: true,
+    description: 'Loan application wizard'
+});
+
+// 💬 TELEGRAM ENTRY POINTS
+
+async function startApplication(chatId, bot, from = {}) {
+    const session = await createSession(chatId, WIZARD_CONFIG.NAMESPACE, {
+        step: 0,
+        status: 'collecting',
+        fields: {},
+        documents: {},
+        startedAt: new Date().toISOString()
+    }, {
+        ttlSeconds: WIZARD_CONFIG.SESSION_TTL_SECONDS,
+        createdBy: from.username || String(from.id || '')
+    });
+
+    await bot.sendMessage(chatId, '🧙 New loan application. Answer each question, or use the buttons to go back or cancel. ' +
+                                  'You can stop any time and continue later with /apply.');
+    await sendStepPrompt(bot, chatId, session);
+    return session;
+}
+
+/**
+ * 💬 /apply [resume | status | cancel]
+ */
+async function handleApplyCommand(text, chatId, bot, from = {}) {
+    const action = (text.trim().split(/\s+/)[1] || '').toLowerCase();
+    const session = await getActiveSession(chatId, WIZARD_CONFIG.NAMESPACE);
+    const inProgress = session && ['collecting', 'review'].includes(session.state.status);
+
+    if (action === 'cancel') {
+        if (session) await endSession(session.sessionId);
+        await bot.sendMessage(chatId, session ? '🗑️ Loan application cancelled.' : 'No loan application in progress.');
+        return { success: true };
+    }
+
+    if (action === 'status') {
+        const message = !session ? 'No loan application in progress.'
+            : session.state.lastResult ? formatPipelineResult(session.state.lastResult)
+            : `📝 Application in progress - step ${session.state.step + 1}/${WIZARD_STEPS.length} (${session.state.status})`;
+        await bot.sendMessage(chatId, message);
+        return { success: true };
+    }
+
+    if (inProgress && action === 'resume') {
+        await sendStepPrompt(bot, chatId, session);
+        return { success: true };
+    }
+
+    if (inProgress) {
+        await bot.sendMessage(chatId,
+            `📝 You have an unfinished application (step ${session.state.step + 1}/${WIZARD_STEPS.length}` +
+            `${session.state.fields.applicantName ? ` for ${session.state.fields.applicantName}` : ''}).`, {
+                reply_markup: {
+                    inline_keyboard: [[
+                        callbackButton('▶️ Resume', WIZARD_CONFIG.NAMESPACE, 'resume', session.sessionId),
+                        callbackButton('🆕 Start over', WIZARD_CONFIG.NAMESPACE, 'restart', session.sessionId)
+                    ]]
+                }
+            });
+        return { success: true };
+    }
+
+    await startApplication(chatId, bot, from);
+    return { success: true };
+}
+
+/**
+ * 💬 Feed a plain message to the chat's open application
+ * Returns handled: false when the chat has no application collecting answers,
+ * so normal message handling carries on
+ */
+async function handleWizardMessage(message, bot) {
+    const text = message.text || '';
+    const hasUpload = !!(message.document || message.photo);
+    if ((!text && !hasUpload) || text.startsWith('/')) {
+        return { handled: false };
+    }
+
+    let session;
+    try {
+        session = await getActiveSession(message.chat.id, WIZARD_CONFIG.NAMESPACE);
+    } catch (error) {
+        // Without the session store the message is handled as a normal chat message
+        console.warn('⚠️ Loan application lookup failed:', error.message);
+        return { handled: false };
+    }
+    if (!session || !['collecting', 'review'].includes(session.state.status)) {
+        return { handled: false };
+    }
+
+    if (hasUpload) {
+        return await attachDocument(message, bot, session);
+    }
+
+    if (session.state.status === 'review') {
+        await sendStepPrompt(bot, message.chat.id, session);
+        return { handled: true };
+    }
+
+    const step = WIZARD_STEPS[session.state.step];
+    if (step.type === 'documents') {
+        await bot.sendMessage(message.chat.id, '📎 Send the documents as files or photos, or press Done.');
+        return { handled: true };
+    }
+
+    const { value, error } = validateStepValue(step, text, session.state.fields);
+    if (error) {
+        await bot.sendMessage(message.chat.id, `⚠️ ${error}`);
+        await sendStepPrompt(bot, message.chat.id, session);
+        return { handled: true };
+    }
+
+    const updated = await recordAnswer(session, step, value);
+    await sendStepPrompt(bot, message.chat.id, updated);
+    return { handled: true, step: step.key };
+}
+
+// 📤 EXPORTS
+module.exports = {
+    handleApplyCommand,
+    handleWizardMessage,
+    startApplication,
+    runApplicationPipeline,
+    validateStepValue,
+    buildDocumentationStatus,
+    WIZARD_STEPS,
+    WIZARD_CONFIG
+};
+
+console.log('🧙 Loan Application Wizard Loaded');
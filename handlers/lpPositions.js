@@ -0,0 +1,77 @@
+// handlers/lpPositions.js - Fund position statements over Telegram
+// LP accounts see only their own commitments, contributions and distributions;
+// staff with fund access can list every LP position in a fund they are granted
+
+const { getLPFundPositions } = require('../cambodia/lpManagement');
+const { getLPCapitalPositions } = require('../cambodia/capitalCalls');
+const { hasPermission, canAccessFund } = require('../utils/accessControl');
+
+function formatAmount(amount) {
+    return `$${Math.round(amount || 0).toLocaleString()}`;
+}
+
+function formatOwnPositions(lpId, positions) {
+    if (positions.length === 0) {
+        return `💼 No fund commitments recorded for ${lpId} yet.`;
+    }
+
+    return `💼 Your fund positions (${lpId})\n\n` + positions.map(position =>
+        `🏦 ${position.fundId}\n` +
+        `   Commitment: ${formatAmount(position.commitment)}\n` +
+        `   Contributed: ${formatAmount(position.contributed)}\n` +
+        `   Unfunded: ${formatAmount(position.unfunded)}\n` +
+        (position.outstandingCalled > 0 ? `   Called, not yet paid: ${formatAmount(position.outstandingCalled)}\n` : '') +
+        `   Distributions received: ${formatAmount(position.distributed)}` +
+        (position.lastDistributionDate ? ` (last ${position.lastDistributionDate})` : '')
+    ).join('\n\n');
+}
+
+function formatFundPositions(fundId, positions) {
+    if (positions.length === 0) {
+        return `🏦 No LP positions recorded in ${fundId}.`;
+    }
+
+    const totals = positions.reduce((sum, p) => ({
+        commitment: sum.commitment + p.commitment,
+        contributed: sum.contributed + p.contributed
+    }), { commitment: 0, contributed: 0 });
+
+    return `🏦 LP positions in ${fundId}\n\n` +
+           positions.map(p => `• ${p.lpId}: ${formatAmount(p.contributed)} of ${formatAmount(p.commitment)} contributed` +
+                              (p.outstandingCalled > 0 ? `, ${formatAmount(p.outstandingCalled)} called unpaid` : '')).join('\n') +
+           `\n\nTotal: ${formatAmount(totals.contributed)} of ${formatAmount(totals.commitment)} committed`;
+}
+
+/**
+ * 💼 /positions - an LP's own positions; /positions <fund id> - every LP in a fund (staff)
+ */
+async function handlePositionsCommand(text, chatId, bot, user) {
+    const [, fundId] = text.trim().split(/\s+/);
+    let response;
+
+    try {
+        if (user.role === 'lp') {
+            response = user.lpId
+                ? formatOwnPositions(user.lpId, await getLPFundPositions(user.lpId))
+                : '💼 Your account is not linked to an LP record yet. Ask an admin to link it.';
+        } else if (!fundId) {
+            response = 'Usage: /positions <fund id>';
+        } else if (!hasPermission(user, 'fund.view') || !canAccessFund(user, fundId)) {
+            response = `🚫 You do not have access to ${fundId}`;
+        } else {
+            response = formatFundPositions(fundId, await getLPCapitalPositions(fundId));
+        }
+    } catch (error) {
+        console.error('❌ Positions command error:', error.message);
+        response = `❌ Positions unavailable: ${error.message}`;
+    }
+
+    await bot.sendMessage(chatId, response);
+    return { success: true, response };
+}
+
+module.exports = {
+    handlePositionsCommand
+};
+
+console.log('💼 LP Positions Handler Loaded');
@@ -0,0 +1,314 @@
+// handlers/memoryCommands.js - /memory: let a chat see and correct what the bot remembers
+// Lists, searches, forgets, pins, re-ranks and edits persistent memories, and exports the chat's
+// conversations, memories and entity mentions as JSON. Export and wiping the whole chat need
+// memory.manage, except in the user's own private chat
+
+const {
+    getPersistentMemoryDB,
+    getConversationHistoryDB,
+    getUserProfileDB,
+    countPersistentMemoriesDB,
+    getPersistentMemoryByIdDB,
+    searchPersistentMemoriesDB,
+    deletePersistentMemoryDB,
+    deleteChatMemoriesDB,
+    setMemoryPinnedDB,
+    setMemoryImportanceDB,
+    updatePersistentMemoryDB
+} = require('../utils/database');
+const { filterSensitiveContent, invalidateMemoryCache } = require('../utils/memory');
+const { getChatEntityMentions, forgetChatEntities } = require('../utils/entityMemory');
+const { registerCallbackNamespace, callbackButton } = require('../utils/callbackRouter');
+const { hasPermission } = require('../utils/accessControl');
+
+// Embedding search; without it /memory search matches words only
+let semanticMemory = null;
+try {
+    semanticMemory = require('../utils/semanticMemory');
+} catch (error) {
+    console.warn('⚠️ Semantic memory not available for /memory search:', error.message);
+}
+
+const MEMORY_NAMESPACE = 'memory';
+
+const MEMORY_COMMAND_CONFIG = {
+    PAGE_SIZE: 10,
+    SEARCH_RESULTS: 10,
+    SEARCH_MIN_SIMILARITY: 0.25,    // Semantic matches below this are noise, not results
+    MAX_PINNED: 20,                 // Pinned facts all go into every prompt, so they are capped
+    MAX_FACT_DISPLAY: 200,
+    MAX_FACT_LENGTH: 1000,
+    EXPORT_CONVERSATIONS: 1000,     // saveConversationDB keeps the last 1000 per chat
+    EXPORT_MEMORIES: 10000,
+    IMPORTANCE_LEVELS: ['high', 'medium', 'low'],
+    MANAGE_PERMISSION: 'memory.manage'     // Export and wipe; in group chats any member has 'chat'
+};
+
+const USAGE = '🧠 Memory commands\n\n' +
+    '/memory list [page] - what I remember about this chat\n' +
+    '/memory search <text> - find memories\n' +
+    '/memory forget <id> - delete a memory\n' +
+    '/memory forget all - wipe everything remembered for this chat\n' +
+    '/memory pin <id> - always use a memory; /memory unpin <id> to stop\n' +
+    '/memory importance <id> <high|medium|low>\n' +
+    '/memory edit <id> <new text> - correct a memory\n' +
+    '/memory export - everything stored for this chat as JSON';
+
+// 🛠️ HELPERS
+
+function parseMemoryId(value) {
+    const id = parseInt(String(value || '').replace(/^#/, ''));
+    return Number.isInteger(id) && id > 0 ? id : null;
+}
+
+function formatMemoryLine(memory) {
+    const fact = String(memory.fact || '');
+    const text = fact.length > MEMORY_COMMAND_CONFIG.MAX_FACT_DISPLAY
+        ? `${fact.substring(0, MEMORY_COMMAND_CONFIG.MAX_FACT_DISPLAY)}...` : fact;
+    const date = memory.timestamp ? new Date(memory.timestamp).toISOString().split('T')[0] : '';
+    return `${memory.pinned ? '📌' : '•'} #${memory.id} [${memory.importance || 'medium'}] ${text}` + (date ? ` (${date})` : '');
+}
+
+// A private chat's id is the user's own Telegram id
+function requireManageAccess(chatId, user, action) {
+    const ownChat = user && String(user.userId) === String(chatId);
+    if (!ownChat && !hasPermission(user, MEMORY_COMMAND_CONFIG.MANAGE_PERMISSION)) {
+        throw new Error(`Only admins can ${action} in a group chat`);
+    }
+}
+
+async function requireMemory(chatId, idText) {
+    const memoryId = parseMemoryId(idText);
+    if (!memoryId) throw new Error('Give the memory id shown by /memory list, e.g. /memory forget 42');
+
+    const memory = await getPersistentMemoryByIdDB(String(chatId), memoryId);
+    if (!memory) throw new Error(`Memory #${memoryId} not found in this chat`);
+    return memory;
+}
+
+// 📋 LIST AND SEARCH
+
+async function buildMemoryPage(chatId, page) {
+    const counts = await countPersistentMemoriesDB(String(chatId));
+    if (counts.total === 0) {
+        return { text: '🧠 I have no saved memories for this chat yet.', keyboard: null };
+    }
+
+    const pages = Math.ceil(counts.total / MEMORY_COMMAND_CONFIG.PAGE_SIZE);
+    const current = Math.min(Math.max(page, 1), pages);
+    const memories = await getPersistentMemoryDB(String(chatId), MEMORY_COMMAND_CONFIG.PAGE_SIZE,
+                                                 (current - 1) * MEMORY_COMMAND_CONFIG.PAGE_SIZE);
+
+    const text = `🧠 Memories for this chat - page ${current}/${pages} (${counts.total} total, ${counts.pinned} pinned)\n\n` +
+                 memories.map(formatMemoryLine).join('\n') +
+                 '\n\n/memory forget|pin|edit <id> to change one';
+
+    const buttons = [];
+    if (current > 1) buttons.push(callbackButton('◀️ Previous', MEMORY_NAMESPACE, 'page', current - 1));
+    if (current < pages) buttons.push(callbackButton('Next ▶️', MEMORY_NAMESPACE, 'page', current + 1));
+    return { text, keyboard: buttons.length > 0 ? { inline_keyboard: [buttons] } : null };
+}
+
+/**
+ * 🔍 Word matches first, then memories close in meaning
+ */
+async function searchMemories(chatId, query) {
+    const results = await searchPersistentMemoriesDB(String(chatId), query, MEMORY_COMMAND_CONFIG.SEARCH_RESULTS);
+    if (!semanticMemory || results.length >= MEMORY_COMMAND_CONFIG.SEARCH_RESULTS) return results;
+
+    try {
+        const similar = await semanticMemory.findSimilarMemories(String(chatId), query, { limit: MEMORY_COMMAND_CONFIG.SEARCH_RESULTS });
+        similar
+            .filter(memory => memory.similarity >= MEMORY_COMMAND_CONFIG.SEARCH_MIN_SIMILARITY)
+            .filter(memory => !results.some(result => result.id === memory.id))
+            .forEach(memory => results.push(memory));
+    } catch (error) {
+        console.warn('⚠️ Semantic memory search failed:', error.message);
+    }
+    return results.slice(0, MEMORY_COMMAND_CONFIG.SEARCH_RESULTS);
+}
+
+// 📤 EXPORT
+
+/**
+ * 📤 Everything stored for a chat: profile, conversations (oldest first), memories and entity mentions
+ */
+async function exportChatMemory(chatId) {
+    const [profile, conversations, memories, entityMentions] = await Promise.all([
+        getUserProfileDB(String(chatId)),
+        getConversationHistoryDB(String(chatId), MEMORY_COMMAND_CONFIG.EXPORT_CONVERSATIONS),
+        getPersistentMemoryDB(String(chatId), MEMORY_COMMAND_CONFIG.EXPORT_MEMORIES),
+        getChatEntityMentions(String(chatId))
+    ]);
+
+    return {
+        chatId: String(chatId),
+        exportedAt: new Date().toISOString(),
+        profile: profile || null,
+        conversations: conversations.map(conversation => ({
+            timestamp: conversation.timestamp,
+            messageType: conversation.message_type,
+            userMessage: conversation.user_message,
+            response: conversation.gpt_response
+        })),
+        memories: memories.map(memory => ({
+            id: memory.id,
+            fact: memory.fact,
+            importance: memory.importance,
+            pinned: Boolean(memory.pinned),
+            accessCount: memory.access_count,
+            timestamp: memory.timestamp
+        })),
+        entityMentions: entityMentions
+    };
+}
+
+// 🔘 PAGE BUTTONS
+// memory:page:<page>
+
+registerCallbackNamespace(MEMORY_NAMESPACE, {
+    page: async (context) => {
+        const { text, keyboard } = await buildMemoryPage(context.chatId, parseInt(context.args[0]) || 1);
+        if (context.message) {
+            await context.bot.editMessageText(text, {
+                chat_id: context.message.chat.id,
+                message_id: context.message.message_id,
+                ...(keyboard ? { reply_markup: keyboard } : {})
+            });
+        }
+        return {};
+    }
+}, { description: 'Memory list paging' });
+
+// 🧠 /memory
+
+const SUBCOMMANDS = {
+    list: async (chatId, bot, args) => {
+        const { text, keyboard } = await buildMemoryPage(chatId, parseInt(args[0]) || 1);
+        await bot.sendMessage(chatId, text, keyboard ? { reply_markup: keyboard } : {});
+    },
+
+    search: async (chatId, bot, args) => {
+        const query = args.join(' ').trim();
+        if (!query) throw new Error('Usage: /memory search <text>');
+
+        const results = await searchMemories(chatId, query);
+        await bot.sendMessage(chatId, results.length === 0
+            ? `🔍 No memories match "${query}"`
+            : `🔍 Memories matching "${query}"\n\n${results.map(formatMemoryLine).join('\n')}`);
+    },
+
+    forget: async (chatId, bot, args, user) => {
+        if (String(args[0] || '').toLowerCase() === 'all') {
+            requireManageAccess(chatId, user, "wipe this chat's memory");
+            const memories = await deleteChatMemoriesDB(String(chatId));
+            const entities = await forgetChatEntities(chatId);
+            invalidateMemoryCache(String(chatId));
+            await bot.sendMessage(chatId, `🗑️ Forgotten ${memories} memories and ${entities.mentions} entity mentions for this chat`);
+            return;
+        }
+
+        const memory = await requireMemory(chatId, args[0]);
+        await deletePersistentMemoryDB(String(chatId), memory.id);
+        invalidateMemoryCache(String(chatId));
+        await bot.sendMessage(chatId, `🗑️ Forgotten: ${formatMemoryLine(memory)}`);
+    },
+
+    pin: async (chatId, bot, args) => {
+        const memory = await requireMemory(chatId, args[0]);
+        if (!memory.pinned) {
+            const counts = await countPersistentMemoriesDB(String(chatId));
+            if (counts.pinned >= MEMORY_COMMAND_CONFIG.MAX_PINNED) {
+                throw new Error(`Only ${MEMORY_COMMAND_CONFIG.MAX_PINNED} memories can be pinned - unpin one first`);
+            }
+            await setMemoryPinnedDB(String(chatId), memory.id, true);
+            invalidateMemoryCache(String(chatId));
+        }
+        await bot.sendMessage(chatId, `📌 Pinned #${memory.id} - it will be used in every answer in this chat`);
+    },
+
+    unpin: async (chatId, bot, args) => {
+        const memory = await requireMemory(chatId, args[0]);
+        await setMemoryPinnedDB(String(chatId), memory.id, false);
+        invalidateMemoryCache(String(chatId));
+        await bot.sendMessage(chatId, `📍 Unpinned #${memory.id}`);
+    },
+
+    importance: async (chatId, bot, args) => {
+        const importance = String(args[1] || '').toLowerCase();
+        if (!MEMORY_COMMAND_CONFIG.IMPORTANCE_LEVELS.includes(importance)) {
+            throw new Error(`Usage: /memory importance <id> <${MEMORY_COMMAND_CONFIG.IMPORTANCE_LEVELS.join('|')}>`);
+        }
+        const memory = await requireMemory(chatId, args[0]);
+        await setMemoryImportanceDB(String(chatId), memory.id, importance);
+        invalidateMemoryCache(String(chatId));
+        await bot.sendMessage(chatId, `⚖️ #${memory.id} is now ${importance} importance`);
+    },
+
+    edit: async (chatId, bot, args) => {
+        const memory = await requireMemory(chatId, args[0]);
+        const fact = filterSensitiveContent(args.slice(1).join(' ').trim());
+        if (!fact) throw new Error('Usage: /memory edit <id> <new text>');
+        if (fact.length > MEMORY_COMMAND_CONFIG.MAX_FACT_LENGTH) {
+            throw new Error(`Memories are limited to ${MEMORY_COMMAND_CONFIG.MAX_FACT_LENGTH} characters`);
+        }
+
+        await updatePersistentMemoryDB(String(chatId), memory.id, fact);
+        invalidateMemoryCache(String(chatId));
+
+        // Until it is re-embedded the memory only reaches the prompt by importance; retrieval backfills failures
+        if (semanticMemory) {
+            semanticMemory.indexMemory(String(chatId), fact).catch(error => {
+                console.warn(`⚠️ Re-embedding memory #${memory.id} deferred:`, error.message);
+            });
+        }
+        await bot.sendMessage(chatId, `✏️ Updated #${memory.id}: ${fact}`);
+    },
+
+    export: async (chatId, bot, args, user) => {
+        requireManageAccess(chatId, user, "export this chat's memory");
+        const data = await exportChatMemory(chatId);
+        const date = data.exportedAt.split('T')[0];
+        await bot.sendDocument(chatId, Buffer.from(JSON.stringify(data, null, 2), 'utf8'), {
+            caption: `📤 ${data.conversations.length} conversations, ${data.memories.length} memories and ` +
+                     `${data.entityMentions.length} entity mentions`
+        }, {
+            filename: `memory-export-${chatId}-${date}.json`,
+            contentType: 'application/json'
+        });
+    }
+};
+
+/**
+ * 🧠 /memory <list|search|forget|pin|unpin|importance|edit|export> - manage this chat's memories
+ */
+async function handleMemoryCommand(text, chatId, bot, user = null) {
+    const [, subcommand = 'list', ...args] = text.trim().split(/\s+/);
+    const handler = SUBCOMMANDS[subcommand.toLowerCase()];
+
+    if (!handler) {
+        await bot.sendMessage(chatId, USAGE);
+        return { success: subcommand.toLowerCase() === 'help' };
+    }
+
+    // edit keeps the text's own spacing after the id
+    const editText = subcommand.toLowerCase() === 'edit'
+        ? text.trim().replace(/^\S+\s+\S+\s+\S+\s*/, '') : null;
+
+    try {
+        await handler(chatId, bot, editText !== null ? [args[0], editText] : args, user);
+        return { success: true };
+    } catch (error) {
+        console.error('❌ Memory command error:', error.message);
+        await bot.sendMessage(chatId, `❌ ${error.message}`);
+        return { success: false, error: error.message };
+    }
+}
+
+module.exports = {
+    handleMemoryCommand,
+    exportChatMemory,
+    MEMORY_COMMAND_CONFIG
+};
+
+console.log('🧠 Memory Commands Handler Loaded');
@@ -38,6 +38,9 @@ let DualCommandSystem;
 let database;
 let memory;
 let openaiClient;
+let jobScheduler;
+let scheduledJobs;
+let accessControl;
 
 // Safe module loading with detailed reporting
 function safeRequire(modulePath, moduleName) {
@@ -56,6 +59,9 @@ DualCommandSystem = safeRequire('./utils/dualCommandSystem', 'dualCommandSystem.
 database = safeRequire('./utils/database', 'database.js');
 memory = safeRequire('./utils/memory', 'memory.js');
 openaiClient = safeRequire('./utils/openaiClient', 'openaiClient.js');
+jobScheduler = safeRequire('./utils/jobScheduler', 'jobScheduler.js');
+scheduledJobs = safeRequire('./cambodia/scheduledJobs', 'scheduledJobs.js');
+accessControl = safeRequire('./utils/accessControl', 'accessControl.js');
 
 // Critical dependency check
 if (!DualCommandSystem) {
@@ -69,6 +75,8 @@ console.log(`   • DualCommandSystem: ${DualCommandSystem ? '✅ Ready' : '❌
 console.log(`   • Database: ${database ? '✅ Ready' : '❌ Failed'}`);
 console.log(`   • Memory: ${memory ? '✅ Ready' : '❌ Failed'}`);
 console.log(`   • OpenAI Client: ${openaiClient ? '✅ Ready' : '❌ Failed'}`);
+console.log(`   • Job Scheduler: ${jobScheduler && scheduledJobs ? '✅ Ready' : '❌ Failed'}`);
+console.log(`   • Access Control: ${accessControl ? '✅ Ready' : '❌ Failed'}`);
 console.log('');
 
 // ─────────────────────────────────────────────────────────────────────────────
@@ -106,7 +114,7 @@ app.get('/', (req, res) => {
     memory: memory ? 'Memory System Loaded' : 'Memory System Unavailable',
     debugging: {
       enabled: true,
-      commands: ['/test_save', '/memory_debug', '/db_status', '/test_memory_flow', '/fix_collation', '/system_health'],
+      commands: ['/test_save', '/memory_debug', '/db_status', '/test_memory_flow', '/fix_collation', '/system_health', '/jobs'],
       advanced_features: ['Memory Integration Testing', 'Collation Fix', 'System Health Monitoring']
     },
     mode: 'Railway Production Webhook',
@@ -578,6 +586,36 @@ async function handleDebugCommands(message, bot) {
       return true;
     }
     
+    // ⏰ SCHEDULED JOBS STATUS COMMAND
+    if (text === '/jobs') {
+      if (!jobScheduler) {
+        await bot.sendMessage(chatId, '❌ Job scheduler not available. Check server logs.');
+        return true;
+      }
+
+      try {
+        const status = jobScheduler.getSchedulerStatus();
+        const jobs = await jobScheduler.getJobs();
+        const zone = jobScheduler.SCHEDULER_CONFIG.TIMEZONE;
+        const formatTime = (time) => time ? new Date(time).toLocaleString('en-GB', { timeZone: zone }) : 'never';
+
+        let report = `⏰ SCHEDULED JOBS (${status.running ? 'running' : 'stopped'} on ${status.instanceId})\n\n`;
+        jobs.forEach(job => {
+          const icon = !job.enabled ? '⏸️' : job.lockedBy ? '🔄' : job.lastStatus === 'failed' ? '❌' : job.lastStatus === 'retrying' ? '🔁' : '✅';
+          report += `${icon} ${job.jobName} (${job.schedule})\n`;
+          report += `   Last: ${formatTime(job.lastRunAt)}${job.lastStatus ? ` - ${job.lastStatus}` : ''}\n`;
+          report += `   Next: ${job.enabled ? formatTime(job.nextRunAt) : 'disabled'}\n`;
+        });
+        report += `\nNotify chat: ${status.notifyChatId || 'not configured'}`;
+
+        await bot.sendMessage(chatId, report);
+      } catch (jobsError) {
+        await bot.sendMessage(chatId, `❌ Job status unavailable: ${jobsError.message}`);
+      }
+
+      return true;
+    }
+
     // 🏥 SYSTEM HEALTH COMMAND (NEW)
     if (text === '/system_health') {
       console.log('[SYSTEM-HEALTH] 🏥 Performing comprehensive system health check...');
@@ -752,10 +790,19 @@ app.post(`/webhook/${BOT_TOKEN}`, async (req, res) => {
     // 🧪 ENHANCED DEBUG COMMAND INTERCEPT
     if (update.message && update.message.text) {
       const text = update.message.text.toLowerCase();
-      const debugCommands = ['/test_save', '/memory_debug', '/db_status', '/test_memory_flow', '/fix_collation', '/system_health'];
+      const debugCommands = ['/test_save', '/memory_debug', '/db_status', '/test_memory_flow', '/fix_collation', '/system_health', '/jobs'];
       
       if (debugCommands.includes(text)) {
         console.log(`🧪 Debug command intercepted: ${update.message.text}`);
+        
+        // Debug commands skip dualCommandSystem, so they are authorized here (admin only)
+        const access = accessControl
+          ? await accessControl.authorizeMessage(update.message, bot)
+          : { allowed: false, reason: 'access_control_unavailable' };
+        if (!access.allowed) {
+          console.log(`🚫 Debug command refused: ${access.reason}`);
+          return res.status(200).json({ ok: true });
+        }
         const isDebugCommand = await handleDebugCommands(update.message, bot);
         if (isDebugCommand) {
           console.log(`🧪 Debug command processed successfully: ${update.message.text}`);
@@ -821,6 +868,14 @@ async function initializeServer() {
       }
     }
 
+    // Validate market data provider keys (missing keys disable the provider, malformed keys are reported)
+    const providerCheck = require('./utils/config').validateConfig();
+    console.log('\n🔑 Market data providers:');
+    Object.values(providerCheck.providers).forEach(provider => {
+      console.log(`   ${provider.enabled ? '✅' : '⚠️ '} ${provider.name}: ${provider.enabled ? `${provider.source} (${provider.maskedKey})` : provider.disabledReason}`);
+    });
+    providerCheck.errors.forEach(error => console.error(`   ❌ ${error}`));
+
     // Test database integration with enhanced reporting
     if (database) {
       console.log('\n📊 Testing database integration:');
@@ -914,6 +969,17 @@ async function initializeServer() {
       }
     }
 
+    // Start the recurring fund operations scheduler
+    if (jobScheduler && scheduledJobs) {
+      console.log('\n⏰ Starting job scheduler...');
+      try {
+        await scheduledJobs.registerScheduledJobs();
+        jobScheduler.startScheduler({ bot });
+      } catch (schedulerError) {
+        console.warn('⚠️  Job scheduler start had issues:', schedulerError.message);
+      }
+    }
+
     // Run initial health check
     console.log('\n🏥 Running initial system health check...');
     try {
@@ -944,6 +1010,7 @@ async function initializeServer() {
     console.log('   • /test_memory_flow - Complete memory integration test');
     console.log('   • /fix_collation - Fix PostgreSQL collation warnings');
     console.log('   • /system_health - Comprehensive system health check');
+    console.log('   • /jobs - Scheduled job status');
     console.log('🚀 Clean architecture with advanced debugging capabilities');
     console.log('🔧 PostgreSQL collation issues automatically addressed');
     console.log(`🌐 Listening on port ${PORT} with enhanced monitoring...`);
@@ -1001,6 +1068,11 @@ process.on('SIGINT', async () => {
       console.log('✅ dualCommandSystem shutdown complete');
     }
     
+    // Stop the scheduler before the pool closes
+    if (jobScheduler) {
+      jobScheduler.stopScheduler();
+    }
+    
     // Close database connections if available
     if (database && database.pool && database.pool.end) {
       console.log('🔄 Closing database connections...');
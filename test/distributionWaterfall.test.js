@@ -0,0 +1,117 @@
+// test/distributionWaterfall.test.js - Tier split, preferred return and pro-rata allocation
+
+jest.mock('../utils/database', () => ({
+    queryWithRetry: jest.fn(async () => ({ rows: [], rowCount: 0 })),
+    withTransaction: jest.fn()
+}));
+jest.mock('../utils/liveData', () => ({
+    getForexRates: jest.fn(async () => ({ rates: {} }))
+}));
+
+const {
+    calculateWaterfallTiers,
+    calculatePreferredReturn,
+    allocateProRata
+} = require('../cambodia/distributionWaterfall');
+
+const fund = {
+    contributed: 1000000,
+    preferredReturn: 80000,
+    carryRate: 0.2,
+    catchUpRate: 1
+};
+
+describe('calculateWaterfallTiers', () => {
+    test('returns only capital when proceeds fall short of contributions', () => {
+        const tiers = calculateWaterfallTiers({ ...fund, distributable: 600000 });
+
+        expect(tiers.returnOfCapital).toBe(600000);
+        expect(tiers.preferredReturn).toBe(0);
+        expect(tiers.gpTotal).toBe(0);
+        expect(tiers.lpTotal).toBe(600000);
+    });
+
+    test('pays the preferred return before any GP share', () => {
+        const tiers = calculateWaterfallTiers({ ...fund, distributable: 1050000 });
+
+        expect(tiers.returnOfCapital).toBe(1000000);
+        expect(tiers.preferredReturn).toBe(50000);
+        expect(tiers.gpTotal).toBe(0);
+    });
+
+    test('gives the GP the whole catch-up tier on a full catch-up', () => {
+        const tiers = calculateWaterfallTiers({ ...fund, distributable: 1090000 });
+
+        expect(tiers.catchUp).toEqual({ gp: 10000, lp: 0 });
+        expect(tiers.carriedInterest).toEqual({ gp: 0, lp: 0 });
+        expect(tiers.lpTotal).toBe(1080000);
+    });
+
+    test('brings the GP to the carry rate of total profit once catch-up completes', () => {
+        const tiers = calculateWaterfallTiers({ ...fund, distributable: 1500000 });
+
+        expect(tiers.catchUp).toEqual({ gp: 20000, lp: 0 });
+        expect(tiers.carriedInterest).toEqual({ gp: 80000, lp: 320000 });
+        expect(tiers.gpTotal).toBe(100000);
+        expect(tiers.lpTotal).toBe(1400000);
+    });
+
+    test('sizes a partial catch-up tier so the GP still ends at the carry rate', () => {
+        const tiers = calculateWaterfallTiers({ ...fund, catchUpRate: 0.8, distributable: 1500000 });
+
+        expect(tiers.catchUp).toEqual({ gp: 21333.33, lp: 5333.33 });
+        expect(tiers.gpTotal).toBe(100000);
+    });
+
+    test('splits everything above the pref at the carry rate without a catch-up', () => {
+        const tiers = calculateWaterfallTiers({ ...fund, catchUpRate: 0, distributable: 1500000 });
+
+        expect(tiers.catchUp).toEqual({ gp: 0, lp: 0 });
+        expect(tiers.carriedInterest).toEqual({ gp: 84000, lp: 336000 });
+        expect(tiers.gpTotal + tiers.lpTotal).toBe(1500000);
+    });
+});
+
+describe('calculatePreferredReturn', () => {
+    test('accrues the hurdle on contributed capital for a full year', () => {
+        const result = calculatePreferredReturn([
+            { date: '2023-01-01', contribution: 1000000 }
+        ], '2024-01-01', 0.08);
+
+        expect(result.contributed).toBe(1000000);
+        expect(result.unreturnedCapital).toBe(1000000);
+        expect(result.preferredReturn).toBe(80000);
+        expect(result.hurdleBalance).toBe(1080000);
+    });
+
+    test('stops accruing on capital once it is distributed', () => {
+        const result = calculatePreferredReturn([
+            { date: '2023-01-01', contribution: 1000000 },
+            { date: '2024-01-01', distribution: 1080000 }
+        ], '2025-01-01', 0.08);
+
+        expect(result.preferredReturn).toBe(80000);
+        expect(result.hurdleBalance).toBe(0);
+        expect(result.unreturnedCapital).toBe(0);
+    });
+
+    test('ignores flows after the as-of date', () => {
+        const result = calculatePreferredReturn([
+            { date: '2023-01-01', contribution: 1000000 },
+            { date: '2025-06-30', contribution: 500000 }
+        ], '2024-01-01', 0.08);
+
+        expect(result.contributed).toBe(1000000);
+    });
+});
+
+describe('allocateProRata', () => {
+    test('splits by weight and puts rounding cents on the largest holder', () => {
+        expect(allocateProRata(100, { LP1: 2, LP2: 1, LP3: 1 })).toEqual({ LP1: 50, LP2: 25, LP3: 25 });
+        expect(allocateProRata(100, { LP1: 1, LP2: 1, LP3: 1 })).toEqual({ LP1: 33.34, LP2: 33.33, LP3: 33.33 });
+    });
+
+    test('needs some ownership to allocate against', () => {
+        expect(() => allocateProRata(100, {})).toThrow('No LP ownership on record');
+    });
+});
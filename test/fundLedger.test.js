@@ -0,0 +1,133 @@
+// test/fundLedger.test.js - USD conversion of journal entries posted in a deal currency
+
+jest.mock('../utils/database', () => ({
+    queryWithRetry: jest.fn(async () => ({ rows: [], rowCount: 0 })),
+    withTransaction: jest.fn()
+}));
+jest.mock('../utils/liveData', () => ({
+    getForexRates: jest.fn(async () => ({ rates: { KHR: 4100, EUR: 0.92 } }))
+}));
+
+const fundLedger = require('../cambodia/fundLedger');
+
+function recordingClient() {
+    const queries = [];
+    return {
+        queries,
+        query: jest.fn(async (sql, params) => {
+            queries.push({ sql, params });
+            return { rows: [], rowCount: 1 };
+        })
+    };
+}
+
+function postedLines(client) {
+    return client.queries
+        .filter(q => q.sql.includes('INSERT INTO fund_journal_lines'))
+        .map(q => ({ accountCode: q.params[2], debit: q.params[3], credit: q.params[4] }));
+}
+
+describe('toBaseAmount', () => {
+    test('leaves USD amounts unconverted', () => {
+        expect(fundLedger.toBaseAmount(1234.567, 'USD')).toBe(1234.57);
+        expect(fundLedger.toBaseAmount(50, null)).toBe(50);
+    });
+
+    test('divides by units of the currency per USD', () => {
+        expect(fundLedger.toBaseAmount(4100000, 'KHR', 4100)).toBe(1000);
+        expect(fundLedger.toBaseAmount(100, 'khr', 3)).toBe(33.33);
+    });
+
+    test('requires a positive rate for non-USD amounts', () => {
+        expect(() => fundLedger.toBaseAmount(100, 'KHR')).toThrow('FX rate to USD is required');
+        expect(() => fundLedger.toBaseAmount(100, 'KHR', 0)).toThrow('FX rate to USD is required');
+    });
+});
+
+describe('fxRateFor', () => {
+    test('is 1 for USD and for a missing currency', () => {
+        expect(fundLedger.fxRateFor('USD', {})).toBe(1);
+        expect(fundLedger.fxRateFor(null, null)).toBe(1);
+    });
+
+    test('reads the rate case-insensitively', () => {
+        expect(fundLedger.fxRateFor('khr', { KHR: 4100 })).toBe(4100);
+    });
+
+    test('throws when no usable rate is on file', () => {
+        expect(() => fundLedger.fxRateFor('KHR', {})).toThrow('No KHR/USD FX rate available');
+        expect(() => fundLedger.fxRateFor('KHR', { KHR: -1 })).toThrow('No KHR/USD FX rate available');
+    });
+});
+
+describe('loadFxRates', () => {
+    test('always prices USD at 1', async () => {
+        expect(await fundLedger.loadFxRates({ KHR: 4000, USD: 2 })).toEqual({ KHR: 4000, USD: 1 });
+        expect(await fundLedger.loadFxRates()).toEqual({ KHR: 4100, EUR: 0.92, USD: 1 });
+    });
+});
+
+describe('postJournalEntry currency conversion', () => {
+    const entry = (overrides = {}) => ({
+        entryDate: '2024-06-30',
+        description: 'Interest accrual',
+        lines: [
+            { accountCode: '1200', debit: 4100000 },
+            { accountCode: '4000', credit: 4100000 }
+        ],
+        ...overrides
+    });
+
+    test('posts KHR lines in USD at the entry rate', async () => {
+        const client = recordingClient();
+        const posted = await fundLedger.postJournalEntry('FUND-1', entry({ currency: 'KHR', fxRate: 4100 }), client);
+
+        expect(posted.currency).toBe('KHR');
+        expect(posted.fxRate).toBe(4100);
+        expect(posted.totalAmount).toBe(1000);
+        expect(postedLines(client)).toEqual([
+            { accountCode: '1200', debit: 1000, credit: 0 },
+            { accountCode: '4000', debit: 0, credit: 1000 }
+        ]);
+    });
+
+    test('keeps the entry balanced when conversion rounds lines apart', async () => {
+        const client = recordingClient();
+        await fundLedger.postJournalEntry('FUND-1', entry({
+            currency: 'KHR',
+            fxRate: 3,
+            lines: [
+                { accountCode: '1000', debit: 100 },
+                { accountCode: '4000', credit: 50 },
+                { accountCode: '4000', credit: 50 }
+            ]
+        }), client);
+
+        const lines = postedLines(client);
+        const debits = lines.reduce((sum, line) => sum + line.debit, 0);
+        const credits = lines.reduce((sum, line) => sum + line.credit, 0);
+        expect(fundLedger.roundCents(debits)).toBe(fundLedger.roundCents(credits));
+        expect(lines[0].debit).toBe(33.33);
+    });
+
+    test('does not convert lines flagged as already in USD', async () => {
+        const client = recordingClient();
+        const posted = await fundLedger.postJournalEntry('FUND-1', entry({
+            currency: 'KHR',
+            fxRate: 4100,
+            baseAmounts: true,
+            lines: [
+                { accountCode: '1200', debit: 1000 },
+                { accountCode: '4000', credit: 1000 }
+            ]
+        }), client);
+
+        expect(posted.totalAmount).toBe(1000);
+        expect(posted.fxRate).toBe(4100);
+    });
+
+    test('rejects non-USD entries without a rate', async () => {
+        await expect(fundLedger.postJournalEntry('FUND-1', entry({ currency: 'KHR' }), recordingClient()))
+            .rejects.toThrow('FX rate to USD is required for KHR entries');
+    });
+});
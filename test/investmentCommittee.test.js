@@ -0,0 +1,108 @@
+// test/investmentCommittee.test.js - Vote tallies against quorum and approval rules
+
+jest.mock('../utils/database', () => ({ queryWithRetry: jest.fn() }));
+jest.mock('../utils/accessControl', () => ({ listBotUsers: jest.fn() }));
+jest.mock('../cambodia/portfolioManager', () => ({ getDealById: jest.fn(), updateDealStatus: jest.fn() }));
+jest.mock('../cambodia/loanLifecycle', () => ({ getLoanState: jest.fn() }));
+jest.mock('../cambodia/loanOrigination', () => ({
+    determineApprovalLevel: jest.fn(() => ({ authority: 'Investment Committee' })),
+    generateApprovalSummary: jest.fn(),
+    generateConditionsPrecedent: jest.fn(),
+    generateClosingTimeline: jest.fn(),
+    generateApprovalNextSteps: jest.fn()
+}));
+
+const { tallyVotes, getApprovalRule } = require('../cambodia/investmentCommittee');
+
+function review(voters, quorum, approvalRule) {
+    return {
+        eligibleVoters: Array.from({ length: voters }, (_, i) => ({ userId: String(i + 1) })),
+        quorum: quorum,
+        approvalRule: approvalRule
+    };
+}
+
+const votes = (...cast) => cast.map((vote, i) => ({ voterId: String(i + 1), vote: vote }));
+
+describe('tallyVotes', () => {
+    test('is not final before quorum', () => {
+        const tally = tallyVotes(review(5, 3, 'majority'), votes('approve', 'approve'));
+
+        expect(tally.cast).toBe(2);
+        expect(tally.outstanding).toBe(3);
+        expect(tally.quorumMet).toBe(false);
+        expect(tally.approved).toBe(false);
+        expect(tally.final).toBe(false);
+    });
+
+    test('is final once the outstanding votes cannot overturn an approval', () => {
+        const tally = tallyVotes(review(5, 3, 'majority'), votes('approve', 'approve', 'approve'));
+
+        expect(tally.approved).toBe(true);
+        expect(tally.final).toBe(true);
+    });
+
+    test('stays open while the outstanding votes could still overturn it', () => {
+        const tally = tallyVotes(review(5, 3, 'majority'), votes('approve', 'approve', 'reject'));
+
+        expect(tally.quorumMet).toBe(true);
+        expect(tally.approved).toBe(true);
+        expect(tally.final).toBe(false);
+    });
+
+    test('settles a rejection that the outstanding votes cannot reverse', () => {
+        const tally = tallyVotes(review(5, 3, 'majority'), votes('reject', 'reject', 'reject'));
+
+        expect(tally.approved).toBe(false);
+        expect(tally.final).toBe(true);
+    });
+
+    test('counts conditional votes in favour', () => {
+        const tally = tallyVotes(review(5, 3, 'majority'),
+            votes('conditional', 'conditional', 'approve', 'reject', 'reject'));
+
+        expect(tally.approve).toBe(1);
+        expect(tally.conditional).toBe(2);
+        expect(tally.reject).toBe(2);
+        expect(tally.approved).toBe(true);
+        expect(tally.final).toBe(true);
+    });
+
+    test('treats a tie as not approved under a simple majority', () => {
+        const tally = tallyVotes(review(4, 2, 'majority'), votes('approve', 'approve', 'reject', 'reject'));
+
+        expect(tally.approved).toBe(false);
+        expect(tally.final).toBe(true);
+    });
+
+    test('approves at exactly two thirds', () => {
+        const tally = tallyVotes(review(6, 4, 'two_thirds'),
+            votes('approve', 'approve', 'approve', 'conditional', 'reject', 'reject'));
+
+        expect(tally.approved).toBe(true);
+        expect(tally.final).toBe(true);
+    });
+
+    test('needs every vote cast in favour when unanimous', () => {
+        const board = review(5, 5, 'unanimous');
+
+        expect(tallyVotes(board, votes('approve', 'approve', 'approve', 'approve', 'approve')).approved).toBe(true);
+        expect(tallyVotes(board, votes('approve', 'approve', 'approve', 'approve', 'reject'))).toMatchObject({
+            approved: false,
+            final: true
+        });
+    });
+});
+
+describe('getApprovalRule', () => {
+    test('picks quorum and rule by loan size band', () => {
+        expect(getApprovalRule(100000)).toMatchObject({ level: 'level1', quorum: 2, rule: 'majority' });
+        expect(getApprovalRule(100001)).toMatchObject({ level: 'level2', quorum: 3, rule: 'majority' });
+        expect(getApprovalRule(1500000)).toMatchObject({ level: 'level3', quorum: 4, rule: 'two_thirds' });
+        expect(getApprovalRule(5000000)).toMatchObject({ level: 'level4', quorum: 5, rule: 'unanimous', ruleLabel: 'unanimous' });
+    });
+
+    test('treats a missing amount as the smallest band', () => {
+        expect(getApprovalRule(null).level).toBe('level1');
+    });
+});
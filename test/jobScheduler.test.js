@@ -0,0 +1,77 @@
+// test/jobScheduler.test.js - Cron parsing and next-run calculation
+
+jest.mock('../utils/database', () => ({
+    queryWithRetry: jest.fn(async () => ({ rows: [], rowCount: 0 }))
+}));
+
+const { parseCronExpression, getNextRunTime } = require('../utils/jobScheduler');
+
+const next = (expression, from, timezone = 'UTC') => getNextRunTime(expression, new Date(from), timezone).toISOString();
+
+describe('parseCronExpression', () => {
+    test('expands lists, ranges and steps', () => {
+        const cron = parseCronExpression('0,30 9-11 */10 1-12/3 1-5');
+
+        expect([...cron.minute]).toEqual([0, 30]);
+        expect([...cron.hour]).toEqual([9, 10, 11]);
+        expect([...cron.dayOfMonth]).toEqual([1, 11, 21, 31]);
+        expect([...cron.month]).toEqual([1, 4, 7, 10]);
+        expect([...cron.dayOfWeek]).toEqual([1, 2, 3, 4, 5]);
+    });
+
+    test('reads 7 as Sunday', () => {
+        expect([...parseCronExpression('0 0 * * 7').dayOfWeek]).toEqual([0]);
+    });
+
+    test('rejects malformed expressions', () => {
+        expect(() => parseCronExpression('0 0 * *')).toThrow('Cron expression needs 5 fields, got 4');
+        expect(() => parseCronExpression('60 * * * *')).toThrow('Invalid minute value');
+        expect(() => parseCronExpression('*/0 * * * *')).toThrow('Invalid step in minute');
+        expect(() => parseCronExpression('0 5-2 * * *')).toThrow('Invalid hour value');
+    });
+});
+
+describe('getNextRunTime', () => {
+    test('moves to the next matching minute', () => {
+        expect(next('*/15 * * * *', '2024-01-01T00:07:00Z')).toBe('2024-01-01T00:15:00.000Z');
+    });
+
+    test('is strictly after the starting time', () => {
+        expect(next('0 * * * *', '2024-01-01T05:00:00Z')).toBe('2024-01-01T06:00:00.000Z');
+        expect(next('0 * * * *', '2024-01-01T05:00:30Z')).toBe('2024-01-01T06:00:00.000Z');
+    });
+
+    test('rolls over to the next day once today has passed', () => {
+        expect(next('30 8 * * *', '2024-01-01T09:00:00Z')).toBe('2024-01-02T08:30:00.000Z');
+    });
+
+    test('rolls over month and year boundaries', () => {
+        expect(next('0 0 1 * *', '2024-01-15T00:00:00Z')).toBe('2024-02-01T00:00:00.000Z');
+        expect(next('0 6 1 1 *', '2024-03-01T00:00:00Z')).toBe('2025-01-01T06:00:00.000Z');
+    });
+
+    test('fires on either day field when both are restricted', () => {
+        // 2024-01-01 is a Monday: Friday the 5th comes before the 13th
+        expect(next('0 0 13 * 5', '2024-01-01T00:00:00Z')).toBe('2024-01-05T00:00:00.000Z');
+        expect(next('0 0 2 * 5', '2024-01-01T00:00:00Z')).toBe('2024-01-02T00:00:00.000Z');
+    });
+
+    test('matches the weekday only when the day of month is unrestricted', () => {
+        expect(next('30 8 * * 7', '2024-01-01T00:00:00Z')).toBe('2024-01-07T08:30:00.000Z');
+    });
+
+    test('evaluates the expression in the job timezone', () => {
+        // 09:00 in Phnom Penh (UTC+7) is 02:00 UTC
+        expect(next('0 9 * * *', '2024-01-01T03:00:00Z', 'Asia/Phnom_Penh')).toBe('2024-01-02T02:00:00.000Z');
+        expect(next('0 9 * * *', '2024-01-01T01:00:00Z', 'Asia/Phnom_Penh')).toBe('2024-01-01T02:00:00.000Z');
+    });
+
+    test('skips months that lack the requested day', () => {
+        expect(next('0 0 31 * *', '2024-04-01T00:00:00Z')).toBe('2024-05-31T00:00:00.000Z');
+        expect(next('0 0 29 2 *', '2024-03-01T00:00:00Z')).toBe('2028-02-29T00:00:00.000Z');
+    });
+
+    test('throws for an expression that never fires', () => {
+        expect(() => next('0 0 31 2 *', '2024-01-01T00:00:00Z')).toThrow('Cron expression never fires');
+    });
+});
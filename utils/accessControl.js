@@ -0,0 +1,485 @@
+// utils/accessControl.js - Role-based access control for bot commands and fund data
+// Every Telegram user must be registered with a role; commands, free chat and buttons map to permissions.
+// Admins come from ADMIN_CHAT_ID / ADMIN_USER_IDS so the bot can never lock itself out.
+
+const { queryWithRetry, withTransaction, getLPByIdDB } = require('./database');
+
+// 🔐 ACCESS CONFIGURATION
+const ACCESS_CONFIG = {
+    ROLES: {
+        admin: {
+            label: 'Admin',
+            permissions: ['*']
+        },
+        ic_member: {
+            label: 'IC member',
+            permissions: ['chat', 'system.view', 'lending.use', 'deals.view', 'deals.analyze', 'deals.approve',
+                          'portfolio.view', 'fund.view', 'alerts.manage', 'applications.submit']
+        },
+        analyst: {
+            label: 'Analyst',
+            permissions: ['chat', 'system.view', 'lending.use', 'deals.view', 'deals.analyze',
+                          'portfolio.view', 'fund.view', 'alerts.manage', 'applications.submit']
+        },
+        lp: {
+            label: 'LP (read-only)',
+            permissions: ['positions.own']
+        }
+    },
+
+    // Usable before registration so people can find their user id
+    PUBLIC_COMMANDS: ['/start', '/whoami'],
+
+    // Command -> permission (any of a list); null means any registered user
+    COMMAND_PERMISSIONS: {
+        '/help': null,
+        '/positions': ['positions.own', 'fund.view'],
+        '/health': 'system.view',
+        '/status': 'system.view',
+        '/users': 'users.manage',
+        '/alerts': 'alerts.manage',
+        '/apply': 'applications.submit',
+        '/ic': 'deals.view',
+        '/memory': 'chat',     // export and "forget all" also need memory.manage outside a private chat
+
+        // Debug commands intercepted in index.js
+        '/test_save': 'system.admin',
+        '/memory_debug': 'system.admin',
+        '/db_status': 'system.admin',
+        '/test_memory_flow': 'system.admin',
+        '/fix_collation': 'system.admin',
+        '/system_health': 'system.admin',
+        '/jobs': 'system.admin',
+
+        // Cambodia lending commands
+        '/analyze_deal': 'deals.analyze',
+        '/match_lps': 'deals.analyze',
+        '/due_diligence': 'deals.analyze',
+        '/deal_workflow': 'deals.analyze',
+        '/investor_comm': 'deals.analyze',
+        '/market_report': 'portfolio.view',
+        '/cambodia_help': 'lending.use'
+    },
+    DEFAULT_COMMAND_PERMISSION: 'chat',     // Unknown commands go to GPT like free text
+    MESSAGE_PERMISSION: 'chat',
+
+    // "namespace" or "namespace:action" -> permission for inline buttons
+    CALLBACK_PERMISSIONS: {
+        'deal': 'deals.view',
+        'deal:submit_ic': 'deals.analyze',
+        'deal:add': 'deals.analyze',
+        'ic': 'deals.approve',
+        'alert': 'alerts.manage',
+        'loanapp': 'applications.submit'
+    },
+    DEFAULT_CALLBACK_PERMISSION: 'chat',
+
+    // Fund grants scope fund-level data: /positions <fund>, the fund-data tools behind free chat and
+    // entity profiles. /market_report is market-wide with no fund figures, so it is checked on role only
+    ALL_FUNDS: '*',
+    USER_CACHE_TTL_MS: 60 * 1000
+};
+
+// userId -> { user, expiresAt }
+const USER_CACHE = new Map();
+
+// 🛠️ HELPERS
+
+function getBootstrapAdminIds() {
+    return [process.env.ADMIN_CHAT_ID, ...(process.env.ADMIN_USER_IDS || '').split(',')]
+        .map(id => String(id || '').trim())
+        .filter(Boolean);
+}
+
+function describeActor(from = {}) {
+    return from.username ? `@${from.username}` : (from.first_name || String(from.id || 'unknown'));
+}
+
+function commandOf(text) {
+    return String(text || '').trim().split(/\s+/)[0].toLowerCase().split('@')[0];
+}
+
+function mapUser(row) {
+    return {
+        userId: row.user_id,
+        displayName: row.display_name,
+        role: row.role,
+        lpId: row.lp_id,
+        status: row.status,
+        fundIds: (row.fund_ids || []).filter(Boolean),
+        createdBy: row.created_by,
+        updatedBy: row.updated_by,
+        createdAt: row.created_at,
+        updatedAt: row.updated_at
+    };
+}
+
+function assertRole(role) {
+    if (!ACCESS_CONFIG.ROLES[role]) {
+        throw new Error(`Unknown role "${role}" (use ${Object.keys(ACCESS_CONFIG.ROLES).join(', ')})`);
+    }
+}
+
+function describeUser(user) {
+    const role = ACCESS_CONFIG.ROLES[user.role]?.label || user.role;
+    const funds = user.role === 'admin' || user.fundIds.includes(ACCESS_CONFIG.ALL_FUNDS)
+        ? 'all funds' : user.fundIds.length > 0 ? user.fundIds.join(', ') : 'no funds';
+    return `${user.displayName || user.userId} (${user.userId}) - ${role}` +
+           (user.lpId ? `, LP ${user.lpId}` : '') +
+           (user.role === 'lp' ? '' : `, ${funds}`) +
+           (user.status !== 'active' ? ` [${user.status}]` : '');
+}
+
+// 👤 USERS
+
+/**
+ * 👤 Registered user with fund grants, or null
+ */
+async function getBotUser(userId) {
+    const result = await queryWithRetry(`
+        SELECT u.*, ARRAY_REMOVE(ARRAY_AGG(f.fund_id ORDER BY f.fund_id), NULL) AS fund_ids
+        FROM bot_users u
+        LEFT JOIN bot_user_fund_access f ON f.user_id = u.user_id
+        WHERE u.user_id = $1
+        GROUP BY u.user_id
+    `, [String(userId)], 3, 'GET_BOT_USER');
+
+    return result.rows[0] ? mapUser(result.rows[0]) : null;
+}
+
+async function listBotUsers() {
+    const result = await queryWithRetry(`
+        SELECT u.*, ARRAY_REMOVE(ARRAY_AGG(f.fund_id ORDER BY f.fund_id), NULL) AS fund_ids
+        FROM bot_users u
+        LEFT JOIN bot_user_fund_access f ON f.user_id = u.user_id
+        GROUP BY u.user_id
+        ORDER BY u.role, u.user_id
+    `, [], 3, 'LIST_BOT_USERS');
+
+    return result.rows.map(mapUser);
+}
+
+/**
+ * 🔍 Active user behind a Telegram sender; bootstrap admins need no database row
+ */
+async function resolveUser(from = {}) {
+    const userId = String(from.id || '');
+    if (!userId) return null;
+
+    if (getBootstrapAdminIds().includes(userId)) {
+        return {
+            userId,
+            displayName: describeActor(from),
+            role: 'admin',
+            lpId: null,
+            status: 'active',
+            fundIds: [ACCESS_CONFIG.ALL_FUNDS],
+            bootstrap: true
+        };
+    }
+
+    const cached = USER_CACHE.get(userId);
+    if (cached && cached.expiresAt > Date.now()) {
+        return cached.user;
+    }
+
+    const stored = await getBotUser(userId);
+    const user = stored && stored.status === 'active' ? stored : null;
+    USER_CACHE.set(userId, { user, expiresAt: Date.now() + ACCESS_CONFIG.USER_CACHE_TTL_MS });
+    return user;
+}
+
+/**
+ * ➕ Register a user or change their role; re-activates disabled users
+ */
+async function saveBotUser(userData, actor = 'system') {
+    const { userId, role, displayName = null, lpId = null } = userData;
+    assertRole(role);
+    if (!/^-?\d+$/.test(String(userId))) {
+        throw new Error(`Telegram user id must be numeric: ${userId}`);
+    }
+
+    try {
+        const result = await queryWithRetry(`
+            INSERT INTO bot_users (user_id, display_name, role, lp_id, status, created_by, updated_by)
+            VALUES ($1, $2, $3, $4, 'active', $5, $5)
+            ON CONFLICT (user_id) DO UPDATE SET
+                display_name = COALESCE(EXCLUDED.display_name, bot_users.display_name),
+                role = EXCLUDED.role,
+                lp_id = COALESCE(EXCLUDED.lp_id, bot_users.lp_id),
+                status = 'active',
+                updated_by = EXCLUDED.updated_by,
+                updated_at = CURRENT_TIMESTAMP
+            RETURNING user_id
+        `, [String(userId), displayName, role, lpId, actor], 3, 'SAVE_BOT_USER');
+
+        USER_CACHE.delete(String(userId));
+        console.log(`🔐 ${actor} set ${userId} to ${role}`);
+        return await getBotUser(result.rows[0].user_id);
+    } catch (error) {
+        console.error('❌ Save bot user error:', error.message);
+        throw new Error(`Failed to save user: ${error.message}`);
+    }
+}
+
+/**
+ * 🔗 Tie an LP account to its lps record; LP users only ever see this LP's positions
+ */
+async function linkUserToLP(userId, lpId, actor = 'system') {
+    const lp = await getLPByIdDB(lpId);
+    if (!lp) {
+        throw new Error(`LP ${lpId} not found`);
+    }
+
+    const result = await queryWithRetry(`
+        UPDATE bot_users SET lp_id = $2, updated_by = $3, updated_at = CURRENT_TIMESTAMP
+        WHERE user_id = $1
+    `, [String(userId), lpId, actor], 3, 'LINK_BOT_USER_LP');
+    if (result.rowCount === 0) {
+        throw new Error(`User ${userId} is not registered`);
+    }
+
+    USER_CACHE.delete(String(userId));
+    return await getBotUser(userId);
+}
+
+/**
+ * 🏦 Replace a user's fund grants; ['*'] grants every fund, [] none
+ */
+async function setUserFunds(userId, fundIds, actor = 'system') {
+    const user = await getBotUser(userId);
+    if (!user) {
+        throw new Error(`User ${userId} is not registered`);
+    }
+
+    await withTransaction(async (client) => {
+        await client.query('DELETE FROM bot_user_fund_access WHERE user_id = $1', [String(userId)]);
+        for (const fundId of new Set(fundIds)) {
+            await client.query(`
+                INSERT INTO bot_user_fund_access (user_id, fund_id, granted_by) VALUES ($1, $2, $3)
+            `, [String(userId), fundId, actor]);
+        }
+    }, 'SET_BOT_USER_FUNDS');
+
+    USER_CACHE.delete(String(userId));
+    console.log(`🔐 ${actor} set fund access for ${userId}: ${fundIds.join(', ') || 'none'}`);
+    return await getBotUser(userId);
+}
+
+async function disableUser(userId, actor = 'system') {
+    const result = await queryWithRetry(`
+        UPDATE bot_users SET status = 'disabled', updated_by = $2, updated_at = CURRENT_TIMESTAMP
+        WHERE user_id = $1
+    `, [String(userId), actor], 3, 'DISABLE_BOT_USER');
+
+    USER_CACHE.delete(String(userId));
+    return result.rowCount > 0;
+}
+
+// 🛡️ PERMISSION CHECKS
+
+/**
+ * 🛡️ True when the user holds any of the permissions; null/empty needs only a registered user
+ */
+function hasPermission(user, permissions) {
+    if (!user) return false;
+    const required = [].concat(permissions || []);
+    if (required.length === 0) return true;
+
+    const granted = ACCESS_CONFIG.ROLES[user.role]?.permissions || [];
+    return granted.includes('*') || required.some(permission => granted.includes(permission));
+}
+
+function hasAllFundAccess(user) {
+    if (!user) return false;
+    return user.role === 'admin' || user.fundIds.includes(ACCESS_CONFIG.ALL_FUNDS);
+}
+
+function canAccessFund(user, fundId) {
+    if (!user) return false;
+    return hasAllFundAccess(user) || user.fundIds.includes(fundId);
+}
+
+function getCommandPermission(text) {
+    const command = commandOf(text);
+    return Object.prototype.hasOwnProperty.call(ACCESS_CONFIG.COMMAND_PERMISSIONS, command)
+        ? ACCESS_CONFIG.COMMAND_PERMISSIONS[command]
+        : ACCESS_CONFIG.DEFAULT_COMMAND_PERMISSION;
+}
+
+function getCallbackPermission(data) {
+    const [namespace, action] = String(data || '').split(':');
+    const permissions = ACCESS_CONFIG.CALLBACK_PERMISSIONS;
+    return permissions[`${namespace}:${action}`] || permissions[namespace] || ACCESS_CONFIG.DEFAULT_CALLBACK_PERMISSION;
+}
+
+function deniedMessage(user, what) {
+    if (user.role === 'lp') {
+        return `🚫 LP accounts are read-only. Use /positions to see your fund positions.`;
+    }
+    return `🚫 ${ACCESS_CONFIG.ROLES[user.role]?.label || user.role} accounts cannot use ${what}. Ask an admin if you need access.`;
+}
+
+/**
+ * 🛡️ Gate an incoming message before routing; replies to the chat when access is denied
+ * Returns { allowed, user }
+ */
+async function authorizeMessage(message, bot) {
+    const chatId = message.chat.id;
+    const text = String(message.text || '').trim();
+    const command = text.startsWith('/') ? commandOf(text) : null;
+
+    let user;
+    try {
+        user = await resolveUser(message.from);
+    } catch (error) {
+        console.error('❌ Access lookup failed:', error.message);
+        if (!ACCESS_CONFIG.PUBLIC_COMMANDS.includes(command)) {
+            await bot.sendMessage(chatId, '⚠️ Access check unavailable right now, please try again shortly');
+            return { allowed: false, user: null, reason: 'lookup_failed' };
+        }
+        user = null;
+    }
+
+    if (command && ACCESS_CONFIG.PUBLIC_COMMANDS.includes(command)) {
+        return { allowed: true, user };
+    }
+
+    if (!user) {
+        console.warn(`🚫 Unregistered user ${message.from?.id} in chat ${chatId}`);
+        await bot.sendMessage(chatId, `🚫 You are not registered to use this bot.\n\nYour Telegram user id is ${message.from?.id}. Ask an admin to add you.`);
+        return { allowed: false, user: null, reason: 'not_registered' };
+    }
+
+    const required = command ? getCommandPermission(command) : ACCESS_CONFIG.MESSAGE_PERMISSION;
+    if (!hasPermission(user, required)) {
+        console.warn(`🚫 ${user.userId} (${user.role}) denied ${command || 'chat'}`);
+        await bot.sendMessage(chatId, deniedMessage(user, command || 'chat'));
+        return { allowed: false, user, reason: 'forbidden' };
+    }
+
+    return { allowed: true, user };
+}
+
+/**
+ * 🛡️ Gate an inline button press; answers the callback query when access is denied
+ */
+async function authorizeCallback(callbackQuery, bot) {
+    let user;
+    try {
+        user = await resolveUser(callbackQuery.from);
+    } catch (error) {
+        console.error('❌ Access lookup failed:', error.message);
+        await bot.answerCallbackQuery(callbackQuery.id, { text: '⚠️ Access check unavailable', show_alert: true });
+        return { allowed: false, user: null, reason: 'lookup_failed' };
+    }
+
+    if (!user || !hasPermission(user, getCallbackPermission(callbackQuery.data))) {
+        console.warn(`🚫 ${callbackQuery.from?.id} denied button ${callbackQuery.data}`);
+        await bot.answerCallbackQuery(callbackQuery.id, {
+            text: user ? '🚫 Your role cannot use this button' : '🚫 You are not registered to use this bot',
+            show_alert: true
+        });
+        return { allowed: false, user, reason: user ? 'forbidden' : 'not_registered' };
+    }
+
+    return { allowed: true, user };
+}
+
+// 💬 ADMIN COMMANDS
+
+function usersHelp() {
+    return 'Usage:\n' +
+           '/users - list users\n' +
+           '/users add <telegram id> <role> [name] - register or change role\n' +
+           '/users lp <telegram id> <lp id> - link an LP account\n' +
+           '/users funds <telegram id> <fund,fund | all | none> - set fund access\n' +
+           '/users remove <telegram id> - disable a user\n\n' +
+           `Roles: ${Object.keys(ACCESS_CONFIG.ROLES).join(', ')}`;
+}
+
+/**
+ * 💬 /users [add | lp | funds | remove] - admin user management
+ */
+async function handleUsersCommand(text, chatId, bot, actor = 'system') {
+    const [, action, userId, ...rest] = text.trim().split(/\s+/);
+    let response;
+
+    try {
+        if (!action || action === 'list') {
+            const users = await listBotUsers();
+            const admins = getBootstrapAdminIds();
+            response = `🔐 Bot users (${users.length}):\n` +
+                       (users.length > 0 ? users.map(user => `• ${describeUser(user)}`).join('\n') : 'none registered') +
+                       `\n\nBootstrap admins: ${admins.length > 0 ? admins.join(', ') : 'none configured'}`;
+        } else if (action === 'add' && userId && rest[0]) {
+            const user = await saveBotUser({ userId, role: rest[0], displayName: rest.slice(1).join(' ') || null }, actor);
+            response = `✅ ${describeUser(user)}`;
+            if (user.role === 'lp' && !user.lpId) {
+                response += `\n\nLink the LP record with /users lp ${userId} <lp id>`;
+            }
+        } else if (action === 'lp' && userId && rest[0]) {
+            const user = await linkUserToLP(userId, rest[0], actor);
+            response = `🔗 ${describeUser(user)}`;
+        } else if (action === 'funds' && userId && rest.length > 0) {
+            const value = rest.join('').toLowerCase();
+            const fundIds = value === 'all' ? [ACCESS_CONFIG.ALL_FUNDS]
+                : value === 'none' ? [] : rest.join('').split(',').map(id => id.trim()).filter(Boolean);
+            const user = await setUserFunds(userId, fundIds, actor);
+            response = `🏦 ${describeUser(user)}`;
+        } else if (action === 'remove' && userId) {
+            response = await disableUser(userId, actor)
+                ? `🔒 User ${userId} disabled`
+                : `User ${userId} is not registered`;
+        } else {
+            response = usersHelp();
+        }
+    } catch (error) {
+        response = `❌ ${error.message}\n\n${usersHelp()}`;
+    }
+
+    await bot.sendMessage(chatId, response);
+    return { success: true, response };
+}
+
+/**
+ * 💬 /whoami - the sender's id, role and fund access
+ */
+async function handleWhoamiCommand(from, chatId, bot, user = null) {
+    const response = user
+        ? `👤 ${describeUser(user)}`
+        : `👤 Your Telegram user id is ${from?.id}. You are not registered - ask an admin to add you.`;
+
+    await bot.sendMessage(chatId, response);
+    return { success: true, response };
+}
+
+module.exports = {
+    // Authorization
+    authorizeMessage,
+    authorizeCallback,
+    resolveUser,
+    hasPermission,
+    canAccessFund,
+    hasAllFundAccess,
+    getCommandPermission,
+    getCallbackPermission,
+
+    // Users
+    getBotUser,
+    listBotUsers,
+    saveBotUser,
+    linkUserToLP,
+    setUserFunds,
+    disableUser,
+    describeUser,
+
+    // Telegram
+    handleUsersCommand,
+    handleWhoamiCommand,
+
+    // Configuration
+    ACCESS_CONFIG
+};
+
+console.log('🔐 Access Control Loaded');
@@ -0,0 +1,593 @@
+// utils/alertManager.js - Proactive Telegram alerts with per-chat subscriptions
+// Chats subscribe to alert types with a threshold; evaluation runs on the job scheduler,
+// deduplicates by alert key, rate-limits per chat and offers acknowledge/snooze buttons
+
+const { queryWithRetry, getDealsDB } = require('./database');
+const { getForexRates, detectMarketAnomalies } = require('./liveData');
+const { getStoredHistory, saveObservations } = require('./marketHistory');
+const { identifyPortfolioRisks } = require('../cambodia/portfolioManager');
+const { identifyEarlyWarnings, calculateRiskMetrics } = require('../cambodia/riskManagement');
+const { buildLiquidityMonitoringData } = require('../cambodia/cashFlowManagement');
+const { getLedgerFundIds } = require('../cambodia/fundLedger');
+const { registerCallbackNamespace, callbackButton } = require('./callbackRouter');
+
+// 🔔 ALERT CONFIGURATION
+const ALERT_CONFIG = {
+    DEDUP_WINDOW_HOURS: 12,        // Same alert key is not resent inside this window unless severity worsens
+    ACK_SUPPRESS_HOURS: 24,        // An acknowledged alert stays quiet this long unless severity worsens
+    MAX_ALERTS_PER_HOUR: 10,       // Per chat; the rest wait for a later evaluation
+    SNOOZE_HOURS: [1, 24],
+    CALLBACK_PREFIX: 'alert',
+    FX_SERIES_ID: 'FX:USDKHR',
+
+    SEVERITY_ORDER: ['info', 'warning', 'high', 'critical'],
+    SEVERITY_ICONS: { info: 'ℹ️', warning: '🟡', high: '🟠', critical: '🔴' },
+
+    LIVE_DEAL_STATUSES: ['Funded', 'Performing', 'Past Due', 'Default', 'Workout'],
+
+    // comparator: how a measured value is tested against the subscriber's threshold
+    // criticalAt: value at which a breach is escalated to critical
+    ALERT_TYPES: {
+        ltv: {
+            label: 'Loan-to-value',
+            unit: '%',
+            comparator: 'above',
+            defaultThreshold: 70,
+            criticalAt: () => 80
+        },
+        dpd: {
+            label: 'Days past due',
+            unit: ' days',
+            comparator: 'above',
+            defaultThreshold: 30,
+            criticalAt: () => 90
+        },
+        cash_ratio: {
+            label: 'Fund cash ratio',
+            unit: '%',
+            comparator: 'below',
+            defaultThreshold: 10,
+            criticalAt: () => 5
+        },
+        fx_usd_khr: {
+            label: 'USD/KHR daily move',
+            unit: '%',
+            comparator: 'above',
+            defaultThreshold: 1,
+            criticalAt: threshold => threshold * 2
+        },
+        early_warning: {
+            label: 'Risk early warnings',
+            comparator: null
+        },
+        portfolio_risk: {
+            label: 'Portfolio risk checks',
+            comparator: null
+        },
+        market_anomaly: {
+            label: 'Market anomalies',
+            comparator: null
+        }
+    }
+};
+
+// 🛠️ HELPERS
+
+function generateSubscriptionId() {
+    return `SUB-${Date.now()}-${Math.random().toString(36).substr(2, 6).toUpperCase()}`;
+}
+
+function generateAlertId() {
+    return `ALR-${Date.now()}-${Math.random().toString(36).substr(2, 6).toUpperCase()}`;
+}
+
+function normalizeSeverity(severity) {
+    const value = String(severity || '').toLowerCase();
+    if (value === 'critical') return 'critical';
+    if (value === 'high') return 'high';
+    if (['medium', 'moderate', 'warning'].includes(value)) return 'warning';
+    return 'info';
+}
+
+function severityRank(severity) {
+    return ALERT_CONFIG.SEVERITY_ORDER.indexOf(severity);
+}
+
+function breaches(value, threshold, comparator) {
+    return comparator === 'below' ? value < threshold : value > threshold;
+}
+
+function roundTo(value, places = 2) {
+    const factor = Math.pow(10, places);
+    return Math.round(value * factor) / factor;
+}
+
+function mapSubscription(row) {
+    return {
+        subscriptionId: row.subscription_id,
+        chatId: row.chat_id,
+        alertType: row.alert_type,
+        threshold: row.threshold === null ? null : parseFloat(row.threshold),
+        params: row.params || {},
+        enabled: row.enabled,
+        createdAt: row.created_at
+    };
+}
+
+// 📋 SUBSCRIPTIONS
+
+/**
+ * 🔔 Subscribe a chat to an alert type (re-subscribing updates the threshold)
+ */
+async function subscribe(chatId, alertType, threshold = null, params = {}) {
+    const type = ALERT_CONFIG.ALERT_TYPES[alertType];
+    if (!type) {
+        throw new Error(`Unknown alert type: ${alertType}`);
+    }
+    if (threshold !== null && (!type.comparator || !Number.isFinite(threshold))) {
+        throw new Error(type.comparator ? `Threshold must be a number` : `${type.label} alerts take no threshold`);
+    }
+    const effectiveThreshold = type.comparator ? (threshold ?? type.defaultThreshold) : null;
+
+    try {
+        const result = await queryWithRetry(`
+            INSERT INTO alert_subscriptions (subscription_id, chat_id, alert_type, threshold, params)
+            VALUES ($1, $2, $3, $4, $5)
+            ON CONFLICT (chat_id, alert_type) DO UPDATE SET
+                threshold = EXCLUDED.threshold,
+                params = EXCLUDED.params,
+                enabled = TRUE,
+                updated_at = CURRENT_TIMESTAMP
+            RETURNING *
+        `, [generateSubscriptionId(), String(chatId), alertType, effectiveThreshold, JSON.stringify(params)], 3, 'ALERT_SUBSCRIBE');
+
+        return mapSubscription(result.rows[0]);
+    } catch (error) {
+        console.error('❌ Alert subscribe error:', error.message);
+        throw new Error(`Failed to subscribe: ${error.message}`);
+    }
+}
+
+async function unsubscribe(chatId, alertType) {
+    try {
+        const result = await queryWithRetry(`
+            UPDATE alert_subscriptions SET enabled = FALSE, updated_at = CURRENT_TIMESTAMP
+            WHERE chat_id = $1 AND alert_type = $2 AND enabled
+        `, [String(chatId), alertType], 3, 'ALERT_UNSUBSCRIBE');
+
+        return result.rowCount > 0;
+    } catch (error) {
+        console.error('❌ Alert unsubscribe error:', error.message);
+        throw new Error(`Failed to unsubscribe: ${error.message}`);
+    }
+}
+
+/**
+ * 📋 Active subscriptions, for one chat or all chats
+ */
+async function getSubscriptions(chatId = null) {
+    const result = await queryWithRetry(`
+        SELECT * FROM alert_subscriptions
+        WHERE enabled AND ($1::varchar IS NULL OR chat_id = $1)
+        ORDER BY chat_id, alert_type
+    `, [chatId === null ? null : String(chatId)], 3, 'ALERT_SUBSCRIPTIONS');
+
+    return result.rows.map(mapSubscription);
+}
+
+// 📡 ALERT SOURCES
+// Each source returns signals: { key, subject, value?, severity?, text }
+// Threshold types return every measurement; the subscriber's threshold picks the breaches
+
+async function getLiveDeals() {
+    const deals = await getDealsDB();
+    return deals.filter(deal => ALERT_CONFIG.LIVE_DEAL_STATUSES.includes(deal.status));
+}
+
+function dealLabel(deal) {
+    return `${deal.dealId}${deal.dealInfo?.borrowerName ? ` (${deal.dealInfo.borrowerName})` : ''}`;
+}
+
+const ALERT_SOURCES = {
+    ltv: async () => (await getLiveDeals())
+        .filter(deal => Number.isFinite(parseFloat(deal.dealInfo?.ltv)))
+        .map(deal => ({
+            key: `ltv:${deal.dealId}`,
+            value: parseFloat(deal.dealInfo.ltv),
+            text: `${dealLabel(deal)} LTV ${parseFloat(deal.dealInfo.ltv)}%`
+        })),
+
+    dpd: async () => (await getLiveDeals())
+        .filter(deal => (deal.performance?.daysOverdue || 0) > 0)
+        .map(deal => ({
+            key: `dpd:${deal.dealId}`,
+            value: deal.performance.daysOverdue,
+            text: `${dealLabel(deal)} is ${deal.performance.daysOverdue} days past due (${deal.status})`
+        })),
+
+    cash_ratio: async () => {
+        const signals = [];
+        for (const fundId of await getLedgerFundIds()) {
+            const data = await buildLiquidityMonitoringData(fundId);
+            if (data.cashRatio === null) continue;
+            signals.push({
+                key: `cash_ratio:${fundId}`,
+                value: parseFloat(data.cashRatio),
+                text: `${fundId} cash ratio ${data.cashRatio}% - cash $${Math.round(data.currentCashBalance).toLocaleString()}, ` +
+                      `${data.daysCashOnHand ?? 'n/a'} days on hand`
+            });
+        }
+        return signals;
+    },
+
+    fx_usd_khr: async () => {
+        const forex = await getForexRates('USD');
+        const rate = forex?.rates?.KHR;
+        if (!rate) return [];
+
+        // Reference is the latest stored reading before today; the first reading each day is stored
+        const today = new Date().toISOString().split('T')[0];
+        const history = await getStoredHistory(ALERT_CONFIG.FX_SERIES_ID, { retries: 1 });
+        if (!history.some(obs => obs.date === today)) {
+            await saveObservations(ALERT_CONFIG.FX_SERIES_ID, [{ date: today, value: rate }], 'alerts');
+        }
+        const previous = history.filter(obs => obs.date < today).pop();
+        if (!previous) return [];
+
+        const move = (rate / previous.value - 1) * 100;
+        return [{
+            key: 'fx_usd_khr',
+            value: Math.abs(move),
+            text: `USD/KHR ${rate.toLocaleString()} (${move >= 0 ? '+' : ''}${move.toFixed(2)}% vs ${previous.value.toLocaleString()} on ${previous.date})`
+        }];
+    },
+
+    early_warning: async () => {
+        const deals = await getLiveDeals();
+        const totalValue = deals.reduce((sum, deal) => sum + (deal.financial?.principalOutstanding || 0), 0);
+        if (totalValue <= 0) return [];
+
+        const share = predicate => roundTo(deals.filter(predicate)
+            .reduce((sum, deal) => sum + deal.financial.principalOutstanding, 0) / totalValue * 100, 1);
+        const borrowers = {};
+        deals.forEach(deal => {
+            const borrower = deal.dealInfo?.borrowerName || deal.dealId;
+            borrowers[borrower] = (borrowers[borrower] || 0) + deal.financial.principalOutstanding;
+        });
+
+        const portfolioData = {
+            totalValue: totalValue,
+            activeLoans: deals.length,
+            defaultRate: share(deal => deal.status === 'Default'),
+            pastDue30Plus: share(deal => (deal.performance?.daysOverdue || 0) > 30),
+            largestExposure: roundTo(Math.max(...Object.values(borrowers)) / totalValue * 100, 1)
+        };
+
+        // Liquidity ratio comes from the ledger; without ledger funds the liquidity check is skipped
+        const funds = await Promise.all((await getLedgerFundIds()).map(fundId => buildLiquidityMonitoringData(fundId)));
+        const cash = funds.reduce((sum, fund) => sum + fund.currentCashBalance, 0);
+        const assets = funds.reduce((sum, fund) => sum + fund.totalAssets, 0);
+        if (assets > 0) portfolioData.liquidityRatio = roundTo(cash / assets * 100, 1);
+
+        const { warnings } = identifyEarlyWarnings(portfolioData, calculateRiskMetrics(portfolioData));
+        return warnings
+            .filter(warning => warning.category !== 'Liquidity Risk' || portfolioData.liquidityRatio !== undefined)
+            .map(warning => ({
+                key: `early_warning:${warning.indicator}`,
+                severity: normalizeSeverity(warning.severity),
+                text: `${warning.category}: ${warning.indicator} at ${warning.current} (threshold ${warning.threshold})`
+            }));
+    },
+
+    portfolio_risk: async () => (await identifyPortfolioRisks()).map(risk => ({
+        key: `portfolio_risk:${risk.type}:${risk.dealId || risk.description}`,
+        severity: normalizeSeverity(risk.severity),
+        text: risk.description
+    })),
+
+    market_anomaly: async () => {
+        const { anomalies = [], error } = await detectMarketAnomalies();
+        if (error) throw new Error(error);
+        return anomalies.map(anomaly => ({
+            key: `market_anomaly:${anomaly.type}`,
+            severity: normalizeSeverity(anomaly.severity),
+            text: `${anomaly.description} - ${anomaly.recommendation}`
+        }));
+    }
+};
+
+/**
+ * 🎯 Signals that fire for a subscription, with severity resolved
+ */
+function matchSignals(subscription, signals) {
+    const type = ALERT_CONFIG.ALERT_TYPES[subscription.alertType];
+    if (!type.comparator) {
+        return signals.map(signal => ({ ...signal, severity: signal.severity || 'warning' }));
+    }
+
+    const threshold = subscription.threshold ?? type.defaultThreshold;
+    const critical = type.criticalAt(threshold);
+    return signals
+        .filter(signal => breaches(signal.value, threshold, type.comparator))
+        .map(signal => ({
+            ...signal,
+            severity: breaches(signal.value, critical, type.comparator) || signal.value === critical ? 'critical' : 'warning',
+            text: `${signal.text} - ${type.comparator} your ${threshold}${type.unit} threshold`
+        }));
+}
+
+// 🛡️ DEDUPLICATION AND RATE LIMITING
+
+async function getLastAlert(chatId, alertKey) {
+    const result = await queryWithRetry(`
+        SELECT * FROM alert_events
+        WHERE chat_id = $1 AND alert_key = $2 AND status = 'sent'
+        ORDER BY triggered_at DESC
+        LIMIT 1
+    `, [chatId, alertKey], 3, 'ALERT_LAST');
+    return result.rows[0] || null;
+}
+
+async function countRecentAlerts(chatId) {
+    const result = await queryWithRetry(`
+        SELECT COUNT(*) AS sent FROM alert_events
+        WHERE chat_id = $1 AND status = 'sent' AND triggered_at > CURRENT_TIMESTAMP - INTERVAL '1 hour'
+    `, [chatId], 3, 'ALERT_RATE');
+    return parseInt(result.rows[0].sent) || 0;
+}
+
+/**
+ * 🛡️ Why an alert should not be sent now, or null when it should
+ */
+function suppressionReason(last, severity, now = new Date()) {
+    if (!last) return null;
+    const hoursSince = time => (now - new Date(time)) / (1000 * 60 * 60);
+    const worse = severityRank(severity) > severityRank(last.severity);
+
+    if (last.snoozed_until && new Date(last.snoozed_until) > now) return 'snoozed';
+    if (worse) return null;
+    if (last.acknowledged_at && hoursSince(last.acknowledged_at) < ALERT_CONFIG.ACK_SUPPRESS_HOURS) return 'acknowledged';
+    if (hoursSince(last.triggered_at) < ALERT_CONFIG.DEDUP_WINDOW_HOURS) return 'duplicate';
+    return null;
+}
+
+// 📣 DELIVERY
+
+function buildAlertButtons(alertId) {
+    const prefix = ALERT_CONFIG.CALLBACK_PREFIX;
+    return {
+        inline_keyboard: [[
+            callbackButton('✅ Acknowledge', prefix, 'ack', alertId),
+            ...ALERT_CONFIG.SNOOZE_HOURS.map(hours => callbackButton(`😴 ${hours}h`, prefix, 'snooze', alertId, hours))
+        ]]
+    };
+}
+
+function formatAlert(subscription, signal) {
+    const type = ALERT_CONFIG.ALERT_TYPES[subscription.alertType];
+    return `${ALERT_CONFIG.SEVERITY_ICONS[signal.severity]} ${type.label.toUpperCase()} ALERT (${signal.severity})\n\n${signal.text}`;
+}
+
+async function deliverAlert(bot, subscription, signal) {
+    const alertId = generateAlertId();
+    const text = formatAlert(subscription, signal);
+    let messageId = null;
+    let status = 'sent';
+
+    try {
+        const sent = await bot.sendMessage(subscription.chatId, text, { reply_markup: buildAlertButtons(alertId) });
+        messageId = sent?.message_id || null;
+    } catch (error) {
+        console.error(`⚠️ Alert delivery failed (${subscription.chatId}):`, error.message);
+        status = 'failed';
+    }
+
+    await queryWithRetry(`
+        INSERT INTO alert_events (alert_id, subscription_id, chat_id, alert_type, alert_key, severity, value, message, status, telegram_message_id)
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+    `, [alertId, subscription.subscriptionId, subscription.chatId, subscription.alertType, signal.key,
+        signal.severity, signal.value ?? null, text, status, messageId], 3, 'ALERT_RECORD');
+
+    return { alertId, status };
+}
+
+// 🔁 EVALUATION
+
+/**
+ * 🔁 Evaluate every subscribed alert type once and deliver what passes dedup and rate limits
+ */
+async function evaluateAlerts({ bot = null, chatId = null } = {}) {
+    const startTime = Date.now();
+    const subscriptions = await getSubscriptions(chatId);
+    const types = [...new Set(subscriptions.map(sub => sub.alertType))];
+
+    const signalsByType = {};
+    const sourceErrors = [];
+    for (const alertType of types) {
+        try {
+            signalsByType[alertType] = await ALERT_SOURCES[alertType]();
+        } catch (error) {
+            console.error(`❌ Alert source ${alertType} failed:`, error.message);
+            sourceErrors.push({ alertType, error: error.message });
+            signalsByType[alertType] = [];
+        }
+    }
+
+    const outcome = { subscriptions: subscriptions.length, triggered: 0, sent: 0, failed: 0, suppressed: 0, rateLimited: 0, sourceErrors };
+    const sentThisRun = {};
+
+    for (const subscription of subscriptions) {
+        const matches = matchSignals(subscription, signalsByType[subscription.alertType] || [])
+            .sort((a, b) => severityRank(b.severity) - severityRank(a.severity));
+        outcome.triggered += matches.length;
+
+        for (const signal of matches) {
+            const last = await getLastAlert(subscription.chatId, signal.key);
+            if (suppressionReason(last, signal.severity)) {
+                outcome.suppressed++;
+                continue;
+            }
+
+            if (sentThisRun[subscription.chatId] === undefined) {
+                sentThisRun[subscription.chatId] = await countRecentAlerts(subscription.chatId);
+            }
+            if (!bot || sentThisRun[subscription.chatId] >= ALERT_CONFIG.MAX_ALERTS_PER_HOUR) {
+                outcome.rateLimited++;
+                continue;
+            }
+
+            const delivery = await deliverAlert(bot, subscription, signal);
+            if (delivery.status === 'sent') {
+                sentThisRun[subscription.chatId]++;
+                outcome.sent++;
+            } else {
+                outcome.failed++;
+            }
+        }
+    }
+
+    outcome.duration = Date.now() - startTime;
+    console.log(`🔔 Alerts evaluated: ${outcome.triggered} triggered, ${outcome.sent} sent, ${outcome.suppressed} suppressed, ${outcome.rateLimited} held back`);
+    return outcome;
+}
+
+// 🔘 ACKNOWLEDGE AND SNOOZE
+
+// Scoped to the chat the alert was sent to, so a button from another chat cannot touch it
+async function acknowledgeAlert(alertId, chatId, acknowledgedBy) {
+    const result = await queryWithRetry(`
+        UPDATE alert_events SET acknowledged_at = CURRENT_TIMESTAMP, acknowledged_by = $3
+        WHERE alert_id = $1 AND chat_id = $2
+        RETURNING *
+    `, [alertId, String(chatId), acknowledgedBy], 3, 'ALERT_ACK');
+    return result.rows[0] || null;
+}
+
+async function snoozeAlert(alertId, chatId, hours, snoozedBy) {
+    const result = await queryWithRetry(`
+        UPDATE alert_events SET
+            snoozed_until = CURRENT_TIMESTAMP + make_interval(hours => $3),
+            acknowledged_by = COALESCE(acknowledged_by, $4)
+        WHERE alert_id = $1 AND chat_id = $2
+        RETURNING *
+    `, [alertId, String(chatId), hours, snoozedBy], 3, 'ALERT_SNOOZE');
+    return result.rows[0] || null;
+}
+
+async function markAlertMessage({ message, bot }, note) {
+    if (!message) return;
+    await bot.editMessageText(`${message.text}\n\n${note}`, {
+        chat_id: message.chat.id,
+        message_id: message.message_id
+    });
+}
+
+// alert:ack:<alertId> and alert:snooze:<alertId>:<hours>
+const ALERT_CALLBACK_ACTIONS = {
+    ack: async (context) => {
+        const [alertId] = context.args;
+        if (!await acknowledgeAlert(alertId, context.chatId, context.actor)) {
+            return { text: 'Alert not found' };
+        }
+        const note = `✅ Acknowledged by ${context.actor}`;
+        await markAlertMessage(context, note);
+        return { text: note };
+    },
+
+    snooze: async (context) => {
+        const [alertId, hoursText] = context.args;
+        const hours = parseInt(hoursText, 10);
+        if (!ALERT_CONFIG.SNOOZE_HOURS.includes(hours)) {
+            throw new Error(`Invalid snooze period: ${hoursText}`);
+        }
+        if (!await snoozeAlert(alertId, context.chatId, hours, context.actor)) {
+            return { text: 'Alert not found' };
+        }
+        const note = `😴 Snoozed ${hours}h by ${context.actor}`;
+        await markAlertMessage(context, note);
+        return { text: note };
+    }
+};
+
+registerCallbackNamespace(ALERT_CONFIG.CALLBACK_PREFIX, ALERT_CALLBACK_ACTIONS, { description: 'Alert acknowledge and snooze' });
+
+// 💬 TELEGRAM COMMANDS
+
+function describeSubscription(subscription) {
+    const type = ALERT_CONFIG.ALERT_TYPES[subscription.alertType];
+    return type.comparator
+        ? `• ${subscription.alertType} - ${type.label} ${type.comparator} ${subscription.threshold}${type.unit}`
+        : `• ${subscription.alertType} - ${type.label}`;
+}
+
+function alertHelp() {
+    const lines = Object.entries(ALERT_CONFIG.ALERT_TYPES).map(([name, type]) =>
+        type.comparator
+            ? `• ${name} - ${type.label} ${type.comparator} threshold (default ${type.defaultThreshold}${type.unit})`
+            : `• ${name} - ${type.label}`);
+    return [
+        'Alert types:', ...lines, '',
+        'Commands:',
+        '/alerts - your subscriptions',
+        '/alerts subscribe <type> [threshold]',
+        '/alerts unsubscribe <type>',
+        '/alerts check - evaluate your alerts now'
+    ].join('\n');
+}
+
+/**
+ * 💬 /alerts [subscribe <type> [threshold] | unsubscribe <type> | check | help]
+ */
+async function handleAlertCommand(text, chatId, bot) {
+    const [, action, alertType, thresholdText] = text.trim().split(/\s+/);
+    let response;
+
+    try {
+        if (!action) {
+            const subscriptions = await getSubscriptions(chatId);
+            response = subscriptions.length > 0
+                ? `🔔 Your alert subscriptions:\n${subscriptions.map(describeSubscription).join('\n')}`
+                : `🔔 No alert subscriptions yet.\n\n${alertHelp()}`;
+        } else if (action === 'subscribe') {
+            const threshold = thresholdText === undefined ? null : parseFloat(thresholdText);
+            const subscription = await subscribe(chatId, alertType, threshold);
+            response = `✅ Subscribed:\n${describeSubscription(subscription)}`;
+        } else if (action === 'unsubscribe') {
+            response = await unsubscribe(chatId, alertType)
+                ? `🔕 Unsubscribed from ${alertType}`
+                : `No active ${alertType} subscription`;
+        } else if (action === 'check') {
+            const outcome = await evaluateAlerts({ bot, chatId });
+            response = `🔔 ${outcome.triggered} triggered, ${outcome.sent} sent, ${outcome.suppressed} already notified or snoozed` +
+                       (outcome.rateLimited > 0 ? `, ${outcome.rateLimited} held back by the rate limit` : '');
+        } else {
+            response = alertHelp();
+        }
+    } catch (error) {
+        response = `❌ ${error.message}\n\n${alertHelp()}`;
+    }
+
+    await bot.sendMessage(chatId, response);
+    return { success: true, response };
+}
+
+module.exports = {
+    // Subscriptions
+    subscribe,
+    unsubscribe,
+    getSubscriptions,
+
+    // Evaluation
+    evaluateAlerts,
+    matchSignals,
+    suppressionReason,
+
+    // Telegram
+    handleAlertCommand,
+    buildAlertButtons,
+
+    // Configuration
+    ALERT_CONFIG
+};
+
+console.log('🔔 Alert Manager Loaded');
@@ -0,0 +1,297 @@
+// utils/callbackRouter.js - Inline keyboard callback routing with per-chat sessions
+// Callback data is "<namespace>:<action>[:<arg>...]"; modules register a namespace with its actions.
+// Multi-step flows keep their state in chat_sessions and put the session id in the button.
+
+const { queryWithRetry } = require('./database');
+
+// 🔘 CALLBACK CONFIGURATION
+const CALLBACK_CONFIG = {
+    SEPARATOR: ':',
+    MAX_DATA_BYTES: 64,                 // Telegram limit for callback_data
+    DEFAULT_SESSION_TTL_SECONDS: 24 * 60 * 60,
+    SESSION_RETENTION_DAYS: 7           // Expired sessions are kept this long before pruning
+};
+
+// Registered namespaces: namespace -> { actions, sessionScoped, description }
+const CALLBACK_NAMESPACES = new Map();
+
+// 🛠️ HELPERS
+
+function generateSessionId() {
+    return `${Date.now().toString(36)}${Math.random().toString(36).substr(2, 4)}`.toUpperCase();
+}
+
+function mapSession(row) {
+    return {
+        sessionId: row.session_id,
+        chatId: row.chat_id,
+        namespace: row.namespace,
+        state: row.state || {},
+        createdBy: row.created_by,
+        expiresAt: row.expires_at,
+        createdAt: row.created_at,
+        updatedAt: row.updated_at
+    };
+}
+
+function describeActor(from = {}) {
+    return from.username ? `@${from.username}` : (from.first_name || String(from.id || 'unknown'));
+}
+
+// 🧩 CALLBACK DATA
+
+/**
+ * 🧩 Encode callback data, rejecting anything Telegram would refuse
+ */
+function buildCallbackData(namespace, action, ...args) {
+    const parts = [namespace, action, ...args].map(String);
+    if (parts.some(part => part.includes(CALLBACK_CONFIG.SEPARATOR))) {
+        throw new Error(`Callback data parts cannot contain "${CALLBACK_CONFIG.SEPARATOR}"`);
+    }
+
+    const data = parts.join(CALLBACK_CONFIG.SEPARATOR);
+    if (Buffer.byteLength(data, 'utf8') > CALLBACK_CONFIG.MAX_DATA_BYTES) {
+        throw new Error(`Callback data too long (${data.length} bytes): ${data}`);
+    }
+    return data;
+}
+
+function parseCallbackData(data) {
+    const [namespace, action, ...args] = String(data || '').split(CALLBACK_CONFIG.SEPARATOR);
+    return { namespace, action, args };
+}
+
+/**
+ * 🔘 One inline keyboard button
+ */
+function callbackButton(text, namespace, action, ...args) {
+    return { text, callback_data: buildCallbackData(namespace, action, ...args) };
+}
+
+// 💾 CHAT SESSIONS
+
+/**
+ * 💾 Start a session for a multi-step flow; buttons reference it by session id
+ */
+async function createSession(chatId, namespace, state = {}, options = {}) {
+    const { ttlSeconds = CALLBACK_CONFIG.DEFAULT_SESSION_TTL_SECONDS, createdBy = null } = options;
+
+    try {
+        const result = await queryWithRetry(`
+            INSERT INTO chat_sessions (session_id, chat_id, namespace, state, created_by, expires_at)
+            VALUES ($1, $2, $3, $4, $5, CURRENT_TIMESTAMP + make_interval(secs => $6))
+            RETURNING *
+        `, [generateSessionId(), String(chatId), namespace, JSON.stringify(state), createdBy, ttlSeconds], 3, 'CREATE_CHAT_SESSION');
+
+        return mapSession(result.rows[0]);
+    } catch (error) {
+        console.error('❌ Create chat session error:', error.message);
+        throw new Error(`Failed to create chat session: ${error.message}`);
+    }
+}
+
+/**
+ * 🔍 Live session by id; expired sessions read as missing
+ */
+async function getSession(sessionId) {
+    const result = await queryWithRetry(`
+        SELECT * FROM chat_sessions
+        WHERE session_id = $1 AND expires_at > CURRENT_TIMESTAMP
+    `, [sessionId], 3, 'GET_CHAT_SESSION');
+
+    return result.rows[0] ? mapSession(result.rows[0]) : null;
+}
+
+/**
+ * 🔍 Most recently updated live session a chat has in a namespace
+ */
+async function getActiveSession(chatId, namespace) {
+    const result = await queryWithRetry(`
+        SELECT * FROM chat_sessions
+        WHERE chat_id = $1 AND namespace = $2 AND expires_at > CURRENT_TIMESTAMP
+        ORDER BY updated_at DESC
+        LIMIT 1
+    `, [String(chatId), namespace], 3, 'GET_ACTIVE_CHAT_SESSION');
+
+    return result.rows[0] ? mapSession(result.rows[0]) : null;
+}
+
+/**
+ * ✏️ Merge changes into session state; ttlSeconds extends the expiry from now
+ */
+async function updateSession(sessionId, changes = {}, options = {}) {
+    const { ttlSeconds = null } = options;
+
+    try {
+        const result = await queryWithRetry(`
+            UPDATE chat_sessions SET
+                state = state || $2::jsonb,
+                expires_at = CASE WHEN $3::integer IS NULL THEN expires_at
+                                  ELSE CURRENT_TIMESTAMP + make_interval(secs => $3::integer) END,
+                updated_at = CURRENT_TIMESTAMP
+            WHERE session_id = $1 AND expires_at > CURRENT_TIMESTAMP
+            RETURNING *
+        `, [sessionId, JSON.stringify(changes), ttlSeconds], 3, 'UPDATE_CHAT_SESSION');
+
+        return result.rows[0] ? mapSession(result.rows[0]) : null;
+    } catch (error) {
+        console.error('❌ Update chat session error:', error.message);
+        throw new Error(`Failed to update chat session: ${error.message}`);
+    }
+}
+
+async function endSession(sessionId) {
+    const result = await queryWithRetry(`
+        DELETE FROM chat_sessions WHERE session_id = $1
+    `, [sessionId], 3, 'END_CHAT_SESSION');
+    return result.rowCount > 0;
+}
+
+/**
+ * 🧹 Delete sessions that expired more than the retention period ago
+ */
+async function pruneExpiredSessions(retentionDays = CALLBACK_CONFIG.SESSION_RETENTION_DAYS) {
+    const result = await queryWithRetry(`
+        DELETE FROM chat_sessions
+        WHERE expires_at < CURRENT_TIMESTAMP - make_interval(days => $1)
+    `, [retentionDays], 3, 'PRUNE_CHAT_SESSIONS');
+    return result.rowCount;
+}
+
+// 🧭 ROUTING
+
+/**
+ * 🧭 Register a callback namespace
+ * actions: { actionName: async (context) => ({ text?, showAlert? } | void) }
+ * sessionScoped: the first argument is a session id that must be live and belong to the chat
+ */
+function registerCallbackNamespace(namespace, actions, options = {}) {
+    if (namespace.includes(CALLBACK_CONFIG.SEPARATOR)) {
+        throw new Error(`Invalid callback namespace: ${namespace}`);
+    }
+    if (CALLBACK_NAMESPACES.has(namespace)) {
+        console.warn(`⚠️ Callback namespace "${namespace}" re-registered`);
+    }
+
+    CALLBACK_NAMESPACES.set(namespace, {
+        actions,
+        sessionScoped: options.sessionScoped || false,
+        description: options.description || namespace
+    });
+}
+
+function getRegisteredNamespaces() {
+    return Array.from(CALLBACK_NAMESPACES.entries()).map(([namespace, entry]) => ({
+        namespace,
+        actions: Object.keys(entry.actions),
+        sessionScoped: entry.sessionScoped,
+        description: entry.description
+    }));
+}
+
+async function expireKeyboard(bot, message) {
+    if (!message) return;
+    try {
+        await bot.editMessageReplyMarkup({ inline_keyboard: [] }, {
+            chat_id: message.chat.id,
+            message_id: message.message_id
+        });
+    } catch (error) {
+        console.warn('⚠️ Could not remove expired keyboard:', error.message);
+    }
+}
+
+/**
+ * 🧭 Dispatch a callback query to its namespace handler
+ * Handlers may call context.answer() early before slow work; otherwise the router answers
+ * with whatever the handler returns.
+ */
+async function routeCallbackQuery(callbackQuery, bot) {
+    const { namespace, action, args } = parseCallbackData(callbackQuery.data);
+    const message = callbackQuery.message || null;
+    const chatId = message ? String(message.chat.id) : String(callbackQuery.from?.id || '');
+    let answered = false;
+
+    const answer = async (text = '', showAlert = false) => {
+        if (answered) return;
+        answered = true;
+        await bot.answerCallbackQuery(callbackQuery.id, text ? { text, show_alert: showAlert } : {});
+    };
+
+    try {
+        const entry = CALLBACK_NAMESPACES.get(namespace);
+        const handler = entry?.actions[action];
+        if (!handler) {
+            console.warn(`⚠️ Unhandled callback: ${callbackQuery.data}`);
+            await answer('This button is no longer supported');
+            return { success: false, error: 'Unhandled callback' };
+        }
+
+        let session = null;
+        if (entry.sessionScoped) {
+            session = args[0] ? await getSession(args[0]) : null;
+            if (!session || session.namespace !== namespace || session.chatId !== chatId) {
+                await answer('⌛ This button has expired', true);
+                await expireKeyboard(bot, message);
+                return { success: false, error: 'Session expired' };
+            }
+        }
+
+        const context = {
+            bot,
+            callbackQuery,
+            message,
+            chatId,
+            from: callbackQuery.from || {},
+            actor: describeActor(callbackQuery.from),
+            namespace,
+            action,
+            args: entry.sessionScoped ? args.slice(1) : args,
+            session,
+            answer
+        };
+
+        const result = await handler(context) || {};
+        await answer(result.text, result.showAlert);
+        console.log(`[Callback] ✅ ${namespace}:${action} handled`);
+        return { success: true, namespace, action };
+
+    } catch (error) {
+        console.error(`❌ Callback ${namespace}:${action} error:`, error.message);
+        try {
+            if (answered) {
+                await bot.sendMessage(chatId, `❌ ${error.message}`);
+            } else {
+                await answer(`❌ ${error.message}`.substring(0, 200), true);
+            }
+        } catch (notifyError) {
+            console.error('❌ Callback error notification failed:', notifyError.message);
+        }
+        return { success: false, error: error.message };
+    }
+}
+
+module.exports = {
+    // Callback data
+    buildCallbackData,
+    parseCallbackData,
+    callbackButton,
+
+    // Sessions
+    createSession,
+    getSession,
+    getActiveSession,
+    updateSession,
+    endSession,
+    pruneExpiredSessions,
+
+    // Routing
+    registerCallbackNamespace,
+    getRegisteredNamespaces,
+    routeCallbackQuery,
+
+    // Configuration
+    CALLBACK_CONFIG
+};
+
+console.log('🔘 Callback Router Loaded');
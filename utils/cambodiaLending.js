@@ -9853,7 +9853,11 @@ module.exports = {
     validateConnectionString: (connectionString) => {
         // Basic validation for database connection string
         return typeof connectionString === 'string' && connectionString.length > 0;
-    }
+    },
+    
+    // Deal parameter validation (Part 2)
+    validateDealParameters,
+    VALIDATION_RULES
 };
 
 console.log('✅ Cambodia Lending System Part 11: Database Integration & Cache Management loaded');
@@ -0,0 +1,63 @@
+// utils/circuitBreaker.js - Failure-count circuit breaker shared by the LLM clients
+// Opens after failureThreshold consecutive failures and rejects calls until timeoutMs has passed,
+// then lets one call through (HALF_OPEN) to decide whether to close again
+
+"use strict";
+
+function CircuitBreaker(failureThreshold, timeoutMs) {
+  this.failureThreshold = Number(failureThreshold || 5);
+  this.timeoutMs = Number(timeoutMs || 30000);
+  this.failureCount = 0;
+  this.lastFailureTime = 0;
+  this.state = "CLOSED";
+}
+
+CircuitBreaker.prototype.execute = function (operation) {
+  const self = this;
+  
+  return new Promise(function (resolve, reject) {
+    if (self.state === "OPEN") {
+      if (Date.now() - self.lastFailureTime > self.timeoutMs) {
+        self.state = "HALF_OPEN";
+      } else {
+        return reject(new Error("Circuit breaker is OPEN"));
+      }
+    }
+    
+    Promise.resolve()
+      .then(operation)
+      .then(function (result) {
+        self.onSuccess();
+        resolve(result);
+      })
+      .catch(function (error) {
+        self.onFailure();
+        reject(error);
+      });
+  });
+};
+
+CircuitBreaker.prototype.onSuccess = function () {
+  this.failureCount = 0;
+  this.state = "CLOSED";
+};
+
+CircuitBreaker.prototype.onFailure = function () {
+  this.failureCount++;
+  this.lastFailureTime = Date.now();
+  
+  if (this.failureCount >= this.failureThreshold) {
+    this.state = "OPEN";
+  }
+};
+
+CircuitBreaker.prototype.getState = function () {
+  return this.state;
+};
+
+// True while calls are being rejected; a breaker past its cooldown reports OPEN until the next call
+CircuitBreaker.prototype.isOpen = function () {
+  return this.state === "OPEN" && Date.now() - this.lastFailureTime <= this.timeoutMs;
+};
+
+module.exports = CircuitBreaker;
@@ -0,0 +1,367 @@
+// utils/config.js - Provider credentials and configuration for market data APIs
+// Keys come from a mounted secrets file or the environment, are validated at startup,
+// can be rotated without a restart and each provider can be disabled on its own
+
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+
+// 🔑 MARKET DATA PROVIDERS
+const PROVIDERS = {
+    fred: {
+        name: 'FRED',
+        envVar: 'FRED_API_KEY',
+        capability: 'series',
+        disableVar: 'FRED_DISABLED',
+        pattern: /^[a-f0-9]{32}$/,
+        description: 'Federal Reserve economic data (regime detection, yields, inflation)',
+        signupUrl: 'https://fred.stlouisfed.org/docs/api/api_key.html'
+    },
+    alphaVantage: {
+        name: 'Alpha Vantage',
+        envVar: 'ALPHA_VANTAGE_API_KEY',
+        capability: 'quotes',
+        disableVar: 'ALPHA_VANTAGE_DISABLED',
+        pattern: /^[A-Z0-9]{16}$/,
+        description: 'Equity, ETF and FX quotes',
+        signupUrl: 'https://www.alphavantage.co/support/#api-key'
+    },
+    newsApi: {
+        name: 'NewsAPI',
+        envVar: 'NEWS_API_KEY',
+        capability: 'news',
+        disableVar: 'NEWS_API_DISABLED',
+        pattern: /^[a-f0-9]{32}$/,
+        description: 'Financial news and business headlines',
+        signupUrl: 'https://newsapi.org/register'
+    },
+    coinGecko: {
+        name: 'CoinGecko Pro',
+        envVar: 'COINGECKO_API_KEY',
+        capability: 'crypto',
+        disableVar: 'COINGECKO_DISABLED',
+        pattern: /^CG-[A-Za-z0-9]{20,}$/,
+        description: 'Crypto prices and market data (free API used when disabled)',
+        signupUrl: 'https://www.coingecko.com/en/api/pricing'
+    }
+};
+
+// ⚙️ CONFIG SOURCES
+const CONFIG_SETTINGS = {
+    SECRETS_FILE_VAR: 'SECRETS_FILE',                          // JSON or KEY=VALUE file, e.g. a mounted Docker/Kubernetes secret
+    DEFAULT_SECRETS_FILE: '/run/secrets/market-data',
+    DISABLED_PROVIDERS_VAR: 'MARKET_DATA_DISABLED_PROVIDERS',  // Comma-separated provider ids
+    WATCH_INTERVAL_MS: 30 * 1000                               // Secrets file poll for rotation
+};
+
+// 📡 MARKET DATA PROVIDER SELECTION (see utils/marketDataProviders.js)
+const MARKET_DATA_SETTINGS = {
+    MODE_VAR: 'MARKET_DATA_PROVIDER',             // 'live' (default) or 'fixture' for every capability
+    CAPABILITY_VAR_PREFIX: 'MARKET_DATA_PROVIDER_', // e.g. MARKET_DATA_PROVIDER_NEWS=fixture
+    FIXTURES_VAR: 'MARKET_DATA_FIXTURES',         // JSON file or directory of JSON files
+    DEFAULT_FIXTURES: path.join(__dirname, 'fixtures'),  // every *.json in utils/fixtures is merged
+    MODES: ['live', 'fixture'],
+    CAPABILITIES: ['series', 'quotes', 'crypto', 'fx', 'news']
+};
+
+// 📦 Current provider state; replaced as a whole on reload
+let providerState = {};
+let secretsWatcher = null;
+const runtimeOverrides = {};     // Keys set with rotateProviderKey()
+const runtimeDisabled = {};      // Providers disabled at runtime, e.g. after an auth failure
+
+/**
+ * 📄 Parse a secrets file (JSON object or KEY=VALUE lines)
+ */
+function parseSecretsFile(content) {
+    const trimmed = content.trim();
+    if (trimmed.startsWith('{')) {
+        return JSON.parse(trimmed);
+    }
+
+    const secrets = {};
+    trimmed.split('\n').forEach(line => {
+        const match = line.match(/^\s*([A-Z0-9_]+)\s*=\s*(.*)\s*$/);
+        if (match && !line.trim().startsWith('#')) {
+            secrets[match[1]] = match[2].replace(/^['"]|['"]$/g, '');
+        }
+    });
+    return secrets;
+}
+
+function getSecretsFilePath() {
+    return process.env[CONFIG_SETTINGS.SECRETS_FILE_VAR] || CONFIG_SETTINGS.DEFAULT_SECRETS_FILE;
+}
+
+function readSecretsFile() {
+    const filePath = getSecretsFilePath();
+    if (!fs.existsSync(filePath)) {
+        return { filePath: filePath, secrets: {}, loaded: false };
+    }
+
+    try {
+        return { filePath: filePath, secrets: parseSecretsFile(fs.readFileSync(filePath, 'utf8')), loaded: true };
+    } catch (error) {
+        console.error(`❌ Secrets file unreadable (${filePath}):`, error.message);
+        return { filePath: filePath, secrets: {}, loaded: false, error: error.message };
+    }
+}
+
+function isTruthy(value) {
+    return ['1', 'true', 'yes', 'on'].includes(String(value || '').toLowerCase());
+}
+
+/**
+ * 🔄 Load provider keys from the secrets file and environment
+ * Secrets file wins over the environment; runtime rotations win over both
+ */
+function loadConfig() {
+    const secretsFile = readSecretsFile();
+    const disabledList = (process.env[CONFIG_SETTINGS.DISABLED_PROVIDERS_VAR] || '')
+        .split(',').map(p => p.trim()).filter(Boolean);
+
+    const nextState = {};
+    Object.entries(PROVIDERS).forEach(([id, provider]) => {
+        let key = null;
+        let source = null;
+        if (runtimeOverrides[id]) {
+            key = runtimeOverrides[id];
+            source = 'runtime';
+        } else if (secretsFile.secrets[provider.envVar]) {
+            key = String(secretsFile.secrets[provider.envVar]).trim();
+            source = 'secrets_file';
+        } else if (process.env[provider.envVar]) {
+            key = process.env[provider.envVar].trim();
+            source = 'env';
+        }
+
+        let disabledReason = null;
+        if (disabledList.includes(id) || isTruthy(process.env[provider.disableVar])) {
+            disabledReason = 'Disabled by configuration';
+        } else if (!key) {
+            disabledReason = `${provider.envVar} not set`;
+        } else if (runtimeDisabled[id] && runtimeDisabled[id].key === key) {
+            // Stays disabled until a different key is loaded
+            disabledReason = runtimeDisabled[id].reason;
+        }
+
+        const previous = providerState[id];
+        if (previous && previous.key && key && previous.key !== key) {
+            console.log(`🔑 ${provider.name} key rotated (${source})`);
+        }
+
+        nextState[id] = {
+            id: id,
+            name: provider.name,
+            key: key,
+            source: source,
+            enabled: !disabledReason,
+            disabledReason: disabledReason,
+            validFormat: key ? provider.pattern.test(key) : false
+        };
+    });
+
+    providerState = nextState;
+    return { secretsFile: secretsFile.filePath, secretsFileLoaded: secretsFile.loaded, providers: getProviderStatus() };
+}
+
+function ensureLoaded() {
+    if (Object.keys(providerState).length === 0) loadConfig();
+}
+
+// 🔌 PROVIDER ACCESS
+
+/**
+ * 🔑 Current key for a provider, or null when it is disabled or missing
+ */
+function getProviderKey(providerId) {
+    ensureLoaded();
+    const state = providerState[providerId];
+    if (!state) throw new Error(`Unknown provider: ${providerId}`);
+    return state.enabled ? state.key : null;
+}
+
+function isProviderEnabled(providerId) {
+    ensureLoaded();
+    return Boolean(providerState[providerId]?.enabled);
+}
+
+/**
+ * 📡 Provider status without the keys
+ */
+function getProviderStatus() {
+    ensureLoaded();
+    const status = {};
+    Object.values(providerState).forEach(state => {
+        status[state.id] = {
+            name: state.name,
+            configured: Boolean(state.key),
+            enabled: state.enabled,
+            source: state.source,
+            validFormat: state.validFormat,
+            maskedKey: state.key ? `${state.key.substring(0, 4)}...${state.key.slice(-2)}` : null,
+            disabledReason: state.disabledReason
+        };
+    });
+    return status;
+}
+
+/**
+ * 🚫 Disable a provider until its key changes (e.g. after a 401/403)
+ */
+function disableProvider(providerId, reason = 'Disabled at runtime') {
+    ensureLoaded();
+    const state = providerState[providerId];
+    if (!state) throw new Error(`Unknown provider: ${providerId}`);
+    if (!state.enabled) return;
+
+    runtimeDisabled[providerId] = { key: state.key, reason: reason };
+    state.enabled = false;
+    state.disabledReason = reason;
+    console.error(`🚫 ${state.name} disabled: ${reason}`);
+}
+
+function enableProvider(providerId) {
+    delete runtimeDisabled[providerId];
+    return loadConfig().providers[providerId];
+}
+
+/**
+ * 🔐 Report an API auth failure; dead keys disable the provider instead of being retried
+ */
+function reportProviderError(providerId, error) {
+    const status = error?.response?.status;
+    if (status === 401 || status === 403) {
+        disableProvider(providerId, `Key rejected (HTTP ${status})`);
+        return true;
+    }
+    return false;
+}
+
+/**
+ * 🔄 Rotate a key in memory (persists until restart or the next secrets file change)
+ */
+function rotateProviderKey(providerId, newKey) {
+    if (!PROVIDERS[providerId]) throw new Error(`Unknown provider: ${providerId}`);
+    if (!newKey) throw new Error('New key is required');
+
+    runtimeOverrides[providerId] = String(newKey).trim();
+    delete runtimeDisabled[providerId];
+    return loadConfig().providers[providerId];
+}
+
+/**
+ * 👀 Reload keys when the secrets file changes
+ */
+function watchSecretsFile() {
+    if (secretsWatcher) return;
+    const filePath = getSecretsFilePath();
+
+    secretsWatcher = fs.watchFile(filePath, { interval: CONFIG_SETTINGS.WATCH_INTERVAL_MS, persistent: false }, (current, previous) => {
+        if (current.mtimeMs === previous.mtimeMs) return;
+        // A changed file supersedes keys rotated in memory
+        Object.keys(runtimeOverrides).forEach(id => delete runtimeOverrides[id]);
+        console.log(`🔄 Secrets file changed, reloading provider keys (${filePath})`);
+        loadConfig();
+    });
+}
+
+function stopWatchingSecretsFile() {
+    if (!secretsWatcher) return;
+    fs.unwatchFile(getSecretsFilePath());
+    secretsWatcher = null;
+}
+
+/**
+ * 📡 Which provider serves each market data capability
+ */
+function getMarketDataSettings() {
+    const mode = (process.env[MARKET_DATA_SETTINGS.MODE_VAR] || 'live').toLowerCase();
+    const capabilities = {};
+    MARKET_DATA_SETTINGS.CAPABILITIES.forEach(capability => {
+        const override = process.env[`${MARKET_DATA_SETTINGS.CAPABILITY_VAR_PREFIX}${capability.toUpperCase()}`];
+        capabilities[capability] = (override || mode).toLowerCase();
+    });
+
+    return {
+        mode: mode,
+        capabilities: capabilities,
+        fixturesPath: process.env[MARKET_DATA_SETTINGS.FIXTURES_VAR] || MARKET_DATA_SETTINGS.DEFAULT_FIXTURES
+    };
+}
+
+// ✅ VALIDATION
+
+/**
+ * ✅ Validate provider configuration; missing providers are warnings, malformed keys are errors
+ */
+function validateConfig() {
+    const loaded = loadConfig();
+    const marketData = getMarketDataSettings();
+    const errors = [];
+    const warnings = [];
+
+    Object.entries(marketData.capabilities).forEach(([capability, mode]) => {
+        if (!MARKET_DATA_SETTINGS.MODES.includes(mode)) {
+            errors.push(`Unknown market data provider '${mode}' for ${capability} (use ${MARKET_DATA_SETTINGS.MODES.join(' or ')})`);
+        }
+    });
+    if (Object.values(marketData.capabilities).includes('fixture') && !fs.existsSync(marketData.fixturesPath)) {
+        errors.push(`Market data fixtures not found: ${marketData.fixturesPath}`);
+    }
+
+    Object.entries(loaded.providers).forEach(([id, status]) => {
+        const provider = PROVIDERS[id];
+        // Keys are not needed for capabilities served from fixtures
+        if (marketData.capabilities[provider.capability] === 'fixture') return;
+
+        if (!status.configured) {
+            warnings.push(`${provider.envVar} not set - ${provider.name} disabled`);
+        } else if (!status.validFormat) {
+            errors.push(`${provider.envVar} has an unexpected format (${provider.name})`);
+        } else if (!status.enabled) {
+            warnings.push(`${provider.name} disabled: ${status.disabledReason}`);
+        }
+    });
+
+    return {
+        valid: errors.length === 0,
+        secretsFile: loaded.secretsFile,
+        secretsFileLoaded: loaded.secretsFileLoaded,
+        providers: loaded.providers,
+        marketData: marketData,
+        errors: errors,
+        warnings: warnings
+    };
+}
+
+loadConfig();
+watchSecretsFile();
+
+module.exports = {
+    // Provider access
+    getProviderKey,
+    isProviderEnabled,
+    getProviderStatus,
+    reportProviderError,
+
+    // Rotation and control
+    loadConfig,
+    rotateProviderKey,
+    disableProvider,
+    enableProvider,
+    watchSecretsFile,
+    stopWatchingSecretsFile,
+
+    // Market data provider selection
+    getMarketDataSettings,
+
+    // Validation
+    validateConfig,
+    parseSecretsFile,
+
+    // Definitions
+    PROVIDERS,
+    CONFIG_SETTINGS,
+    MARKET_DATA_SETTINGS
+};
@@ -6,6 +6,7 @@
 
 const { Pool } = require('pg');
 const crypto = require('crypto');
+const { MIGRATIONS } = require('./migrations');
 
 console.log('🔧 Loading FIXED Database Module (No Integer Overflow)...');
 
@@ -83,6 +84,32 @@ async function queryWithRetry(query, params = [], maxRetries = 3, context = 'unk
     }
 }
 
+// ═══════════════════════════════════════════════════════════════════════════
+// TRANSACTION HELPER
+// ═══════════════════════════════════════════════════════════════════════════
+
+async function withTransaction(callback, context = 'unknown') {
+    const client = await pool.connect();
+    connectionStats.totalQueries++;
+
+    try {
+        await client.query('BEGIN');
+        const result = await callback(client);
+        await client.query('COMMIT');
+        connectionStats.successfulQueries++;
+        connectionStats.lastQuery = new Date().toISOString();
+        return result;
+    } catch (error) {
+        await client.query('ROLLBACK').catch(() => {});
+        connectionStats.failedQueries++;
+        connectionStats.lastError = error.message;
+        console.log(`❌ [DB-${context}] Transaction rolled back: ${error.message}`);
+        throw error;
+    } finally {
+        client.release();
+    }
+}
+
 // ═══════════════════════════════════════════════════════════════════════════
 // DATABASE CONNECTION TEST
 // ═══════════════════════════════════════════════════════════════════════════
@@ -109,61 +136,66 @@ async function testDatabaseConnection() {
 // DATABASE INITIALIZATION
 // ═══════════════════════════════════════════════════════════════════════════
 
+// Arbitrary app-wide key so only one instance migrates at a time
+const MIGRATION_LOCK_KEY = 727001;
+
+async function runMigrations() {
+    await queryWithRetry(`
+        CREATE TABLE IF NOT EXISTS schema_migrations (
+            version INTEGER PRIMARY KEY,
+            name VARCHAR(100) NOT NULL,
+            applied_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        );
+    `, [], 3, 'MIGRATIONS_TABLE');
+
+    const applied = await queryWithRetry(
+        'SELECT version FROM schema_migrations', [], 3, 'MIGRATIONS_APPLIED'
+    );
+    const appliedVersions = new Set(applied.rows.map(row => row.version));
+    const pending = [...MIGRATIONS]
+        .sort((a, b) => a.version - b.version)
+        .filter(migration => !appliedVersions.has(migration.version));
+
+    let appliedCount = 0;
+    for (const migration of pending) {
+        const ran = await withTransaction(async (client) => {
+            await client.query('SELECT pg_advisory_xact_lock($1)', [MIGRATION_LOCK_KEY]);
+
+            // Another instance may have applied it while we waited for the lock
+            const check = await client.query('SELECT 1 FROM schema_migrations WHERE version = $1', [migration.version]);
+            if (check.rows.length > 0) return false;
+
+            await client.query(migration.sql);
+            await client.query(
+                'INSERT INTO schema_migrations (version, name) VALUES ($1, $2)',
+                [migration.version, migration.name]
+            );
+            return true;
+        }, `MIGRATION_${migration.version}`);
+
+        if (ran) {
+            appliedCount++;
+            console.log(`📦 [DB-MIGRATE] Applied migration ${migration.version}: ${migration.name}`);
+        }
+    }
+
+    return { applied: appliedCount, version: await getSchemaVersion() };
+}
+
+async function getSchemaVersion() {
+    const result = await queryWithRetry(
+        'SELECT COALESCE(MAX(version), 0) AS version FROM schema_migrations', [], 3, 'SCHEMA_VERSION'
+    );
+    return parseInt(result.rows[0].version) || 0;
+}
+
 async function initializeDatabase() {
     try {
         console.log('🚀 [DB-INIT] Initializing database schema...');
         
-        // Create tables with your existing simple schema
-        await queryWithRetry(`
-            CREATE TABLE IF NOT EXISTS conversations (
-                id SERIAL PRIMARY KEY,
-                chat_id VARCHAR(50) NOT NULL,
-                user_message TEXT NOT NULL,
-                gpt_response TEXT NOT NULL,
-                message_type VARCHAR(20) DEFAULT 'text',
-                timestamp TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-                context_data JSONB,
-                response_time_ms INTEGER
-            );
-            
-            CREATE TABLE IF NOT EXISTS user_profiles (
-                chat_id VARCHAR(50) PRIMARY KEY,
-                conversation_count INTEGER DEFAULT 0,
-                first_seen TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-                last_seen TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-                preferences JSONB DEFAULT '{}'
-            );
-            
-            CREATE TABLE IF NOT EXISTS persistent_memories (
-                id SERIAL PRIMARY KEY,
-                chat_id VARCHAR(50) NOT NULL,
-                fact TEXT NOT NULL,
-                importance VARCHAR(10) DEFAULT 'medium',
-                timestamp TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-                access_count INTEGER DEFAULT 0,
-                fact_hash VARCHAR(64)
-            );
-            
-            CREATE TABLE IF NOT EXISTS training_documents (
-                id SERIAL PRIMARY KEY,
-                chat_id VARCHAR(50) NOT NULL,
-                file_name VARCHAR(255) NOT NULL,
-                content TEXT NOT NULL,
-                document_type VARCHAR(50) DEFAULT 'general',
-                upload_date TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-                word_count INTEGER,
-                summary TEXT
-            );
-        `, [], 3, 'SCHEMA_CREATION');
-        
-        // Create indexes
-        await queryWithRetry(`
-            CREATE INDEX IF NOT EXISTS idx_conversations_chat_id_time ON conversations(chat_id, timestamp DESC);
-            CREATE INDEX IF NOT EXISTS idx_memories_chat_id ON persistent_memories(chat_id);
-            CREATE INDEX IF NOT EXISTS idx_memories_hash ON persistent_memories(fact_hash);
-        `, [], 3, 'INDEX_CREATION');
+        const { applied, version } = await runMigrations();
         
-        console.log('✅ [DB-INIT] Database initialized successfully');
+        console.log(`✅ [DB-INIT] Database initialized successfully (schema v${version}, ${applied} migration(s) applied)`);
         return true;
     } catch (error) {
         console.error('❌ [DB-INIT] Initialization failed:', error.message);
@@ -365,7 +397,7 @@ async function addPersistentMemoryDB(chatId, fact, importance = 'medium') {
         if (shouldCleanup) {
             await queryWithRetry(`
                 DELETE FROM persistent_memories 
-                WHERE chat_id = $1 AND id NOT IN (
+                WHERE chat_id = $1 AND NOT pinned AND id NOT IN (
                     SELECT id FROM persistent_memories 
                     WHERE chat_id = $1 
                     ORDER BY 
@@ -390,7 +422,7 @@ async function addPersistentMemoryDB(chatId, fact, importance = 'medium') {
     }
 }
 
-async function getPersistentMemoryDB(chatId, limit = 50) {
+async function getPersistentMemoryDB(chatId, limit = 50, offset = 0) {
     try {
         if (!chatId) {
             console.warn('⚠️ [DB-MEMORY] Missing chatId');
@@ -400,10 +432,11 @@ async function getPersistentMemoryDB(chatId, limit = 50) {
         console.log(`🧠 [DB-MEMORY] Getting memories for ${chatId}, limit: ${limit}`);
         
         const result = await queryWithRetry(`
-            SELECT fact, importance, timestamp, access_count
+            SELECT id, fact, importance, timestamp, access_count, pinned
             FROM persistent_memories 
             WHERE chat_id = $1 
             ORDER BY 
+                pinned DESC,
                 CASE importance 
                     WHEN 'high' THEN 3 
                     WHEN 'medium' THEN 2 
@@ -411,8 +444,8 @@ async function getPersistentMemoryDB(chatId, limit = 50) {
                 END DESC, 
                 access_count DESC,
                 timestamp DESC 
-            LIMIT $2
-        `, [chatId, limit], 3, 'GET_MEMORIES');
+            LIMIT $2 OFFSET $3
+        `, [chatId, limit, offset], 3, 'GET_MEMORIES');
         
         console.log(`✅ [DB-MEMORY] Retrieved ${result.rows.length} memories for ${chatId}`);
         return result.rows;
@@ -423,6 +456,152 @@ async function getPersistentMemoryDB(chatId, limit = 50) {
     }
 }
 
+// 🧭 Memory embeddings (see utils/semanticMemory.js)
+
+async function getMemoryIdDB(chatId, fact) {
+    const factHash = generateFactHash(truncateForDatabase(fact, 5000));
+    const result = await queryWithRetry(`
+        SELECT id FROM persistent_memories WHERE chat_id = $1 AND fact_hash = $2
+    `, [chatId, factHash], 3, 'GET_MEMORY_ID');
+    return result.rows[0]?.id || null;
+}
+
+async function getMemoriesForRetrievalDB(chatId, limit = 500) {
+    const result = await queryWithRetry(`
+        SELECT id, fact, importance, timestamp, access_count, embedding, embedding_model
+        FROM persistent_memories
+        WHERE chat_id = $1
+        ORDER BY timestamp DESC
+        LIMIT $2
+    `, [chatId, limit], 3, 'GET_MEMORIES_RETRIEVAL');
+    return result.rows;
+}
+
+/**
+ * 🧭 Store a memory's embedding; vector is also written to the pgvector column when that exists
+ */
+async function saveMemoryEmbeddingDB(memoryId, embedding, model, useVector = false) {
+    if (useVector) {
+        await queryWithRetry(`
+            UPDATE persistent_memories
+            SET embedding = $2, embedding_model = $3, embedded_at = CURRENT_TIMESTAMP, embedding_vector = $4::vector
+            WHERE id = $1
+        `, [memoryId, embedding, model, `[${embedding.join(',')}]`], 3, 'SAVE_MEMORY_EMBEDDING');
+        return;
+    }
+
+    await queryWithRetry(`
+        UPDATE persistent_memories
+        SET embedding = $2, embedding_model = $3, embedded_at = CURRENT_TIMESTAMP
+        WHERE id = $1
+    `, [memoryId, embedding, model], 3, 'SAVE_MEMORY_EMBEDDING');
+}
+
+async function searchMemoriesByVectorDB(chatId, embedding, model, limit = 60) {
+    const result = await queryWithRetry(`
+        SELECT id, fact, importance, timestamp, access_count,
+               1 - (embedding_vector <=> $2::vector) AS similarity
+        FROM persistent_memories
+        WHERE chat_id = $1 AND embedding_model = $3 AND embedding_vector IS NOT NULL
+        ORDER BY embedding_vector <=> $2::vector
+        LIMIT $4
+    `, [chatId, `[${embedding.join(',')}]`, model, limit], 3, 'SEARCH_MEMORIES_VECTOR');
+    return result.rows;
+}
+
+// Migration 16 only adds embedding_vector when the pgvector extension could be created
+async function hasMemoryVectorColumnDB() {
+    const result = await queryWithRetry(`
+        SELECT 1 FROM information_schema.columns
+        WHERE table_name = 'persistent_memories' AND column_name = 'embedding_vector'
+    `, [], 2, 'CHECK_MEMORY_VECTOR');
+    return result.rows.length > 0;
+}
+
+// 🗂️ Memory management (see handlers/memoryCommands.js); every change is scoped to the chat's own memories
+
+async function countPersistentMemoriesDB(chatId) {
+    const result = await queryWithRetry(`
+        SELECT COUNT(*) AS total, COUNT(*) FILTER (WHERE pinned) AS pinned
+        FROM persistent_memories
+        WHERE chat_id = $1
+    `, [chatId], 3, 'COUNT_MEMORIES');
+    return { total: parseInt(result.rows[0].total), pinned: parseInt(result.rows[0].pinned) };
+}
+
+async function getPersistentMemoryByIdDB(chatId, memoryId) {
+    const result = await queryWithRetry(`
+        SELECT id, fact, importance, timestamp, access_count, pinned, updated_at
+        FROM persistent_memories
+        WHERE chat_id = $1 AND id = $2
+    `, [chatId, memoryId], 3, 'GET_MEMORY_BY_ID');
+    return result.rows[0] || null;
+}
+
+async function searchPersistentMemoriesDB(chatId, text, limit = 10) {
+    const result = await queryWithRetry(`
+        SELECT id, fact, importance, timestamp, access_count, pinned
+        FROM persistent_memories
+        WHERE chat_id = $1 AND fact ILIKE $2
+        ORDER BY pinned DESC, timestamp DESC
+        LIMIT $3
+    `, [chatId, `%${String(text).replace(/[\\%_]/g, '\\$&')}%`, limit], 3, 'SEARCH_MEMORIES');
+    return result.rows;
+}
+
+async function deletePersistentMemoryDB(chatId, memoryId) {
+    const result = await queryWithRetry(`
+        DELETE FROM persistent_memories WHERE chat_id = $1 AND id = $2
+    `, [chatId, memoryId], 3, 'DELETE_MEMORY');
+    return result.rowCount > 0;
+}
+
+async function deleteChatMemoriesDB(chatId) {
+    const result = await queryWithRetry(`
+        DELETE FROM persistent_memories WHERE chat_id = $1
+    `, [chatId], 3, 'DELETE_CHAT_MEMORIES');
+    return result.rowCount;
+}
+
+async function setMemoryPinnedDB(chatId, memoryId, pinned) {
+    const result = await queryWithRetry(`
+        UPDATE persistent_memories SET pinned = $3, updated_at = CURRENT_TIMESTAMP
+        WHERE chat_id = $1 AND id = $2
+    `, [chatId, memoryId, Boolean(pinned)], 3, 'PIN_MEMORY');
+    return result.rowCount > 0;
+}
+
+async function setMemoryImportanceDB(chatId, memoryId, importance) {
+    const result = await queryWithRetry(`
+        UPDATE persistent_memories SET importance = $3, updated_at = CURRENT_TIMESTAMP
+        WHERE chat_id = $1 AND id = $2
+    `, [chatId, memoryId, importance], 3, 'SET_MEMORY_IMPORTANCE');
+    return result.rowCount > 0;
+}
+
+/**
+ * 🗂️ Replace a memory's text; its embedding is cleared so retrieval skips it until it is re-embedded
+ */
+async function updatePersistentMemoryDB(chatId, memoryId, fact) {
+    const safeFact = truncateForDatabase(fact, 5000);
+    const factHash = generateFactHash(safeFact);
+
+    const duplicate = await queryWithRetry(`
+        SELECT id FROM persistent_memories WHERE chat_id = $1 AND fact_hash = $2 AND id <> $3
+    `, [chatId, factHash, memoryId], 3, 'CHECK_MEMORY_EDIT');
+    if (duplicate.rows.length > 0) {
+        throw new Error(`That fact is already remembered as #${duplicate.rows[0].id}`);
+    }
+
+    const result = await queryWithRetry(`
+        UPDATE persistent_memories
+        SET fact = $3, fact_hash = $4, updated_at = CURRENT_TIMESTAMP,
+            embedding = NULL, embedding_model = NULL, embedded_at = NULL
+        WHERE chat_id = $1 AND id = $2
+    `, [chatId, memoryId, safeFact, factHash], 3, 'UPDATE_MEMORY_FACT');
+    return result.rowCount > 0;
+}
+
 // ═══════════════════════════════════════════════════════════════════════════
 // USER PROFILE FUNCTIONS
 // ═══════════════════════════════════════════════════════════════════════════
@@ -535,6 +714,249 @@ async function getTrainingDocumentsDB(chatId, limit = 20) {
     }
 }
 
+// ═══════════════════════════════════════════════════════════════════════════
+// PORTFOLIO DEAL FUNCTIONS
+// ═══════════════════════════════════════════════════════════════════════════
+
+const DEAL_UPSERT_SQL = `
+    INSERT INTO deals (deal_id, fund_id, status, borrower_name, location, property_type, loan_amount,
+                       interest_rate, principal_outstanding, risk_score, risk_level, data, added_date, updated_at)
+    VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, CURRENT_TIMESTAMP)
+    ON CONFLICT (deal_id) DO UPDATE SET
+        fund_id = EXCLUDED.fund_id,
+        status = EXCLUDED.status,
+        borrower_name = EXCLUDED.borrower_name,
+        location = EXCLUDED.location,
+        property_type = EXCLUDED.property_type,
+        loan_amount = EXCLUDED.loan_amount,
+        interest_rate = EXCLUDED.interest_rate,
+        principal_outstanding = EXCLUDED.principal_outstanding,
+        risk_score = EXCLUDED.risk_score,
+        risk_level = EXCLUDED.risk_level,
+        data = EXCLUDED.data,
+        updated_at = CURRENT_TIMESTAMP
+`;
+
+function dealToParams(deal) {
+    // Payments live in deal_payments, everything else in the JSONB record
+    const { payments, ...record } = deal;
+    return [
+        deal.dealId,
+        deal.fundId || null,
+        deal.status,
+        deal.dealInfo?.borrowerName || null,
+        deal.dealInfo?.location || null,
+        deal.dealInfo?.propertyType || null,
+        deal.dealInfo?.loanAmount || 0,
+        deal.dealInfo?.interestRate || 0,
+        deal.financial?.principalOutstanding || 0,
+        deal.risk?.riskScore ?? null,
+        deal.risk?.riskLevel || null,
+        JSON.stringify(record),
+        deal.addedDate || new Date().toISOString()
+    ];
+}
+
+function rowToPayment(row) {
+    return {
+        ...(row.data || {}),
+        paymentId: row.payment_id,
+        date: row.payment_date instanceof Date ? row.payment_date.toISOString() : row.payment_date,
+        amount: parseFloat(row.amount),
+        principal: parseFloat(row.principal),
+        interest: parseFloat(row.interest),
+        type: row.payment_type,
+        status: row.status
+    };
+}
+
+async function saveDealDB(deal, client = null) {
+    if (client) {
+        await client.query(DEAL_UPSERT_SQL, dealToParams(deal));
+    } else {
+        await queryWithRetry(DEAL_UPSERT_SQL, dealToParams(deal), 3, 'SAVE_DEAL');
+    }
+    console.log(`💾 [DB-DEAL] Deal saved: ${deal.dealId} (${deal.status})`);
+    return true;
+}
+
+async function saveDealPaymentDB(deal, payment) {
+    await withTransaction(async (client) => {
+        const { paymentId, date, amount, principal, interest, type, status, ...extra } = payment;
+        await client.query(`
+            INSERT INTO deal_payments (payment_id, deal_id, payment_date, amount, principal, interest, payment_type, status, data)
+            VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+        `, [paymentId, deal.dealId, date, amount, principal || 0, interest || 0, type, status || 'received', JSON.stringify(extra)]);
+        await client.query(DEAL_UPSERT_SQL, dealToParams(deal));
+    }, 'SAVE_DEAL_PAYMENT');
+
+    console.log(`💾 [DB-DEAL] Payment ${payment.paymentId} saved for ${deal.dealId}`);
+    return true;
+}
+
+async function saveDealTransitionDB(deal, transition) {
+    await withTransaction(async (client) => {
+        await client.query(`
+            INSERT INTO loan_status_transitions (transition_id, deal_id, from_state, to_state, from_status, to_status,
+                                                 actor, reason, context, transitioned_at)
+            VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+        `, [transition.transitionId, deal.dealId, transition.fromState, transition.toState, transition.fromStatus,
+            transition.toStatus, transition.actor, transition.reason, JSON.stringify(transition.context || {}),
+            transition.transitionedAt]);
+        await client.query(DEAL_UPSERT_SQL, dealToParams(deal));
+    }, 'SAVE_DEAL_TRANSITION');
+
+    console.log(`💾 [DB-DEAL] ${deal.dealId}: ${transition.fromStatus} → ${transition.toStatus} (${transition.actor})`);
+    return true;
+}
+
+async function getDealPaymentsDB(dealIds) {
+    const ids = Array.isArray(dealIds) ? dealIds : [dealIds];
+    if (ids.length === 0) return [];
+
+    const result = await queryWithRetry(`
+        SELECT * FROM deal_payments WHERE deal_id = ANY($1) ORDER BY payment_date ASC, id ASC
+    `, [ids], 3, 'GET_DEAL_PAYMENTS');
+
+    return result.rows.map(row => ({ dealId: row.deal_id, ...rowToPayment(row) }));
+}
+
+async function getDealsDB(filters = {}) {
+    try {
+        const result = await queryWithRetry(`
+            SELECT deal_id, status, data FROM deals
+            WHERE ($1::varchar IS NULL OR status = $1)
+              AND ($2::varchar IS NULL OR location = $2)
+              AND ($3::varchar IS NULL OR risk_level = $3)
+              AND ($4::varchar IS NULL OR borrower_name = $4)
+            ORDER BY added_date ASC
+        `, [filters.status || null, filters.location || null, filters.riskLevel || null, filters.borrowerName || null], 3, 'GET_DEALS');
+
+        const payments = await getDealPaymentsDB(result.rows.map(row => row.deal_id));
+
+        return result.rows.map(row => ({
+            ...row.data,
+            dealId: row.deal_id,
+            status: row.status,
+            payments: payments
+                .filter(payment => payment.dealId === row.deal_id)
+                .map(({ dealId, ...payment }) => payment)
+        }));
+
+    } catch (error) {
+        console.error('❌ [DB-DEAL] Get deals failed:', error.message);
+        return [];
+    }
+}
+
+async function getDealByIdDB(dealId) {
+    try {
+        const result = await queryWithRetry(
+            'SELECT deal_id, status, data FROM deals WHERE deal_id = $1', [dealId], 3, 'GET_DEAL'
+        );
+        if (result.rows.length === 0) return null;
+
+        const row = result.rows[0];
+        const payments = await getDealPaymentsDB(dealId);
+
+        return {
+            ...row.data,
+            dealId: row.deal_id,
+            status: row.status,
+            payments: payments.map(({ dealId: _dealId, ...payment }) => payment)
+        };
+
+    } catch (error) {
+        console.error(`❌ [DB-DEAL] Get deal failed for ${dealId}:`, error.message);
+        return null;
+    }
+}
+
+// Only a pipeline deal with nothing recorded against it can be removed
+async function deletePipelineDealDB(dealId) {
+    const result = await queryWithRetry(`
+        DELETE FROM deals
+        WHERE deal_id = $1 AND status = 'Pipeline'
+          AND NOT EXISTS (SELECT 1 FROM ic_reviews WHERE deal_id = $1)
+          AND NOT EXISTS (SELECT 1 FROM deal_payments WHERE deal_id = $1)
+          AND NOT EXISTS (SELECT 1 FROM loan_status_transitions WHERE deal_id = $1)
+    `, [dealId], 3, 'DELETE_PIPELINE_DEAL');
+    return result.rowCount > 0;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// LP FUNCTIONS
+// ═══════════════════════════════════════════════════════════════════════════
+
+async function saveLPDB(lp) {
+    await queryWithRetry(`
+        INSERT INTO lps (lp_id, name, lp_type, status, email, phone, country, risk_profile,
+                         available_capital, total_invested, data, added_date, updated_at)
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, CURRENT_TIMESTAMP)
+        ON CONFLICT (lp_id) DO UPDATE SET
+            name = EXCLUDED.name,
+            lp_type = EXCLUDED.lp_type,
+            status = EXCLUDED.status,
+            email = EXCLUDED.email,
+            phone = EXCLUDED.phone,
+            country = EXCLUDED.country,
+            risk_profile = EXCLUDED.risk_profile,
+            available_capital = EXCLUDED.available_capital,
+            total_invested = EXCLUDED.total_invested,
+            data = EXCLUDED.data,
+            updated_at = CURRENT_TIMESTAMP
+    `, [
+        lp.id,
+        lp.name,
+        lp.type || null,
+        lp.status,
+        lp.email || null,
+        lp.phone || null,
+        lp.country || null,
+        lp.investmentProfile?.riskProfile || null,
+        lp.investmentProfile?.availableCapital || 0,
+        lp.totalInvested || 0,
+        JSON.stringify(lp),
+        lp.addedDate || new Date().toISOString()
+    ], 3, 'SAVE_LP');
+
+    console.log(`💾 [DB-LP] LP saved: ${lp.id} (${lp.status})`);
+    return true;
+}
+
+async function getLPsDB(filters = {}) {
+    try {
+        const result = await queryWithRetry(`
+            SELECT lp_id, status, data FROM lps
+            WHERE ($1::varchar IS NULL OR status = $1)
+              AND ($2::varchar IS NULL OR risk_profile = $2)
+            ORDER BY added_date ASC
+        `, [filters.status || null, filters.riskProfile || null], 3, 'GET_LPS');
+
+        return result.rows.map(row => ({ ...row.data, id: row.lp_id, status: row.status }));
+
+    } catch (error) {
+        console.error('❌ [DB-LP] Get LPs failed:', error.message);
+        return [];
+    }
+}
+
+async function getLPByIdDB(lpId) {
+    try {
+        const result = await queryWithRetry(
+            'SELECT lp_id, status, data FROM lps WHERE lp_id = $1', [lpId], 3, 'GET_LP'
+        );
+        if (result.rows.length === 0) return null;
+
+        const row = result.rows[0];
+        return { ...row.data, id: row.lp_id, status: row.status };
+
+    } catch (error) {
+        console.error(`❌ [DB-LP] Get LP failed for ${lpId}:`, error.message);
+        return null;
+    }
+}
+
 // ═══════════════════════════════════════════════════════════════════════════
 // CLEAR USER DATA
 // ═══════════════════════════════════════════════════════════════════════════
@@ -710,6 +1132,19 @@ module.exports = {
     // Memory functions  
     addPersistentMemoryDB,
     getPersistentMemoryDB,
+    countPersistentMemoriesDB,
+    getPersistentMemoryByIdDB,
+    searchPersistentMemoriesDB,
+    deletePersistentMemoryDB,
+    deleteChatMemoriesDB,
+    setMemoryPinnedDB,
+    setMemoryImportanceDB,
+    updatePersistentMemoryDB,
+    getMemoryIdDB,
+    getMemoriesForRetrievalDB,
+    saveMemoryEmbeddingDB,
+    searchMemoriesByVectorDB,
+    hasMemoryVectorColumnDB,
     
     // User functions
     getUserProfileDB,
@@ -718,6 +1153,20 @@ module.exports = {
     saveTrainingDocumentDB,
     getTrainingDocumentsDB,
     
+    // Portfolio deal functions
+    saveDealDB,
+    saveDealPaymentDB,
+    saveDealTransitionDB,
+    getDealPaymentsDB,
+    getDealsDB,
+    getDealByIdDB,
+    deletePipelineDealDB,
+    
+    // LP functions
+    saveLPDB,
+    getLPsDB,
+    getLPByIdDB,
+    
     // Utility functions
     clearUserDataDB,
     getDatabaseStats,
@@ -728,6 +1177,9 @@ module.exports = {
     truncateForDatabase,
     processMetadata,
     queryWithRetry,
+    withTransaction,
+    runMigrations,
+    getSchemaVersion,
     calculateResponseTime,
     
     // Connection monitoring
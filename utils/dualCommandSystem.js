@@ -66,6 +66,90 @@ const multimodal = safeRequire('./multimodal', {
   getMultimodalStatus: () => ({ available: false })
 });
 
+const alertManager = safeRequire('./alertManager', {
+  handleAlertCommand: async (text, chatId, bot) => {
+    await bot.sendMessage(chatId, 'Alerts are not available right now');
+    return { success: false, error: 'Alert manager not available' };
+  }
+});
+
+// Fails closed: without access control nobody gets past authorization
+const accessControl = safeRequire('./accessControl', {
+  authorizeMessage: async (message, bot) => {
+    await bot.sendMessage(message.chat.id, '⚠️ Access control is not available right now');
+    return { allowed: false, user: null, reason: 'access_control_unavailable' };
+  },
+  authorizeCallback: async (callbackQuery, bot) => {
+    await bot.answerCallbackQuery(callbackQuery.id, { text: '⚠️ Access control is not available right now', show_alert: true });
+    return { allowed: false, user: null, reason: 'access_control_unavailable' };
+  }
+});
+
+const lpPositions = safeRequire('../handlers/lpPositions', {
+  handlePositionsCommand: async (text, chatId, bot) => {
+    await bot.sendMessage(chatId, 'Positions are not available right now');
+    return { success: false, error: 'LP positions handler not available' };
+  }
+});
+
+const callbackRouter = safeRequire('./callbackRouter', {
+  routeCallbackQuery: async (callbackQuery, bot) => {
+    await bot.answerCallbackQuery(callbackQuery.id);
+    return { success: false, error: 'Callback router not available' };
+  }
+});
+
+// /analyze_deal, and the inline keyboard actions (deal:* callbacks) it offers
+const cambodiaDeals = safeRequire('../handlers/cambodiaDeals', {
+  handleAnalyzeDealCommand: async (text, chatId, bot) => {
+    await bot.sendMessage(chatId, 'Deal analysis is not available right now');
+    return { success: false, error: 'Cambodia deals handler not available' };
+  }
+});
+
+const loanApplicationWizard = safeRequire('../handlers/loanApplicationWizard', {
+  handleApplyCommand: async (text, chatId, bot) => {
+    await bot.sendMessage(chatId, 'Loan applications are not available right now');
+    return { success: false, error: 'Loan application wizard not available' };
+  },
+  handleWizardMessage: async () => ({ handled: false })
+});
+
+const icApproval = safeRequire('../handlers/icApproval', {
+  handleIcCommand: async (text, chatId, bot) => {
+    await bot.sendMessage(chatId, 'Committee reviews are not available right now');
+    return { success: false, error: 'IC approval handler not available' };
+  },
+  handleCommitteeMessage: async () => ({ handled: false })
+});
+
+// Provider routing and cross-provider fallback; without it executeThroughGPT5System falls back to OpenAI models
+const llmProviders = safeRequire('./llmProviders', {
+  resolveRoute: () => [],
+  completeWithFallback: async () => {
+    throw new Error('LLM router not available');
+  }
+});
+
+// Fund-data questions are answered through registered tools; without the registry they get a plain answer
+const toolRegistry = safeRequire('./toolRegistry', {
+  runToolConversation: async () => {
+    throw new Error('Tool registry not available');
+  }
+});
+
+const memoryCommands = safeRequire('../handlers/memoryCommands', {
+  handleMemoryCommand: async (text, chatId, bot, user) => {
+    await bot.sendMessage(chatId, 'Memory management is not available right now');
+    return { success: false, error: 'Memory commands handler not available' };
+  }
+});
+
+// "What do we know about borrower X" is answered from entity memory when it knows X
+const entityProfiles = safeRequire('../handlers/entityProfiles', {
+  handleProfileQuestion: async () => ({ handled: false })
+});
+
 // ════════════════════════════════════════════════════════════════════════════
 // 🚀 ULTIMATE TELEGRAM SPLITTER IMPORT - MAXIMUM POWER ACTIVATION
 // ════════════════════════════════════════════════════════════════════════════
@@ -1022,6 +1106,9 @@ function analyzeQuery(userMessage, messageType = 'text', hasMedia = false, memor
   const mathCodingPatterns = /(calculate|compute|code|coding|program|mathematical)/i;
   const healthPatterns = /(health|medical|diagnosis|treatment|symptoms)/i;
   
+  // Questions about the fund's own data go through the tool registry
+  const fundDataPatterns = /\b(exposure|our (loans?|deals?|fund|book|borrowers?)|portfolio|aum|deployed|lps?|limited partners?|investors?|forex|exchange rates?|khr|riel|stress test|collateral|credit (score|assessment|risk))\b/i;
+  
   // Default model selection
   let gpt5Config = {
     model: CONFIG.MODELS.MINI,
@@ -1059,15 +1146,21 @@ function analyzeQuery(userMessage, messageType = 'text', hasMedia = false, memor
     };
   }
   
+  // Provider order per query type comes from the LLM routes; the GPT-5 tier chosen above pins the OpenAI step
+  const route = llmProviders.resolveRoute(gpt5Config.priority, { models: { openai: gpt5Config.model } });
+  
   return {
     type: gpt5Config.priority,
     gpt5Model: gpt5Config.model,
+    provider: route.length > 0 ? route[0].provider : 'openai',
+    route,
     reasoning_effort: gpt5Config.reasoning_effort,
     verbosity: gpt5Config.verbosity,
     max_completion_tokens: gpt5Config.max_completion_tokens,
     priority: gpt5Config.priority,
     confidence: 0.8,
     shouldSkipGPT5: false,
+    useTools: fundDataPatterns.test(message),
     completionStatus
   };
 }
@@ -1112,7 +1205,7 @@ function getCurrentCambodiaDateTime() {
 // SMART MEMORY CONTEXT BUILDER (FIXED WITH INCREASED LIMITS)
 // ════════════════════════════════════════════════════════════════════════════
 
-async function buildMemoryContext(chatId, contextLevel = 'full') {
+async function buildMemoryContext(chatId, contextLevel = 'full', currentMessage = '') {
   try {
     console.log(`[Memory-Fix] 🧠 Building context for ${chatId}, level: ${contextLevel}`);
     
@@ -1128,8 +1221,11 @@ async function buildMemoryContext(chatId, contextLevel = 'full') {
       try {
         console.log('[Memory-Fix] Calling memory.buildConversationContext...');
         
-        // ✅ CORRECTED: Use string parameter, not object
-        const context = await memory.buildConversationContext(safeChatId, contextLevel);
+        // The current message picks which stored facts are retrieved
+        const context = await memory.buildConversationContext(safeChatId, {
+          contextLevel: typeof contextLevel === 'string' ? contextLevel : 'full',
+          currentMessage: safeString(currentMessage)
+        });
         
         if (context && safeString(context).length > 0) {
           console.log(`[Memory-Fix] ✅ SUCCESS via memory module: ${context.length} chars`);
@@ -1345,7 +1441,15 @@ async function saveMemoryIfNeeded(chatId, userMessage, response, messageType, me
 // GPT-5 EXECUTION WITH FALLBACK SYSTEM (TEMPERATURE ISSUE FIXED)
 // ════════════════════════════════════════════════════════════════════════════
 
-async function executeThroughGPT5System(userMessage, queryAnalysis, context = null, chatId = null) {
+// 'GPT-5-mini', 'Claude-opus-4-1', 'mock'
+function describeModel(provider, model) {
+  const name = safeString(model);
+  if (provider === 'anthropic') return `Claude-${name.replace('claude-', '')}`;
+  if (provider === 'openai') return `GPT-5-${name.replace('gpt-5-', '').replace('gpt-5', 'full')}`;
+  return safeString(provider) || 'unknown';
+}
+
+async function executeThroughGPT5System(userMessage, queryAnalysis, context = null, chatId = null, executionOptions = {}) {
   const startTime = Date.now();
   
   try {
@@ -1367,6 +1471,37 @@ async function executeThroughGPT5System(userMessage, queryAnalysis, context = nu
       };
     }
     
+    // 🧰 Fund-data questions: the model calls tools scoped to the asking user's permissions
+    if (queryAnalysis.useTools && executionOptions.user) {
+      try {
+        const toolResult = await toolRegistry.runToolConversation(safeMessage, {
+          user: executionOptions.user,
+          chatId,
+          context: context ? safeSubstring(safeString(context), 0, 3000) : ''
+        });
+        const processingTime = Date.now() - startTime;
+        
+        updateSystemStats('gpt5_tools', true, processingTime, queryAnalysis.priority, toolResult.model);
+        console.log(`[GPT-5] 🧰 Answered with ${toolResult.toolCalls.length} tool call(s) in ${toolResult.iterations} turn(s)`);
+        
+        return {
+          response: toolResult.response,
+          aiUsed: `${describeModel(toolResult.provider, toolResult.model)}-tools`,
+          modelUsed: toolResult.model,
+          provider: toolResult.provider,
+          processingTime,
+          tokensUsed: Math.ceil(safeString(toolResult.response).length / 4),
+          priority: queryAnalysis.priority,
+          confidence: queryAnalysis.confidence,
+          toolCalls: toolResult.toolCalls,
+          memoryUsed: !!context,
+          success: true
+        };
+      } catch (toolError) {
+        console.warn('[GPT-5] ⚠️ Tool-assisted answer failed, answering without tools:', toolError.message);
+      }
+    }
+    
     // Build enhanced message with context
     let enhancedMessage = safeMessage;
     
@@ -1402,19 +1537,25 @@ async function executeThroughGPT5System(userMessage, queryAnalysis, context = nu
     
     console.log(`[GPT-5] 📋 API options:`, JSON.stringify(options, null, 2));
     
-    // Execute GPT-5 API call
-    const result = await openaiClient.getGPT5Analysis(enhancedMessage, options);
+    // Execute along the route; the next provider answers if one fails or its circuit breaker is open
+    const result = await llmProviders.completeWithFallback({
+      messages: [{ role: 'user', content: enhancedMessage }],
+      maxTokens: options.max_completion_tokens,
+      reasoningEffort: options.reasoning_effort,
+      verbosity: options.verbosity
+    }, queryAnalysis.route || []);
     const processingTime = Date.now() - startTime;
-    const tokensUsed = Math.ceil(safeString(result).length / 4);
     
-    updateSystemStats('gpt5_execution', true, processingTime, queryAnalysis.priority, queryAnalysis.gpt5Model);
+    updateSystemStats('gpt5_execution', true, processingTime, queryAnalysis.priority, result.model);
     
     return {
-      response: result,
-      aiUsed: `GPT-5-${queryAnalysis.gpt5Model.replace('gpt-5-', '').replace('gpt-5', 'full')}`,
-      modelUsed: queryAnalysis.gpt5Model,
+      response: result.text,
+      aiUsed: describeModel(result.provider, result.model),
+      modelUsed: result.model,
+      provider: result.provider,
+      fallbackUsed: result.fallbackUsed,
       processingTime,
-      tokensUsed,
+      tokensUsed: result.usage.totalTokens,
       priority: queryAnalysis.priority,
       confidence: queryAnalysis.confidence,
       reasoning_effort: queryAnalysis.reasoning_effort,
@@ -1530,6 +1671,24 @@ async function handleTelegramMessage(message, bot) {
     const messageType = classifyMessage(userMessage, hasMedia);
     console.log(`[Telegram] Message type: ${messageType}`);
     
+    // Every sender needs a registered role; accessControl answers the chat when access is denied
+    const access = await accessControl.authorizeMessage(message, bot);
+    if (!access.allowed) {
+      return { success: false, error: `Access denied: ${access.reason}` };
+    }
+    
+    // IC members' conditions and comments follow straight on from their vote buttons
+    const committeeResult = await icApproval.handleCommitteeMessage(message, bot);
+    if (committeeResult.handled) {
+      return committeeResult;
+    }
+    
+    // An open loan application takes answers and document uploads before anything else
+    const wizardResult = await loanApplicationWizard.handleWizardMessage(message, bot);
+    if (wizardResult.handled) {
+      return wizardResult;
+    }
+    
     // Handle multimodal content first
     if (hasMedia) {
       return await handleMultimodalContent(message, bot, userMessage, startTime);
@@ -1554,6 +1713,14 @@ async function handleTelegramMessage(message, bot) {
       }
     }
     
+    // Profile questions about remembered borrowers, LPs, properties and loans
+    if (userMessage && !userMessage.startsWith('/')) {
+      const profileResult = await entityProfiles.handleProfileQuestion(userMessage, chatId, bot, access.user);
+      if (profileResult.handled) {
+        return profileResult;
+      }
+    }
+    
     // Skip empty messages
     if (userMessage.length === 0) {
       console.log('[Telegram] Empty message, skipping');
@@ -1561,7 +1728,7 @@ async function handleTelegramMessage(message, bot) {
     }
     
     // Route based on message type
-    return await routeMessageByType(userMessage, chatId, bot, messageType, startTime);
+    return await routeMessageByType(userMessage, chatId, bot, messageType, startTime, { user: access.user, from: message.from });
     
   } catch (error) {
     const processingTime = Date.now() - startTime;
@@ -1574,10 +1741,11 @@ async function handleTelegramMessage(message, bot) {
 // SMART MESSAGE ROUTING (PREVENTS VERBOSE RESPONSES)
 // ════════════════════════════════════════════════════════════════════════════
 
-async function routeMessageByType(userMessage, chatId, bot, messageType, startTime) {
+async function routeMessageByType(userMessage, chatId, bot, messageType, startTime, access = {}) {
   const baseOptions = {
     messageType: 'telegram_webhook',
-    processingStartTime: startTime
+    processingStartTime: startTime,
+    user: access.user || null
   };
   
   switch (messageType) {
@@ -1608,7 +1776,7 @@ async function routeMessageByType(userMessage, chatId, bot, messageType, startTi
       });
       
     case MESSAGE_TYPES.SYSTEM_COMMAND:
-      return await handleSystemCommand(userMessage, chatId, bot, baseOptions);
+      return await handleSystemCommand(userMessage, chatId, bot, baseOptions, access);
       
     case MESSAGE_TYPES.COMPLEX_QUERY:
     default:
@@ -1655,7 +1823,7 @@ async function executeEnhancedGPT5Command(userMessage, chatId, bot = null, optio
     if (options.contextAware !== false && safeChatId !== 'unknown') {
       try {
         console.log(`[Enhanced] 🧠 Loading memory context (level: ${options.contextAware || 'full'})`);
-        memoryContext = await buildMemoryContext(safeChatId, options.contextAware);
+        memoryContext = await buildMemoryContext(safeChatId, options.contextAware, safeMessage);
         console.log(`[Enhanced] Memory context loaded: ${memoryContext.length} chars`);
       } catch (contextError) {
         console.warn('[Enhanced] ⚠️ Memory context failed:', contextError.message);
@@ -1706,12 +1874,15 @@ async function executeEnhancedGPT5Command(userMessage, chatId, bot = null, optio
       }
     }
     
+    // Re-route so the OpenAI step uses the model chosen above
+    queryAnalysis.route = llmProviders.resolveRoute(queryAnalysis.priority, { models: { openai: queryAnalysis.gpt5Model } });
+    
     console.log(`[Enhanced] Analysis: ${queryAnalysis.type}, Model: ${queryAnalysis.gpt5Model}, Memory: ${memoryContext.length > 0 ? 'Yes' : 'No'}, Ultimate: ${shouldUseUltimate}`);
     
     // Execute through GPT-5 system
     let gpt5Result;
     try {
-      gpt5Result = await executeThroughGPT5System(safeMessage, queryAnalysis, memoryContext, safeChatId);
+      gpt5Result = await executeThroughGPT5System(safeMessage, queryAnalysis, memoryContext, safeChatId, { user: options.user });
     } catch (gpt5Error) {
       console.error('[Enhanced] ❌ GPT-5 system failed:', gpt5Error.message);
       throw gpt5Error;
@@ -2361,9 +2532,42 @@ const deliverToTelegram = deliverToTelegramUltimate;
 // SYSTEM COMMAND HANDLER
 // ════════════════════════════════════════════════════════════════════════════
 
-async function handleSystemCommand(command, chatId, bot, baseOptions) {
+async function handleSystemCommand(command, chatId, bot, baseOptions, access = {}) {
   const cmd = safeLowerCase(command);
   
+  if (cmd === '/whoami') {
+    return await accessControl.handleWhoamiCommand(access.from, chatId, bot, access.user);
+  }
+  
+  if (cmd === '/users' || cmd.startsWith('/users ')) {
+    const actor = access.user ? `${access.user.displayName || access.user.userId}` : 'unknown';
+    return await accessControl.handleUsersCommand(command, chatId, bot, actor);
+  }
+  
+  if (cmd === '/positions' || cmd.startsWith('/positions ')) {
+    return await lpPositions.handlePositionsCommand(command, chatId, bot, access.user);
+  }
+  
+  if (cmd === '/alerts' || cmd.startsWith('/alerts ')) {
+    return await alertManager.handleAlertCommand(command, chatId, bot);
+  }
+  
+  if (cmd === '/apply' || cmd.startsWith('/apply ')) {
+    return await loanApplicationWizard.handleApplyCommand(command, chatId, bot);
+  }
+  
+  if (cmd === '/ic' || cmd.startsWith('/ic ')) {
+    return await icApproval.handleIcCommand(command, chatId, bot, access.user);
+  }
+  
+  if (cmd === '/memory' || cmd.startsWith('/memory ')) {
+    return await memoryCommands.handleMemoryCommand(command, chatId, bot, access.user);
+  }
+  
+  if (cmd === '/analyze_deal' || cmd.startsWith('/analyze_deal ')) {
+    return await cambodiaDeals.handleAnalyzeDealCommand(command, chatId, bot, access.from);
+  }
+  
   switch (cmd) {
     case '/start':
       const welcomeMsg = `Welcome to the GPT-5 Smart System! 🚀\n\n` +
@@ -2462,8 +2666,16 @@ async function handleMultimodalContent(message, bot, userMessage, startTime) {
 
 async function handleCallbackQuery(callbackQuery, bot) {
   try {
-    await bot.answerCallbackQuery(callbackQuery.id);
-    console.log('[Callback] ✅ Query handled');
+    const access = await accessControl.authorizeCallback(callbackQuery, bot);
+    if (!access.allowed) {
+      console.log(`[Callback] 🚫 ${callbackQuery.data}: ${access.reason}`);
+      return;
+    }
+    
+    const result = await callbackRouter.routeCallbackQuery(callbackQuery, bot);
+    if (!result.success) {
+      console.log(`[Callback] ⚠️ ${callbackQuery.data}: ${result.error}`);
+    }
   } catch (error) {
     console.error('[Callback] ❌ Error:', error.message);
   }
@@ -2945,11 +3157,15 @@ async function routeCambodiaCommand(command, parameters, chatId, bot) {
       case 'deal_analysis':
       case 'analyze_deal':
       case 'deal_evaluation':
-      case 'process_deals':
-        return await executeCambodiaLazyHandler(cambodiaHandler, 'processDeals', parameters, chatId, bot, {
-          title: '💼 Deal Analysis',
-          context: 'Comprehensive deal evaluation, processing and deal flow management'
-        });
+      case 'process_deals': {
+        // Same path as /analyze_deal so the next-step buttons follow the analysis
+        const p = parameters || {};
+        const dealArgs = [p.propertyType, p.location, p.loanAmount, p.interestRate, p.ltv];
+        const text = dealArgs.every(arg => arg !== undefined && arg !== null && arg !== '')
+          ? `/analyze_deal ${dealArgs.map(arg => String(arg).replace(/\s+/g, '_')).join(' ')}`
+          : '/analyze_deal';
+        return await cambodiaDeals.handleAnalyzeDealCommand(text, chatId, bot);
+      }
         
       // ════════════════════════════════════════════════════════════════════
       // CAMBODIA LENDING (Special Utils Module)
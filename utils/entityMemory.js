@@ -0,0 +1,856 @@
+// utils/entityMemory.js - Typed entity memory for the fund's conversations
+// Borrowers, LPs, properties, loans, amounts, locations and dates are extracted from each saved turn,
+// linked by the sentences they share and merged across chats, so a name builds up one consolidated profile
+
+const { queryWithRetry, withTransaction, getDealsDB, getLPsDB } = require('./database');
+const { canAccessFund, hasAllFundAccess } = require('./accessControl');
+
+// 🏷️ ENTITY CONFIGURATION
+const ENTITY_CONFIG = {
+    TYPES: ['borrower', 'lp', 'property', 'loan', 'amount', 'location', 'date'],
+    FUZZY_TYPES: ['borrower', 'lp', 'property'],    // Types whose names vary between mentions
+    NAME_SIMILARITY: 0.88,                          // Dice similarity for misspelt names
+    MAX_SNIPPET_LENGTH: 300,
+    MAX_ENTITIES_PER_TEXT: 25,
+    MATCH_CANDIDATES: 50,
+    PROFILE_RELATIONS: 30,
+    PROFILE_MENTIONS: 5,
+    MAX_LINKED_RECORDS: 5,
+    EXPORT_MENTIONS: 10000
+};
+
+// Relationship for two entities in one sentence, keyed "fromType>toType"
+const RELATION_RULES = {
+    'borrower>property': 'owns',
+    'borrower>loan': 'borrows',
+    'borrower>location': 'based_in',
+    'borrower>amount': 'amount',
+    'borrower>date': 'dated',
+    'property>location': 'located_in',
+    'loan>property': 'secured_by',
+    'loan>amount': 'amount',
+    'loan>date': 'dated',
+    'lp>loan': 'funds',
+    'lp>amount': 'commitment',
+    'lp>date': 'dated'
+};
+
+const RELATION_LABELS = {
+    owns: ['owns', 'owned by'],
+    borrows: ['borrower on', 'borrowed by'],
+    based_in: ['based in', 'home of'],
+    located_in: ['located in', 'location of'],
+    secured_by: ['secured by', 'collateral for'],
+    amount: ['amount', 'amount of'],
+    dated: ['date', 'date of'],
+    funds: ['funds', 'funded by'],
+    commitment: ['committed', 'committed by']
+};
+
+const TYPE_LABELS = {
+    borrower: '👤 Borrower',
+    lp: '💼 LP',
+    property: '🏠 Property',
+    loan: '📄 Loan',
+    amount: '💵 Amount',
+    location: '📍 Location',
+    date: '📅 Date'
+};
+
+// 📍 Cambodian places: canonical name → spellings seen in messages
+const LOCATIONS = {
+    'Phnom Penh': ['phnom penh'],
+    'Siem Reap': ['siem reap', 'siemreap'],
+    'Sihanoukville': ['sihanoukville', 'preah sihanouk', 'kampong som'],
+    'Battambang': ['battambang'],
+    'Kampot': ['kampot'],
+    'Kep': ['kep'],
+    'Kampong Cham': ['kampong cham', 'kompong cham'],
+    'Kampong Speu': ['kampong speu'],
+    'Kandal': ['kandal'],
+    'Takeo': ['takeo'],
+    'Koh Kong': ['koh kong'],
+    'Poipet': ['poipet'],
+    'BKK1': ['bkk1', 'bkk 1', 'boeung keng kang 1'],
+    'BKK2': ['bkk2', 'bkk 2', 'boeung keng kang 2'],
+    'BKK3': ['bkk3', 'bkk 3', 'boeung keng kang 3'],
+    'Chamkar Mon': ['chamkar mon', 'chamkarmon'],
+    'Daun Penh': ['daun penh', 'doun penh'],
+    'Toul Kork': ['toul kork', 'tuol kork', 'tuol kouk'],
+    'Sen Sok': ['sen sok', 'sensok'],
+    'Mean Chey': ['mean chey'],
+    'Russey Keo': ['russey keo', 'russei keo'],
+    'Chroy Changvar': ['chroy changvar', 'chrouy changvar'],
+    'Tonle Bassac': ['tonle bassac']
+};
+
+const MONTHS = ['january', 'february', 'march', 'april', 'may', 'june', 'july', 'august', 'september',
+                'october', 'november', 'december'];
+
+// Words dropped before names are compared: legal forms, honorifics and Khmer titles
+const NAME_NOISE = new Set(['the', 'co', 'ltd', 'llc', 'plc', 'inc', 'corp', 'corporation', 'company', 'limited',
+                            'mr', 'mrs', 'ms', 'dr', 'lok', 'neak', 'oknha']);
+const NOT_NAMES = new Set(['i', 'we', 'you', 'he', 'she', 'they', 'it', 'this', 'that', 'our', 'their', 'his', 'her',
+                           'lp', 'lps', 'borrower', 'investor', 'fund', 'loan', 'deal']);
+
+// 🧩 PATTERNS
+
+const NAME = "[A-Z][\\w&'’.-]*(?:\\s+(?:&\\s+)?[A-Z][\\w&'’.-]*){0,5}(?:,?\\s+(?:Co|Ltd|Plc|PLC|LLC|Inc)\\b\\.?)*";
+const AMOUNT = '(?:(?:US\\$|USD\\s?|\\$)\\s?\\d[\\d,]*(?:\\.\\d+)?(?:\\s?(?:[kKmM]|mn|million|thousand|bn|billion)\\b)?' +
+               '|\\d[\\d,]*(?:\\.\\d+)?\\s?(?:[kKmM]|million|thousand)?\\s?(?:USD|US dollars|dollars|KHR|riels?)\\b)';
+
+const BORROWER_PATTERNS = [
+    new RegExp(`\\b[Bb]orrower(?:\\s+(?:is|was|named|called))?[:,]?\\s+(${NAME})`, 'g'),
+    new RegExp(`\\b(?:[Ll]oan|[Ll]ending|[Ll]end|[Ll]ent|[Aa]dvance|[Ff]acility|[Ff]inancing)(?:\\s+of\\s+${AMOUNT})?\\s+to\\s+(${NAME})`, 'g'),
+    new RegExp(`\\b(?:[Ll]oan|[Dd]eal|[Ff]acility|DEAL-\\d+-[A-Z0-9]+)\\s+(?:for|with)\\s+(${NAME})`, 'g'),
+    new RegExp(`(${NAME})\\s+(?:is|was)\\s+(?:the|our|a|an)\\s+(?:new\\s+)?borrower`, 'g'),
+    new RegExp(`(${NAME})\\s+(?:wants|needs|requested|requests|is requesting|applied for|is applying for|is asking for|borrowed)` +
+               `\\s+(?:a\\s+|an\\s+)?(?:${AMOUNT}\\s+)?(?:[a-z-]+\\s+)?(?:loan|facility|financing)`, 'g')
+];
+
+const LP_PATTERNS = [
+    new RegExp(`\\b(?:LP|[Ll]imited [Pp]artner|[Ii]nvestor)(?:\\s+(?:is|named|called))?[:,]?\\s+(${NAME})`, 'g'),
+    new RegExp(`(${NAME})\\s+(?:has\\s+)?(?:committed|pledged|subscribed|invested)\\b`, 'g')
+];
+
+const PROPERTY_PATTERN = new RegExp('\\b(?:a|an|the|their|his|her|its)\\s+((?:\\d+[- ](?:room|key|unit|storey|story|floor|bedroom|hectare|sqm)\\s+)?' +
+    '(?:[a-z][a-z-]*\\s+){0,2}(?:hotel|villa|condominium|condo|apartments?|shophouse|borey|warehouse|factory|land plot|plot|land|' +
+    'office building|building|office|guest ?house|resort|restaurant|mall|townhouse|house|residence))\\b', 'gi');
+
+const AMOUNT_PATTERN = new RegExp(AMOUNT, 'gi');
+const LOAN_PHRASE_PATTERN = new RegExp(`(${AMOUNT})\\s+(?:(?:bridge|construction|term|development|working capital|acquisition|refinancing)\\s+)?(?:loan|facility)`, 'gi');
+const DEAL_ID_PATTERN = /\bDEAL-\d{6,}-[A-Z0-9]{4,}\b/g;
+const LP_ID_PATTERN = /\bLP-\d{6,}-[A-Z0-9]{4,}\b/g;
+
+const LOCATION_SPELLINGS = Object.entries(LOCATIONS)
+    .flatMap(([canonical, spellings]) => spellings.map(spelling => ({ canonical, spelling })))
+    .sort((a, b) => b.spelling.length - a.spelling.length);
+const LOCATION_PATTERN = new RegExp(`\\b(${LOCATION_SPELLINGS.map(entry => entry.spelling.replace(/\s+/g, '\\s+')).join('|')})\\b`, 'gi');
+
+const MONTH = `(${MONTHS.join('|')}|${MONTHS.map(month => month.substring(0, 3)).join('|')})\\.?`;
+const DATE_PATTERNS = [
+    { pattern: /\b(\d{4})-(\d{2})-(\d{2})\b/g, parse: m => [m[1], m[2], m[3]] },
+    { pattern: new RegExp(`\\b(\\d{1,2})(?:st|nd|rd|th)?\\s+${MONTH}\\s+(\\d{4})\\b`, 'gi'), parse: m => [m[3], monthNumber(m[2]), m[1]] },
+    { pattern: new RegExp(`\\b${MONTH}\\s+(\\d{1,2})(?:st|nd|rd|th)?,?\\s+(\\d{4})\\b`, 'gi'), parse: m => [m[3], monthNumber(m[1]), m[2]] },
+    { pattern: new RegExp(`\\b${MONTH}\\s+(\\d{4})\\b`, 'gi'), parse: m => [m[2], monthNumber(m[1])] },
+    { pattern: /\b(Q[1-4])\s+(\d{4})\b/gi, parse: m => [m[2], m[1].toUpperCase()] }
+];
+
+// 🛠️ HELPERS
+
+function monthNumber(name) {
+    const index = MONTHS.findIndex(month => month.startsWith(name.toLowerCase().substring(0, 3)));
+    return String(index + 1).padStart(2, '0');
+}
+
+/**
+ * 🛠️ Comparison key for a name: lower case, punctuation, legal forms and honorifics removed
+ */
+function normalizeKey(name) {
+    const words = String(name || '').toLowerCase()
+        .normalize('NFKD').replace(/[\u0300-\u036f]/g, '')
+        .replace(/[^a-z0-9]+/g, ' ')
+        .trim()
+        .split(/\s+/)
+        .filter(Boolean);
+    const meaningful = words.filter(word => !NAME_NOISE.has(word));
+    return (meaningful.length > 0 ? meaningful : words).join(' ');
+}
+
+function bigrams(text) {
+    const compact = text.replace(/\s+/g, '');
+    const pairs = [];
+    for (let i = 0; i < compact.length - 1; i++) pairs.push(compact.substring(i, i + 2));
+    return pairs;
+}
+
+/**
+ * 🛠️ Whether two normalized names refer to the same entity: equal, one a multi-word subset of
+ * the other ("angkor inn" / "angkor inn hotel"), or near-identical spelling
+ */
+function namesMatch(a, b) {
+    if (!a || !b) return false;
+    if (a === b) return true;
+
+    const [shorter, longer] = a.length <= b.length ? [a.split(' '), b.split(' ')] : [b.split(' '), a.split(' ')];
+    if (shorter.length >= 2 && shorter.every(word => longer.includes(word))) return true;
+
+    const left = bigrams(a);
+    const right = bigrams(b);
+    if (left.length === 0 || right.length === 0) return false;
+    const remaining = [...right];
+    let shared = 0;
+    left.forEach(pair => {
+        const index = remaining.indexOf(pair);
+        if (index >= 0) {
+            shared++;
+            remaining.splice(index, 1);
+        }
+    });
+    return (2 * shared) / (left.length + right.length) >= ENTITY_CONFIG.NAME_SIMILARITY;
+}
+
+function cleanName(raw) {
+    let name = String(raw || '')
+        .replace(/^(?:the|our|their|LP|investor|borrower)\s+/i, '')
+        .replace(/[\s.,;:'’-]+$/, '')
+        .trim();
+    // "Borrower Angkor Inn Siem Reap": the capitalized run picks up the place after the name
+    const trailing = LOCATION_SPELLINGS.find(entry => name.toLowerCase().endsWith(` ${entry.spelling}`));
+    if (trailing) name = name.substring(0, name.length - trailing.spelling.length).trim();
+
+    const key = normalizeKey(name);
+    if (!key || NOT_NAMES.has(key) || key.split(' ').every(word => NAME_NOISE.has(word)) ||
+        isLocation(name) || MONTHS.includes(key)) return null;
+    return { name, key };
+}
+
+function isLocation(text) {
+    const lower = String(text || '').toLowerCase().replace(/\s+/g, ' ').trim();
+    return LOCATION_SPELLINGS.some(entry => entry.spelling === lower);
+}
+
+function parseAmount(text) {
+    const lower = text.toLowerCase();
+    const number = parseFloat(lower.replace(/[^\d.]/g, ''));
+    if (!isFinite(number) || number <= 0) return null;
+
+    const multiplier = /\b(?:bn|billion)\b/.test(lower) ? 1e9
+        : /(?:\d|\s)(?:m|mn|million)\b/.test(lower) ? 1e6
+        : /(?:\d|\s)(?:k|thousand)\b/.test(lower) ? 1e3 : 1;
+    const currency = /khr|riel/.test(lower) ? 'KHR' : 'USD';
+    const value = Math.round(number * multiplier * 100) / 100;
+
+    return {
+        name: currency === 'USD' ? `$${value.toLocaleString()}` : `KHR ${value.toLocaleString()}`,
+        key: `${currency.toLowerCase()}:${value}`,
+        attributes: { value, currency }
+    };
+}
+
+function splitSentences(text) {
+    return String(text || '')
+        .split(/(?<!\b(?:Co|Ltd|Mr|Mrs|Ms|Dr|St|No)\.)(?<=[.!?])\s+|\n+/)
+        .map(sentence => sentence.trim())
+        .filter(sentence => sentence.length > 0);
+}
+
+function matchAll(pattern, text) {
+    pattern.lastIndex = 0;
+    return [...text.matchAll(pattern)];
+}
+
+// 🔍 EXTRACTION
+
+function extractFromSentence(sentence) {
+    const found = [];
+    const add = (type, name, key, attributes = {}) => {
+        if (!found.some(entity => entity.type === type && entity.key === key)) {
+            found.push({ type, name, key, attributes });
+        }
+    };
+
+    const locations = [];
+    matchAll(LOCATION_PATTERN, sentence).forEach(match => {
+        const spelling = match[1].toLowerCase().replace(/\s+/g, ' ');
+        const canonical = LOCATION_SPELLINGS.find(entry => entry.spelling === spelling).canonical;
+        locations.push(canonical);
+        add('location', canonical, normalizeKey(canonical));
+    });
+
+    const amounts = [];
+    matchAll(AMOUNT_PATTERN, sentence).forEach(match => {
+        const amount = parseAmount(match[0]);
+        if (amount) {
+            amounts.push({ ...amount, index: match.index });
+            add('amount', amount.name, amount.key, amount.attributes);
+        }
+    });
+
+    DATE_PATTERNS.forEach(({ pattern, parse }) => {
+        matchAll(pattern, sentence).forEach(match => {
+            const iso = parse(match).join('-');
+            if (!found.some(entity => entity.type === 'date' && entity.key.startsWith(iso.substring(0, 7)) && entity.key.length > iso.length)) {
+                add('date', iso, iso, { iso });
+            }
+        });
+    });
+
+    const borrowers = [];
+    BORROWER_PATTERNS.forEach(pattern => {
+        matchAll(pattern, sentence).forEach(match => {
+            const cleaned = cleanName(match[1]);
+            if (cleaned && !borrowers.some(borrower => borrower.key === cleaned.key)) {
+                borrowers.push(cleaned);
+                add('borrower', cleaned.name, cleaned.key);
+            }
+        });
+    });
+
+    LP_PATTERNS.forEach(pattern => {
+        matchAll(pattern, sentence).forEach(match => {
+            const cleaned = cleanName(match[1]);
+            if (cleaned && !borrowers.some(borrower => borrower.key === cleaned.key)) {
+                add('lp', cleaned.name, cleaned.key);
+            }
+        });
+    });
+    matchAll(LP_ID_PATTERN, sentence).forEach(match => add('lp', match[0], match[0].toLowerCase(), { lpId: match[0] }));
+
+    matchAll(DEAL_ID_PATTERN, sentence).forEach(match => add('loan', match[0], match[0].toLowerCase(), { dealId: match[0] }));
+
+    // A loan without a deal id is named after its borrower and amount
+    if (borrowers.length === 1) {
+        matchAll(LOAN_PHRASE_PATTERN, sentence).forEach(match => {
+            const amount = parseAmount(match[1]);
+            if (amount) {
+                add('loan', `${borrowers[0].name} ${amount.name} loan`, `${borrowers[0].key}|${amount.key}`, { amount: amount.attributes });
+            }
+        });
+    }
+
+    // A property is only kept when it can be told apart: by where it is or whose it is
+    matchAll(PROPERTY_PATTERN, sentence).forEach(match => {
+        const phrase = match[1].toLowerCase().replace(/\s+/g, ' ');
+        if (locations.length === 1) {
+            add('property', `${phrase} in ${locations[0]}`, `${normalizeKey(phrase)}|${normalizeKey(locations[0])}`);
+        } else if (borrowers.length === 1) {
+            add('property', `${borrowers[0].name} ${phrase}`, `${normalizeKey(phrase)}|${borrowers[0].key}`);
+        }
+    });
+
+    return found.slice(0, ENTITY_CONFIG.MAX_ENTITIES_PER_TEXT);
+}
+
+function relationsFor(entities) {
+    const relations = [];
+    const loans = entities.filter(entity => entity.type === 'loan');
+
+    entities.forEach(from => {
+        // Two borrowers in one sentence leave it unclear whose property or loan it is
+        if (entities.filter(entity => entity.type === from.type).length > 1) return;
+
+        entities.forEach(to => {
+            const relation = RELATION_RULES[`${from.type}>${to.type}`];
+            if (!relation || from === to) return;
+            // Amounts and dates belong to the loan when one is named
+            if (from.type === 'borrower' && ['amount', 'date'].includes(to.type) && loans.length > 0) return;
+            relations.push({ from, relation, to });
+        });
+    });
+    return relations;
+}
+
+/**
+ * 🔍 Entities and relationships in a piece of text
+ * Returns { entities: [{ type, name, key, attributes, snippets }], relations: [{ from, relation, to }] }
+ * where from/to are { type, key }
+ */
+function extractEntities(text) {
+    const entities = new Map();
+    const relations = new Map();
+
+    splitSentences(text).forEach(sentence => {
+        const found = extractFromSentence(sentence);
+        const snippet = sentence.substring(0, ENTITY_CONFIG.MAX_SNIPPET_LENGTH);
+
+        found.forEach(entity => {
+            const id = `${entity.type}|${entity.key}`;
+            const existing = entities.get(id);
+            if (existing) {
+                existing.snippets.push(snippet);
+                Object.assign(existing.attributes, entity.attributes);
+            } else {
+                entities.set(id, { ...entity, snippets: [snippet] });
+            }
+        });
+
+        relationsFor(found).forEach(({ from, relation, to }) => {
+            relations.set(`${from.type}|${from.key}>${relation}>${to.type}|${to.key}`, {
+                from: { type: from.type, key: from.key },
+                relation,
+                to: { type: to.type, key: to.key }
+            });
+        });
+    });
+
+    return {
+        entities: [...entities.values()].slice(0, ENTITY_CONFIG.MAX_ENTITIES_PER_TEXT),
+        relations: [...relations.values()]
+    };
+}
+
+// 💾 STORAGE
+
+function mapEntity(row) {
+    return {
+        entityId: row.entity_id,
+        type: row.entity_type,
+        name: row.name,
+        key: row.normalized_key,
+        aliases: row.aliases || [],
+        attributes: row.attributes || {},
+        mentionCount: parseInt(row.mention_count) || 0,
+        firstSeen: row.first_seen,
+        lastSeen: row.last_seen
+    };
+}
+
+async function findEntityCandidates(type, key) {
+    const firstWord = key.split(/[\s|]/)[0];
+    const result = await queryWithRetry(`
+        SELECT * FROM memory_entities
+        WHERE ($1::varchar IS NULL OR entity_type = $1)
+          AND (normalized_key = $2 OR normalized_key LIKE $3 OR aliases::text ILIKE $3)
+        ORDER BY mention_count DESC, last_seen DESC
+        LIMIT $4
+    `, [type, key, `%${firstWord}%`, ENTITY_CONFIG.MATCH_CANDIDATES], 3, 'FIND_ENTITY_CANDIDATES');
+    return result.rows.map(mapEntity);
+}
+
+function entityMatches(entity, key) {
+    if (entity.key === key) return true;
+    if (!ENTITY_CONFIG.FUZZY_TYPES.includes(entity.type)) return false;
+
+    const [name, scope] = key.split('|');
+    const [entityName, entityScope] = entity.key.split('|');
+    if ((scope || null) !== (entityScope || null)) return false;
+    return namesMatch(entityName, name) || entity.aliases.some(alias => namesMatch(normalizeKey(alias), name));
+}
+
+/**
+ * 💾 Add a mention of an entity, merging it into an existing one with a matching name
+ * Returns the entity id
+ */
+async function upsertEntity(entity) {
+    const candidates = ENTITY_CONFIG.FUZZY_TYPES.includes(entity.type) ? await findEntityCandidates(entity.type, entity.key) : [];
+    const match = candidates.find(candidate => entityMatches(candidate, entity.key));
+
+    if (match) {
+        const isAlias = match.name.toLowerCase() !== entity.name.toLowerCase() &&
+                        !match.aliases.some(alias => alias.toLowerCase() === entity.name.toLowerCase());
+        await queryWithRetry(`
+            UPDATE memory_entities
+            SET mention_count = mention_count + 1,
+                last_seen = CURRENT_TIMESTAMP,
+                attributes = attributes || $2::jsonb,
+                aliases = CASE WHEN $3::boolean THEN aliases || $4::jsonb ELSE aliases END
+            WHERE entity_id = $1
+        `, [match.entityId, JSON.stringify(entity.attributes || {}), isAlias, JSON.stringify([entity.name])], 3, 'UPDATE_ENTITY');
+        return match.entityId;
+    }
+
+    const result = await queryWithRetry(`
+        INSERT INTO memory_entities (entity_type, name, normalized_key, attributes, mention_count)
+        VALUES ($1, $2, $3, $4, 1)
+        ON CONFLICT (entity_type, normalized_key) DO UPDATE
+        SET mention_count = memory_entities.mention_count + 1,
+            last_seen = CURRENT_TIMESTAMP,
+            attributes = memory_entities.attributes || EXCLUDED.attributes
+        RETURNING entity_id
+    `, [entity.type, entity.name.substring(0, 200), entity.key.substring(0, 200), JSON.stringify(entity.attributes || {})], 3, 'UPSERT_ENTITY');
+    return result.rows[0].entity_id;
+}
+
+async function addMention(entityId, chatId, source, snippet) {
+    await queryWithRetry(`
+        INSERT INTO memory_entity_mentions (entity_id, chat_id, source, snippet)
+        SELECT $1::integer, $2::varchar, $3::varchar, $4::text
+        WHERE NOT EXISTS (
+            SELECT 1 FROM memory_entity_mentions WHERE entity_id = $1 AND chat_id = $2 AND snippet = $4
+        )
+    `, [entityId, String(chatId), source, snippet], 3, 'ADD_ENTITY_MENTION');
+}
+
+async function addRelation(fromId, relation, toId) {
+    await queryWithRetry(`
+        INSERT INTO memory_entity_relations (from_entity_id, relation, to_entity_id)
+        VALUES ($1, $2, $3)
+        ON CONFLICT (from_entity_id, relation, to_entity_id) DO UPDATE
+        SET mention_count = memory_entity_relations.mention_count + 1,
+            last_seen = CURRENT_TIMESTAMP
+    `, [fromId, relation, toId], 3, 'ADD_ENTITY_RELATION');
+}
+
+/**
+ * 💾 Extract and store the entities in a message
+ * options: { source } - 'user' or 'assistant', kept with each mention
+ * Returns { entities, relations } counts
+ */
+async function recordEntities(chatId, text, options = {}) {
+    const source = options.source || 'user';
+
+    try {
+        const extracted = extractEntities(text);
+        if (extracted.entities.length === 0) return { entities: 0, relations: 0 };
+
+        const ids = new Map();
+        for (const entity of extracted.entities) {
+            const entityId = await upsertEntity(entity);
+            ids.set(`${entity.type}|${entity.key}`, entityId);
+            for (const snippet of [...new Set(entity.snippets)]) {
+                await addMention(entityId, chatId, source, snippet);
+            }
+        }
+
+        let relations = 0;
+        for (const { from, relation, to } of extracted.relations) {
+            const fromId = ids.get(`${from.type}|${from.key}`);
+            const toId = ids.get(`${to.type}|${to.key}`);
+            if (fromId && toId && fromId !== toId) {
+                await addRelation(fromId, relation, toId);
+                relations++;
+            }
+        }
+
+        return { entities: extracted.entities.length, relations };
+
+    } catch (error) {
+        console.error('❌ Entity memory error:', error.message);
+        throw new Error(`Entity recording failed: ${error.message}`);
+    }
+}
+
+/**
+ * 💾 Record the entities from a saved conversation turn, the user's message and the reply
+ */
+async function recordConversationEntities(chatId, userMessage, assistantResponse) {
+    const fromUser = await recordEntities(chatId, userMessage, { source: 'user' });
+    const fromAssistant = await recordEntities(chatId, assistantResponse, { source: 'assistant' });
+    return {
+        entities: fromUser.entities + fromAssistant.entities,
+        relations: fromUser.relations + fromAssistant.relations
+    };
+}
+
+/**
+ * 🔗 Fold one entity into another: mentions, relationships, aliases and counts move to keepId
+ */
+async function mergeEntities(keepId, dropId) {
+    if (keepId === dropId) return;
+
+    await withTransaction(async (client) => {
+        const rows = (await client.query('SELECT * FROM memory_entities WHERE entity_id = ANY($1)', [[keepId, dropId]])).rows.map(mapEntity);
+        const keep = rows.find(row => row.entityId === keepId);
+        const drop = rows.find(row => row.entityId === dropId);
+        if (!keep || !drop) throw new Error(`Entity ${!keep ? keepId : dropId} not found`);
+
+        await client.query('UPDATE memory_entity_mentions SET entity_id = $1 WHERE entity_id = $2', [keepId, dropId]);
+        await client.query(`
+            INSERT INTO memory_entity_relations (from_entity_id, relation, to_entity_id, mention_count, first_seen, last_seen)
+            SELECT CASE WHEN from_entity_id = $2 THEN $1 ELSE from_entity_id END, relation,
+                   CASE WHEN to_entity_id = $2 THEN $1 ELSE to_entity_id END, mention_count, first_seen, last_seen
+            FROM memory_entity_relations
+            WHERE (from_entity_id = $2 OR to_entity_id = $2)
+              AND NOT (from_entity_id IN ($1, $2) AND to_entity_id IN ($1, $2))
+            ON CONFLICT (from_entity_id, relation, to_entity_id) DO UPDATE
+            SET mention_count = memory_entity_relations.mention_count + EXCLUDED.mention_count,
+                first_seen = LEAST(memory_entity_relations.first_seen, EXCLUDED.first_seen),
+                last_seen = GREATEST(memory_entity_relations.last_seen, EXCLUDED.last_seen)
+        `, [keepId, dropId]);
+
+        const aliases = [...new Set([...keep.aliases, drop.name, ...drop.aliases])]
+            .filter(alias => alias.toLowerCase() !== keep.name.toLowerCase());
+        await client.query(`
+            UPDATE memory_entities
+            SET mention_count = mention_count + $2,
+                aliases = $3::jsonb,
+                attributes = $4::jsonb || attributes,
+                first_seen = LEAST(first_seen, $5),
+                last_seen = GREATEST(last_seen, $6)
+            WHERE entity_id = $1
+        `, [keepId, drop.mentionCount, JSON.stringify(aliases), JSON.stringify(drop.attributes), drop.firstSeen, drop.lastSeen]);
+        await client.query('DELETE FROM memory_entities WHERE entity_id = $1', [dropId]);
+    }, 'MERGE_ENTITIES');
+
+    console.log(`🔗 Merged entity ${dropId} into ${keepId}`);
+}
+
+// 🗂️ PROFILES
+
+/**
+ * 🗂️ Stored entities whose name or alias matches, most mentioned first
+ */
+async function findEntities(name, type = null) {
+    const key = normalizeKey(name);
+    if (!key) return [];
+
+    try {
+        const candidates = await findEntityCandidates(type, key);
+        return candidates.filter(entity => {
+            const entityName = entity.key.split('|')[0];
+            return entity.key === key || entity.key === String(name).toLowerCase() ||
+                   (ENTITY_CONFIG.FUZZY_TYPES.includes(entity.type) &&
+                    (namesMatch(entityName, key) || entity.aliases.some(alias => namesMatch(normalizeKey(alias), key))));
+        });
+    } catch (error) {
+        console.error('❌ Entity lookup error:', error.message);
+        throw new Error(`Entity lookup failed: ${error.message}`);
+    }
+}
+
+async function getEntityById(entityId) {
+    const result = await queryWithRetry('SELECT * FROM memory_entities WHERE entity_id = $1', [entityId], 3, 'GET_ENTITY');
+    return result.rows.length > 0 ? mapEntity(result.rows[0]) : null;
+}
+
+async function getEntityRelations(entityId) {
+    const result = await queryWithRetry(`
+        SELECT r.relation, r.mention_count, r.from_entity_id, e.entity_id, e.entity_type, e.name, e.attributes
+        FROM memory_entity_relations r
+        JOIN memory_entities e
+          ON e.entity_id = CASE WHEN r.from_entity_id = $1 THEN r.to_entity_id ELSE r.from_entity_id END
+        WHERE r.from_entity_id = $1 OR r.to_entity_id = $1
+        ORDER BY r.mention_count DESC, r.last_seen DESC
+        LIMIT $2
+    `, [entityId, ENTITY_CONFIG.PROFILE_RELATIONS], 3, 'GET_ENTITY_RELATIONS');
+
+    return result.rows.map(row => ({
+        relation: row.relation,
+        outgoing: row.from_entity_id === entityId,
+        mentionCount: parseInt(row.mention_count) || 1,
+        entity: { entityId: row.entity_id, type: row.entity_type, name: row.name, attributes: row.attributes || {} }
+    }));
+}
+
+async function getEntityMentions(entityId, limit = ENTITY_CONFIG.PROFILE_MENTIONS) {
+    const result = await queryWithRetry(`
+        SELECT chat_id, source, snippet, mentioned_at FROM memory_entity_mentions
+        WHERE entity_id = $1
+        ORDER BY mentioned_at DESC
+        LIMIT $2
+    `, [entityId, limit], 3, 'GET_ENTITY_MENTIONS');
+    return result.rows.map(row => ({ chatId: row.chat_id, source: row.source, snippet: row.snippet, mentionedAt: row.mentioned_at }));
+}
+
+/**
+ * 📤 Entity mentions recorded from one chat, oldest first
+ */
+async function getChatEntityMentions(chatId, limit = ENTITY_CONFIG.EXPORT_MENTIONS) {
+    const result = await queryWithRetry(`
+        SELECT m.entity_id, e.entity_type, e.name, m.source, m.snippet, m.mentioned_at
+        FROM memory_entity_mentions m
+        JOIN memory_entities e ON e.entity_id = m.entity_id
+        WHERE m.chat_id = $1
+        ORDER BY m.mentioned_at ASC
+        LIMIT $2
+    `, [String(chatId), limit], 3, 'GET_CHAT_ENTITY_MENTIONS');
+    return result.rows.map(row => ({
+        entityId: row.entity_id,
+        type: row.entity_type,
+        name: row.name,
+        source: row.source,
+        snippet: row.snippet,
+        mentionedAt: row.mentioned_at
+    }));
+}
+
+/**
+ * 🗑️ Delete a chat's entity mentions; entities no other chat has mentioned go with them
+ */
+async function forgetChatEntities(chatId) {
+    return await withTransaction(async (client) => {
+        const deleted = await client.query(`
+            DELETE FROM memory_entity_mentions WHERE chat_id = $1 RETURNING entity_id
+        `, [String(chatId)]);
+        const entityIds = [...new Set(deleted.rows.map(row => row.entity_id))];
+        if (entityIds.length === 0) return { mentions: 0, entities: 0 };
+
+        const orphaned = await client.query(`
+            DELETE FROM memory_entities e
+            WHERE e.entity_id = ANY($1)
+              AND NOT EXISTS (SELECT 1 FROM memory_entity_mentions m WHERE m.entity_id = e.entity_id)
+        `, [entityIds]);
+        await client.query(`
+            UPDATE memory_entities e
+            SET mention_count = GREATEST(1, e.mention_count - d.removed)
+            FROM (SELECT unnest($1::integer[]) AS entity_id, unnest($2::integer[]) AS removed) d
+            WHERE e.entity_id = d.entity_id
+        `, [entityIds, entityIds.map(id => deleted.rows.filter(row => row.entity_id === id).length)]);
+
+        return { mentions: deleted.rowCount, entities: orphaned.rowCount };
+    }, 'FORGET_CHAT_ENTITIES');
+}
+
+/**
+ * 🔗 Portfolio deals and LP records for an entity and the entities related to it
+ */
+async function linkRecords(entity, relations, user) {
+    // Deals and LPs outside the user's fund grants are left out
+    const allFunds = hasAllFundAccess(user);
+    const nameKeys = [entity.key.split('|')[0], ...entity.aliases.map(normalizeKey)];
+    const related = type => relations.filter(relation => relation.entity.type === type).map(relation => relation.entity);
+    const records = { deals: [], lps: [] };
+
+    if (['borrower', 'loan', 'property'].includes(entity.type)) {
+        const borrowerKeys = entity.type === 'borrower' ? nameKeys : related('borrower').map(borrower => normalizeKey(borrower.name));
+        const dealIds = [entity, ...related('loan')].map(loan => loan.attributes.dealId).filter(Boolean);
+
+        const deals = await getDealsDB();
+        records.deals = deals
+            .filter(deal => allFunds || canAccessFund(user, deal.fundId))
+            .filter(deal => dealIds.includes(deal.dealId) ||
+                            borrowerKeys.some(key => namesMatch(normalizeKey(deal.dealInfo?.borrowerName), key)))
+            .slice(0, ENTITY_CONFIG.MAX_LINKED_RECORDS)
+            .map(deal => ({
+                dealId: deal.dealId,
+                fundId: deal.fundId || null,
+                borrower: deal.dealInfo?.borrowerName,
+                location: deal.dealInfo?.location,
+                propertyType: deal.dealInfo?.propertyType,
+                status: deal.status,
+                loanAmount: deal.dealInfo?.loanAmount,
+                principalOutstanding: deal.financial?.principalOutstanding,
+                daysOverdue: deal.performance?.daysOverdue || 0
+            }));
+    }
+
+    const lpEntities = entity.type === 'lp' ? [entity] : related('lp');
+    if (lpEntities.length > 0) {
+        const lpIds = lpEntities.map(lp => lp.attributes.lpId).filter(Boolean);
+        const lpKeys = entity.type === 'lp' ? nameKeys : lpEntities.map(lp => normalizeKey(lp.name));
+
+        const lps = (await getLPsDB())
+            .filter(lp => lpIds.includes(lp.id) || lpKeys.some(key => namesMatch(normalizeKey(lp.name), key)));
+
+        let visibleLpIds = null;
+        if (!allFunds && lps.length > 0) {
+            const commitments = await queryWithRetry(`
+                SELECT DISTINCT lp_id, fund_id FROM lp_commitments WHERE lp_id = ANY($1)
+            `, [lps.map(lp => lp.id)], 3, 'ENTITY_LP_FUNDS');
+            visibleLpIds = commitments.rows.filter(row => canAccessFund(user, row.fund_id)).map(row => row.lp_id);
+        }
+
+        records.lps = lps
+            .filter(lp => !visibleLpIds || visibleLpIds.includes(lp.id))
+            .slice(0, ENTITY_CONFIG.MAX_LINKED_RECORDS)
+            .map(lp => ({
+                lpId: lp.id,
+                name: lp.name,
+                type: lp.type,
+                status: lp.status,
+                totalInvested: lp.totalInvested || 0,
+                activeInvestments: lp.activeInvestments || 0
+            }));
+    }
+
+    return records;
+}
+
+/**
+ * 🗂️ Everything remembered about a named entity, consolidated into one profile
+ * options: { type, user } - restrict to one entity type; linked deals and LPs are limited to the user's funds
+ * Matching entities of the chosen type are merged first, so duplicates from different chats
+ * collapse into the most mentioned one. Returns null when nothing matches.
+ */
+async function getEntityProfile(name, options = {}) {
+    try {
+        const matches = await findEntities(name, options.type || null);
+        if (matches.length === 0) return null;
+
+        const type = options.type || matches[0].type;
+        const sameType = matches.filter(match => match.type === type);
+        for (const duplicate of sameType.slice(1)) {
+            await mergeEntities(sameType[0].entityId, duplicate.entityId);
+        }
+
+        const entity = sameType.length > 1 ? await getEntityById(sameType[0].entityId) : sameType[0];
+        const relations = await getEntityRelations(entity.entityId);
+        const mentions = await getEntityMentions(entity.entityId);
+        // Memory is still worth showing when the portfolio tables cannot be read
+        const records = await linkRecords(entity, relations, options.user || null).catch(error => {
+            console.warn('⚠️ Entity records not linked:', error.message);
+            return { deals: [], lps: [] };
+        });
+
+        return {
+            entity,
+            relations,
+            mentions,
+            deals: records.deals,
+            lps: records.lps,
+            merged: sameType.length - 1,
+            otherMatches: matches.filter(match => match.type !== type).map(match => ({ type: match.type, name: match.name }))
+        };
+
+    } catch (error) {
+        console.error('❌ Entity profile error:', error.message);
+        throw new Error(`Entity profile failed: ${error.message}`);
+    }
+}
+
+function formatDate(value) {
+    return value ? new Date(value).toISOString().split('T')[0] : 'unknown';
+}
+
+/**
+ * 🗂️ A profile as a Telegram message
+ */
+function formatEntityProfile(profile) {
+    const { entity } = profile;
+    const lines = [`${TYPE_LABELS[entity.type] || entity.type}: ${entity.name}`];
+
+    if (entity.aliases.length > 0) lines.push(`Also known as: ${entity.aliases.join(', ')}`);
+    lines.push(`Mentioned ${entity.mentionCount} time(s), ${formatDate(entity.firstSeen)} to ${formatDate(entity.lastSeen)}`);
+
+    if (profile.relations.length > 0) {
+        lines.push('', '🔗 What we know:');
+        profile.relations.forEach(({ relation, outgoing, mentionCount, entity: other }) => {
+            const label = (RELATION_LABELS[relation] || [relation, relation])[outgoing ? 0 : 1];
+            lines.push(`• ${label} ${other.name}` + (mentionCount > 1 ? ` (${mentionCount}×)` : ''));
+        });
+    }
+
+    if (profile.deals.length > 0) {
+        lines.push('', '📊 Portfolio:');
+        profile.deals.forEach(deal => {
+            lines.push(`• ${deal.dealId} - ${deal.borrower || 'unknown borrower'}, ${deal.propertyType || 'property'} in ${deal.location || 'unknown'}`);
+            lines.push(`   ${deal.status}: $${Math.round(deal.loanAmount || 0).toLocaleString()} committed, ` +
+                       `$${Math.round(deal.principalOutstanding || 0).toLocaleString()} outstanding` +
+                       (deal.daysOverdue > 0 ? `, ${deal.daysOverdue} days overdue` : ''));
+        });
+    }
+
+    if (profile.lps.length > 0) {
+        lines.push('', '💼 LP records:');
+        profile.lps.forEach(lp => {
+            lines.push(`• ${lp.lpId} - ${lp.name} (${lp.status}), $${Math.round(lp.totalInvested).toLocaleString()} invested ` +
+                       `across ${lp.activeInvestments} active investment(s)`);
+        });
+    }
+
+    if (profile.mentions.length > 0) {
+        lines.push('', '💬 Recent mentions:');
+        profile.mentions.forEach(mention => lines.push(`• ${formatDate(mention.mentionedAt)}: "${mention.snippet}"`));
+    }
+
+    if (profile.otherMatches.length > 0) {
+        lines.push('', `Also remembered: ${profile.otherMatches.map(match => `${match.name} (${match.type})`).join(', ')}`);
+    }
+
+    return lines.join('\n');
+}
+
+module.exports = {
+    // Extraction
+    extractEntities,
+    normalizeKey,
+    namesMatch,
+
+    // Storage
+    recordEntities,
+    recordConversationEntities,
+    mergeEntities,
+    getChatEntityMentions,
+    forgetChatEntities,
+
+    // Profiles
+    findEntities,
+    getEntityProfile,
+    formatEntityProfile,
+
+    // Configuration
+    ENTITY_CONFIG
+};
+
+console.log('🏷️ Entity Memory Loaded');
@@ -0,0 +1,615 @@
+// utils/jobScheduler.js - Cron-style job runner for recurring fund operations
+// Job definitions and run history live in Postgres (scheduled_jobs, scheduled_job_runs);
+// a row-level lease makes sure only one Railway instance runs a job at a time
+
+const os = require('os');
+const moment = require('moment-timezone');
+const { queryWithRetry } = require('./database');
+
+// ⏰ SCHEDULER CONFIGURATION
+const SCHEDULER_CONFIG = {
+    TIMEZONE: 'Asia/Phnom_Penh',
+    TICK_INTERVAL_MS: 60 * 1000,
+    LOCK_MARGIN_SECONDS: 120,          // Lease outlives the handler timeout by this much
+    MAX_BACKOFF_SECONDS: 6 * 60 * 60,
+    HISTORY_RETENTION_DAYS: 90,
+
+    NOTIFY_CHAT_VAR: 'JOB_NOTIFY_CHAT_ID',
+    DISABLED_VAR: 'JOB_SCHEDULER_DISABLED',
+    NOTIFY_ON: ['always', 'failure', 'never'],
+
+    INSTANCE_ID: process.env.RAILWAY_REPLICA_ID || `${os.hostname()}-${process.pid}`
+};
+
+// Handlers are code, definitions are data: handler name → { run, description }
+const jobHandlers = new Map();
+
+const schedulerState = {
+    timer: null,
+    bot: null,
+    notifyChatId: null,
+    tickInProgress: false,
+    lastTickAt: null
+};
+
+// 🗓️ CRON EXPRESSIONS
+// Five fields: minute hour day-of-month month day-of-week
+// Supports *, lists (1,15), ranges (1-5), steps (*/15, 0-30/10) and 7 for Sunday
+
+const CRON_FIELDS = [
+    { name: 'minute', min: 0, max: 59 },
+    { name: 'hour', min: 0, max: 23 },
+    { name: 'dayOfMonth', min: 1, max: 31 },
+    { name: 'month', min: 1, max: 12 },
+    { name: 'dayOfWeek', min: 0, max: 7 }
+];
+
+function parseCronField(expression, field) {
+    const values = new Set();
+
+    expression.split(',').forEach(part => {
+        const [range, stepText] = part.split('/');
+        const step = stepText === undefined ? 1 : parseInt(stepText, 10);
+        if (!Number.isInteger(step) || step < 1) {
+            throw new Error(`Invalid step in ${field.name}: ${part}`);
+        }
+
+        let start;
+        let end;
+        if (range === '*') {
+            start = field.min;
+            end = field.max;
+        } else if (range.includes('-')) {
+            [start, end] = range.split('-').map(v => parseInt(v, 10));
+        } else {
+            start = parseInt(range, 10);
+            end = stepText === undefined ? start : field.max;
+        }
+
+        if (!Number.isInteger(start) || !Number.isInteger(end) || start < field.min || end > field.max || start > end) {
+            throw new Error(`Invalid ${field.name} value: ${part}`);
+        }
+        for (let value = start; value <= end; value += step) {
+            values.add(field.name === 'dayOfWeek' && value === 7 ? 0 : value);
+        }
+    });
+
+    return values;
+}
+
+/**
+ * 🗓️ Parse a five-field cron expression
+ */
+function parseCronExpression(expression) {
+    const parts = String(expression || '').trim().split(/\s+/);
+    if (parts.length !== 5) {
+        throw new Error(`Cron expression needs 5 fields, got ${parts.length}: "${expression}"`);
+    }
+
+    const parsed = {};
+    CRON_FIELDS.forEach((field, i) => {
+        parsed[field.name] = parseCronField(parts[i], field);
+    });
+    // Standard cron: when both day fields are restricted, either may match
+    parsed.dayOfMonthRestricted = parts[2] !== '*';
+    parsed.dayOfWeekRestricted = parts[4] !== '*';
+    return parsed;
+}
+
+function cronDayMatches(cron, time) {
+    const domMatch = cron.dayOfMonth.has(time.date());
+    const dowMatch = cron.dayOfWeek.has(time.day());
+    if (cron.dayOfMonthRestricted && cron.dayOfWeekRestricted) return domMatch || dowMatch;
+    return domMatch && dowMatch;
+}
+
+/**
+ * ⏭️ Next time after fromDate that matches the expression, in the job's timezone
+ */
+function getNextRunTime(expression, fromDate = new Date(), timezone = SCHEDULER_CONFIG.TIMEZONE) {
+    const cron = parseCronExpression(expression);
+    const time = moment.tz(fromDate, timezone).startOf('minute').add(1, 'minute');
+    const limit = moment(time).add(5, 'years');
+
+    while (time.isBefore(limit)) {
+        if (!cron.month.has(time.month() + 1)) {
+            time.add(1, 'month').startOf('month');
+        } else if (!cronDayMatches(cron, time)) {
+            time.add(1, 'day').startOf('day');
+        } else if (!cron.hour.has(time.hour())) {
+            time.add(1, 'hour').startOf('hour');
+        } else if (!cron.minute.has(time.minute())) {
+            time.add(1, 'minute');
+        } else {
+            return time.toDate();
+        }
+    }
+    throw new Error(`Cron expression never fires: "${expression}"`);
+}
+
+// 🛠️ HELPERS
+
+function generateRunId() {
+    return `RUN-${Date.now()}-${Math.random().toString(36).substr(2, 6).toUpperCase()}`;
+}
+
+function getConfiguredChatId() {
+    return schedulerState.notifyChatId || process.env[SCHEDULER_CONFIG.NOTIFY_CHAT_VAR] || process.env.ADMIN_CHAT_ID || null;
+}
+
+// Per-job chat, then the scheduler's chat, then JOB_NOTIFY_CHAT_ID, then the admin chat
+function getNotifyChatId(job) {
+    return job.notify_chat_id || getConfiguredChatId();
+}
+
+function withTimeout(promise, seconds, jobName) {
+    let timer;
+    const timeout = new Promise((_, reject) => {
+        timer = setTimeout(() => {
+            const error = new Error(`${jobName} timed out after ${seconds}s`);
+            error.timedOut = true;
+            reject(error);
+        }, seconds * 1000);
+    });
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+function mapJob(row) {
+    return {
+        jobName: row.job_name,
+        handler: row.handler,
+        description: row.description,
+        schedule: row.cron_expression,
+        timezone: row.timezone,
+        params: row.params || {},
+        enabled: row.enabled,
+        maxRetries: row.max_retries,
+        retryDelaySeconds: row.retry_delay_seconds,
+        timeoutSeconds: row.timeout_seconds,
+        notifyChatId: row.notify_chat_id,
+        notifyOn: row.notify_on,
+        nextRunAt: row.next_run_at,
+        retryAttempt: row.retry_attempt,
+        lastRunAt: row.last_run_at,
+        lastStatus: row.last_status,
+        lockedBy: row.locked_by,
+        lockedUntil: row.locked_until
+    };
+}
+
+function mapRun(row) {
+    return {
+        runId: row.run_id,
+        jobName: row.job_name,
+        attempt: row.attempt,
+        triggeredBy: row.triggered_by,
+        status: row.status,
+        instanceId: row.instance_id,
+        scheduledFor: row.scheduled_for,
+        startedAt: row.started_at,
+        finishedAt: row.finished_at,
+        durationMs: row.duration_ms,
+        summary: row.summary,
+        result: row.result,
+        error: row.error
+    };
+}
+
+// 📋 JOB DEFINITIONS
+
+/**
+ * 🧩 Register the code that runs for a handler name
+ * run(context) receives { jobName, params, asOfDate, scheduledFor, attempt, runId, triggeredBy, bot, chatId }
+ * and resolves to { summary, ...details }
+ */
+function registerJobHandler(handlerName, run, description = '') {
+    if (typeof run !== 'function') {
+        throw new Error(`Job handler ${handlerName} must be a function`);
+    }
+    jobHandlers.set(handlerName, { run, description });
+}
+
+/**
+ * 🌱 Create a job definition if it does not exist yet
+ * Existing rows are left alone so schedule or enable changes made in the database survive deploys
+ */
+async function defineJob(definition) {
+    const {
+        jobName, handler, schedule, description = null, params = {}, enabled = true,
+        maxRetries = 2, retryDelaySeconds = 300, timeoutSeconds = 900,
+        notifyChatId = null, notifyOn = 'always', timezone = SCHEDULER_CONFIG.TIMEZONE
+    } = definition;
+
+    if (!jobName || !handler) throw new Error('Job definition needs jobName and handler');
+    if (!SCHEDULER_CONFIG.NOTIFY_ON.includes(notifyOn)) throw new Error(`Invalid notifyOn: ${notifyOn}`);
+    const nextRunAt = getNextRunTime(schedule, new Date(), timezone);
+
+    try {
+        const result = await queryWithRetry(`
+            INSERT INTO scheduled_jobs (job_name, handler, description, cron_expression, timezone, params, enabled,
+                                        max_retries, retry_delay_seconds, timeout_seconds, notify_chat_id, notify_on, next_run_at)
+            VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13)
+            ON CONFLICT (job_name) DO NOTHING
+            RETURNING job_name
+        `, [jobName, handler, description, schedule, timezone, JSON.stringify(params), enabled,
+            maxRetries, retryDelaySeconds, timeoutSeconds, notifyChatId, notifyOn, nextRunAt], 3, 'DEFINE_JOB');
+
+        return { jobName, created: result.rows.length > 0 };
+    } catch (error) {
+        console.error(`❌ Define job error (${jobName}):`, error.message);
+        throw new Error(`Failed to define job: ${error.message}`);
+    }
+}
+
+/**
+ * ✏️ Change a job's schedule, params, retries or notification settings
+ */
+async function updateJob(jobName, changes = {}) {
+    const job = await getJob(jobName);
+    if (!job) throw new Error(`Job not found: ${jobName}`);
+
+    const schedule = changes.schedule || job.schedule;
+    const timezone = changes.timezone || job.timezone;
+    const nextRunAt = changes.schedule || changes.timezone ? getNextRunTime(schedule, new Date(), timezone) : job.nextRunAt;
+    if (changes.notifyOn && !SCHEDULER_CONFIG.NOTIFY_ON.includes(changes.notifyOn)) {
+        throw new Error(`Invalid notifyOn: ${changes.notifyOn}`);
+    }
+
+    try {
+        const result = await queryWithRetry(`
+            UPDATE scheduled_jobs SET
+                cron_expression = $2, timezone = $3, next_run_at = $4,
+                params = $5, enabled = $6, max_retries = $7, retry_delay_seconds = $8,
+                timeout_seconds = $9, notify_chat_id = $10, notify_on = $11,
+                retry_attempt = CASE WHEN $6 THEN retry_attempt ELSE 0 END,
+                updated_at = CURRENT_TIMESTAMP
+            WHERE job_name = $1
+            RETURNING *
+        `, [jobName, schedule, timezone, nextRunAt,
+            JSON.stringify(changes.params ?? job.params), changes.enabled ?? job.enabled,
+            changes.maxRetries ?? job.maxRetries, changes.retryDelaySeconds ?? job.retryDelaySeconds,
+            changes.timeoutSeconds ?? job.timeoutSeconds, changes.notifyChatId ?? job.notifyChatId,
+            changes.notifyOn ?? job.notifyOn], 3, 'UPDATE_JOB');
+
+        return mapJob(result.rows[0]);
+    } catch (error) {
+        console.error(`❌ Update job error (${jobName}):`, error.message);
+        throw new Error(`Failed to update job: ${error.message}`);
+    }
+}
+
+async function setJobEnabled(jobName, enabled) {
+    return await updateJob(jobName, { enabled: Boolean(enabled) });
+}
+
+async function getJob(jobName) {
+    const result = await queryWithRetry('SELECT * FROM scheduled_jobs WHERE job_name = $1', [jobName], 3, 'GET_JOB');
+    return result.rows[0] ? mapJob(result.rows[0]) : null;
+}
+
+async function getJobs() {
+    try {
+        const result = await queryWithRetry('SELECT * FROM scheduled_jobs ORDER BY next_run_at NULLS LAST, job_name', [], 3, 'GET_JOBS');
+        return result.rows.map(mapJob);
+    } catch (error) {
+        console.error('❌ Get jobs error:', error.message);
+        throw new Error(`Failed to get jobs: ${error.message}`);
+    }
+}
+
+/**
+ * 📜 Run history, newest first
+ */
+async function getJobRuns(jobName = null, limit = 20) {
+    try {
+        const result = await queryWithRetry(`
+            SELECT * FROM scheduled_job_runs
+            WHERE ($1::varchar IS NULL OR job_name = $1)
+            ORDER BY started_at DESC
+            LIMIT $2
+        `, [jobName, limit], 3, 'GET_JOB_RUNS');
+        return result.rows.map(mapRun);
+    } catch (error) {
+        console.error('❌ Get job runs error:', error.message);
+        throw new Error(`Failed to get job runs: ${error.message}`);
+    }
+}
+
+// 🔒 LOCKING
+
+/**
+ * 🔒 Claim a job's lease - a single UPDATE, so only one instance can win it
+ */
+async function claimJob(jobName, { force = false } = {}) {
+    const result = await queryWithRetry(`
+        UPDATE scheduled_jobs SET
+            locked_by = $2,
+            locked_until = CURRENT_TIMESTAMP + make_interval(secs => timeout_seconds + $3),
+            updated_at = CURRENT_TIMESTAMP
+        WHERE job_name = $1
+          AND (locked_until IS NULL OR locked_until < CURRENT_TIMESTAMP)
+          AND ($4 OR (enabled AND next_run_at <= CURRENT_TIMESTAMP))
+        RETURNING *
+    `, [jobName, SCHEDULER_CONFIG.INSTANCE_ID, SCHEDULER_CONFIG.LOCK_MARGIN_SECONDS, force], 3, 'CLAIM_JOB');
+
+    return result.rows[0] || null;
+}
+
+/**
+ * 🔓 Release the lease and set the next run - a retry with backoff, or the next cron slot
+ */
+async function releaseJob(job, { status, retryAt = null, retryAttempt = 0, keepSchedule = false }) {
+    const nextRunAt = retryAt || (keepSchedule ? job.next_run_at : getNextRunTime(job.cron_expression, new Date(), job.timezone));
+
+    await queryWithRetry(`
+        UPDATE scheduled_jobs SET
+            locked_by = NULL,
+            locked_until = NULL,
+            next_run_at = $3,
+            retry_attempt = $4,
+            last_run_at = CURRENT_TIMESTAMP,
+            last_status = $5,
+            updated_at = CURRENT_TIMESTAMP
+        WHERE job_name = $1 AND locked_by = $2
+    `, [job.job_name, SCHEDULER_CONFIG.INSTANCE_ID, nextRunAt, retryAttempt, status], 3, 'RELEASE_JOB');
+
+    return nextRunAt;
+}
+
+/**
+ * ⏳ Renew the lease of a job still running on this instance
+ */
+async function extendLease(job) {
+    await queryWithRetry(`
+        UPDATE scheduled_jobs SET
+            locked_until = CURRENT_TIMESTAMP + make_interval(secs => $3),
+            updated_at = CURRENT_TIMESTAMP
+        WHERE job_name = $1 AND locked_by = $2
+    `, [job.job_name, SCHEDULER_CONFIG.INSTANCE_ID, SCHEDULER_CONFIG.LOCK_MARGIN_SECONDS], 3, 'EXTEND_JOB_LEASE');
+}
+
+/**
+ * ⏳ A timed-out handler keeps running - hold the lease until it settles so no instance starts it twice
+ */
+function releaseWhenSettled(job, running, releaseOptions) {
+    const renewal = setInterval(() => {
+        extendLease(job).catch(error => console.error(`❌ Lease renewal failed for ${job.job_name}:`, error.message));
+    }, SCHEDULER_CONFIG.LOCK_MARGIN_SECONDS * 1000 / 2);
+
+    running.catch(() => {}).finally(async () => {
+        clearInterval(renewal);
+        try {
+            await releaseJob(job, releaseOptions);
+            console.log(`🔓 Job ${job.job_name} released after its timed-out handler finished`);
+        } catch (error) {
+            console.error(`❌ Job release failed for ${job.job_name}:`, error.message);
+        }
+    });
+}
+
+// ▶️ EXECUTION
+
+async function startRun(job, context) {
+    await queryWithRetry(`
+        INSERT INTO scheduled_job_runs (run_id, job_name, attempt, triggered_by, status, instance_id, scheduled_for)
+        VALUES ($1, $2, $3, $4, 'running', $5, $6)
+    `, [context.runId, job.job_name, context.attempt, context.triggeredBy, SCHEDULER_CONFIG.INSTANCE_ID, context.scheduledFor], 3, 'START_JOB_RUN');
+}
+
+async function finishRun(runId, { status, durationMs, summary = null, result = null, error = null }) {
+    await queryWithRetry(`
+        UPDATE scheduled_job_runs SET
+            status = $2, finished_at = CURRENT_TIMESTAMP, duration_ms = $3,
+            summary = $4, result = $5, error = $6
+        WHERE run_id = $1
+    `, [runId, status, durationMs, summary, result ? JSON.stringify(result) : null, error], 3, 'FINISH_JOB_RUN');
+}
+
+/**
+ * ▶️ Run a claimed job: record the run, apply retry policy, release the lease, notify
+ * A job that times out is reported at once but keeps its lease until the handler settles
+ */
+async function executeClaimedJob(job, triggeredBy) {
+    const handler = jobHandlers.get(job.handler);
+    const attempt = triggeredBy === 'manual' ? 1 : (job.retry_attempt || 0) + 1;
+    const context = {
+        runId: generateRunId(),
+        jobName: job.job_name,
+        params: job.params || {},
+        attempt: attempt,
+        triggeredBy: attempt > 1 ? 'retry' : triggeredBy,
+        scheduledFor: job.next_run_at,
+        asOfDate: moment.tz(new Date(), job.timezone).format('YYYY-MM-DD'),
+        bot: schedulerState.bot,
+        chatId: getNotifyChatId(job)
+    };
+    const startTime = Date.now();
+
+    await startRun(job, context);
+    console.log(`⏰ Job ${job.job_name} started (attempt ${attempt}, ${context.triggeredBy})`);
+
+    let run;
+    let running = null;
+    try {
+        if (!handler) throw new Error(`No handler registered for ${job.handler}`);
+
+        running = Promise.resolve().then(() => handler.run(context));
+        const result = await withTimeout(running, job.timeout_seconds, job.job_name);
+        const { summary = null, ...details } = result || {};
+        run = { status: 'succeeded', durationMs: Date.now() - startTime, summary, result: details };
+        await finishRun(context.runId, run);
+        await releaseJob(job, { status: 'succeeded', keepSchedule: triggeredBy === 'manual' && job.retry_attempt === 0 });
+
+    } catch (error) {
+        const retrying = triggeredBy !== 'manual' && attempt <= job.max_retries;
+        run = { status: retrying ? 'retrying' : 'failed', durationMs: Date.now() - startTime, error: error.message };
+        await finishRun(context.runId, run).catch(finishError => console.error('❌ Job run record error:', finishError.message));
+
+        // The handler outlived its timeout and is still running: the lease stays until it finishes
+        const release = releaseOptions => error.timedOut
+            ? releaseWhenSettled(job, running, releaseOptions)
+            : releaseJob(job, releaseOptions);
+
+        if (retrying) {
+            const backoff = Math.min(job.retry_delay_seconds * Math.pow(2, attempt - 1), SCHEDULER_CONFIG.MAX_BACKOFF_SECONDS);
+            const retryAt = new Date(Date.now() + backoff * 1000);
+            await release({ status: 'retrying', retryAt, retryAttempt: attempt });
+            run.retryAt = retryAt;
+            console.error(`⚠️ Job ${job.job_name} failed (attempt ${attempt}), retrying at ${retryAt.toISOString()}: ${error.message}`);
+        } else {
+            await release({ status: 'failed', keepSchedule: triggeredBy === 'manual' && job.retry_attempt === 0 });
+            console.error(`❌ Job ${job.job_name} failed (attempt ${attempt}): ${error.message}`);
+        }
+    }
+
+    const outcome = { runId: context.runId, jobName: job.job_name, attempt, ...run };
+    await notifyJobResult(job, outcome);
+    return outcome;
+}
+
+/**
+ * ▶️ Run a job now, outside its schedule (manual trigger)
+ */
+async function runJobNow(jobName) {
+    const job = await claimJob(jobName, { force: true });
+    if (!job) {
+        const existing = await getJob(jobName);
+        if (!existing) throw new Error(`Job not found: ${jobName}`);
+        throw new Error(`${jobName} is already running on ${existing.lockedBy}`);
+    }
+    return await executeClaimedJob(job, 'manual');
+}
+
+/**
+ * 🔁 One scheduler pass - claim and run every due job, one at a time
+ */
+async function tick() {
+    if (schedulerState.tickInProgress) return [];
+    schedulerState.tickInProgress = true;
+    schedulerState.lastTickAt = new Date();
+
+    const outcomes = [];
+    try {
+        const due = await queryWithRetry(`
+            SELECT job_name FROM scheduled_jobs
+            WHERE enabled AND next_run_at <= CURRENT_TIMESTAMP
+              AND (locked_until IS NULL OR locked_until < CURRENT_TIMESTAMP)
+            ORDER BY next_run_at
+        `, [], 1, 'DUE_JOBS');
+
+        for (const row of due.rows) {
+            const job = await claimJob(row.job_name);
+            if (!job) continue; // Another instance got there first
+            outcomes.push(await executeClaimedJob(job, 'schedule'));
+        }
+    } catch (error) {
+        console.error('❌ Scheduler tick error:', error.message);
+    } finally {
+        schedulerState.tickInProgress = false;
+    }
+    return outcomes;
+}
+
+// 📣 NOTIFICATIONS
+
+function formatJobResult(job, outcome) {
+    const icon = outcome.status === 'succeeded' ? '✅' : outcome.status === 'retrying' ? '🔁' : '❌';
+    const lines = [`${icon} ${job.job_name} ${outcome.status} (attempt ${outcome.attempt}, ${(outcome.durationMs / 1000).toFixed(1)}s)`];
+
+    if (outcome.summary) lines.push('', outcome.summary);
+    if (outcome.error) lines.push('', `Error: ${outcome.error}`);
+    if (outcome.retryAt) lines.push(`Next attempt: ${moment.tz(outcome.retryAt, job.timezone).format('YYYY-MM-DD HH:mm z')}`);
+    return lines.join('\n');
+}
+
+async function notifyJobResult(job, outcome) {
+    const chatId = getNotifyChatId(job);
+    if (!chatId || !schedulerState.bot || job.notify_on === 'never') return;
+    if (job.notify_on === 'failure' && outcome.status === 'succeeded') return;
+
+    try {
+        const text = formatJobResult(job, outcome);
+        // Telegram caps messages at 4096 characters
+        await schedulerState.bot.sendMessage(chatId, text.length > 4000 ? `${text.slice(0, 3990)}\n…` : text);
+    } catch (error) {
+        console.error(`⚠️ Job notification failed (${job.job_name}):`, error.message);
+    }
+}
+
+// 🧹 MAINTENANCE
+
+async function pruneJobRuns(retentionDays = SCHEDULER_CONFIG.HISTORY_RETENTION_DAYS) {
+    const result = await queryWithRetry(`
+        DELETE FROM scheduled_job_runs
+        WHERE started_at < CURRENT_TIMESTAMP - make_interval(days => $1) AND status <> 'running'
+    `, [retentionDays], 3, 'PRUNE_JOB_RUNS');
+    return result.rowCount;
+}
+
+// 🚀 LIFECYCLE
+
+/**
+ * 🚀 Start ticking - bot and notifyChatId are used for result messages
+ */
+function startScheduler({ bot = null, notifyChatId = null, intervalMs = SCHEDULER_CONFIG.TICK_INTERVAL_MS } = {}) {
+    if (process.env[SCHEDULER_CONFIG.DISABLED_VAR] === 'true') {
+        console.log(`⏸️ Job scheduler disabled (${SCHEDULER_CONFIG.DISABLED_VAR}=true)`);
+        return false;
+    }
+    if (schedulerState.timer) return true;
+
+    schedulerState.bot = bot;
+    schedulerState.notifyChatId = notifyChatId;
+    schedulerState.timer = setInterval(() => { tick(); }, intervalMs);
+    console.log(`⏰ Job scheduler started on ${SCHEDULER_CONFIG.INSTANCE_ID} (${jobHandlers.size} handlers, every ${intervalMs / 1000}s)`);
+    return true;
+}
+
+function stopScheduler() {
+    if (schedulerState.timer) {
+        clearInterval(schedulerState.timer);
+        schedulerState.timer = null;
+        console.log('⏹️ Job scheduler stopped');
+    }
+}
+
+function getSchedulerStatus() {
+    return {
+        running: Boolean(schedulerState.timer),
+        instanceId: SCHEDULER_CONFIG.INSTANCE_ID,
+        handlers: [...jobHandlers.keys()],
+        notifyChatId: getConfiguredChatId(),
+        lastTickAt: schedulerState.lastTickAt
+    };
+}
+
+module.exports = {
+    // Lifecycle
+    startScheduler,
+    stopScheduler,
+    getSchedulerStatus,
+    tick,
+
+    // Jobs
+    registerJobHandler,
+    defineJob,
+    updateJob,
+    setJobEnabled,
+    runJobNow,
+    getJob,
+    getJobs,
+    getJobRuns,
+    pruneJobRuns,
+
+    // Cron
+    parseCronExpression,
+    getNextRunTime,
+
+    // Helpers
+    formatJobResult,
+
+    // Configuration
+    SCHEDULER_CONFIG
+};
+
+console.log('⏰ Job Scheduler Loaded');
@@ -0,0 +1,612 @@
+// utils/llmProviders.js - Provider-agnostic LLM access for the dual GPT-5 + Claude system
+// One request/response shape across OpenAI, Anthropic and a deterministic local mock, routes that
+// pick provider and model per query type, and fallback to the next provider when one fails or its
+// circuit breaker is open
+
+const CircuitBreaker = require('./circuitBreaker');
+
+// 📋 PROVIDER INTERFACE
+// chat(request) → response; stream(request, onDelta) → response, calling onDelta(text) as text arrives
+// request:  { model, system, messages, maxTokens, temperature, reasoningEffort, verbosity, tools, toolChoice }
+//   messages: { role: 'system' | 'user' | 'assistant' | 'tool', content, toolCalls, toolCallId }
+//   content:  string, or [{ type: 'text', text } | { type: 'image', mediaType, data }] with base64 image data
+//   tools:    [{ name, description, parameters }]; OpenAI { type: 'function', function } entries are accepted too
+//   toolChoice: 'auto' (default), 'none' or 'required'
+// response: { provider, model, text, toolCalls: [{ id, name, arguments (JSON string) }],
+//             usage: { inputTokens, outputTokens, totalTokens }, finishReason: 'stop' | 'length' | 'tool_calls' }
+const LLM_INTERFACE = ['chat', 'stream', 'isConfigured'];
+const LLM_CAPABILITIES = ['chat', 'stream', 'tools', 'vision'];
+
+// ⚙️ SETTINGS
+const LLM_SETTINGS = {
+    PROVIDER_VAR: 'LLM_PROVIDER',       // 'mock' answers every query locally (offline demos, tests)
+    ROUTE_VAR_PREFIX: 'LLM_ROUTE_',     // e.g. LLM_ROUTE_COMPLEX=openai,anthropic:claude-opus-4-1
+    DEFAULT_MAX_TOKENS: 4000,
+
+    // Same environment variables as openaiClient.js
+    OPENAI_MODELS: {
+        NANO: process.env.GPT5_NANO_MODEL || 'gpt-5-nano',
+        MINI: process.env.GPT5_MINI_MODEL || 'gpt-5-mini',
+        FULL: process.env.GPT5_PRIMARY_MODEL || 'gpt-5'
+    },
+    ANTHROPIC_MODELS: {
+        FAST: process.env.CLAUDE_FAST_MODEL || 'claude-3-5-haiku-latest',
+        FULL: process.env.CLAUDE_MODEL || 'claude-opus-4-1'
+    },
+    ANTHROPIC_CB_FAILS: process.env.ANTHROPIC_CB_FAILS || 5,
+    ANTHROPIC_CB_COOLDOWN_MS: process.env.ANTHROPIC_CB_COOLDOWN_MS || 30000
+};
+
+// 🧭 ROUTES
+// Query types are the priorities analyzeQuery assigns; the first configured provider with a closed breaker answers
+const LLM_ROUTES = {
+    speed: [
+        { provider: 'openai', model: LLM_SETTINGS.OPENAI_MODELS.NANO },
+        { provider: 'anthropic', model: LLM_SETTINGS.ANTHROPIC_MODELS.FAST }
+    ],
+    standard: [
+        { provider: 'openai', model: LLM_SETTINGS.OPENAI_MODELS.MINI },
+        { provider: 'anthropic', model: LLM_SETTINGS.ANTHROPIC_MODELS.FAST }
+    ],
+    complex: [
+        { provider: 'anthropic', model: LLM_SETTINGS.ANTHROPIC_MODELS.FULL },
+        { provider: 'openai', model: LLM_SETTINGS.OPENAI_MODELS.FULL }
+    ],
+    multimodal: [
+        { provider: 'openai', model: LLM_SETTINGS.OPENAI_MODELS.FULL },
+        { provider: 'anthropic', model: LLM_SETTINGS.ANTHROPIC_MODELS.FULL }
+    ],
+    tools: [
+        { provider: 'openai', model: LLM_SETTINGS.OPENAI_MODELS.FULL },
+        { provider: 'anthropic', model: LLM_SETTINGS.ANTHROPIC_MODELS.FULL }
+    ]
+};
+
+const DEFAULT_MODELS = {
+    openai: LLM_SETTINGS.OPENAI_MODELS.FULL,
+    anthropic: LLM_SETTINGS.ANTHROPIC_MODELS.FULL,
+    mock: 'mock'
+};
+
+// 🛠️ HELPERS
+
+function textOf(content) {
+    if (Array.isArray(content)) {
+        return content.filter(part => part.type === 'text').map(part => part.text).join('\n');
+    }
+    return content === undefined || content === null ? '' : String(content);
+}
+
+function estimateTokens(text) {
+    return Math.ceil(String(text || '').length / 4);
+}
+
+function buildUsage(inputTokens, outputTokens) {
+    return { inputTokens: inputTokens || 0, outputTokens: outputTokens || 0, totalTokens: (inputTokens || 0) + (outputTokens || 0) };
+}
+
+/**
+ * 🧰 Tool definitions in { name, description, parameters } form
+ */
+function normalizeTools(tools) {
+    return (tools || []).map(tool => tool.type === 'function' && tool.function ? tool.function : tool);
+}
+
+function parseToolArguments(text) {
+    try {
+        return JSON.parse(text || '{}');
+    } catch (error) {
+        return {};
+    }
+}
+
+// 🟢 OPENAI ADAPTER
+// Shares openaiClient's SDK instance, circuit breaker and metrics, so its health checks see these calls too
+
+function toOpenAIMessages(request) {
+    const messages = request.system ? [{ role: 'system', content: request.system }] : [];
+
+    request.messages.forEach(message => {
+        if (message.role === 'tool') {
+            messages.push({ role: 'tool', tool_call_id: message.toolCallId, content: textOf(message.content) });
+        } else if (message.role === 'assistant' && message.toolCalls?.length) {
+            messages.push({
+                role: 'assistant',
+                content: textOf(message.content) || null,
+                tool_calls: message.toolCalls.map(call => ({
+                    id: call.id,
+                    type: 'function',
+                    function: { name: call.name, arguments: call.arguments || '{}' }
+                }))
+            });
+        } else if (Array.isArray(message.content)) {
+            messages.push({
+                role: message.role,
+                content: message.content.map(part => part.type === 'image'
+                    ? { type: 'image_url', image_url: { url: `data:${part.mediaType};base64,${part.data}` } }
+                    : { type: 'text', text: part.text })
+            });
+        } else {
+            messages.push({ role: message.role, content: textOf(message.content) });
+        }
+    });
+    return messages;
+}
+
+const OPENAI_FINISH_REASONS = { stop: 'stop', length: 'length', tool_calls: 'tool_calls', function_call: 'tool_calls' };
+
+function createOpenAIProvider() {
+    let openaiClient = null;
+
+    // openaiClient throws at load without OPENAI_API_KEY, so it is only required once a call is made
+    function getClient() {
+        if (!openaiClient) openaiClient = require('./openaiClient');
+        return openaiClient;
+    }
+
+    function buildRequest(request, stream) {
+        const tools = normalizeTools(request.tools);
+        const chatRequest = getClient().buildChatRequest(request.model, '', {
+            messages: toOpenAIMessages(request),
+            tools: tools.length > 0 ? tools.map(tool => ({ type: 'function', function: tool })) : undefined,
+            tool_choice: tools.length > 0 ? (request.toolChoice || 'auto') : undefined,
+            max_completion_tokens: request.maxTokens || LLM_SETTINGS.DEFAULT_MAX_TOKENS,
+            temperature: request.temperature,
+            reasoning_effort: request.reasoningEffort,
+            verbosity: request.verbosity,
+            stream
+        });
+        if (stream) chatRequest.stream_options = { include_usage: true };
+        return chatRequest;
+    }
+
+    function recordMetrics(model, startTime, usage, error) {
+        const client = getClient();
+        client.metrics.recordCall(model, !error, usage ? usage.totalTokens : 0,
+            usage ? client.calculateCost(model, usage.inputTokens, usage.outputTokens) : 0,
+            Date.now() - startTime, error ? error.message : undefined);
+    }
+
+    return {
+        name: 'openai',
+        capabilities: LLM_CAPABILITIES,
+
+        isConfigured() {
+            return Boolean(process.env.OPENAI_API_KEY);
+        },
+
+        isOpen() {
+            return Boolean(openaiClient) && openaiClient.circuitBreaker.isOpen();
+        },
+
+        async chat(request) {
+            const client = getClient();
+            const startTime = Date.now();
+
+            try {
+                const completion = await client.circuitBreaker.execute(() =>
+                    client.openai.chat.completions.create(buildRequest(request, false)));
+
+                const message = completion.choices?.[0]?.message || {};
+                const usage = buildUsage(completion.usage?.prompt_tokens, completion.usage?.completion_tokens);
+                recordMetrics(request.model, startTime, usage);
+
+                return {
+                    provider: 'openai',
+                    model: completion.model || request.model,
+                    text: textOf(message.content).trim(),
+                    toolCalls: (message.tool_calls || []).map(call => ({ id: call.id, name: call.function.name, arguments: call.function.arguments })),
+                    usage,
+                    finishReason: OPENAI_FINISH_REASONS[completion.choices?.[0]?.finish_reason] || 'stop'
+                };
+            } catch (error) {
+                recordMetrics(request.model, startTime, null, error);
+                throw error;
+            }
+        },
+
+        async stream(request, onDelta) {
+            const client = getClient();
+            const startTime = Date.now();
+
+            try {
+                // The whole stream runs inside the breaker so a connection dropped mid-answer counts as a failure
+                const response = await client.circuitBreaker.execute(async () => {
+                    const stream = await client.openai.chat.completions.create(buildRequest(request, true));
+                    const toolCalls = [];
+                    let text = '';
+                    let usage = null;
+                    let finishReason = 'stop';
+
+                    for await (const chunk of stream) {
+                        if (chunk.usage) usage = chunk.usage;
+                        const choice = chunk.choices?.[0];
+                        if (!choice) continue;
+
+                        if (choice.delta?.content) {
+                            text += choice.delta.content;
+                            onDelta(choice.delta.content);
+                        }
+                        (choice.delta?.tool_calls || []).forEach(delta => {
+                            const call = toolCalls[delta.index] || (toolCalls[delta.index] = { id: '', name: '', arguments: '' });
+                            if (delta.id) call.id = delta.id;
+                            if (delta.function?.name) call.name += delta.function.name;
+                            if (delta.function?.arguments) call.arguments += delta.function.arguments;
+                        });
+                        if (choice.finish_reason) finishReason = OPENAI_FINISH_REASONS[choice.finish_reason] || 'stop';
+                    }
+
+                    return {
+                        provider: 'openai',
+                        model: request.model,
+                        text: text.trim(),
+                        toolCalls: toolCalls.filter(Boolean),
+                        usage: usage ? buildUsage(usage.prompt_tokens, usage.completion_tokens) : buildUsage(0, estimateTokens(text)),
+                        finishReason
+                    };
+                });
+
+                recordMetrics(request.model, startTime, response.usage);
+                return response;
+            } catch (error) {
+                recordMetrics(request.model, startTime, null, error);
+                throw error;
+            }
+        }
+    };
+}
+
+// 🟠 ANTHROPIC ADAPTER
+
+function toAnthropicBlocks(content) {
+    if (!Array.isArray(content)) {
+        const text = textOf(content);
+        return text ? [{ type: 'text', text }] : [];
+    }
+    return content.map(part => part.type === 'image'
+        ? { type: 'image', source: { type: 'base64', media_type: part.mediaType, data: part.data } }
+        : { type: 'text', text: part.text });
+}
+
+function toAnthropicRequest(request) {
+    const system = [request.system, ...request.messages.filter(message => message.role === 'system').map(message => textOf(message.content))]
+        .filter(Boolean).join('\n\n');
+    const messages = [];
+
+    request.messages.filter(message => message.role !== 'system').forEach(message => {
+        const converted = message.role === 'tool'
+            ? { role: 'user', content: [{ type: 'tool_result', tool_use_id: message.toolCallId, content: textOf(message.content) }] }
+            : {
+                role: message.role,
+                content: toAnthropicBlocks(message.content).concat((message.toolCalls || []).map(call => ({
+                    type: 'tool_use', id: call.id, name: call.name, input: parseToolArguments(call.arguments)
+                })))
+            };
+
+        // Roles must alternate, so consecutive tool results (and any following user text) share one user turn
+        const last = messages[messages.length - 1];
+        if (last && last.role === converted.role) {
+            last.content.push(...converted.content);
+        } else {
+            messages.push(converted);
+        }
+    });
+
+    const body = {
+        model: request.model,
+        max_tokens: request.maxTokens || LLM_SETTINGS.DEFAULT_MAX_TOKENS,
+        messages
+    };
+    if (system) body.system = system;
+    if (typeof request.temperature === 'number') body.temperature = Math.min(Math.max(request.temperature, 0), 1);
+
+    const tools = normalizeTools(request.tools);
+    if (tools.length > 0) {
+        body.tools = tools.map(tool => ({ name: tool.name, description: tool.description, input_schema: tool.parameters }));
+        body.tool_choice = { type: { none: 'none', required: 'any' }[request.toolChoice] || 'auto' };
+    }
+    return body;
+}
+
+const ANTHROPIC_FINISH_REASONS = { end_turn: 'stop', stop_sequence: 'stop', max_tokens: 'length', tool_use: 'tool_calls' };
+
+function fromAnthropicMessage(message) {
+    const blocks = message.content || [];
+    return {
+        provider: 'anthropic',
+        model: message.model,
+        text: blocks.filter(block => block.type === 'text').map(block => block.text).join('').trim(),
+        toolCalls: blocks.filter(block => block.type === 'tool_use')
+            .map(block => ({ id: block.id, name: block.name, arguments: JSON.stringify(block.input || {}) })),
+        usage: buildUsage(message.usage?.input_tokens, message.usage?.output_tokens),
+        finishReason: ANTHROPIC_FINISH_REASONS[message.stop_reason] || 'stop'
+    };
+}
+
+function createAnthropicProvider() {
+    const circuitBreaker = new CircuitBreaker(LLM_SETTINGS.ANTHROPIC_CB_FAILS, LLM_SETTINGS.ANTHROPIC_CB_COOLDOWN_MS);
+    let client = null;
+
+    function getClient() {
+        if (!client) {
+            const Anthropic = require('@anthropic-ai/sdk');
+            client = new Anthropic({ apiKey: process.env.ANTHROPIC_API_KEY });
+        }
+        return client;
+    }
+
+    return {
+        name: 'anthropic',
+        capabilities: LLM_CAPABILITIES,
+        circuitBreaker,
+
+        isConfigured() {
+            return Boolean(process.env.ANTHROPIC_API_KEY);
+        },
+
+        isOpen() {
+            return circuitBreaker.isOpen();
+        },
+
+        async chat(request) {
+            const message = await circuitBreaker.execute(() => getClient().messages.create(toAnthropicRequest(request)));
+            return fromAnthropicMessage(message);
+        },
+
+        async stream(request, onDelta) {
+            const message = await circuitBreaker.execute(() => {
+                const stream = getClient().messages.stream(toAnthropicRequest(request));
+                stream.on('text', onDelta);
+                return stream.finalMessage();
+            });
+            return fromAnthropicMessage(message);
+        }
+    };
+}
+
+// 🧪 MOCK ADAPTER
+// Deterministic and offline: replies from a queue of scripted responses, otherwise echoes the last message
+
+function defaultMockReply(request) {
+    const last = request.messages[request.messages.length - 1] || {};
+
+    if (last.role === 'tool') {
+        const results = request.messages.filter(message => message.role === 'tool').map(message => textOf(message.content));
+        return `[mock:${request.model}] Tool results: ${results.join(' | ').substring(0, 500)}`;
+    }
+
+    const images = Array.isArray(last.content) ? last.content.filter(part => part.type === 'image').length : 0;
+    return `[mock:${request.model}] ${textOf(last.content).substring(0, 200)}` + (images > 0 ? ` (${images} image(s))` : '');
+}
+
+/**
+ * 🧪 Local mock provider
+ * options.responses: queued replies, each a string or { text, toolCalls, error }; an error entry throws
+ */
+function createMockProvider(options = {}) {
+    const script = [...(options.responses || [])];
+    const requests = [];
+
+    return {
+        name: 'mock',
+        capabilities: LLM_CAPABILITIES,
+        requests,               // Every request received, for inspection
+
+        isConfigured() {
+            return true;
+        },
+
+        async chat(request) {
+            requests.push(request);
+            const scripted = script.length > 0 ? script.shift() : null;
+            const reply = typeof scripted === 'string' ? { text: scripted } : (scripted || { text: defaultMockReply(request) });
+            if (reply.error) throw new Error(reply.error);
+
+            const toolCalls = (reply.toolCalls || []).map((call, index) => ({
+                id: call.id || `mock_call_${requests.length}_${index}`,
+                name: call.name,
+                arguments: typeof call.arguments === 'string' ? call.arguments : JSON.stringify(call.arguments || {})
+            }));
+
+            return {
+                provider: 'mock',
+                model: request.model || 'mock',
+                text: reply.text || '',
+                toolCalls,
+                usage: buildUsage(estimateTokens(JSON.stringify(request.messages)), estimateTokens(reply.text)),
+                finishReason: toolCalls.length > 0 ? 'tool_calls' : 'stop'
+            };
+        },
+
+        async stream(request, onDelta) {
+            const response = await this.chat(request);
+            response.text.split(/(\s+)/).filter(Boolean).forEach(piece => onDelta(piece));
+            return response;
+        }
+    };
+}
+
+// 🔌 PROVIDER REGISTRY
+
+const LLM_PROVIDER_FACTORIES = {
+    openai: createOpenAIProvider,
+    anthropic: createAnthropicProvider,
+    mock: createMockProvider
+};
+
+const providers = {};           // Built on first use; registerLLMProvider() replaces an entry
+const usageTotals = {};         // 'provider:model' → { calls, failures, inputTokens, outputTokens }
+
+/**
+ * ✅ Check a provider implements the interface
+ */
+function validateLLMProvider(provider) {
+    const missing = LLM_INTERFACE.filter(method => typeof provider?.[method] !== 'function');
+    if (missing.length > 0) {
+        throw new Error(`LLM provider ${provider?.name || 'unknown'} is missing: ${missing.join(', ')}`);
+    }
+    return provider;
+}
+
+/**
+ * 🔌 Provider by name
+ */
+function getLLMProvider(name) {
+    if (!providers[name]) {
+        if (!LLM_PROVIDER_FACTORIES[name]) throw new Error(`Unknown LLM provider: ${name}`);
+        providers[name] = LLM_PROVIDER_FACTORIES[name]();
+    }
+    return providers[name];
+}
+
+/**
+ * 🔌 Plug in or replace a provider at runtime (tests, scripted mocks, other vendors)
+ */
+function registerLLMProvider(name, provider) {
+    providers[name] = validateLLMProvider(provider);
+    console.log(`🔌 LLM provider registered: ${name}`);
+}
+
+function resetLLMProviders() {
+    Object.keys(providers).forEach(name => delete providers[name]);
+    Object.keys(usageTotals).forEach(key => delete usageTotals[key]);
+}
+
+function recordUsage(provider, model, usage, failed = false) {
+    const key = `${provider}:${model}`;
+    const totals = usageTotals[key] || (usageTotals[key] = { calls: 0, failures: 0, inputTokens: 0, outputTokens: 0 });
+    totals.calls++;
+    if (failed) {
+        totals.failures++;
+    } else {
+        totals.inputTokens += usage.inputTokens;
+        totals.outputTokens += usage.outputTokens;
+    }
+}
+
+// 🧭 ROUTING
+
+// 'openai:gpt-5,anthropic' → [{ provider: 'openai', model: 'gpt-5' }, { provider: 'anthropic', model: null }]
+function parseRouteOverride(value) {
+    return value.split(',').map(entry => entry.trim()).filter(Boolean).map(entry => {
+        const [provider, ...model] = entry.split(':');
+        return { provider: provider.toLowerCase(), model: model.join(':') || null };
+    });
+}
+
+/**
+ * 🧭 Providers and models to try, in order, for a query type
+ * options.models pins the model per provider, e.g. { openai: 'gpt-5-mini' }. Providers without
+ * credentials are left out; LLM_PROVIDER=mock routes everything to the mock.
+ */
+function resolveRoute(queryType, options = {}) {
+    if (String(process.env[LLM_SETTINGS.PROVIDER_VAR] || '').toLowerCase() === 'mock') {
+        return [{ provider: 'mock', model: options.models?.mock || 'mock' }];
+    }
+
+    const type = LLM_ROUTES[queryType] ? queryType : 'standard';
+    const override = process.env[`${LLM_SETTINGS.ROUTE_VAR_PREFIX}${type.toUpperCase()}`];
+    const steps = override ? parseRouteOverride(override) : LLM_ROUTES[type];
+
+    return steps
+        .filter(step => providers[step.provider] || LLM_PROVIDER_FACTORIES[step.provider])
+        .map(step => ({
+            provider: step.provider,
+            model: options.models?.[step.provider] || step.model || DEFAULT_MODELS[step.provider] || null
+        }))
+        .filter(step => getLLMProvider(step.provider).isConfigured());
+}
+
+/**
+ * 🔁 Run a request along a route, falling back to the next provider on failure or an open breaker
+ * options.onDelta streams text as it arrives; once text has been streamed there is no fallback
+ * Returns the provider response plus attempts (failed steps) and fallbackUsed
+ */
+async function completeWithFallback(request, route, options = {}) {
+    if (!route || route.length === 0) {
+        throw new Error('No LLM provider configured (set OPENAI_API_KEY or ANTHROPIC_API_KEY, or LLM_PROVIDER=mock)');
+    }
+
+    const attempts = [];
+    let streamed = false;
+
+    for (const step of route) {
+        const provider = getLLMProvider(step.provider);
+        if (typeof provider.isOpen === 'function' && provider.isOpen()) {
+            console.warn(`⚠️ ${step.provider} circuit breaker open - skipping to the next provider`);
+            attempts.push({ provider: step.provider, model: step.model, error: 'Circuit breaker is OPEN' });
+            continue;
+        }
+
+        const stepRequest = { ...request, model: step.model };
+        try {
+            const response = options.onDelta
+                ? await provider.stream(stepRequest, text => {
+                    streamed = true;
+                    options.onDelta(text);
+                })
+                : await provider.chat(stepRequest);
+
+            recordUsage(step.provider, step.model, response.usage);
+            if (attempts.length > 0) {
+                console.log(`🔁 Answered by ${step.provider} (${step.model}) after ${attempts.map(attempt => attempt.provider).join(', ')} failed`);
+            }
+            return { ...response, attempts, fallbackUsed: attempts.length > 0 };
+
+        } catch (error) {
+            recordUsage(step.provider, step.model, null, true);
+            attempts.push({ provider: step.provider, model: step.model, error: error.message });
+            console.warn(`⚠️ ${step.provider} (${step.model}) failed:`, error.message);
+
+            // Text already delivered cannot be taken back, so a second provider would answer twice
+            if (streamed) break;
+        }
+    }
+
+    console.error('❌ All LLM providers failed:', attempts.map(attempt => `${attempt.provider}: ${attempt.error}`).join('; '));
+    throw new Error(`LLM request failed: ${attempts.map(attempt => `${attempt.provider}: ${attempt.error}`).join('; ')}`);
+}
+
+/**
+ * 📊 Configuration, breaker state and token usage per provider
+ */
+function getLLMStatus() {
+    const names = [...new Set([...Object.keys(LLM_PROVIDER_FACTORIES), ...Object.keys(providers)])];
+    return {
+        forcedProvider: process.env[LLM_SETTINGS.PROVIDER_VAR] || null,
+        providers: Object.fromEntries(names.map(name => {
+            const provider = getLLMProvider(name);
+            return [name, {
+                configured: provider.isConfigured(),
+                circuitOpen: typeof provider.isOpen === 'function' ? provider.isOpen() : false
+            }];
+        })),
+        usage: { ...usageTotals }
+    };
+}
+
+module.exports = {
+    // Routing
+    resolveRoute,
+    completeWithFallback,
+
+    // Registry
+    getLLMProvider,
+    registerLLMProvider,
+    resetLLMProviders,
+    validateLLMProvider,
+    getLLMStatus,
+
+    // Providers
+    createOpenAIProvider,
+    createAnthropicProvider,
+    createMockProvider,
+    normalizeTools,
+
+    // Configuration
+    LLM_ROUTES,
+    LLM_SETTINGS,
+    LLM_CAPABILITIES
+};
+
+console.log('🔀 LLM Providers Loaded');
@@ -0,0 +1,513 @@
+// utils/marketDataProviders.js - Pluggable market data providers for liveData.js
+// One interface per capability (series, quotes, crypto, fx, news) with vendor adapters
+// and a file-backed fixture provider for deterministic tests and offline demos
+
+const fs = require('fs');
+const path = require('path');
+const axios = require('axios');
+const { getProviderKey, reportProviderError, getMarketDataSettings } = require('./config');
+
+// 📋 PROVIDER INTERFACE
+// Each capability lists the methods a provider must implement. Methods resolve to
+// normalized data, or null / [] when the provider has nothing for the request.
+const PROVIDER_INTERFACE = {
+    series: ['getSeriesObservation', 'getSeriesHistory'], // (seriesId) → { date, value }; (seriesId, { startDate, endDate }) → [{ date, value }]
+    quotes: ['getQuote', 'getFxDaily', 'getDailyHistory'], // (symbol) → quote; (pair) → { pair, series: { date: ohlc } }; (symbol, { full }) → [{ date, close }]
+    crypto: ['getCryptoMarkets', 'getCryptoGlobal', 'getTrendingCryptos', 'getCryptoCategory'],
+    fx: ['getForexRates'],                                // (base) → { base, date, rates }
+    news: ['getNews', 'getHeadlines']                     // ({ query, pageSize }) / ({ country, pageSize }) → articles
+};
+
+const httpClient = axios.create({
+    timeout: 15000,
+    maxRedirects: 3,
+    headers: {
+        'User-Agent': 'IMPERIUM-VAULT-SYSTEM/3.0.0',
+        'Accept-Encoding': 'gzip, deflate'
+    }
+});
+
+function toNumber(value) {
+    const number = parseFloat(String(value).replace('%', ''));
+    return isNaN(number) ? null : number;
+}
+
+/**
+ * 📅 Oldest-first { date, value } list from a { date: value } map, clipped to a date range
+ */
+function toHistory(dateMap, { startDate = null, endDate = null } = {}) {
+    return Object.keys(dateMap || {})
+        .filter(date => (!startDate || date >= startDate) && (!endDate || date <= endDate))
+        .sort()
+        .map(date => ({ date: date, value: toNumber(dateMap[date]) }))
+        .filter(point => point.value !== null);
+}
+
+// 🏛️ LIVE VENDOR ADAPTERS
+
+/**
+ * 🏛️ FRED - economic series
+ */
+function createFredProvider() {
+    return {
+        name: 'fred',
+        capabilities: ['series'],
+
+        async getSeriesObservation(seriesId) {
+            const apiKey = getProviderKey('fred');
+            if (!apiKey) return null;
+
+            try {
+                const response = await httpClient.get(`https://api.stlouisfed.org/fred/series/observations?series_id=${seriesId}&api_key=${apiKey}&file_type=json&limit=1&sort_order=desc`);
+                const observation = response.data?.observations?.[0];
+                return observation ? { date: observation.date, value: observation.value } : null;
+            } catch (error) {
+                reportProviderError('fred', error);
+                throw error;
+            }
+        },
+
+        async getSeriesHistory(seriesId, { startDate = null, endDate = null } = {}) {
+            const apiKey = getProviderKey('fred');
+            if (!apiKey) return [];
+
+            try {
+                let url = `https://api.stlouisfed.org/fred/series/observations?series_id=${seriesId}&api_key=${apiKey}&file_type=json&sort_order=asc`;
+                if (startDate) url += `&observation_start=${startDate}`;
+                if (endDate) url += `&observation_end=${endDate}`;
+
+                const response = await httpClient.get(url, { timeout: 30000 });
+                // FRED marks missing observations with '.'
+                return (response.data?.observations || [])
+                    .map(observation => ({ date: observation.date, value: toNumber(observation.value) }))
+                    .filter(point => point.value !== null);
+            } catch (error) {
+                reportProviderError('fred', error);
+                throw error;
+            }
+        }
+    };
+}
+
+/**
+ * 📈 Alpha Vantage - equity/ETF quotes and daily FX
+ */
+function createAlphaVantageProvider() {
+    async function query(functionType, symbol, extraParams = '') {
+        const apiKey = getProviderKey('alphaVantage');
+        if (!apiKey) return null;
+
+        try {
+            const response = await httpClient.get(`https://www.alphavantage.co/query?function=${functionType}&symbol=${symbol}${extraParams}&apikey=${apiKey}`);
+            return response.data;
+        } catch (error) {
+            reportProviderError('alphaVantage', error);
+            throw error;
+        }
+    }
+
+    return {
+        name: 'alphaVantage',
+        capabilities: ['quotes'],
+
+        async getQuote(symbol) {
+            const data = await query('GLOBAL_QUOTE', symbol);
+            const quote = data?.['Global Quote'];
+            if (!quote || !quote['05. price']) return null;
+
+            return {
+                symbol: quote['01. symbol'] || symbol,
+                open: toNumber(quote['02. open']),
+                high: toNumber(quote['03. high']),
+                low: toNumber(quote['04. low']),
+                price: toNumber(quote['05. price']),
+                volume: toNumber(quote['06. volume']),
+                latestTradingDay: quote['07. latest trading day'] || null,
+                previousClose: toNumber(quote['08. previous close']),
+                change: toNumber(quote['09. change']),
+                changePercent: toNumber(quote['10. change percent'])
+            };
+        },
+
+        async getFxDaily(pair) {
+            const data = await query('FX_DAILY', pair);
+            const timeSeries = data?.['Time Series FX (Daily)'];
+            if (!timeSeries) return null;
+
+            const series = {};
+            Object.entries(timeSeries).forEach(([date, bar]) => {
+                series[date] = {
+                    open: toNumber(bar['1. open']),
+                    high: toNumber(bar['2. high']),
+                    low: toNumber(bar['3. low']),
+                    close: toNumber(bar['4. close'])
+                };
+            });
+            return { pair: pair, series: series };
+        },
+
+        async getDailyHistory(symbol, { full = false } = {}) {
+            const data = await query('TIME_SERIES_DAILY', symbol, `&outputsize=${full ? 'full' : 'compact'}`);
+            const timeSeries = data?.['Time Series (Daily)'];
+            if (!timeSeries) return [];
+
+            return Object.keys(timeSeries).sort().map(date => ({
+                date: date,
+                close: toNumber(timeSeries[date]['4. close'])
+            })).filter(point => point.close !== null);
+        }
+    };
+}
+
+/**
+ * 🦎 CoinGecko - Pro API while a key is enabled, free API otherwise
+ */
+function createCoinGeckoProvider() {
+    async function get(apiPath) {
+        const apiKey = getProviderKey('coinGecko');
+        if (!apiKey) {
+            return (await httpClient.get(`https://api.coingecko.com/api/v3${apiPath}`)).data;
+        }
+
+        try {
+            return (await httpClient.get(`https://pro-api.coingecko.com/api/v3${apiPath}`, {
+                headers: { 'X-Cg-Pro-Api-Key': apiKey }
+            })).data;
+        } catch (error) {
+            reportProviderError('coinGecko', error);
+            console.log('⚠️ Using CoinGecko free API as fallback');
+            return (await httpClient.get(`https://api.coingecko.com/api/v3${apiPath}`)).data;
+        }
+    }
+
+    function mapCategoryCoin(coin) {
+        return {
+            id: coin.id,
+            name: coin.name,
+            symbol: coin.symbol,
+            currentPrice: coin.current_price,
+            marketCap: coin.market_cap,
+            priceChange24h: coin.price_change_percentage_24h,
+            marketCapRank: coin.market_cap_rank
+        };
+    }
+
+    return {
+        name: 'coinGecko',
+        capabilities: ['crypto'],
+
+        async getCryptoMarkets(coins) {
+            const markets = await get(`/coins/markets?vs_currency=usd&ids=${coins.join(',')}&order=market_cap_desc&per_page=20&page=1&sparkline=false&price_change_percentage=1h,24h,7d`);
+
+            const cryptoData = {};
+            (markets || []).forEach(coin => {
+                cryptoData[coin.id] = {
+                    usd: coin.current_price,
+                    usd_market_cap: coin.market_cap,
+                    usd_24h_vol: coin.total_volume,
+                    usd_24h_change: coin.price_change_percentage_24h,
+                    usd_1h_change: coin.price_change_percentage_1h_in_currency || null,
+                    usd_7d_change: coin.price_change_percentage_7d_in_currency || null,
+                    market_cap_rank: coin.market_cap_rank,
+                    ath: coin.ath,
+                    atl: coin.atl,
+                    circulating_supply: coin.circulating_supply,
+                    max_supply: coin.max_supply
+                };
+            });
+            return cryptoData;
+        },
+
+        async getCryptoGlobal() {
+            const globalData = (await get('/global'))?.data;
+            if (!globalData) return null;
+
+            return {
+                totalMarketCap: globalData.total_market_cap.usd,
+                total24hVolume: globalData.total_volume.usd,
+                btcDominance: globalData.market_cap_percentage.bitcoin,
+                ethDominance: globalData.market_cap_percentage.ethereum,
+                activeCryptocurrencies: globalData.active_cryptocurrencies,
+                markets: globalData.markets,
+                marketCapChange24h: globalData.market_cap_change_percentage_24h_usd
+            };
+        },
+
+        async getTrendingCryptos() {
+            const trending = await get('/search/trending');
+            return (trending?.coins || []).map(coin => ({
+                id: coin.item.id,
+                name: coin.item.name,
+                symbol: coin.item.symbol,
+                marketCapRank: coin.item.market_cap_rank,
+                priceChangePercentage24h: coin.item.data?.price_change_percentage_24h?.usd
+            }));
+        },
+
+        async getCryptoCategory(category, limit = 10) {
+            const coins = await get(`/coins/markets?vs_currency=usd&category=${category}&order=market_cap_desc&per_page=${limit}&page=1`);
+            return (coins || []).map(mapCategoryCoin);
+        }
+    };
+}
+
+/**
+ * 💱 ExchangeRate API - spot FX rates (no key)
+ */
+function createExchangeRateProvider() {
+    return {
+        name: 'exchangeRate',
+        capabilities: ['fx'],
+
+        async getForexRates(base = 'USD') {
+            const response = await httpClient.get(`https://api.exchangerate-api.com/v4/latest/${base}`, { timeout: 10000 });
+            return {
+                base: response.data.base,
+                date: response.data.date,
+                rates: response.data.rates
+            };
+        }
+    };
+}
+
+/**
+ * 📰 NewsAPI - financial news and business headlines
+ */
+function createNewsApiProvider() {
+    async function get(url) {
+        const apiKey = getProviderKey('newsApi');
+        if (!apiKey) return [];
+
+        try {
+            const response = await httpClient.get(`${url}&apiKey=${apiKey}`);
+            return response.data.articles || [];
+        } catch (error) {
+            reportProviderError('newsApi', error);
+            throw error;
+        }
+    }
+
+    return {
+        name: 'newsApi',
+        capabilities: ['news'],
+
+        async getNews({ query, pageSize = 5 }) {
+            return await get(`https://newsapi.org/v2/everything?q=${encodeURIComponent(query)}&language=en&sortBy=publishedAt&pageSize=${pageSize}`);
+        },
+
+        async getHeadlines({ country = 'us', pageSize = 5 }) {
+            return await get(`https://newsapi.org/v2/top-headlines?country=${country}&category=business&pageSize=${pageSize}`);
+        }
+    };
+}
+
+// 📁 FIXTURE PROVIDER
+
+/**
+ * 📁 Load fixtures from a JSON file, or merge every *.json file in a directory
+ */
+function loadFixtures(fixturesPath) {
+    if (!fs.existsSync(fixturesPath)) {
+        throw new Error(`Market data fixtures not found: ${fixturesPath}`);
+    }
+
+    const files = fs.statSync(fixturesPath).isDirectory()
+        ? fs.readdirSync(fixturesPath).filter(file => file.endsWith('.json')).sort().map(file => path.join(fixturesPath, file))
+        : [fixturesPath];
+
+    const fixtures = {};
+    files.forEach(file => {
+        const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+        Object.entries(data).forEach(([section, value]) => {
+            fixtures[section] = value && typeof value === 'object' && !Array.isArray(value)
+                ? { ...(fixtures[section] || {}), ...value }
+                : value;
+        });
+    });
+    return fixtures;
+}
+
+/**
+ * 📁 Fixture provider - serves every capability from recorded data, never touches the network
+ */
+function createFixtureProvider(fixturesPath) {
+    const fixtures = loadFixtures(fixturesPath);
+    const section = (name) => fixtures[name] || {};
+
+    return {
+        name: 'fixture',
+        capabilities: Object.keys(PROVIDER_INTERFACE),
+        fixturesPath: fixturesPath,
+        asOf: fixtures.asOf || null,
+
+        async getSeriesObservation(seriesId) {
+            return section('series')[seriesId] || null;
+        },
+
+        async getSeriesHistory(seriesId, range = {}) {
+            const history = section('seriesHistory')[seriesId];
+            if (history) return toHistory(history, range);
+
+            // Fall back to the single recorded observation
+            const latest = section('series')[seriesId];
+            return latest ? toHistory({ [latest.date]: latest.value }, range) : [];
+        },
+
+        async getQuote(symbol) {
+            const quote = section('quotes')[symbol];
+            return quote ? { symbol: symbol, ...quote } : null;
+        },
+
+        async getFxDaily(pair) {
+            const series = section('fxDaily')[pair];
+            return series ? { pair: pair, series: series } : null;
+        },
+
+        async getDailyHistory(symbol) {
+            return toHistory(section('quoteHistory')[symbol])
+                .map(point => ({ date: point.date, close: point.value }));
+        },
+
+        async getCryptoMarkets(coins) {
+            const markets = section('crypto').markets || {};
+            const cryptoData = {};
+            coins.forEach(coin => {
+                if (markets[coin]) cryptoData[coin] = markets[coin];
+            });
+            return cryptoData;
+        },
+
+        async getCryptoGlobal() {
+            return section('crypto').global || null;
+        },
+
+        async getTrendingCryptos() {
+            return section('crypto').trending || [];
+        },
+
+        async getCryptoCategory(category, limit = 10) {
+            return ((section('crypto').categories || {})[category] || []).slice(0, limit);
+        },
+
+        async getForexRates(base = 'USD') {
+            return section('forexRates')[base] || null;
+        },
+
+        async getNews({ pageSize = 5 }) {
+            return (section('news').articles || []).slice(0, pageSize);
+        },
+
+        async getHeadlines({ pageSize = 5 }) {
+            return (section('news').headlines || []).slice(0, pageSize);
+        }
+    };
+}
+
+// 🔌 PROVIDER REGISTRY
+
+const LIVE_PROVIDER_FACTORIES = {
+    series: createFredProvider,
+    quotes: createAlphaVantageProvider,
+    crypto: createCoinGeckoProvider,
+    fx: createExchangeRateProvider,
+    news: createNewsApiProvider
+};
+
+const registeredProviders = {};   // Set with registerProvider(); wins over config
+let resolvedProviders = null;
+
+/**
+ * ✅ Check a provider implements a capability
+ */
+function validateProvider(capability, provider) {
+    if (!PROVIDER_INTERFACE[capability]) {
+        throw new Error(`Unknown market data capability: ${capability}`);
+    }
+    const missing = PROVIDER_INTERFACE[capability].filter(method => typeof provider?.[method] !== 'function');
+    if (missing.length > 0) {
+        throw new Error(`Provider ${provider?.name || 'unknown'} is missing ${capability} methods: ${missing.join(', ')}`);
+    }
+    return provider;
+}
+
+/**
+ * 🔌 Build providers from config (MARKET_DATA_PROVIDER and per-capability overrides)
+ */
+function resolveProviders() {
+    const settings = getMarketDataSettings();
+    let fixtureProvider = null;
+
+    const providers = {};
+    Object.keys(PROVIDER_INTERFACE).forEach(capability => {
+        const mode = settings.capabilities[capability];
+        if (mode === 'fixture') {
+            fixtureProvider = fixtureProvider || createFixtureProvider(settings.fixturesPath);
+            providers[capability] = fixtureProvider;
+        } else {
+            providers[capability] = LIVE_PROVIDER_FACTORIES[capability]();
+        }
+    });
+
+    const fixtureCapabilities = Object.keys(providers).filter(c => providers[c].name === 'fixture');
+    if (fixtureCapabilities.length > 0) {
+        console.log(`📁 Market data fixtures (${settings.fixturesPath}) serving: ${fixtureCapabilities.join(', ')}`);
+    }
+    return providers;
+}
+
+/**
+ * 🔌 Provider for a capability
+ */
+function getMarketDataProvider(capability) {
+    if (registeredProviders[capability]) return registeredProviders[capability];
+    if (!resolvedProviders) resolvedProviders = resolveProviders();
+
+    const provider = resolvedProviders[capability];
+    if (!provider) throw new Error(`Unknown market data capability: ${capability}`);
+    return provider;
+}
+
+/**
+ * 🔌 Plug in a provider for a capability at runtime (tests, custom vendors)
+ */
+function registerProvider(capability, provider) {
+    registeredProviders[capability] = validateProvider(capability, provider);
+    console.log(`🔌 Market data ${capability} provider: ${provider.name || 'custom'}`);
+}
+
+/**
+ * 🔄 Drop registered providers and re-read config on next use
+ */
+function resetProviders() {
+    Object.keys(registeredProviders).forEach(capability => delete registeredProviders[capability]);
+    resolvedProviders = null;
+}
+
+function getActiveProviders() {
+    const active = {};
+    Object.keys(PROVIDER_INTERFACE).forEach(capability => {
+        active[capability] = getMarketDataProvider(capability).name;
+    });
+    return active;
+}
+
+module.exports = {
+    // Registry
+    getMarketDataProvider,
+    registerProvider,
+    resetProviders,
+    getActiveProviders,
+    validateProvider,
+
+    // Providers
+    createFredProvider,
+    createAlphaVantageProvider,
+    createCoinGeckoProvider,
+    createExchangeRateProvider,
+    createNewsApiProvider,
+    createFixtureProvider,
+    loadFixtures,
+
+    // Interface
+    PROVIDER_INTERFACE
+};
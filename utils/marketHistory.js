@@ -0,0 +1,524 @@
+// utils/marketHistory.js - Historical time-series store for macro and market data
+// Persists every observation (series, date, value, source, revision) so analytics in
+// liveData.js work on real history; backfill and incremental update jobs keep it current
+
+const { queryWithRetry, withTransaction } = require('./database');
+const { getMarketDataProvider } = require('./marketDataProviders');
+
+// 📋 STORE CONFIGURATION
+const MARKET_HISTORY_CONFIG = {
+    CLOSE_PREFIX: 'CLOSE:',          // Daily closes are stored as CLOSE:<symbol>, e.g. CLOSE:SPY
+
+    // Series kept current by the backfill and update jobs
+    TRACKED_SERIES: [
+        // Yield curve
+        'DGS3MO', 'DGS6MO', 'DGS1', 'DGS2', 'DGS5', 'DGS10', 'DGS30',
+        // Inflation
+        'T5YIE', 'T10YIE', 'CPIAUCSL', 'CPILFESL', 'PCEPILFE',
+        // Policy, labour and risk
+        'FEDFUNDS', 'UNRATE', 'BAMLH0A0HYM2', 'VIXCLS',
+        // Cross-asset closes for correlations
+        'CLOSE:SPY', 'CLOSE:TLT', 'CLOSE:GLD', 'CLOSE:USO'
+    ],
+
+    BACKFILL_YEARS: 10,
+    // Incremental updates re-request this window so vendor revisions are picked up
+    REVISION_LOOKBACK_DAYS: 90,
+    REVISION_TOLERANCE: 0.000001,
+    // Read-through treats stored history starting this close to the requested start as complete
+    COVERAGE_SLACK_DAYS: 4,
+
+    // Free-tier Alpha Vantage allows 5 requests a minute
+    REQUEST_DELAY_MS: { alphaVantage: 12000 }
+};
+
+// 🛠️ HELPERS
+
+function toDateString(date) {
+    if (!date) return null;
+    if (typeof date === 'string') return date.slice(0, 10);
+    return date.toISOString().slice(0, 10);
+}
+
+function shiftDate(dateString, days) {
+    const date = new Date(`${dateString}T00:00:00Z`);
+    date.setUTCDate(date.getUTCDate() + days);
+    return toDateString(date);
+}
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * 🔎 Which provider capability and symbol back a stored series id
+ */
+function resolveSeries(seriesId) {
+    if (seriesId.startsWith(MARKET_HISTORY_CONFIG.CLOSE_PREFIX)) {
+        return { seriesId: seriesId, capability: 'quotes', symbol: seriesId.slice(MARKET_HISTORY_CONFIG.CLOSE_PREFIX.length) };
+    }
+    return { seriesId: seriesId, capability: 'series', symbol: seriesId };
+}
+
+function closeSeriesId(symbol) {
+    return `${MARKET_HISTORY_CONFIG.CLOSE_PREFIX}${symbol}`;
+}
+
+/**
+ * 📡 Fetch history for a series straight from its provider
+ */
+async function fetchSeriesHistory(seriesId, { startDate = null, endDate = null } = {}) {
+    const definition = resolveSeries(seriesId);
+    const provider = getMarketDataProvider(definition.capability);
+
+    let observations;
+    if (definition.capability === 'quotes') {
+        // Compact output covers ~100 sessions; go full when reaching further back
+        const full = !startDate || startDate < shiftDate(toDateString(new Date()), -140);
+        observations = (await provider.getDailyHistory(definition.symbol, { full: full }))
+            .map(point => ({ date: point.date, value: point.close }))
+            .filter(point => (!startDate || point.date >= startDate) && (!endDate || point.date <= endDate));
+    } else {
+        observations = await provider.getSeriesHistory(definition.symbol, { startDate, endDate });
+    }
+
+    return {
+        source: provider.name,
+        observations: (observations || []).filter(point => point.date && Number.isFinite(point.value))
+    };
+}
+
+// 💾 STORE
+
+/**
+ * 💾 Save observations - new dates go in at revision 0, changed values as the next revision
+ */
+async function saveObservations(seriesId, observations, source) {
+    if (!observations || observations.length === 0) {
+        return { seriesId, inserted: 0, revised: 0, unchanged: 0 };
+    }
+
+    const sorted = [...observations].sort((a, b) => a.date.localeCompare(b.date));
+    const firstDate = sorted[0].date;
+    const lastDate = sorted[sorted.length - 1].date;
+
+    return await withTransaction(async (client) => {
+        const existing = await client.query(`
+            SELECT DISTINCT ON (obs_date) to_char(obs_date, 'YYYY-MM-DD') AS obs_date, value, revision
+            FROM market_time_series
+            WHERE series_id = $1 AND obs_date BETWEEN $2 AND $3
+            ORDER BY obs_date, revision DESC
+        `, [seriesId, firstDate, lastDate]);
+
+        const latest = new Map(existing.rows.map(row => [row.obs_date, row]));
+        const dates = [];
+        const values = [];
+        const revisions = [];
+        let inserted = 0;
+        let revised = 0;
+
+        sorted.forEach(point => {
+            const current = latest.get(point.date);
+            if (!current) {
+                inserted++;
+            } else if (Math.abs(parseFloat(current.value) - point.value) > MARKET_HISTORY_CONFIG.REVISION_TOLERANCE) {
+                revised++;
+            } else {
+                return;
+            }
+            dates.push(point.date);
+            values.push(point.value);
+            revisions.push(current ? current.revision + 1 : 0);
+        });
+
+        if (dates.length > 0) {
+            await client.query(`
+                INSERT INTO market_time_series (series_id, obs_date, value, source, revision)
+                SELECT $1, obs_date, value, $2, revision
+                FROM unnest($3::date[], $4::numeric[], $5::int[]) AS t(obs_date, value, revision)
+                ON CONFLICT (series_id, obs_date, revision) DO NOTHING
+            `, [seriesId, source, dates, values, revisions]);
+        }
+
+        return { seriesId, inserted, revised, unchanged: sorted.length - dates.length };
+    }, 'SAVE_MARKET_SERIES');
+}
+
+/**
+ * 📈 Stored history for a series (latest revision of each date, oldest first)
+ */
+async function getStoredHistory(seriesId, { startDate = null, endDate = null, limit = null, retries = 3 } = {}) {
+    try {
+        const result = await queryWithRetry(`
+            SELECT obs_date, value FROM (
+                SELECT DISTINCT ON (obs_date) to_char(obs_date, 'YYYY-MM-DD') AS obs_date, value
+                FROM market_time_series
+                WHERE series_id = $1
+                  AND ($2::date IS NULL OR obs_date >= $2::date)
+                  AND ($3::date IS NULL OR obs_date <= $3::date)
+                ORDER BY obs_date DESC, revision DESC
+                LIMIT $4
+            ) latest
+            ORDER BY obs_date
+        `, [seriesId, startDate, endDate, limit], retries, 'GET_MARKET_SERIES');
+
+        return result.rows.map(row => ({ date: row.obs_date, value: parseFloat(row.value) }));
+    } catch (error) {
+        console.error(`❌ Get stored history error (${seriesId}):`, error.message);
+        throw new Error(`Failed to get stored history: ${error.message}`);
+    }
+}
+
+/**
+ * 🕰️ Every revision of one observation, oldest first
+ */
+async function getObservationRevisions(seriesId, date) {
+    try {
+        const result = await queryWithRetry(`
+            SELECT value, source, revision, fetched_at FROM market_time_series
+            WHERE series_id = $1 AND obs_date = $2
+            ORDER BY revision
+        `, [seriesId, date], 3, 'GET_MARKET_REVISIONS');
+
+        return result.rows.map(row => ({
+            value: parseFloat(row.value),
+            source: row.source,
+            revision: row.revision,
+            fetchedAt: row.fetched_at
+        }));
+    } catch (error) {
+        console.error(`❌ Get revisions error (${seriesId} ${date}):`, error.message);
+        throw new Error(`Failed to get observation revisions: ${error.message}`);
+    }
+}
+
+async function getSyncState(seriesId) {
+    const result = await queryWithRetry(`
+        SELECT series_id, source, to_char(first_obs_date, 'YYYY-MM-DD') AS first_obs_date,
+               to_char(last_obs_date, 'YYYY-MM-DD') AS last_obs_date, observation_count,
+               last_backfill_at, last_update_at, last_error
+        FROM market_series_sync WHERE series_id = $1
+    `, [seriesId], 3, 'GET_MARKET_SYNC');
+    return result.rows[0] || null;
+}
+
+async function saveSyncState(seriesId, { source = null, job, error = null }) {
+    await queryWithRetry(`
+        INSERT INTO market_series_sync (series_id, source, first_obs_date, last_obs_date, observation_count,
+                                        last_backfill_at, last_update_at, last_error, updated_at)
+        SELECT $1, $2, MIN(obs_date), MAX(obs_date), COUNT(DISTINCT obs_date),
+               CASE WHEN $3 = 'backfill' THEN CURRENT_TIMESTAMP END,
+               CASE WHEN $3 = 'update' THEN CURRENT_TIMESTAMP END,
+               $4, CURRENT_TIMESTAMP
+        FROM market_time_series WHERE series_id = $1
+        ON CONFLICT (series_id) DO UPDATE SET
+            source = COALESCE(EXCLUDED.source, market_series_sync.source),
+            first_obs_date = EXCLUDED.first_obs_date,
+            last_obs_date = EXCLUDED.last_obs_date,
+            observation_count = EXCLUDED.observation_count,
+            last_backfill_at = COALESCE(EXCLUDED.last_backfill_at, market_series_sync.last_backfill_at),
+            last_update_at = COALESCE(EXCLUDED.last_update_at, market_series_sync.last_update_at),
+            last_error = EXCLUDED.last_error,
+            updated_at = CURRENT_TIMESTAMP
+    `, [seriesId, source, job, error], 3, 'SAVE_MARKET_SYNC');
+}
+
+/**
+ * 📋 Sync state of every stored series
+ */
+async function getSyncStatus() {
+    try {
+        const result = await queryWithRetry(`
+            SELECT series_id, source, to_char(first_obs_date, 'YYYY-MM-DD') AS first_obs_date,
+                   to_char(last_obs_date, 'YYYY-MM-DD') AS last_obs_date, observation_count,
+                   last_backfill_at, last_update_at, last_error
+            FROM market_series_sync ORDER BY series_id
+        `, [], 3, 'GET_MARKET_SYNC_STATUS');
+        return result.rows;
+    } catch (error) {
+        console.error('❌ Get market sync status error:', error.message);
+        throw new Error(`Failed to get market sync status: ${error.message}`);
+    }
+}
+
+// 🔄 BACKFILL AND INCREMENTAL JOBS
+
+/**
+ * 📥 Backfill one series from its provider
+ */
+async function backfillSeries(seriesId, { startDate = null, endDate = null } = {}) {
+    const from = startDate || shiftDate(toDateString(new Date()), -365 * MARKET_HISTORY_CONFIG.BACKFILL_YEARS);
+
+    try {
+        const { source, observations } = await fetchSeriesHistory(seriesId, { startDate: from, endDate });
+        const saved = await saveObservations(seriesId, observations, source);
+        await saveSyncState(seriesId, { source, job: 'backfill' });
+
+        console.log(`📥 Backfilled ${seriesId}: ${saved.inserted} new, ${saved.revised} revised (${source})`);
+        return { ...saved, source, job: 'backfill', fetched: observations.length };
+    } catch (error) {
+        console.error(`❌ Backfill error (${seriesId}):`, error.message);
+        await saveSyncState(seriesId, { job: 'backfill', error: error.message }).catch(() => {});
+        throw new Error(`Failed to backfill ${seriesId}: ${error.message}`);
+    }
+}
+
+/**
+ * 🔄 Incremental update - re-reads the revision window after the last stored date
+ */
+async function updateSeries(seriesId) {
+    const sync = await getSyncState(seriesId);
+    if (!sync || !sync.last_obs_date) {
+        return await backfillSeries(seriesId);
+    }
+
+    const startDate = shiftDate(sync.last_obs_date, -MARKET_HISTORY_CONFIG.REVISION_LOOKBACK_DAYS);
+
+    try {
+        const { source, observations } = await fetchSeriesHistory(seriesId, { startDate });
+        const saved = await saveObservations(seriesId, observations, source);
+        await saveSyncState(seriesId, { source, job: 'update' });
+
+        return { ...saved, source, job: 'update', fetched: observations.length };
+    } catch (error) {
+        console.error(`❌ Update error (${seriesId}):`, error.message);
+        await saveSyncState(seriesId, { job: 'update', error: error.message }).catch(() => {});
+        throw new Error(`Failed to update ${seriesId}: ${error.message}`);
+    }
+}
+
+async function runSeriesJob(jobName, seriesIds, runOne) {
+    const startTime = Date.now();
+    const results = [];
+    const failed = [];
+
+    for (const seriesId of seriesIds) {
+        try {
+            const result = await runOne(seriesId);
+            results.push(result);
+
+            const delay = MARKET_HISTORY_CONFIG.REQUEST_DELAY_MS[result.source];
+            if (delay && seriesId !== seriesIds[seriesIds.length - 1]) await sleep(delay);
+        } catch (error) {
+            failed.push({ seriesId, error: error.message });
+        }
+    }
+
+    const summary = {
+        job: jobName,
+        series: results,
+        failed: failed,
+        inserted: results.reduce((sum, r) => sum + r.inserted, 0),
+        revised: results.reduce((sum, r) => sum + r.revised, 0),
+        duration: Date.now() - startTime
+    };
+
+    console.log(`📚 Market data ${jobName}: ${results.length}/${seriesIds.length} series, ${summary.inserted} new, ${summary.revised} revised, ${failed.length} failed`);
+    return summary;
+}
+
+/**
+ * 📥 Backfill job - full history for every tracked series
+ */
+async function runMarketDataBackfill({ seriesIds = MARKET_HISTORY_CONFIG.TRACKED_SERIES, startDate = null } = {}) {
+    return await runSeriesJob('backfill', seriesIds, seriesId => backfillSeries(seriesId, { startDate }));
+}
+
+/**
+ * 🔄 Incremental job - new observations and recent revisions for every tracked series
+ */
+async function runMarketDataUpdate({ seriesIds = MARKET_HISTORY_CONFIG.TRACKED_SERIES } = {}) {
+    return await runSeriesJob('update', seriesIds, updateSeries);
+}
+
+// 📖 READ-THROUGH ACCESS
+
+/**
+ * 📏 Whether stored rows reach back to startDate - allows one observation interval
+ * of slack so weekends and monthly releases don't read as a gap
+ */
+function coversStart(stored, startDate) {
+    if (!startDate || stored.length === 0) return stored.length > 0;
+    const first = stored[0].date;
+    if (first <= startDate) return true;
+
+    const dayMs = 24 * 60 * 60 * 1000;
+    const interval = stored.length > 1
+        ? (Date.parse(stored[1].date) - Date.parse(first)) / dayMs
+        : 0;
+    const slack = Math.max(MARKET_HISTORY_CONFIG.COVERAGE_SLACK_DAYS, interval);
+    return first <= shiftDate(startDate, slack);
+}
+
+/**
+ * 📖 History for analytics - the store first, the provider for whatever the store is missing
+ */
+async function getSeriesHistory(seriesId, { startDate = null, endDate = null } = {}) {
+    let stored = [];
+    try {
+        // Single attempt - the provider is the fallback, so don't stall analytics on retries
+        stored = await getStoredHistory(seriesId, { startDate, endDate, retries: 1 });
+        if (coversStart(stored, startDate)) return stored;
+    } catch (error) {
+        console.log(`⚠️ Time-series store unavailable for ${seriesId}, reading provider directly`);
+    }
+
+    // Stored rows start after startDate - only the earlier range needs the provider
+    const gapEnd = stored.length > 0 ? shiftDate(stored[0].date, -1) : endDate;
+
+    let fetched;
+    try {
+        fetched = await fetchSeriesHistory(seriesId, { startDate, endDate: gapEnd });
+    } catch (error) {
+        if (stored.length === 0) throw error;
+        console.log(`⚠️ Could not backfill ${seriesId} before ${stored[0].date}: ${error.message}`);
+        return stored;
+    }
+
+    const { source, observations } = fetched;
+    if (observations.length > 0) {
+        await saveObservations(seriesId, observations, source)
+            .then(() => saveSyncState(seriesId, { source, job: 'backfill' }))
+            .catch(error => console.log(`⚠️ Could not persist ${seriesId} history: ${error.message}`));
+    }
+    return [...observations, ...stored];
+}
+
+// 📐 SERIES ANALYTICS
+
+/**
+ * 📐 Latest value on or before a date
+ */
+function valueAsOf(history, date) {
+    for (let i = history.length - 1; i >= 0; i--) {
+        if (history[i].date <= date) return history[i].value;
+    }
+    return null;
+}
+
+/**
+ * 📐 Change over a number of calendar days, measured from the latest observation
+ */
+function changeOver(history, days) {
+    if (history.length === 0) return null;
+    const latest = history[history.length - 1];
+    const earlier = valueAsOf(history, shiftDate(latest.date, -days));
+    return earlier === null ? null : latest.value - earlier;
+}
+
+/**
+ * 📐 Year-over-year % change of an index series (CPI, PCE)
+ */
+function yearOverYear(history, monthsBack = 0) {
+    if (history.length === 0) return null;
+    const endIndex = history.length - 1 - monthsBack;
+    if (endIndex < 0) return null;
+
+    const end = history[endIndex];
+    const base = valueAsOf(history, shiftDate(end.date, -365));
+    if (!base) return null;
+    return (end.value / base - 1) * 100;
+}
+
+/**
+ * 📐 Percentile rank (0-100) of the latest value within the history
+ */
+function percentileRank(history) {
+    if (history.length === 0) return null;
+    const latest = history[history.length - 1].value;
+    const below = history.filter(point => point.value <= latest).length;
+    return Math.round((below / history.length) * 100);
+}
+
+/**
+ * 📐 Pair two series on their common dates
+ */
+function alignSeries(a, b) {
+    const bByDate = new Map(b.map(point => [point.date, point.value]));
+    return a
+        .filter(point => bByDate.has(point.date))
+        .map(point => ({ date: point.date, a: point.value, b: bByDate.get(point.date) }));
+}
+
+/**
+ * 📐 Pearson correlation of period returns on common dates
+ */
+function returnsCorrelation(a, b, window = null) {
+    let aligned = alignSeries(a, b);
+    if (window) aligned = aligned.slice(-(window + 1));
+    if (aligned.length < 3) return null;
+
+    const ra = [];
+    const rb = [];
+    for (let i = 1; i < aligned.length; i++) {
+        ra.push(aligned[i].a / aligned[i - 1].a - 1);
+        rb.push(aligned[i].b / aligned[i - 1].b - 1);
+    }
+
+    const meanA = ra.reduce((sum, r) => sum + r, 0) / ra.length;
+    const meanB = rb.reduce((sum, r) => sum + r, 0) / rb.length;
+    let covariance = 0;
+    let varianceA = 0;
+    let varianceB = 0;
+    for (let i = 0; i < ra.length; i++) {
+        covariance += (ra[i] - meanA) * (rb[i] - meanB);
+        varianceA += (ra[i] - meanA) ** 2;
+        varianceB += (rb[i] - meanB) ** 2;
+    }
+    if (varianceA === 0 || varianceB === 0) return null;
+
+    return {
+        correlation: covariance / Math.sqrt(varianceA * varianceB),
+        observations: ra.length
+    };
+}
+
+module.exports = {
+    // Read access
+    getSeriesHistory,
+    getStoredHistory,
+    getObservationRevisions,
+    getSyncStatus,
+    fetchSeriesHistory,
+
+    // Store
+    saveObservations,
+
+    // Jobs
+    backfillSeries,
+    updateSeries,
+    runMarketDataBackfill,
+    runMarketDataUpdate,
+
+    // Analytics
+    valueAsOf,
+    changeOver,
+    yearOverYear,
+    percentileRank,
+    alignSeries,
+    returnsCorrelation,
+
+    // Helpers
+    closeSeriesId,
+    resolveSeries,
+
+    // Configuration
+    MARKET_HISTORY_CONFIG
+};
+
+console.log('📚 Market Time-Series Store Loaded');
+
+// Run a job by hand: node utils/marketHistory.js backfill|update [SERIES_ID ...]
+if (require.main === module) {
+    const [job = 'update', ...seriesIds] = process.argv.slice(2);
+    const run = job === 'backfill' ? runMarketDataBackfill : runMarketDataUpdate;
+    const options = seriesIds.length > 0 ? { seriesIds } : {};
+
+    require('./database').runMigrations()
+        .then(() => run(options))
+        .then(summary => process.exit(summary.failed.length > 0 ? 1 : 0))
+        .catch(error => {
+            console.error(`❌ Market data ${job} failed:`, error.message);
+            process.exit(1);
+        });
+}
@@ -33,6 +33,13 @@ const CONFIG = {
     max: 12000
   },
   
+  // Memory retrieval: top-k facts by similarity to the current message, importance and recency
+  MEMORY_RETRIEVAL: {
+    TOP_K: parseInt(process.env.MEMORY_TOP_K) || 15,
+    WEIGHTS: { similarity: 0.6, importance: 0.25, recency: 0.15 },
+    RECENCY_HALF_LIFE_DAYS: parseInt(process.env.MEMORY_RECENCY_HALF_LIFE_DAYS) || 30
+  },
+  
   // Circuit breaker settings
   CIRCUIT_BREAKER: {
     failureThreshold: 5,
@@ -87,6 +94,22 @@ try {
   };
 }
 
+// Embedding retrieval; without it memories are ranked by importance and recency only
+let semanticMemory = null;
+try {
+  semanticMemory = require('./semanticMemory');
+} catch (error) {
+  console.warn('⚠️ Semantic memory not available:', error.message);
+}
+
+// Typed entities (borrowers, LPs, properties, loans...) extracted alongside free-text facts
+let entityMemory = null;
+try {
+  entityMemory = require('./entityMemory');
+} catch (error) {
+  console.warn('⚠️ Entity memory not available:', error.message);
+}
+
 // ═══════════════════════════════════════════════════════════════════════════
 // ENTERPRISE LOGGING SYSTEM
 // ═══════════════════════════════════════════════════════════════════════════
@@ -765,26 +788,27 @@ function normalizeFieldNames(record) {
     timestamp: record.timestamp || record.created_at || record.date,
     importance: record.importance || record.priority || 'medium',
     fact: record.fact || record.content || record.text || record.data,
+    pinned: Boolean(record.pinned),
     metadata: record.metadata || {}
   };
 }
 
-function calculateRelevance(timestamp, importance = 'medium', currentMessage = '') {
+// Hybrid relevance from 0 to 1: similarity to the current message (when known), importance and
+// recency decay with a half-life; without a similarity the other two are reweighted to fill the scale
+function calculateRelevance(timestamp, importance = 'medium', similarity = null) {
   try {
-    const daysOld = daysBetween(new Date(), new Date(timestamp));
-    const decayFactor = Math.max(0.1, 1 - (daysOld / 30));
+    const { WEIGHTS, RECENCY_HALF_LIFE_DAYS } = CONFIG.MEMORY_RETRIEVAL;
+    const daysOld = Math.max(0, daysBetween(new Date(), new Date(timestamp)));
+    const recency = Math.pow(0.5, daysOld / RECENCY_HALF_LIFE_DAYS);
     
     const importanceScores = { high: 1.0, medium: 0.7, low: 0.4 };
     const importanceScore = importanceScores[importance] || 0.5;
     
-    let contextBoost = 1.0;
-    if (currentMessage) {
-      const messageWords = currentMessage.toLowerCase().split(/\s+/);
-      const commonWords = messageWords.filter(word => word.length > 3).slice(0, 10);
-      contextBoost = 1.0 + (commonWords.length * 0.1);
+    if (typeof similarity !== 'number' || isNaN(similarity)) {
+      return (WEIGHTS.importance * importanceScore + WEIGHTS.recency * recency) / (WEIGHTS.importance + WEIGHTS.recency);
     }
     
-    return decayFactor * importanceScore * contextBoost;
+    return WEIGHTS.similarity * Math.max(0, similarity) + WEIGHTS.importance * importanceScore + WEIGHTS.recency * recency;
   } catch (error) {
     return 0.5;
   }
@@ -1006,6 +1030,43 @@ async function safeSaveConversation(chatId, userMessage, aiResponse, metadata =
   }
 }
 
+// Memories most similar to the current message; falls back to the importance-ordered list
+async function safeFindRelevantMemories(chatId, currentMessage, memories) {
+  if (!semanticMemory || !safeString(currentMessage).trim()) {
+    return memories;
+  }
+  
+  const startTime = Date.now();
+  try {
+    const candidates = await circuitBreakers.memories.execute(async () => {
+      return await semanticMemory.findSimilarMemories(chatId, currentMessage);
+    });
+    
+    if (performanceMonitor) {
+      performanceMonitor.recordOperation('find_relevant_memories', Date.now() - startTime, true, { 
+        chatId, 
+        resultCount: candidates.length 
+      });
+    }
+    return candidates.length > 0 ? candidates : memories;
+    
+  } catch (error) {
+    logger.warn('Database', `Semantic retrieval failed for ${chatId}, using importance order:`, error.message);
+    return memories;
+  }
+}
+
+// Cached memory lists go stale whenever a chat's memories are saved, edited, pinned or forgotten
+function invalidateMemoryCache(chatId) {
+  if (cache) {
+    const cacheKeys = [
+      cache.generateKey('mem', chatId, 50),
+      cache.generateKey('mem', chatId, 100)
+    ];
+    cacheKeys.forEach(key => cache.delete(key));
+  }
+}
+
 async function safeSaveFact(chatId, fact, importance = 'medium') {
   const startTime = Date.now();
   
@@ -1021,15 +1082,15 @@ async function safeSaveFact(chatId, fact, importance = 'medium') {
       return await database.addPersistentMemoryDB(chatId, filteredFact, importance);
     });
     
-    // Clear memory cache
-    if (cache) {
-      const cacheKeys = [
-        cache.generateKey('mem', chatId, 50),
-        cache.generateKey('mem', chatId, 100)
-      ];
-      cacheKeys.forEach(key => cache.delete(key));
+    // Embedding happens after the save so a slow embeddings API never blocks it; retrieval backfills misses
+    if (result && semanticMemory) {
+      semanticMemory.indexMemory(chatId, filteredFact).catch(error => {
+        logger.warn('Database', `Memory embedding deferred for ${chatId}:`, error.message);
+      });
     }
     
+    invalidateMemoryCache(chatId);
+    
     const duration = Date.now() - startTime;
     if (performanceMonitor) {
       performanceMonitor.recordOperation('save_fact', duration, true, { chatId, importance });
@@ -1627,6 +1688,14 @@ async function buildConversationContext(chatId, currentMessageOrOptions = '') {
     const contextParts = [];
     let currentLength = 0;
     
+    // Pinned facts come first and are never dropped for space or relevance
+    const pinnedMemories = memories.filter(memory => memory.pinned);
+    if (pinnedMemories.length > 0) {
+      const pinnedText = 'PINNED FACTS:\n' + pinnedMemories.map(memory => `• ${safeString(memory.fact).substring(0, 300)}`).join('\n');
+      contextParts.push(pinnedText);
+      currentLength += pinnedText.length;
+    }
+    
     // User profile with analytics insights
     if (userProfile) {
       const profileText = `USER PROFILE: Member since ${new Date(userProfile.first_seen || Date.now()).toLocaleDateString()}, ${conversations.length} total conversations`;
@@ -1671,14 +1740,16 @@ async function buildConversationContext(chatId, currentMessageOrOptions = '') {
         contextParts.push(memoryHeader);
         currentLength += memoryHeader.length;
         
-        const scoredMemories = memories
-          .filter(memory => memory.fact && safeString(memory.fact).trim().length > 0)
+        const pinnedIds = new Set(pinnedMemories.map(memory => memory.id));
+        const candidates = await safeFindRelevantMemories(chatId, currentMessage, memories);
+        const scoredMemories = candidates
+          .filter(memory => memory.fact && safeString(memory.fact).trim().length > 0 && !pinnedIds.has(memory.id))
           .map(memory => ({
             ...memory,
-            relevance: calculateRelevance(memory.timestamp, memory.importance, currentMessage)
+            relevance: calculateRelevance(memory.timestamp, memory.importance, memory.similarity)
           }))
           .sort((a, b) => b.relevance - a.relevance)
-          .slice(0, 15);
+          .slice(0, CONFIG.MEMORY_RETRIEVAL.TOP_K);
         
         for (const memory of scoredMemories) {
           const importance = memory.importance ? `[${memory.importance.toUpperCase()}] ` : '';
@@ -1867,6 +1938,17 @@ async function saveToMemory(chatId, conversationData) {
       }
     }
     
+    let entitiesSaved = 0;
+    
+    if (saveResult !== false && entityMemory) {
+      try {
+        const entityResult = await entityMemory.recordConversationEntities(chatId, filteredUserMessage, filteredAssistantResponse);
+        entitiesSaved = entityResult.entities;
+      } catch (entityError) {
+        logger.warn('MemoryCore', 'Entity extraction failed:', entityError.message);
+      }
+    }
+    
     const processingTime = Date.now() - startTime;
     
     if (performanceMonitor) {
@@ -1885,12 +1967,13 @@ async function saveToMemory(chatId, conversationData) {
       userLength: userMessage.length,
       aiLength: assistantResponse.length,
       factsSaved: factsSaved,
+      entitiesSaved,
       contentFiltered: enhancedMetadata.contentFiltered,
       processingTime
     };
     
     if (saveResult !== false) {
-      logger.info('MemoryCore', `Enterprise conversation saved for ${chatId}: ${factsSaved} facts extracted (${processingTime}ms)`);
+      logger.info('MemoryCore', `Enterprise conversation saved for ${chatId}: ${factsSaved} facts, ${entitiesSaved} entities extracted (${processingTime}ms)`);
     } else {
       logger.warn('MemoryCore', `Failed to save conversation for ${chatId} (${processingTime}ms)`);
       result.reason = 'database_save_failed';
@@ -2726,6 +2809,7 @@ module.exports = {
   // Utility functions
   extractFactsFromText,
   filterSensitiveContent,
+  invalidateMemoryCache,
   
   // Helper functions
   safeString,
@@ -0,0 +1,737 @@
+// utils/migrations.js - Versioned schema migrations
+// ═══════════════════════════════════════════════════════════════════════════
+// Applied in order by runMigrations() in utils/database.js and recorded in
+// schema_migrations. Never edit a released migration - append a new one.
+// Early migrations use IF NOT EXISTS so databases created by the old
+// single-block initializeDatabase() upgrade cleanly.
+// ═══════════════════════════════════════════════════════════════════════════
+
+const MIGRATIONS = [
+    {
+        version: 1,
+        name: 'baseline_conversation_schema',
+        sql: `
+            CREATE TABLE IF NOT EXISTS conversations (
+                id SERIAL PRIMARY KEY,
+                chat_id VARCHAR(50) NOT NULL,
+                user_message TEXT NOT NULL,
+                gpt_response TEXT NOT NULL,
+                message_type VARCHAR(20) DEFAULT 'text',
+                timestamp TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                context_data JSONB,
+                response_time_ms INTEGER
+            );
+
+            CREATE TABLE IF NOT EXISTS user_profiles (
+                chat_id VARCHAR(50) PRIMARY KEY,
+                conversation_count INTEGER DEFAULT 0,
+                first_seen TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                last_seen TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                preferences JSONB DEFAULT '{}'
+            );
+
+            CREATE TABLE IF NOT EXISTS persistent_memories (
+                id SERIAL PRIMARY KEY,
+                chat_id VARCHAR(50) NOT NULL,
+                fact TEXT NOT NULL,
+                importance VARCHAR(10) DEFAULT 'medium',
+                timestamp TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                access_count INTEGER DEFAULT 0,
+                fact_hash VARCHAR(64)
+            );
+
+            CREATE TABLE IF NOT EXISTS training_documents (
+                id SERIAL PRIMARY KEY,
+                chat_id VARCHAR(50) NOT NULL,
+                file_name VARCHAR(255) NOT NULL,
+                content TEXT NOT NULL,
+                document_type VARCHAR(50) DEFAULT 'general',
+                upload_date TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                word_count INTEGER,
+                summary TEXT
+            );
+
+            CREATE INDEX IF NOT EXISTS idx_conversations_chat_id_time ON conversations(chat_id, timestamp DESC);
+            CREATE INDEX IF NOT EXISTS idx_memories_chat_id ON persistent_memories(chat_id);
+            CREATE INDEX IF NOT EXISTS idx_memories_hash ON persistent_memories(fact_hash);
+        `
+    },
+    {
+        version: 2,
+        name: 'fund_ledger',
+        sql: `
+            CREATE TABLE IF NOT EXISTS fund_accounts (
+                account_code VARCHAR(10) PRIMARY KEY,
+                account_name VARCHAR(100) NOT NULL,
+                account_type VARCHAR(20) NOT NULL,
+                category VARCHAR(50) NOT NULL,
+                normal_balance VARCHAR(6) NOT NULL
+            );
+
+            CREATE TABLE IF NOT EXISTS fund_journal_entries (
+                id SERIAL PRIMARY KEY,
+                entry_id VARCHAR(40) UNIQUE NOT NULL,
+                fund_id VARCHAR(50) NOT NULL,
+                entry_date DATE NOT NULL,
+                entry_type VARCHAR(40) NOT NULL,
+                description TEXT,
+                reference VARCHAR(100),
+                currency VARCHAR(3) DEFAULT 'USD',
+                fx_rate NUMERIC(18,6) DEFAULT 1,
+                units_issued NUMERIC(20,6) DEFAULT 0,
+                posted_by VARCHAR(50),
+                reverses_entry_id VARCHAR(40),
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            );
+
+            CREATE TABLE IF NOT EXISTS fund_journal_lines (
+                id SERIAL PRIMARY KEY,
+                entry_id VARCHAR(40) NOT NULL REFERENCES fund_journal_entries(entry_id),
+                fund_id VARCHAR(50) NOT NULL,
+                account_code VARCHAR(10) NOT NULL REFERENCES fund_accounts(account_code),
+                debit NUMERIC(20,2) DEFAULT 0,
+                credit NUMERIC(20,2) DEFAULT 0,
+                lp_id VARCHAR(50),
+                deal_id VARCHAR(50),
+                memo TEXT
+            );
+
+            CREATE TABLE IF NOT EXISTS fund_account_balances (
+                fund_id VARCHAR(50) NOT NULL,
+                account_code VARCHAR(10) NOT NULL REFERENCES fund_accounts(account_code),
+                debit_total NUMERIC(20,2) DEFAULT 0,
+                credit_total NUMERIC(20,2) DEFAULT 0,
+                updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                PRIMARY KEY (fund_id, account_code)
+            );
+
+            CREATE TABLE IF NOT EXISTS lp_commitments (
+                id SERIAL PRIMARY KEY,
+                fund_id VARCHAR(50) NOT NULL,
+                lp_id VARCHAR(50) NOT NULL,
+                committed_amount NUMERIC(20,2) NOT NULL,
+                commitment_date DATE NOT NULL,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            );
+
+            CREATE INDEX IF NOT EXISTS idx_journal_entries_fund_date ON fund_journal_entries(fund_id, entry_date);
+            CREATE INDEX IF NOT EXISTS idx_journal_lines_fund_account ON fund_journal_lines(fund_id, account_code);
+            CREATE INDEX IF NOT EXISTS idx_journal_lines_entry ON fund_journal_lines(entry_id);
+            CREATE INDEX IF NOT EXISTS idx_lp_commitments_fund ON lp_commitments(fund_id, lp_id);
+        `
+    },
+    {
+        version: 3,
+        name: 'fund_nav_strikes',
+        sql: `
+            -- One strike per fund and valuation date, re-strikes bump the revision
+            CREATE TABLE IF NOT EXISTS fund_nav_strikes (
+                id SERIAL PRIMARY KEY,
+                strike_id VARCHAR(40) UNIQUE NOT NULL,
+                fund_id VARCHAR(50) NOT NULL,
+                valuation_date DATE NOT NULL,
+                gross_assets NUMERIC(20,2) NOT NULL,
+                total_liabilities NUMERIC(20,2) NOT NULL,
+                loan_loss_provisions NUMERIC(20,2) DEFAULT 0,
+                fair_value_adjustments NUMERIC(20,2) DEFAULT 0,
+                currency_adjustments NUMERIC(20,2) DEFAULT 0,
+                nav NUMERIC(20,2) NOT NULL,
+                total_units NUMERIC(20,6) DEFAULT 0,
+                nav_per_unit NUMERIC(20,6),
+                prior_nav_per_unit NUMERIC(20,6),
+                components JSONB NOT NULL,
+                revision INTEGER DEFAULT 1,
+                struck_by VARCHAR(50),
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                UNIQUE (fund_id, valuation_date)
+            );
+        `
+    },
+    {
+        version: 4,
+        name: 'portfolio_and_lp_records',
+        sql: `
+            -- Queryable columns are denormalized, the full record lives in data
+            CREATE TABLE lps (
+                lp_id VARCHAR(50) PRIMARY KEY,
+                name VARCHAR(200) NOT NULL,
+                lp_type VARCHAR(50),
+                status VARCHAR(30) NOT NULL,
+                email VARCHAR(200),
+                phone VARCHAR(50),
+                country VARCHAR(100),
+                risk_profile VARCHAR(20),
+                available_capital NUMERIC(20,2) DEFAULT 0,
+                total_invested NUMERIC(20,2) DEFAULT 0,
+                data JSONB NOT NULL,
+                added_date TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            );
+
+            CREATE TABLE deals (
+                deal_id VARCHAR(50) PRIMARY KEY,
+                fund_id VARCHAR(50),
+                status VARCHAR(30) NOT NULL,
+                borrower_name VARCHAR(200),
+                location VARCHAR(100),
+                property_type VARCHAR(100),
+                loan_amount NUMERIC(20,2),
+                interest_rate NUMERIC(8,4),
+                principal_outstanding NUMERIC(20,2),
+                risk_score NUMERIC(6,2),
+                risk_level VARCHAR(30),
+                data JSONB NOT NULL,
+                added_date TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            );
+
+            CREATE TABLE deal_payments (
+                id SERIAL PRIMARY KEY,
+                payment_id VARCHAR(50) UNIQUE NOT NULL,
+                deal_id VARCHAR(50) NOT NULL REFERENCES deals(deal_id),
+                payment_date TIMESTAMP NOT NULL,
+                amount NUMERIC(20,2) NOT NULL,
+                principal NUMERIC(20,2) DEFAULT 0,
+                interest NUMERIC(20,2) DEFAULT 0,
+                payment_type VARCHAR(30),
+                status VARCHAR(20) DEFAULT 'received',
+                data JSONB DEFAULT '{}',
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            );
+
+            CREATE INDEX idx_deals_status ON deals(status);
+            CREATE INDEX idx_deals_borrower ON deals(borrower_name);
+            CREATE INDEX idx_deal_payments_deal ON deal_payments(deal_id, payment_date);
+            CREATE INDEX idx_lps_status ON lps(status);
+        `
+    },
+    {
+        version: 5,
+        name: 'distribution_waterfalls',
+        sql: `
+            -- Finalized waterfall runs; allocations are cumulative inputs for later runs
+            CREATE TABLE distribution_waterfalls (
+                id SERIAL PRIMARY KEY,
+                waterfall_id VARCHAR(40) UNIQUE NOT NULL,
+                fund_id VARCHAR(50) NOT NULL,
+                distribution_date DATE NOT NULL,
+                mode VARCHAR(20) NOT NULL,
+                deal_id VARCHAR(50),
+                amount NUMERIC(20,2) NOT NULL,
+                hurdle_rate NUMERIC(8,6) NOT NULL,
+                carry_rate NUMERIC(8,6) NOT NULL,
+                catch_up_rate NUMERIC(8,6) NOT NULL,
+                result JSONB NOT NULL,
+                created_by VARCHAR(50),
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            );
+
+            CREATE TABLE distribution_waterfall_allocations (
+                id SERIAL PRIMARY KEY,
+                waterfall_id VARCHAR(40) NOT NULL REFERENCES distribution_waterfalls(waterfall_id),
+                fund_id VARCHAR(50) NOT NULL,
+                lp_id VARCHAR(50) NOT NULL,
+                deal_id VARCHAR(50),
+                distribution_date DATE NOT NULL,
+                gross_amount NUMERIC(20,2) NOT NULL,
+                return_of_capital NUMERIC(20,2) DEFAULT 0,
+                preferred_return NUMERIC(20,2) DEFAULT 0,
+                catch_up NUMERIC(20,2) DEFAULT 0,
+                carried_interest NUMERIC(20,2) DEFAULT 0,
+                lp_amount NUMERIC(20,2) NOT NULL,
+                gp_amount NUMERIC(20,2) NOT NULL,
+                clawback NUMERIC(20,2) DEFAULT 0
+            );
+
+            CREATE INDEX idx_waterfalls_fund_date ON distribution_waterfalls(fund_id, distribution_date);
+            CREATE INDEX idx_waterfall_allocations_fund_lp ON distribution_waterfall_allocations(fund_id, lp_id, deal_id);
+        `
+    },
+    {
+        version: 6,
+        name: 'capital_calls',
+        sql: `
+            CREATE TABLE capital_calls (
+                id SERIAL PRIMARY KEY,
+                call_id VARCHAR(40) UNIQUE NOT NULL,
+                fund_id VARCHAR(50) NOT NULL,
+                call_number INTEGER NOT NULL,
+                call_date DATE NOT NULL,
+                due_date DATE NOT NULL,
+                total_amount NUMERIC(20,2) NOT NULL,
+                purpose TEXT,
+                status VARCHAR(20) DEFAULT 'open',
+                late_interest_rate NUMERIC(8,6) NOT NULL,
+                data JSONB DEFAULT '{}',
+                created_by VARCHAR(50),
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                UNIQUE (fund_id, call_number)
+            );
+
+            -- One row per LP; excused LPs are kept with a zero amount for the audit trail
+            CREATE TABLE capital_call_allocations (
+                id SERIAL PRIMARY KEY,
+                call_id VARCHAR(40) NOT NULL REFERENCES capital_calls(call_id),
+                fund_id VARCHAR(50) NOT NULL,
+                lp_id VARCHAR(50) NOT NULL,
+                commitment NUMERIC(20,2) NOT NULL,
+                unfunded_before NUMERIC(20,2) NOT NULL,
+                amount_called NUMERIC(20,2) NOT NULL,
+                amount_received NUMERIC(20,2) DEFAULT 0,
+                late_interest_paid NUMERIC(20,2) DEFAULT 0,
+                receipts JSONB DEFAULT '[]',
+                status VARCHAR(20) DEFAULT 'pending',
+                excuse_reason TEXT,
+                paid_date DATE,
+                default_date DATE,
+                remedies JSONB DEFAULT '[]',
+                updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                UNIQUE (call_id, lp_id)
+            );
+
+            CREATE INDEX idx_capital_calls_fund ON capital_calls(fund_id, call_date);
+            CREATE INDEX idx_call_allocations_fund_lp ON capital_call_allocations(fund_id, lp_id, status);
+        `
+    },
+    {
+        version: 7,
+        name: 'fee_accrual_ledger',
+        sql: `
+            ALTER TABLE lp_commitments ADD COLUMN lp_class VARCHAR(20) DEFAULT 'A';
+
+            -- Fee terms per fund and LP class; the latest effective_from on or before a date applies
+            CREATE TABLE fund_fee_schedules (
+                id SERIAL PRIMARY KEY,
+                fund_id VARCHAR(50) NOT NULL,
+                lp_class VARCHAR(20) NOT NULL DEFAULT 'A',
+                effective_from DATE NOT NULL,
+                management_rate NUMERIC(8,6) NOT NULL,
+                investment_period_end DATE,
+                post_period_basis VARCHAR(30) DEFAULT 'invested_capital',
+                offset_percent NUMERIC(8,6) DEFAULT 1,
+                performance_rate NUMERIC(8,6) NOT NULL,
+                hurdle_rate NUMERIC(8,6) DEFAULT 0,
+                high_water_mark BOOLEAN DEFAULT TRUE,
+                crystallization_frequency VARCHAR(20) DEFAULT 'annual',
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                UNIQUE (fund_id, lp_class, effective_from)
+            );
+
+            -- One row per posted accrual; performance rows may be negative (accrual reversed)
+            CREATE TABLE fee_accruals (
+                id SERIAL PRIMARY KEY,
+                accrual_id VARCHAR(40) UNIQUE NOT NULL,
+                fund_id VARCHAR(50) NOT NULL,
+                lp_id VARCHAR(50) NOT NULL,
+                lp_class VARCHAR(20) NOT NULL,
+                fee_type VARCHAR(20) NOT NULL,
+                period_start DATE NOT NULL,
+                period_end DATE NOT NULL,
+                basis_type VARCHAR(30),
+                average_basis NUMERIC(20,2),
+                amount NUMERIC(20,2) NOT NULL,
+                entry_id VARCHAR(40),
+                crystallized_at DATE,
+                details JSONB DEFAULT '{}',
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            );
+
+            -- Transaction and other fees received by the manager that reduce the management fee
+            CREATE TABLE fee_offsets (
+                id SERIAL PRIMARY KEY,
+                offset_id VARCHAR(40) UNIQUE NOT NULL,
+                fund_id VARCHAR(50) NOT NULL,
+                offset_date DATE NOT NULL,
+                amount NUMERIC(20,2) NOT NULL,
+                applied_amount NUMERIC(20,2) DEFAULT 0,
+                description TEXT,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            );
+
+            CREATE TABLE fee_high_water_marks (
+                fund_id VARCHAR(50) NOT NULL,
+                lp_id VARCHAR(50) NOT NULL,
+                nav_per_unit NUMERIC(20,6) NOT NULL,
+                set_date DATE NOT NULL,
+                updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                PRIMARY KEY (fund_id, lp_id)
+            );
+
+            CREATE INDEX idx_fee_accruals_fund_lp ON fee_accruals(fund_id, lp_id, fee_type, period_end);
+            CREATE INDEX idx_fee_offsets_fund ON fee_offsets(fund_id, offset_date);
+        `
+    },
+    {
+        version: 8,
+        name: 'ecl_provisioning',
+        sql: `
+            CREATE TABLE ecl_provision_runs (
+                id SERIAL PRIMARY KEY,
+                run_id VARCHAR(40) UNIQUE NOT NULL,
+                fund_id VARCHAR(50) NOT NULL,
+                as_of_date DATE NOT NULL,
+                methodology VARCHAR(10) NOT NULL,
+                regime VARCHAR(50),
+                regime_confidence NUMERIC(5,2),
+                scenario_weights JSONB,
+                total_exposure NUMERIC(20,2) NOT NULL,
+                total_ecl NUMERIC(20,2) NOT NULL,
+                stage1_ecl NUMERIC(20,2) DEFAULT 0,
+                stage2_ecl NUMERIC(20,2) DEFAULT 0,
+                stage3_ecl NUMERIC(20,2) DEFAULT 0,
+                ledger_opening NUMERIC(20,2) DEFAULT 0,
+                write_offs NUMERIC(20,2) DEFAULT 0,
+                provision_charge NUMERIC(20,2) DEFAULT 0,
+                ledger_closing NUMERIC(20,2) DEFAULT 0,
+                roll_forward JSONB,
+                entry_id VARCHAR(40),
+                created_by VARCHAR(50),
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            );
+
+            CREATE TABLE ecl_loan_provisions (
+                id SERIAL PRIMARY KEY,
+                run_id VARCHAR(40) NOT NULL REFERENCES ecl_provision_runs(run_id) ON DELETE CASCADE,
+                fund_id VARCHAR(50) NOT NULL,
+                loan_id VARCHAR(50) NOT NULL,
+                stage SMALLINT NOT NULL,
+                previous_stage SMALLINT,
+                exposure_at_default NUMERIC(20,2) NOT NULL,
+                pd_12m NUMERIC(10,6),
+                pd_lifetime NUMERIC(10,6),
+                lgd NUMERIC(10,6),
+                ecl NUMERIC(20,2) NOT NULL,
+                origination_pd NUMERIC(10,6),
+                stage_reasons JSONB,
+                scenario_ecl JSONB
+            );
+
+            CREATE INDEX idx_ecl_runs_fund_date ON ecl_provision_runs(fund_id, as_of_date);
+            CREATE INDEX idx_ecl_loans_run ON ecl_loan_provisions(run_id);
+            CREATE INDEX idx_ecl_loans_fund_loan ON ecl_loan_provisions(fund_id, loan_id);
+        `
+    },
+    {
+        version: 9,
+        name: 'market_time_series',
+        sql: `
+            CREATE TABLE market_time_series (
+                id BIGSERIAL PRIMARY KEY,
+                series_id VARCHAR(40) NOT NULL,
+                obs_date DATE NOT NULL,
+                value NUMERIC(20,6) NOT NULL,
+                source VARCHAR(30) NOT NULL,
+                revision INTEGER NOT NULL DEFAULT 0,
+                fetched_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                UNIQUE (series_id, obs_date, revision)
+            );
+
+            CREATE TABLE market_series_sync (
+                series_id VARCHAR(40) PRIMARY KEY,
+                source VARCHAR(30),
+                first_obs_date DATE,
+                last_obs_date DATE,
+                observation_count INTEGER DEFAULT 0,
+                last_backfill_at TIMESTAMP,
+                last_update_at TIMESTAMP,
+                last_error TEXT,
+                updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            );
+
+            CREATE INDEX idx_market_ts_series_date ON market_time_series(series_id, obs_date DESC, revision DESC);
+        `
+    },
+    {
+        version: 10,
+        name: 'scheduled_jobs',
+        sql: `
+            -- Definitions are seeded from code once, then owned by the database
+            CREATE TABLE scheduled_jobs (
+                job_name VARCHAR(60) PRIMARY KEY,
+                handler VARCHAR(60) NOT NULL,
+                description TEXT,
+                cron_expression VARCHAR(100) NOT NULL,
+                timezone VARCHAR(50) NOT NULL DEFAULT 'Asia/Phnom_Penh',
+                params JSONB DEFAULT '{}',
+                enabled BOOLEAN DEFAULT TRUE,
+                max_retries INTEGER DEFAULT 2,
+                retry_delay_seconds INTEGER DEFAULT 300,
+                timeout_seconds INTEGER DEFAULT 900,
+                notify_chat_id VARCHAR(50),
+                notify_on VARCHAR(10) DEFAULT 'always',
+                next_run_at TIMESTAMP,
+                retry_attempt INTEGER DEFAULT 0,
+                last_run_at TIMESTAMP,
+                last_status VARCHAR(20),
+                locked_by VARCHAR(100),
+                locked_until TIMESTAMP,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            );
+
+            CREATE TABLE scheduled_job_runs (
+                run_id VARCHAR(40) PRIMARY KEY,
+                job_name VARCHAR(60) NOT NULL REFERENCES scheduled_jobs(job_name) ON DELETE CASCADE,
+                attempt INTEGER NOT NULL DEFAULT 1,
+                triggered_by VARCHAR(20) NOT NULL,
+                status VARCHAR(20) NOT NULL,
+                instance_id VARCHAR(100),
+                scheduled_for TIMESTAMP,
+                started_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                finished_at TIMESTAMP,
+                duration_ms INTEGER,
+                summary TEXT,
+                result JSONB,
+                error TEXT
+            );
+
+            CREATE INDEX idx_scheduled_jobs_due ON scheduled_jobs(next_run_at) WHERE enabled;
+            CREATE INDEX idx_job_runs_job_started ON scheduled_job_runs(job_name, started_at DESC);
+        `
+    },
+    {
+        version: 11,
+        name: 'alert_subscriptions',
+        sql: `
+            -- One subscription per chat and alert type; threshold semantics depend on the type
+            CREATE TABLE alert_subscriptions (
+                subscription_id VARCHAR(40) PRIMARY KEY,
+                chat_id VARCHAR(50) NOT NULL,
+                alert_type VARCHAR(30) NOT NULL,
+                threshold NUMERIC(18,6),
+                params JSONB DEFAULT '{}',
+                enabled BOOLEAN DEFAULT TRUE,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                UNIQUE(chat_id, alert_type)
+            );
+
+            -- Every triggered alert, sent or suppressed; dedup and snooze are read from here
+            CREATE TABLE alert_events (
+                alert_id VARCHAR(40) PRIMARY KEY,
+                subscription_id VARCHAR(40) REFERENCES alert_subscriptions(subscription_id) ON DELETE CASCADE,
+                chat_id VARCHAR(50) NOT NULL,
+                alert_type VARCHAR(30) NOT NULL,
+                alert_key VARCHAR(200) NOT NULL,
+                severity VARCHAR(20),
+                value NUMERIC(18,6),
+                message TEXT,
+                status VARCHAR(20) NOT NULL,
+                telegram_message_id BIGINT,
+                triggered_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                acknowledged_at TIMESTAMP,
+                acknowledged_by VARCHAR(100),
+                snoozed_until TIMESTAMP
+            );
+
+            CREATE INDEX idx_alert_subscriptions_type ON alert_subscriptions(alert_type) WHERE enabled;
+            CREATE INDEX idx_alert_events_key ON alert_events(chat_id, alert_key, triggered_at DESC);
+            CREATE INDEX idx_alert_events_chat_sent ON alert_events(chat_id, triggered_at DESC) WHERE status = 'sent';
+        `
+    },
+    {
+        version: 12,
+        name: 'chat_sessions',
+        sql: `
+            -- Per-chat state behind inline keyboards and multi-step flows; buttons carry the session id
+            CREATE TABLE chat_sessions (
+                session_id VARCHAR(20) PRIMARY KEY,
+                chat_id VARCHAR(50) NOT NULL,
+                namespace VARCHAR(30) NOT NULL,
+                state JSONB NOT NULL DEFAULT '{}',
+                created_by VARCHAR(100),
+                expires_at TIMESTAMP NOT NULL,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            );
+
+            CREATE INDEX idx_chat_sessions_chat ON chat_sessions(chat_id, namespace, updated_at DESC);
+            CREATE INDEX idx_chat_sessions_expiry ON chat_sessions(expires_at);
+        `
+    },
+    {
+        version: 13,
+        name: 'loan_status_transitions',
+        sql: `
+            -- Audit trail of loan lifecycle transitions: who moved a loan, when and why
+            CREATE TABLE loan_status_transitions (
+                transition_id VARCHAR(40) PRIMARY KEY,
+                deal_id VARCHAR(50) NOT NULL REFERENCES deals(deal_id),
+                from_state VARCHAR(20),
+                to_state VARCHAR(20) NOT NULL,
+                from_status VARCHAR(30),
+                to_status VARCHAR(30) NOT NULL,
+                actor VARCHAR(100) NOT NULL,
+                reason TEXT NOT NULL,
+                context JSONB DEFAULT '{}',
+                hook_results JSONB DEFAULT '{}',
+                transitioned_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+            );
+
+            CREATE INDEX idx_loan_transitions_deal ON loan_status_transitions(deal_id, transitioned_at);
+            CREATE INDEX idx_loan_transitions_to_state ON loan_status_transitions(to_state, transitioned_at);
+        `
+    },
+    {
+        version: 14,
+        name: 'bot_users',
+        sql: `
+            -- Telegram users allowed to use the bot; LP accounts are tied to their lps record
+            CREATE TABLE bot_users (
+                user_id VARCHAR(50) PRIMARY KEY,
+                display_name VARCHAR(200),
+                role VARCHAR(20) NOT NULL,
+                lp_id VARCHAR(50) REFERENCES lps(lp_id),
+                status VARCHAR(20) NOT NULL DEFAULT 'active',
+                created_by VARCHAR(100),
+                updated_by VARCHAR(100),
+                last_seen_at TIMESTAMP,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            );
+
+            -- Funds a user may see; fund_id '*' grants every fund
+            CREATE TABLE bot_user_fund_access (
+                user_id VARCHAR(50) NOT NULL REFERENCES bot_users(user_id) ON DELETE CASCADE,
+                fund_id VARCHAR(50) NOT NULL,
+                granted_by VARCHAR(100),
+                granted_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                PRIMARY KEY (user_id, fund_id)
+            );
+
+            CREATE INDEX idx_bot_users_lp ON bot_users(lp_id) WHERE lp_id IS NOT NULL;
+        `
+    },
+    {
+        version: 15,
+        name: 'ic_reviews',
+        sql: `
+            -- Investment committee reviews: the deal memo, who may vote and the final decision
+            CREATE TABLE ic_reviews (
+                review_id VARCHAR(40) PRIMARY KEY,
+                deal_id VARCHAR(50) NOT NULL REFERENCES deals(deal_id),
+                application_id VARCHAR(50),
+                approval_level VARCHAR(20) NOT NULL,
+                approval_authority VARCHAR(100),
+                loan_amount NUMERIC(15,2) NOT NULL,
+                quorum INTEGER NOT NULL,
+                approval_rule VARCHAR(20) NOT NULL,
+                eligible_voters JSONB NOT NULL DEFAULT '[]',
+                memo JSONB NOT NULL,
+                messages JSONB DEFAULT '[]',
+                status VARCHAR(30) NOT NULL DEFAULT 'open',
+                decision JSONB,
+                requested_by VARCHAR(100),
+                notify_chat_id VARCHAR(50),
+                expires_at TIMESTAMP NOT NULL,
+                decided_at TIMESTAMP,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            );
+
+            -- One vote per member per review; a member may change their vote while the review is open
+            CREATE TABLE ic_votes (
+                review_id VARCHAR(40) NOT NULL REFERENCES ic_reviews(review_id) ON DELETE CASCADE,
+                voter_id VARCHAR(50) NOT NULL,
+                voter_name VARCHAR(200),
+                vote VARCHAR(20) NOT NULL,
+                comment TEXT,
+                conditions JSONB DEFAULT '[]',
+                voted_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                PRIMARY KEY (review_id, voter_id)
+            );
+
+            CREATE INDEX idx_ic_reviews_deal ON ic_reviews(deal_id, created_at);
+            CREATE INDEX idx_ic_reviews_open ON ic_reviews(expires_at) WHERE status = 'open';
+        `
+    },
+    {
+        version: 16,
+        name: 'memory_embeddings',
+        sql: `
+            -- Embedding per memory for semantic retrieval; embedding_model says which model produced it
+            ALTER TABLE persistent_memories ADD COLUMN embedding REAL[];
+            ALTER TABLE persistent_memories ADD COLUMN embedding_model VARCHAR(60);
+            ALTER TABLE persistent_memories ADD COLUMN embedded_at TIMESTAMP;
+
+            -- pgvector is optional: without the extension retrieval scores the REAL[] embeddings in process
+            DO $$
+            BEGIN
+                CREATE EXTENSION IF NOT EXISTS vector;
+                ALTER TABLE persistent_memories ADD COLUMN embedding_vector vector(1536);
+                CREATE INDEX idx_memories_embedding_vector ON persistent_memories
+                    USING hnsw (embedding_vector vector_cosine_ops);
+            EXCEPTION WHEN OTHERS THEN
+                RAISE NOTICE 'pgvector unavailable (%), memory retrieval will use the local index', SQLERRM;
+            END $$;
+        `
+    },
+    {
+        version: 17,
+        name: 'memory_entities',
+        sql: `
+            -- Entities extracted from conversations (borrower, lp, property, loan, amount, location, date),
+            -- shared across chats; duplicates merge on (entity_type, normalized_key) and name matching
+            CREATE TABLE memory_entities (
+                entity_id SERIAL PRIMARY KEY,
+                entity_type VARCHAR(20) NOT NULL,
+                name VARCHAR(200) NOT NULL,
+                normalized_key VARCHAR(200) NOT NULL,
+                aliases JSONB DEFAULT '[]',
+                attributes JSONB DEFAULT '{}',
+                mention_count INTEGER DEFAULT 0,
+                first_seen TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                last_seen TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                UNIQUE (entity_type, normalized_key)
+            );
+
+            -- Relationships between entities mentioned in the same sentence, e.g. borrower owns property
+            CREATE TABLE memory_entity_relations (
+                from_entity_id INTEGER NOT NULL REFERENCES memory_entities(entity_id) ON DELETE CASCADE,
+                relation VARCHAR(30) NOT NULL,
+                to_entity_id INTEGER NOT NULL REFERENCES memory_entities(entity_id) ON DELETE CASCADE,
+                mention_count INTEGER DEFAULT 1,
+                first_seen TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                last_seen TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                PRIMARY KEY (from_entity_id, relation, to_entity_id)
+            );
+
+            -- The sentences each entity was mentioned in, by chat
+            CREATE TABLE memory_entity_mentions (
+                id SERIAL PRIMARY KEY,
+                entity_id INTEGER NOT NULL REFERENCES memory_entities(entity_id) ON DELETE CASCADE,
+                chat_id VARCHAR(50) NOT NULL,
+                source VARCHAR(20) NOT NULL,
+                snippet TEXT NOT NULL,
+                mentioned_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            );
+
+            CREATE INDEX idx_memory_entities_type ON memory_entities(entity_type, last_seen);
+            CREATE INDEX idx_memory_entity_relations_to ON memory_entity_relations(to_entity_id);
+            CREATE INDEX idx_memory_entity_mentions_entity ON memory_entity_mentions(entity_id, mentioned_at);
+            CREATE INDEX idx_memory_entity_mentions_chat ON memory_entity_mentions(chat_id);
+        `
+    },
+    {
+        version: 18,
+        name: 'memory_pins',
+        sql: `
+            -- Pinned memories are always put in the model's context and never pruned; users manage them with /memory
+            ALTER TABLE persistent_memories ADD COLUMN pinned BOOLEAN NOT NULL DEFAULT FALSE;
+            ALTER TABLE persistent_memories ADD COLUMN updated_at TIMESTAMP;
+
+            CREATE INDEX idx_memories_pinned ON persistent_memories(chat_id) WHERE pinned;
+        `
+    },
+    {
+        version: 19,
+        name: 'nav_strike_revisions',
+        sql: `
+            -- Re-striking a date adds a revision row; earlier revisions are kept for audit
+            ALTER TABLE fund_nav_strikes DROP CONSTRAINT fund_nav_strikes_fund_id_valuation_date_key;
+            ALTER TABLE fund_nav_strikes ADD CONSTRAINT fund_nav_strikes_revision_key UNIQUE (fund_id, valuation_date, revision);
+        `
+    }
+];
+
+module.exports = { MIGRATIONS };
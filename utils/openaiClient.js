@@ -11,6 +11,7 @@
 require("dotenv").config();
 const OpenAI = require("openai").OpenAI;
 const crypto = require("crypto");
+const CircuitBreaker = require("./circuitBreaker");
 
 // Validation
 if (!process.env.OPENAI_API_KEY) {
@@ -189,61 +190,6 @@ ResponseCache.prototype.getStats = function () {
   };
 };
 
-// ═══════════════════════════════════════════════════════════════════════════
-// CIRCUIT BREAKER (UNCHANGED - EXCELLENT)
-// ═══════════════════════════════════════════════════════════════════════════
-
-function CircuitBreaker(failureThreshold, timeoutMs) {
-  this.failureThreshold = Number(failureThreshold || 5);
-  this.timeoutMs = Number(timeoutMs || 30000);
-  this.failureCount = 0;
-  this.lastFailureTime = 0;
-  this.state = "CLOSED";
-}
-
-CircuitBreaker.prototype.execute = function (operation) {
-  const self = this;
-  
-  return new Promise(function (resolve, reject) {
-    if (self.state === "OPEN") {
-      if (Date.now() - self.lastFailureTime > self.timeoutMs) {
-        self.state = "HALF_OPEN";
-      } else {
-        return reject(new Error("Circuit breaker is OPEN"));
-      }
-    }
-    
-    Promise.resolve()
-      .then(operation)
-      .then(function (result) {
-        self.onSuccess();
-        resolve(result);
-      })
-      .catch(function (error) {
-        self.onFailure();
-        reject(error);
-      });
-  });
-};
-
-CircuitBreaker.prototype.onSuccess = function () {
-  this.failureCount = 0;
-  this.state = "CLOSED";
-};
-
-CircuitBreaker.prototype.onFailure = function () {
-  this.failureCount++;
-  this.lastFailureTime = Date.now();
-  
-  if (this.failureCount >= this.failureThreshold) {
-    this.state = "OPEN";
-  }
-};
-
-CircuitBreaker.prototype.getState = function () {
-  return this.state;
-};
-
 // ═══════════════════════════════════════════════════════════════════════════
 // ✅ FULLY CORRECTED GPT-5 CONFIGURATION (Official August 2025 Specifications)
 // ═══════════════════════════════════════════════════════════════════════════
@@ -898,7 +844,8 @@ function getMultimodalGPT5Analysis(prompt, imageUrls, options) {
 
 // ✅ NEW: Function calling support
 function getGPT5WithTools(prompt, tools, options) {
-  const opts = Object.assign({}, options || {}, {
+  options = options || {};
+  const opts = Object.assign({}, options, {
     model: GPT5_CONFIG.PRIMARY_MODEL,
     tools: tools,
     tool_choice: options.tool_choice || "auto",
@@ -0,0 +1,270 @@
+// utils/semanticMemory.js - Embedding-based retrieval for persistent memories
+// Each persistent_memories row stores an embedding; retrieval ranks a chat's memories by similarity to
+// the current message through pgvector when the extension is installed, otherwise in process
+
+const {
+    getMemoryIdDB,
+    getMemoriesForRetrievalDB,
+    saveMemoryEmbeddingDB,
+    searchMemoriesByVectorDB,
+    hasMemoryVectorColumnDB
+} = require('./database');
+
+// 🧭 EMBEDDING CONFIGURATION
+const EMBEDDING_CONFIG = {
+    OPENAI_MODEL: process.env.MEMORY_EMBEDDING_MODEL || 'text-embedding-3-small',
+    OPENAI_DIMENSIONS: 1536,            // Matches the vector(1536) column from migration 16
+    LOCAL_MODEL: 'local-hash-v1',
+    LOCAL_DIMENSIONS: 512,
+    MODE_VAR: 'MEMORY_EMBEDDINGS',      // 'local' keeps embeddings on this machine
+
+    CANDIDATE_LIMIT: 60,                // Most similar memories handed back for hybrid scoring
+    SCAN_LIMIT: 500,                    // Memories per chat scored in process when pgvector is unavailable
+    BACKFILL_BATCH: 50,                 // Memories without a current embedding embedded per retrieval
+    QUERY_CACHE_SIZE: 200,
+    LOCAL_INDEX_SIZE: 5000
+};
+
+const STOPWORDS = new Set([
+    'the', 'and', 'for', 'are', 'but', 'not', 'you', 'all', 'any', 'can', 'had', 'her', 'was', 'one', 'our',
+    'out', 'has', 'have', 'his', 'how', 'its', 'may', 'who', 'did', 'get', 'him', 'she', 'too', 'use', 'that',
+    'with', 'this', 'from', 'they', 'will', 'would', 'there', 'their', 'what', 'about', 'which', 'when', 'your',
+    'a', 'an', 'as', 'at', 'be', 'by', 'do', 'if', 'in', 'is', 'it', 'me', 'my', 'of', 'on', 'or', 'so', 'to', 'we'
+]);
+
+const queryCache = new Map();          // 'model|text' → vector, most recent last
+const localIndex = new Map();          // memory id → { fact, vector } for the local model
+let vectorColumn = null;               // Whether migration 16 could add the pgvector column
+
+function useOpenAIEmbeddings() {
+    return Boolean(process.env.OPENAI_API_KEY) &&
+           String(process.env[EMBEDDING_CONFIG.MODE_VAR] || '').toLowerCase() !== 'local' &&
+           String(process.env.LLM_PROVIDER || '').toLowerCase() !== 'mock';
+}
+
+// 🔢 VECTORS
+
+/**
+ * 🔢 Deterministic local embedding: hashed word and word-pair features, L2-normalized
+ * Catches shared vocabulary (names, places, amounts) rather than meaning, so it is the fallback, not the default
+ */
+function localEmbedding(text) {
+    const vector = new Array(EMBEDDING_CONFIG.LOCAL_DIMENSIONS).fill(0);
+    const words = String(text || '').toLowerCase()
+        .replace(/[^\p{L}\p{N}$%.\s-]/gu, ' ')
+        .split(/\s+/)
+        .map(word => word.replace(/^[.-]+|[.-]+$/g, '').replace(/(?<=\w{3})s$/, ''))
+        .filter(word => word.length > 1 && !STOPWORDS.has(word));
+
+    const features = words.concat(words.slice(1).map((word, index) => `${words[index]} ${word}`));
+    features.forEach(feature => {
+        // FNV-1a; the top bit picks the sign so collisions cancel rather than pile up
+        let hash = 2166136261;
+        for (let i = 0; i < feature.length; i++) {
+            hash ^= feature.charCodeAt(i);
+            hash = Math.imul(hash, 16777619) >>> 0;
+        }
+        vector[hash % EMBEDDING_CONFIG.LOCAL_DIMENSIONS] += (hash & 0x80000000) ? -1 : 1;
+    });
+
+    const norm = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0));
+    return norm > 0 ? vector.map(value => value / norm) : vector;
+}
+
+function cosineSimilarity(a, b) {
+    if (!a || !b || a.length !== b.length) return 0;
+    let dot = 0, normA = 0, normB = 0;
+    for (let i = 0; i < a.length; i++) {
+        dot += a[i] * b[i];
+        normA += a[i] * a[i];
+        normB += b[i] * b[i];
+    }
+    return normA > 0 && normB > 0 ? dot / Math.sqrt(normA * normB) : 0;
+}
+
+/**
+ * 🧭 Embed texts with OpenAI, or the local model when OpenAI is not configured or fails
+ * Returns { model, vectors } with one vector per text
+ */
+async function embedTexts(texts) {
+    if (useOpenAIEmbeddings()) {
+        try {
+            const openaiClient = require('./openaiClient');
+            const response = await openaiClient.circuitBreaker.execute(() => openaiClient.openai.embeddings.create({
+                model: EMBEDDING_CONFIG.OPENAI_MODEL,
+                input: texts.map(text => String(text || ' ').substring(0, 8000)),
+                dimensions: EMBEDDING_CONFIG.OPENAI_DIMENSIONS
+            }));
+            return { model: EMBEDDING_CONFIG.OPENAI_MODEL, vectors: response.data.map(item => item.embedding) };
+        } catch (error) {
+            console.warn('⚠️ OpenAI embeddings failed, using the local model:', error.message);
+        }
+    }
+    return { model: EMBEDDING_CONFIG.LOCAL_MODEL, vectors: texts.map(localEmbedding) };
+}
+
+async function embedQuery(text) {
+    const preferred = useOpenAIEmbeddings() ? EMBEDDING_CONFIG.OPENAI_MODEL : EMBEDDING_CONFIG.LOCAL_MODEL;
+    const key = `${preferred}|${text}`;
+    if (queryCache.has(key)) {
+        return { model: preferred, vector: queryCache.get(key) };
+    }
+
+    const { model, vectors } = await embedTexts([text]);
+    if (model === preferred) {
+        queryCache.set(key, vectors[0]);
+        if (queryCache.size > EMBEDDING_CONFIG.QUERY_CACHE_SIZE) {
+            queryCache.delete(queryCache.keys().next().value);
+        }
+    }
+    return { model, vector: vectors[0] };
+}
+
+function localVectorFor(memory) {
+    const cached = localIndex.get(memory.id);
+    if (cached && cached.fact === memory.fact) return cached.vector;
+
+    const vector = localEmbedding(memory.fact);
+    if (localIndex.size >= EMBEDDING_CONFIG.LOCAL_INDEX_SIZE) localIndex.clear();
+    localIndex.set(memory.id, { fact: memory.fact, vector });
+    return vector;
+}
+
+async function hasVectorColumn() {
+    if (vectorColumn === null) {
+        try {
+            vectorColumn = await hasMemoryVectorColumnDB();
+        } catch (error) {
+            return false;
+        }
+    }
+    return vectorColumn;
+}
+
+// 💾 INDEXING
+
+async function storeEmbedding(memoryId, vector, model) {
+    const useVector = model === EMBEDDING_CONFIG.OPENAI_MODEL && vector.length === EMBEDDING_CONFIG.OPENAI_DIMENSIONS &&
+                      await hasVectorColumn();
+    await saveMemoryEmbeddingDB(memoryId, vector, model, useVector);
+}
+
+/**
+ * 💾 Embed a memory that has just been saved
+ * fact must be the text as passed to addPersistentMemoryDB, which finds the row by its hash
+ */
+async function indexMemory(chatId, fact) {
+    try {
+        const memoryId = await getMemoryIdDB(chatId, fact);
+        if (!memoryId) return false;
+
+        const { model, vectors } = await embedTexts([fact]);
+        await storeEmbedding(memoryId, vectors[0], model);
+        localIndex.delete(memoryId);
+        return true;
+
+    } catch (error) {
+        console.error('❌ Memory embedding error:', error.message);
+        throw new Error(`Memory embedding failed: ${error.message}`);
+    }
+}
+
+/**
+ * 💾 Embed memories saved before embeddings existed, or with a model no longer in use
+ */
+async function backfillEmbeddings(memories, model) {
+    const stale = memories.filter(memory => memory.embedding_model !== model).slice(0, EMBEDDING_CONFIG.BACKFILL_BATCH);
+    if (stale.length === 0) return 0;
+
+    const embedded = await embedTexts(stale.map(memory => memory.fact));
+    // A fallback to the local model mid-backfill would overwrite good embeddings with weaker ones
+    if (embedded.model !== model) return 0;
+
+    for (const [index, memory] of stale.entries()) {
+        await storeEmbedding(memory.id, embedded.vectors[index], model);
+        memory.embedding = embedded.vectors[index];
+        memory.embedding_model = model;
+    }
+    console.log(`🧭 Embedded ${stale.length} memories with ${model}`);
+    return stale.length;
+}
+
+// 🔍 RETRIEVAL
+
+function toCandidate(memory, similarity) {
+    return {
+        id: memory.id,
+        fact: memory.fact,
+        importance: memory.importance,
+        timestamp: memory.timestamp,
+        accessCount: memory.access_count,
+        similarity: Math.round(Number(similarity) * 10000) / 10000
+    };
+}
+
+/**
+ * 🔍 A chat's memories most similar to a message, with a similarity from -1 to 1
+ * options: { limit } - candidates returned; callers combine similarity with importance and recency
+ */
+async function findSimilarMemories(chatId, message, options = {}) {
+    const limit = options.limit || EMBEDDING_CONFIG.CANDIDATE_LIMIT;
+
+    try {
+        const query = await embedQuery(message);
+        const memories = await getMemoriesForRetrievalDB(chatId, EMBEDDING_CONFIG.SCAN_LIMIT);
+        if (memories.length === 0) return [];
+
+        if (query.model !== EMBEDDING_CONFIG.LOCAL_MODEL) {
+            await backfillEmbeddings(memories, query.model);
+
+            if (await hasVectorColumn()) {
+                const rows = await searchMemoriesByVectorDB(chatId, query.vector, query.model, limit);
+                return rows.map(row => toCandidate(row, row.similarity));
+            }
+        }
+
+        // Local index: stored embeddings when they come from the query's model, local vectors otherwise
+        let localQuery = query.model === EMBEDDING_CONFIG.LOCAL_MODEL ? query.vector : null;
+        return memories
+            .map(memory => {
+                if (query.model !== EMBEDDING_CONFIG.LOCAL_MODEL && memory.embedding_model === query.model) {
+                    return toCandidate(memory, cosineSimilarity(query.vector, memory.embedding));
+                }
+                localQuery = localQuery || localEmbedding(message);
+                return toCandidate(memory, cosineSimilarity(localQuery, localVectorFor(memory)));
+            })
+            .sort((a, b) => b.similarity - a.similarity)
+            .slice(0, limit);
+
+    } catch (error) {
+        console.error('❌ Memory retrieval error:', error.message);
+        throw new Error(`Memory retrieval failed: ${error.message}`);
+    }
+}
+
+function getEmbeddingStatus() {
+    return {
+        model: useOpenAIEmbeddings() ? EMBEDDING_CONFIG.OPENAI_MODEL : EMBEDDING_CONFIG.LOCAL_MODEL,
+        pgvector: vectorColumn,
+        cachedQueries: queryCache.size,
+        localIndexSize: localIndex.size
+    };
+}
+
+module.exports = {
+    // Retrieval
+    findSimilarMemories,
+    indexMemory,
+    backfillEmbeddings,
+
+    // Embeddings
+    embedTexts,
+    localEmbedding,
+    cosineSimilarity,
+    getEmbeddingStatus,
+
+    // Configuration
+    EMBEDDING_CONFIG
+};
+
+console.log('🧭 Semantic Memory Loaded');
@@ -0,0 +1,495 @@
+// utils/toolRegistry.js - LLM function-calling bridge to the Cambodia fund modules
+// Selected module functions are registered as tools with JSON schemas; the model's tool calls are
+// validated, permission-checked against the asking user's role and executed, and the results fed back
+
+const { resolveRoute, completeWithFallback } = require('./llmProviders');
+const { hasPermission, canAccessFund, hasAllFundAccess } = require('./accessControl');
+const { getDealsDB } = require('./database');
+const { getForexRates } = require('./liveData');
+const {
+    performCreditAssessment,
+    calculateCreditScore,
+    determineRiskCategory,
+    generateLoanRecommendations,
+    calculateCollateralMetrics
+} = require('../cambodia/creditAssessment');
+const { getPortfolioSummary, PORTFOLIO_CONFIG } = require('../cambodia/portfolioManager');
+const { getLPById, getLPFundIds } = require('../cambodia/lpManagement');
+const { performStressTest } = require('../cambodia/riskManagement');
+const { getEntityProfile } = require('./entityMemory');
+
+// 🧰 TOOL CONFIGURATION
+const TOOL_CONFIG = {
+    MAX_ITERATIONS: 5,              // Model turns that may request tools before it must answer
+    MAX_CALLS_PER_TURN: 6,
+    TOOL_TIMEOUT_MS: 60 * 1000,
+    MAX_RESULT_CHARS: 6000,         // Tool output fed back to the model is cut at this length
+    MAX_TOKENS: 8000,
+    MAX_DEALS_LISTED: 20,
+
+    SYSTEM_PROMPT: 'You are the analyst for a private lending fund in Cambodia. Answer questions about the fund, its ' +
+                   'portfolio, LPs, borrowers and markets from the tools provided, and say which figures came from them. ' +
+                   'If a tool returns an error or no data, say so plainly instead of estimating. Amounts are USD.'
+};
+
+// name -> { name, description, parameters, permission, handler }
+const TOOL_REGISTRY = new Map();
+
+// 🛠️ HELPERS
+
+function truncateResult(value) {
+    const text = JSON.stringify(value === undefined ? null : value);
+    return text.length > TOOL_CONFIG.MAX_RESULT_CHARS
+        ? `${text.substring(0, TOOL_CONFIG.MAX_RESULT_CHARS)}... [truncated]`
+        : text;
+}
+
+function matchesText(value, filter) {
+    return !filter || String(value || '').toLowerCase().includes(String(filter).toLowerCase());
+}
+
+// Deals in funds the user is granted; users with every fund see the whole book
+async function getAccessibleDeals(user) {
+    const deals = await getDealsDB();
+    return hasAllFundAccess(user) ? deals : deals.filter(deal => canAccessFund(user, deal.fundId));
+}
+
+// Same basis as the fund metrics: loan amounts of funded and performing deals
+function deployedCapital(deals) {
+    const { FUNDED, PERFORMING } = PORTFOLIO_CONFIG.DEAL_STATUS;
+    return deals
+        .filter(deal => deal.status === FUNDED || deal.status === PERFORMING)
+        .reduce((sum, deal) => sum + (deal.dealInfo?.loanAmount || 0), 0);
+}
+
+function withTimeout(promise, ms, name) {
+    let timer;
+    return Promise.race([
+        promise,
+        new Promise((resolve, reject) => {
+            timer = setTimeout(() => reject(new Error(`${name} timed out after ${ms / 1000}s`)), ms);
+        })
+    ]).finally(() => clearTimeout(timer));
+}
+
+// ✅ ARGUMENT VALIDATION
+// Covers the JSON schema subset the tool definitions use: type, required, enum, minimum, maximum,
+// maxLength and additionalProperties: false
+
+const TYPE_CHECKS = {
+    string: value => typeof value === 'string',
+    number: value => typeof value === 'number' && Number.isFinite(value),
+    integer: value => Number.isInteger(value),
+    boolean: value => typeof value === 'boolean',
+    object: value => value !== null && typeof value === 'object' && !Array.isArray(value),
+    array: value => Array.isArray(value)
+};
+
+function validateToolArguments(schema, args) {
+    const errors = [];
+    if (!TYPE_CHECKS.object(args)) {
+        return ['arguments must be a JSON object'];
+    }
+
+    const properties = schema.properties || {};
+    (schema.required || []).forEach(key => {
+        if (args[key] === undefined || args[key] === null) errors.push(`${key} is required`);
+    });
+
+    Object.entries(args).forEach(([key, value]) => {
+        const rule = properties[key];
+        if (!rule) {
+            if (schema.additionalProperties === false) errors.push(`${key} is not a known argument`);
+            return;
+        }
+        if (value === undefined || value === null) return;
+
+        if (rule.type && !TYPE_CHECKS[rule.type](value)) {
+            errors.push(`${key} must be ${rule.type === 'integer' ? 'an integer' : `a ${rule.type}`}`);
+            return;
+        }
+        if (rule.enum && !rule.enum.includes(value)) {
+            errors.push(`${key} must be one of ${rule.enum.join(', ')}`);
+        }
+        if (rule.minimum !== undefined && value < rule.minimum) errors.push(`${key} must be at least ${rule.minimum}`);
+        if (rule.maximum !== undefined && value > rule.maximum) errors.push(`${key} must be at most ${rule.maximum}`);
+        if (rule.maxLength !== undefined && value.length > rule.maxLength) errors.push(`${key} is longer than ${rule.maxLength} characters`);
+    });
+
+    return errors;
+}
+
+// 📋 REGISTRY
+
+/**
+ * 🧰 Register a tool the model may call
+ * definition: { name, description, parameters (JSON schema), permission, handler(args, context) }
+ * permission uses accessControl names; context is { user, chatId }
+ */
+function registerTool(definition) {
+    const { name, description, parameters, permission, handler } = definition;
+    if (!/^[a-zA-Z0-9_-]{1,64}$/.test(name || '')) {
+        throw new Error(`Invalid tool name "${name}"`);
+    }
+    if (typeof handler !== 'function') {
+        throw new Error(`Tool ${name} needs a handler`);
+    }
+    if (TOOL_REGISTRY.has(name)) {
+        console.warn(`⚠️ Tool "${name}" re-registered`);
+    }
+
+    TOOL_REGISTRY.set(name, {
+        name,
+        description,
+        parameters: { type: 'object', properties: {}, additionalProperties: false, ...parameters },
+        permission: permission || null,
+        handler
+    });
+}
+
+/**
+ * 📋 OpenAI tool definitions for the tools a user is allowed to call
+ */
+function getToolDefinitions(user) {
+    return [...TOOL_REGISTRY.values()]
+        .filter(tool => hasPermission(user, tool.permission))
+        .map(tool => ({
+            type: 'function',
+            function: { name: tool.name, description: tool.description, parameters: tool.parameters }
+        }));
+}
+
+function getRegisteredTools() {
+    return [...TOOL_REGISTRY.values()].map(({ name, description, permission }) => ({ name, description, permission }));
+}
+
+/**
+ * ⚙️ Run one tool call ({ id, name, arguments }) from the model; failures come back as
+ * { success: false, error } so the model can react
+ */
+async function executeToolCall(toolCall, context = {}) {
+    const name = toolCall.name;
+    const startTime = Date.now();
+    const tool = TOOL_REGISTRY.get(name);
+
+    const fail = error => ({ name, success: false, error, durationMs: Date.now() - startTime });
+
+    if (!tool) return fail(`Unknown tool "${name}"`);
+    if (!hasPermission(context.user, tool.permission)) {
+        console.warn(`🚫 Tool ${name} denied for ${context.user?.userId || 'unknown user'}`);
+        return fail(`Not permitted: ${name} requires ${tool.permission}`);
+    }
+
+    let args;
+    try {
+        args = JSON.parse(toolCall.arguments || '{}');
+    } catch (error) {
+        return fail(`Arguments are not valid JSON: ${error.message}`);
+    }
+
+    const errors = validateToolArguments(tool.parameters, args);
+    if (errors.length > 0) return fail(`Invalid arguments: ${errors.join('; ')}`);
+
+    try {
+        const result = await withTimeout(Promise.resolve(tool.handler(args, context)), TOOL_CONFIG.TOOL_TIMEOUT_MS, name);
+        console.log(`🧰 Tool ${name} ran in ${Date.now() - startTime}ms`);
+        return { name, success: true, result, durationMs: Date.now() - startTime };
+    } catch (error) {
+        console.error(`❌ Tool ${name} failed:`, error.message);
+        return fail(error.message);
+    }
+}
+
+// 💬 TOOL CONVERSATION
+
+/**
+ * 💬 Answer a question with the model calling registered tools until it has what it needs
+ * options: { user, chatId, context }
+ * Returns { response, toolCalls, iterations, provider, model }; toolCalls lists every call with success and timing.
+ */
+async function runToolConversation(question, options = {}) {
+    const { user = null, chatId = null, context = '' } = options;
+    const tools = getToolDefinitions(user);
+    const toolLog = [];
+
+    try {
+        if (tools.length === 0) {
+            throw new Error('no tools are available to this user');
+        }
+
+        const system = TOOL_CONFIG.SYSTEM_PROMPT + (context ? `\n\n${context}` : '');
+        const messages = [{ role: 'user', content: String(question) }];
+        const route = resolveRoute('tools');
+
+        for (let iteration = 1; iteration <= TOOL_CONFIG.MAX_ITERATIONS; iteration++) {
+            // The last turn may not call tools, so the loop always ends with an answer
+            const turn = await completeWithFallback({
+                system,
+                messages,
+                tools,
+                toolChoice: iteration === TOOL_CONFIG.MAX_ITERATIONS ? 'none' : 'auto',
+                maxTokens: TOOL_CONFIG.MAX_TOKENS
+            }, route);
+
+            if (turn.toolCalls.length === 0) {
+                return { response: turn.text, toolCalls: toolLog, iterations: iteration, provider: turn.provider, model: turn.model };
+            }
+
+            messages.push({ role: 'assistant', content: turn.text, toolCalls: turn.toolCalls });
+            for (const [index, toolCall] of turn.toolCalls.entries()) {
+                const outcome = index < TOOL_CONFIG.MAX_CALLS_PER_TURN
+                    ? await executeToolCall(toolCall, { user, chatId })
+                    : { name: toolCall.name, success: false, error: 'Too many tool calls in one turn', durationMs: 0 };
+
+                toolLog.push({ name: outcome.name, success: outcome.success, error: outcome.error, durationMs: outcome.durationMs });
+                messages.push({
+                    role: 'tool',
+                    toolCallId: toolCall.id,
+                    content: truncateResult(outcome.success ? outcome.result : { error: outcome.error })
+                });
+            }
+        }
+
+        throw new Error(`no answer after ${TOOL_CONFIG.MAX_ITERATIONS} turns`);
+
+    } catch (error) {
+        console.error('❌ Tool conversation error:', error.message);
+        throw new Error(`Tool-assisted answer failed: ${error.message}`);
+    }
+}
+
+// 🏦 CAMBODIA FUND TOOLS
+
+registerTool({
+    name: 'assess_credit',
+    description: 'Credit score, risk category and recommended terms for a prospective borrower and loan request.',
+    permission: 'deals.analyze',
+    parameters: {
+        properties: {
+            loanAmount: { type: 'number', minimum: 1, description: 'Requested amount in USD' },
+            termMonths: { type: 'integer', minimum: 1, maximum: 360 },
+            purpose: { type: 'string', maxLength: 200 },
+            collateral: { type: 'string', maxLength: 200, description: 'e.g. real estate, equipment' },
+            borrowerName: { type: 'string', maxLength: 200 },
+            businessType: { type: 'string', maxLength: 100 },
+            industry: { type: 'string', maxLength: 100 },
+            location: { type: 'string', maxLength: 100 },
+            yearsOperation: { type: 'number', minimum: 0 },
+            annualRevenue: { type: 'number', minimum: 0 },
+            monthlyCashFlow: { type: 'number' },
+            existingDebt: { type: 'number', minimum: 0 },
+            assets: { type: 'number', minimum: 0 }
+        },
+        required: ['loanAmount']
+    },
+    handler: async (args) => {
+        const borrower = {
+            name: args.borrowerName,
+            businessType: args.businessType,
+            industry: args.industry,
+            location: args.location,
+            yearsOperation: args.yearsOperation,
+            revenue: args.annualRevenue,
+            cashFlow: args.monthlyCashFlow,
+            existingDebt: args.existingDebt,
+            assets: args.assets
+        };
+        const loan = { amount: args.loanAmount, purpose: args.purpose, term: args.termMonths, collateral: args.collateral };
+
+        const assessment = await performCreditAssessment(borrower, loan);
+        if (assessment.success) {
+            return { creditAnalysis: assessment.creditAnalysis, narrative: String(assessment.assessment || '').substring(0, 2000) };
+        }
+
+        // The scoring model does not depend on the narrative, so it still answers when that is unavailable
+        const creditScore = calculateCreditScore(borrower, loan);
+        return {
+            creditAnalysis: {
+                creditScore,
+                riskCategory: determineRiskCategory(creditScore),
+                recommendations: generateLoanRecommendations(creditScore, loan)
+            },
+            narrative: null
+        };
+    }
+});
+
+registerTool({
+    name: 'collateral_metrics',
+    description: 'Location tier, liquidity score, appreciation and risk-adjusted value for a property offered as collateral.',
+    permission: 'deals.analyze',
+    parameters: {
+        properties: {
+            location: { type: 'string', maxLength: 100, description: 'City or district, e.g. Phnom Penh BKK1, Siem Reap' },
+            currentValue: { type: 'number', minimum: 0, description: 'Current market value in USD' },
+            purchasePrice: { type: 'number', minimum: 0 }
+        },
+        required: ['location']
+    },
+    handler: async (args) => calculateCollateralMetrics(args)
+});
+
+registerTool({
+    name: 'portfolio_exposure',
+    description: 'Fund metrics and deal counts; with filters, the matching deals and their outstanding exposure. ' +
+                 'Use location and sector (property type, purpose or borrower type, e.g. "hotel", "hospitality") for exposure questions. ' +
+                 'Covers only the funds the asking user has access to.',
+    permission: 'portfolio.view',
+    parameters: {
+        properties: {
+            location: { type: 'string', maxLength: 100 },
+            sector: { type: 'string', maxLength: 100 },
+            status: { type: 'string', maxLength: 30, description: 'Deal status, e.g. Performing, Past Due, Default' }
+        }
+    },
+    handler: async (args, context) => {
+        const allFunds = hasAllFundAccess(context.user);
+        const summary = allFunds ? await getPortfolioSummary() : null;
+        if (allFunds && !args.location && !args.sector && !args.status) {
+            return summary;
+        }
+
+        const accessible = await getAccessibleDeals(context.user);
+        const totalAUM = allFunds
+            ? summary.fundMetrics.totalAUM
+            : accessible.reduce((sum, deal) => sum + (deal.dealInfo?.loanAmount || 0), 0);
+        const deals = accessible.filter(deal => {
+            const info = deal.dealInfo || {};
+            return matchesText(info.location, args.location) &&
+                   (!args.status || deal.status === args.status) &&
+                   (!args.sector || [info.propertyType, info.purpose, info.borrowerType].some(value => matchesText(value, args.sector)));
+        });
+
+        const outstanding = deals.reduce((sum, deal) => sum + (deal.financial?.principalOutstanding || 0), 0);
+        const byStatus = deals.reduce((counts, deal) => ({ ...counts, [deal.status]: (counts[deal.status] || 0) + 1 }), {});
+
+        return {
+            filters: args,
+            funds: allFunds ? 'all' : context.user.fundIds,
+            matchingDeals: deals.length,
+            committed: deals.reduce((sum, deal) => sum + (deal.dealInfo?.loanAmount || 0), 0),
+            principalOutstanding: outstanding,
+            shareOfAUM: totalAUM > 0 ? Math.round(outstanding / totalAUM * 10000) / 100 : null,
+            byStatus,
+            deals: deals.slice(0, TOOL_CONFIG.MAX_DEALS_LISTED).map(deal => ({
+                dealId: deal.dealId,
+                borrower: deal.dealInfo?.borrowerName,
+                location: deal.dealInfo?.location,
+                propertyType: deal.dealInfo?.propertyType,
+                status: deal.status,
+                loanAmount: deal.dealInfo?.loanAmount,
+                principalOutstanding: deal.financial?.principalOutstanding,
+                daysOverdue: deal.performance?.daysOverdue || 0
+            }))
+        };
+    }
+});
+
+registerTool({
+    name: 'get_lp',
+    description: 'Limited partner record: profile, commitments, investment preferences and relationship status.',
+    permission: 'fund.view',
+    parameters: {
+        properties: {
+            lpId: { type: 'string', maxLength: 50 }
+        },
+        required: ['lpId']
+    },
+    handler: async (args, context) => {
+        const notFound = { error: `LP ${args.lpId} not found` };
+        const lp = await getLPById(args.lpId);
+        if (!lp) return notFound;
+
+        // An LP is visible to users granted at least one fund it has committed to
+        if (!hasAllFundAccess(context.user)) {
+            const fundIds = await getLPFundIds(args.lpId);
+            if (!fundIds.some(fundId => canAccessFund(context.user, fundId))) return notFound;
+        }
+        return lp;
+    }
+});
+
+registerTool({
+    name: 'entity_profile',
+    description: 'What earlier conversations say about a borrower, LP, property or loan: relationships, recent mentions ' +
+                 'and the matching portfolio deals and LP records.',
+    permission: 'deals.view',
+    parameters: {
+        properties: {
+            name: { type: 'string', maxLength: 200, description: 'Name or deal/LP id as it would appear in conversation' },
+            type: { type: 'string', enum: ['borrower', 'lp', 'property', 'loan'] }
+        },
+        required: ['name']
+    },
+    handler: async (args, context) => {
+        const profile = await getEntityProfile(args.name, { type: args.type, user: context.user });
+        if (!profile) return { error: `Nothing remembered about ${args.name}` };
+        if (profile.entity.type === 'lp' && !hasPermission(context.user, 'fund.view')) {
+            throw new Error('LP profiles require fund.view');
+        }
+        return profile;
+    }
+});
+
+registerTool({
+    name: 'forex_rates',
+    description: 'Latest exchange rates against a base currency (KHR, THB, VND and others).',
+    permission: 'chat',
+    parameters: {
+        properties: {
+            base: { type: 'string', maxLength: 3, description: 'ISO currency code, default USD' },
+            symbols: { type: 'array', description: 'Currency codes to return; all when omitted', items: { type: 'string' } }
+        }
+    },
+    handler: async (args) => {
+        const rates = await getForexRates((args.base || 'USD').toUpperCase());
+        if (!rates) throw new Error('forex rates are unavailable');
+        if (!args.symbols || args.symbols.length === 0) return rates;
+
+        const wanted = args.symbols.map(symbol => String(symbol).toUpperCase());
+        return { ...rates, rates: Object.fromEntries(Object.entries(rates.rates).filter(([code]) => wanted.includes(code))) };
+    }
+});
+
+registerTool({
+    name: 'stress_test',
+    description: 'Base, adverse and severely adverse stress scenarios for the portfolio; defaults to the deployed capital ' +
+                 'of the funds the asking user has access to.',
+    permission: 'portfolio.view',
+    parameters: {
+        properties: {
+            defaultRate: { type: 'number', minimum: 0, maximum: 100, description: 'Base default rate in percent, default 2' },
+            portfolioValue: { type: 'number', minimum: 1, description: 'Portfolio value in USD' }
+        }
+    },
+    handler: async (args, context) => {
+        let portfolioValue = args.portfolioValue;
+        if (!portfolioValue && hasAllFundAccess(context.user)) {
+            const summary = await getPortfolioSummary();
+            portfolioValue = summary.fundMetrics.totalDeployed || summary.fundMetrics.totalAUM;
+        } else if (!portfolioValue) {
+            const deals = await getAccessibleDeals(context.user);
+            portfolioValue = deployedCapital(deals) || deals.reduce((sum, deal) => sum + (deal.dealInfo?.loanAmount || 0), 0);
+        }
+        if (!portfolioValue) throw new Error('the portfolio has no deployed capital to stress');
+
+        return performStressTest({ defaultRate: args.defaultRate, totalValue: portfolioValue });
+    }
+});
+
+module.exports = {
+    // Registry
+    registerTool,
+    getToolDefinitions,
+    getRegisteredTools,
+    validateToolArguments,
+
+    // Execution
+    executeToolCall,
+    runToolConversation,
+
+    // Configuration
+    TOOL_CONFIG
+};
+
+console.log(`🧰 Tool Registry Loaded (${TOOL_REGISTRY.size} tools)`);